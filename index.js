@@ -1,237 +1,393 @@
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const path = require('path');
-const NodeCache = require('node-cache');
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Serve static files (including HTML)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Initialize Supabase client
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// Initialize cache
-const cache = new NodeCache({ stdTTL: 7 * 60 }); // 7 minutes TTL
-const CACHE_KEY_RANKINGS = 'rankings_pages';
-const CACHE_KEY_PLAYER_PROFILES = 'player_profiles';
-const CACHE_KEY_ROOM_LINK = 'room_link';
-const CACHE_KEY_VIP_STATUS = 'vip_status';
-
-// Function to fetch and cache all rankings pages
-async function cacheRankingsData() {
-    try {
-        const perPage = 250;
-        let allRankingsPages = {};
+const { users, playerStats } = require('./lib/repositories');
+const { keys, getOrLoad, flush, cacheStats } = require('./lib/cache');
+const {
+    CACHE_DELTA_INTERVAL,
+    toProfile,
+    cacheProfile,
+    cacheVipEntry,
+    getProfile,
+    loadProfile,
+    getVipEntry,
+    runDeltaRefresh,
+    deltaStatus
+} = require('./lib/playerCache');
+const {
+    verifyPassword,
+    upgradePassword,
+    createSession,
+    refreshSession,
+    revokeSession,
+    resolveSession,
+    requireSession,
+    loginSchema,
+    refreshSchema
+} = require('./lib/auth');
+const { requireSelf, requireActiveVip, requireRole, requireRoomSecret, hasRoomSecret } = require('./lib/authz');
+const {
+    rateLimit,
+    loginLockedFor,
+    recordLoginFailure,
+    clearLoginFailures,
+    accountLocked
+} = require('./lib/rateLimit');
+const { validateBody, invalidBody } = require('./lib/validate');
+const { validateApiKey, createApiKey, listApiKeys, revokeApiKey } = require('./lib/apiKeys');
+const {
+    registerSchema,
+    linkCodeSchema,
+    passwordChangeSchema,
+    resetRequestSchema,
+    resetConfirmSchema,
+    nicknameSchema,
+    startRegistration,
+    getRegistration,
+    completeRegistration,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    claimNickname,
+    releaseNickname
+} = require('./lib/accounts');
+const apiV1 = require('./lib/apiV1');
+const bmc = require('./lib/bmc');
+const {
+    isVipActive,
+    describeVip,
+    extendVip,
+    revokeVipDays,
+    endVip,
+    runVipLifecycle,
+    vipMessageSchema,
+    vipCelebrationSchema,
+    vipColorSchema,
+    vipStatusSchema
+} = require('./lib/vip');
+const { validateMatch, recordMatch, getPlayerMatches, getEloHistory, getHeadToHead } = require('./lib/matches');
+const { validateBalanceRequest, balanceTeams } = require('./lib/balancer');
+const {
+    REPLAY_MAX_BYTES,
+    uploadReplay,
+    getReplay,
+    getReplayFile,
+    deleteReplay
+} = require('./lib/replays');
+const {
+    getDiscordLink,
+    startDiscordLink,
+    completeDiscordLink,
+    unlinkDiscord,
+    verifyInteraction,
+    validateInteraction,
+    handleInteraction,
+    registerCommands
+} = require('./lib/discord');
+const {
+    listSeasons,
+    runSeasonScheduler,
+    getSeasonRankingsIndex,
+    getPlayerSeasonHistory
+} = require('./lib/seasons');
+const { METRICS, rankingsIndex } = require('./lib/rankingsIndex');
+const { SEARCH_MIN_LENGTH, searchPlayers, getNicknameHistory } = require('./lib/players');
+const {
+    careerPlayerSchema,
+    getCatalog,
+    getCareer,
+    unlockPlayer,
+    selectPlayer,
+    awardMatchCoins
+} = require('./lib/career');
+const {
+    listAchievements,
+    getPlayerAchievements,
+    getUnlockedAchievements,
+    badgesOf,
+    backfillAchievements
+} = require('./lib/achievements');
+const {
+    LEADERBOARD_SORTS,
+    createClanSchema,
+    updateClanSchema,
+    clanInviteSchema,
+    clanRoleSchema,
+    getClanLeaderboard,
+    getClan,
+    getMyClan,
+    clanTagsOf,
+    createClan,
+    updateClan,
+    disbandClan,
+    invitePlayer,
+    requestToJoin,
+    acceptInvite,
+    declineInvite,
+    setMemberRole,
+    kickMember,
+    leaveClan
+} = require('./lib/clans');
+const {
+    createTournamentSchema,
+    matchResultSchema,
+    listTournaments,
+    getTournament,
+    getPlayerTournaments,
+    createTournament,
+    signUp,
+    withdraw,
+    startTournament,
+    cancelTournament,
+    reportResult,
+    confirmResult,
+    disputeResult
+} = require('./lib/tournaments');
+const {
+    activeBan,
+    recordAudit,
+    listAuditLog,
+    findUser,
+    validateBan,
+    banPlayer,
+    unbanPlayer,
+    listActiveBans,
+    mergePlayers,
+    correctStats,
+    mergeSchema,
+    statCorrectionSchema,
+    vipGrantSchema,
+    vipRevokeSchema
+} = require('./lib/admin');
+const {
+    DEFAULT_ROOM_ID,
+    validateRoom,
+    listRooms,
+    getRoom,
+    createRoom,
+    updateRoom,
+    deleteRoom
+} = require('./lib/rooms');
+const {
+    validateRoomUpdate,
+    applyRoomUpdate,
+    publishRoomUpdate,
+    publishRoomRemoved,
+    withLiveState,
+    refreshRooms,
+    handleRoomStream
+} = require('./lib/roomStream');
 
-        // Get total count for pagination
-        const { count: totalCount, error: countError } = await supabase
-            .from('player_stats')
-            .select('auth', { count: 'exact', head: true });
-
-        if (countError) {
-            console.error('Error fetching total count:', countError);
-            return;
-        }
-
-        const totalPages = Math.ceil(totalCount / perPage);
-
-        // Fetch all pages
-        for (let page = 1; page <= totalPages; page++) {
-            const offset = (page - 1) * perPage;
+const app = express();
 
-            // Fetch paginated player stats
-            const { data: statsData, error: statsError } = await supabase
-                .from('player_stats')
-                .select('auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets')
-                .order('rank', { ascending: true })
-                .range(offset, offset + perPage - 1);
+// Behind a reverse proxy req.ip is the proxy's address; TRUST_PROXY tells Express how many
+// hops (or which addresses, e.g. 'loopback') to trust so rate limits see the client's IP
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', String(hops) === process.env.TRUST_PROXY ? hops : process.env.TRUST_PROXY);
+}
 
-            if (statsError) {
-                console.error(`Error fetching stats for page ${page}:`, statsError);
-                continue;
-            }
+// CORS_ORIGINS: comma-separated origins allowed to call the API from the browser.
+// Unset keeps the API open to every origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : undefined));
+app.use(express.json({
+    // Keep the raw body around for webhook signature checks
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
-            // Fetch user data for all auth IDs in this page
-            const authIds = statsData.map(stat => stat.auth);
-            const { data: userDataRaw, error: userError } = await supabase
-                .from('users')
-                .select('auth, nicknames')
-                .in('auth', authIds);
+// Serve static files (including HTML)
+app.use(express.static(path.join(__dirname, 'public')));
 
-            if (userError) {
-                console.error(`Error fetching user data for page ${page}:`, userError);
-                continue;
-            }
+// Per-IP limits on every API request. Room hosts are trusted by their secret: they report
+// every match and room change. /api/v1 has its own per-IP limit and hourly quotas per API key.
+// Requests per minute, overridable in the environment.
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const RATE_LIMIT_READS = parseInt(process.env.RATE_LIMIT_READS) || 300;
+const RATE_LIMIT_WRITES = parseInt(process.env.RATE_LIMIT_WRITES) || 60;
+const isRead = req => req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS';
+
+app.use('/api', rateLimit({
+    name: 'read',
+    windowMs: RATE_LIMIT_WINDOW,
+    max: RATE_LIMIT_READS,
+    skip: req => !isRead(req) || hasRoomSecret(req) || req.path.startsWith('/v1/')
+}));
+app.use('/api', rateLimit({
+    name: 'write',
+    windowMs: RATE_LIMIT_WINDOW,
+    max: RATE_LIMIT_WRITES,
+    skip: req => isRead(req) || hasRoomSecret(req)
+}));
+
+// Resolve the caller's session (if any) for every API request
+app.use('/api', resolveSession);
+
+// Writes are also limited per account, so one account can't spread them over many IPs
+app.use('/api', rateLimit({
+    name: 'write-account',
+    windowMs: RATE_LIMIT_WINDOW,
+    max: RATE_LIMIT_WRITES,
+    key: req => req.session?.auth,
+    skip: isRead
+}));
+
+// Password guesses per IP, on top of the per-account lockout in the login route
+const loginRateLimit = rateLimit({
+    name: 'login',
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_LOGINS) || 20,
+    message: 'Too many login attempts, please try again later'
+});
 
-            const userData = userDataRaw.reduce((acc, user) => {
-                acc[user.auth] = user;
-                return acc;
-            }, {});
+// Registrations and reset requests per IP; each one writes rows and resets send messages
+const accountRateLimit = rateLimit({
+    name: 'account',
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: parseInt(process.env.RATE_LIMIT_ACCOUNT) || 10,
+    message: 'Too many account requests, please try again later'
+});
 
-            // Store page data
-            allRankingsPages[page] = {
-                statsData,
-                userData,
-                pagination: {
-                    currentPage: page,
-                    perPage,
-                    totalItems: totalCount,
-                    totalPages
-                }
-            };
-        }
+// Public read-only API with stable response shapes, for bots and community sites
+app.use('/api/v1', apiV1);
 
-        // Cache the data
-        cache.set(CACHE_KEY_RANKINGS, allRankingsPages);
-    } catch (err) {
-        console.error('Error caching rankings data:', err);
-    }
+// The site's own routes keep their shapes; responses point API consumers at the v1 equivalent
+function supersededBy(v1Path) {
+    return (req, res, next) => {
+        const path = typeof v1Path === 'function' ? v1Path(req) : v1Path;
+        if (path) res.set('Link', `<${path}>; rel="successor-version"`);
+        next();
+    };
 }
 
-// Function to cache player profiles
-async function cachePlayerProfiles() {
+// Reload the in-memory rankings index from player_stats
+async function rebuildRankingsIndex() {
     try {
-        const { data: profiles, error } = await supabase
-            .from('player_stats')
-            .select('auth, wins, losses, draws, goals, assists, points, games_played, clean_sheets');
-
-        if (error) {
-            console.error('Error caching player profiles:', error);
-            return;
-        }
-
-        const profileMap = profiles.reduce((acc, profile) => {
-            acc[profile.auth] = profile;
-            return acc;
-        }, {});
-
-        cache.set(CACHE_KEY_PLAYER_PROFILES, profileMap);
+        await rankingsIndex.rebuild();
     } catch (err) {
-        console.error('Error caching player profiles:', err);
+        console.error('Error rebuilding rankings index:', err);
     }
 }
 
-// Function to cache room link
-async function cacheRoomLink() {
-    try {
-        const { data, error } = await supabase
-            .from('room_link')
-            .select('room_link, total_players, red_players, blue_players, spec_players, blue_score, red_score')
-            .eq('id', 1)
-            .single();
-
-        if (error) {
-            console.error('Error caching room link:', error);
-            return;
-        }
+// Profiles and VIP statuses are cached per player and dropped when this server writes
+// them; the delta refresh picks up rows changed elsewhere (room hosts, manual edits).
+// Set CACHE_DELTA_INTERVAL=0 to rely on the cache TTL instead.
 
-        cache.set(CACHE_KEY_ROOM_LINK, data);
-    } catch (err) {
-        console.error('Error caching room link:', err);
-    }
-}
+// Room state is normally pushed by the hosts; re-reading the room_link rows covers hosts
+// that write them directly. Set ROOM_WATCH_INTERVAL=0 to rely on pushes only.
+const ROOM_WATCH_INTERVAL = (Number.isFinite(parseInt(process.env.ROOM_WATCH_INTERVAL))
+    ? parseInt(process.env.ROOM_WATCH_INTERVAL)
+    : 15) * 1000; // Seconds in the env var
 
-// Function to cache VIP status
-async function cacheVipStatus() {
-    try {
-        const { data, error } = await supabase
-            .from('users')
-            .select('auth, isVIP, vip_color, vipMessage, vipCelebration, vip_expires_at');
+// Stat writes and the delta refresh patch the rankings index as rows change; a full reload
+// once a day drops players deleted outside the server
+const RANKINGS_REBUILD_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
 
-        if (error) {
-            console.error('Error caching VIP status:', error);
-            return;
-        }
+// VIP lifecycle (reminders, grace period, expiry) runs on its own schedule
+const VIP_LIFECYCLE_INTERVAL = 15 * 60 * 1000; // 15 minutes
 
-        const vipMap = data.reduce((acc, user) => {
-            acc[user.auth] = {
-                isVIP: user.isVIP && new Date(user.vip_expires_at) > new Date(),
-                vip_color: user.vip_color,
-                vipMessage: user.vipMessage,
-                vipCelebration: user.vipCelebration
-            };
-            return acc;
-        }, {});
+// Close the active season once its window has passed. Standings and Elo change when it
+// does; the rankings index and cached profiles reload on the 'stats:reset' event.
+const SEASON_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
 
-        cache.set(CACHE_KEY_VIP_STATUS, vipMap);
-    } catch (err) {
-        console.error('Error caching VIP status:', err);
+// Scheduled jobs, started with the server (the tests import the app without them)
+function scheduleJobs() {
+    if (CACHE_DELTA_INTERVAL > 0) {
+        setInterval(runDeltaRefresh, CACHE_DELTA_INTERVAL);
+    }
+    if (ROOM_WATCH_INTERVAL > 0) {
+        setInterval(refreshRooms, ROOM_WATCH_INTERVAL);
     }
+    setInterval(rebuildRankingsIndex, RANKINGS_REBUILD_INTERVAL);
+    setInterval(runVipLifecycle, VIP_LIFECYCLE_INTERVAL);
+    setInterval(runSeasonScheduler, SEASON_CHECK_INTERVAL);
 }
 
-// Schedule cache refresh every 7 minutes
-setInterval(() => {
-    cacheRankingsData();
-    cachePlayerProfiles();
-    cacheRoomLink();
-    cacheVipStatus();
-}, 7 * 60 * 1000);
-
 // Initial cache population
-cacheRankingsData();
-cachePlayerProfiles();
-cacheRoomLink();
-cacheVipStatus();
+async function populateCaches() {
+    await Promise.all([
+        runSeasonScheduler(),
+        rebuildRankingsIndex(),
+        refreshRooms(),
+        runVipLifecycle(),
+        backfillAchievements()
+    ]);
+}
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// A wrong username or password counts towards the account's lockout
+async function rejectLogin(res, username) {
+    const lockedFor = await recordLoginFailure(username);
+    if (lockedFor > 0) {
+        return accountLocked(res, lockedFor);
+    }
+    return res.status(400).json({ error: 'Invalid username or password' });
+}
+
 // Login
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
+app.post('/api/login', loginRateLimit, validateBody(loginSchema), async (req, res) => {
+    const { username, password, rememberMe } = req.body;
 
     try {
-        const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('auth, nicknames, password, isVIP, vip_expires_at, vip_color, vipMessage, vipCelebration')
-            .filter('nicknames', 'cs', JSON.stringify([username]));
+        const lockedFor = await loginLockedFor(username);
+        if (lockedFor > 0) {
+            return accountLocked(res, lockedFor);
+        }
 
-        if (userError || !userData || userData.length === 0) {
-            return res.status(400).json({ error: 'Invalid username or password' });
+        const [user] = await users.findByNickname(username);
+        if (!user) {
+            return rejectLogin(res, username);
         }
 
-        let user = userData.find(row => row.nicknames.includes(username));
-        if (!user || user.password !== password) {
-            return res.status(400).json({ error: 'Invalid username or password' });
+        const { valid, needsUpgrade } = await verifyPassword(password, user.password);
+        if (!valid) {
+            return rejectLogin(res, username);
         }
+        await clearLoginFailures(username);
 
-        const { data: statsData, error: statsError } = await supabase
-            .from('player_stats')
-            .select('wins, losses, draws, goals, assists, points, games_played, clean_sheets')
-            .eq('auth', user.auth)
-            .single();
+        const ban = activeBan(user);
+        if (ban) {
+            return res.status(403).json({ error: 'This account is banned', ban: { reason: ban.reason, until: ban.until } });
+        }
 
-        if (statsError || !statsData) {
-            return res.status(400).json({ error: 'Error fetching player stats' });
+        // Transparently replace legacy plaintext passwords with a salted hash
+        if (needsUpgrade) {
+            await upgradePassword(user.auth, password);
         }
 
-        // Update VIP status cache for this user
-        cache.set(CACHE_KEY_VIP_STATUS, {
-            ...cache.get(CACHE_KEY_VIP_STATUS),
-            [user.auth]: {
-                isVIP: user.isVIP && new Date(user.vip_expires_at) > new Date(),
-                vip_color: user.vip_color,
-                vipMessage: user.vipMessage,
-                vipCelebration: user.vipCelebration
-            }
+        // Players who registered before their first recorded match have no stats yet
+        const statsData = await playerStats.get(user.auth);
+
+        cacheVipEntry(user);
+
+        const session = await createSession(user.auth, {
+            rememberMe: rememberMe === true,
+            userAgent: req.headers['user-agent'] || null
         });
 
         res.json({
+            ...session,
             auth: user.auth,
             userId: user.auth,
             username,
-            stats: statsData,
-            isVIP: user.isVIP,
+            role: user.role,
+            stats: statsData ? cacheProfile(statsData) : null,
+            isVIP: isVipActive(user),
             vip_expires_at: user.vip_expires_at,
+            vipStatus: describeVip(user),
             vip_color: user.vip_color,
             vipMessage: user.vipMessage,
             vipCelebration: user.vipCelebration
@@ -243,27 +399,18 @@ app.post('/api/login', async (req, res) => {
 });
 
 // VIP message update
-app.post('/api/updateVipMessage', async (req, res) => {
-    const { auth, vipMessage } = req.body;
+app.post('/api/updateVipMessage', requireSelf, validateBody(vipMessageSchema), requireActiveVip, async (req, res) => {
+    const auth = req.actingAuth;
+    const { vipMessage } = req.body;
 
     try {
-        const { error } = await supabase
-            .from('users')
-            .update({ vipMessage })
-            .eq('auth', auth);
-
-        if (error) {
+        try {
+            await users.update(auth, { vipMessage });
+        } catch (error) {
             console.error('Error updating VIP message:', error);
             return res.status(500).json({ error: 'Failed to update VIP message' });
         }
 
-        // Update cache
-        const vipStatus = cache.get(CACHE_KEY_VIP_STATUS) || {};
-        if (vipStatus[auth]) {
-            vipStatus[auth].vipMessage = vipMessage;
-            cache.set(CACHE_KEY_VIP_STATUS, vipStatus);
-        }
-
         res.json({ success: true });
     } catch (err) {
         console.error('Server error updating VIP message:', err);
@@ -272,27 +419,18 @@ app.post('/api/updateVipMessage', async (req, res) => {
 });
 
 // VIP celebration update
-app.post('/api/updateVipCelebration', async (req, res) => {
-    const { auth, vipCelebration } = req.body;
+app.post('/api/updateVipCelebration', requireSelf, validateBody(vipCelebrationSchema), requireActiveVip, async (req, res) => {
+    const auth = req.actingAuth;
+    const { vipCelebration } = req.body;
 
     try {
-        const { error } = await supabase
-            .from('users')
-            .update({ vipCelebration })
-            .eq('auth', auth);
-
-        if (error) {
+        try {
+            await users.update(auth, { vipCelebration });
+        } catch (error) {
             console.error('Error updating VIP celebration:', error);
             return res.status(500).json({ error: 'Failed to update VIP celebration' });
         }
 
-        // Update cache
-        const vipStatus = cache.get(CACHE_KEY_VIP_STATUS) || {};
-        if (vipStatus[auth]) {
-            vipStatus[auth].vipCelebration = vipCelebration;
-            cache.set(CACHE_KEY_VIP_STATUS, vipStatus);
-        }
-
         res.json({ success: true });
     } catch (err) {
         console.error('Server error updating VIP celebration:', err);
@@ -300,56 +438,227 @@ app.post('/api/updateVipCelebration', async (req, res) => {
     }
 });
 
-// Verify auth token
-app.post('/api/login/verify', async (req, res) => {
-    const auth = req.headers.authorization?.replace('Bearer ', '');
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/login/refresh', validateBody(refreshSchema), async (req, res) => {
+    const { refreshToken } = req.body;
 
-    if (!auth) {
-        return res.status(401).json({ error: 'No auth token provided' });
+    if (!refreshToken) {
+        return res.status(401).json({ error: 'No refresh token provided' });
     }
 
     try {
-        // Fetch user data
-        const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('auth, nicknames, isVIP, vip_expires_at, vip_color, vipMessage, vipCelebration')
-            .eq('auth', auth)
-            .single();
+        const session = await refreshSession(refreshToken);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
 
-        if (userError || !userData) {
-            return res.status(401).json({ error: 'Invalid auth token' });
+        res.json(session);
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'An error occurred while refreshing the session' });
+    }
+});
+
+// Logout: revoke the current session
+app.post('/api/logout', requireSession, async (req, res) => {
+    try {
+        await revokeSession(req.session.id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'An error occurred during logout' });
+    }
+});
+
+// Register a web account. The player finishes by typing the returned code in a room
+// (`!link <code>`); the page polls the registration until the room host reports it.
+app.post('/api/register', accountRateLimit, validateBody(registerSchema), async (req, res) => {
+    try {
+        const result = await startRegistration(req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json({ ...result, command: `!link ${result.code}` });
+    } catch (err) {
+        console.error('Error starting registration:', err);
+        res.status(500).json({ error: 'Failed to start registration' });
+    }
+});
+
+app.get('/api/register/:id', async (req, res) => {
+    try {
+        const registration = await getRegistration(req.params.id);
+        if (!registration) {
+            return res.status(404).json({ error: 'Registration not found' });
+        }
+        res.json(registration);
+    } catch (err) {
+        console.error('Error fetching registration:', err);
+        res.status(500).json({ error: 'Failed to fetch registration' });
+    }
+});
+
+// Room host: a player typed a link code. Body: { auth, code }
+app.post('/api/room/link', requireRoomSecret, validateBody(linkCodeSchema), async (req, res) => {
+    try {
+        const result = await completeRegistration(req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('Error linking account:', err);
+        res.status(500).json({ error: 'Failed to link account' });
+    }
+});
 
-        // Fetch player stats
-        const { data: statsData, error: statsError } = await supabase
-            .from('player_stats')
-            .select('wins, losses, draws, goals, assists, points, games_played, clean_sheets')
-            .eq('auth', auth)
-            .single();
+// Change password. Every session is signed out, and the caller gets a fresh one.
+app.post('/api/account/password', requireSession, validateBody(passwordChangeSchema), async (req, res) => {
+    const auth = req.session.auth;
 
-        if (statsError || !statsData) {
-            return res.status(400).json({ error: 'Error fetching player stats' });
+    try {
+        const result = await changePassword(auth, req.body.currentPassword, req.body.newPassword);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        // Update VIP status cache
-        cache.set(CACHE_KEY_VIP_STATUS, {
-            ...cache.get(CACHE_KEY_VIP_STATUS),
-            [auth]: {
-                isVIP: userData.isVIP && new Date(userData.vip_expires_at) > new Date(),
-                vip_color: userData.vip_color,
-                vipMessage: userData.vipMessage,
-                vipCelebration: userData.vipCelebration
-            }
-        });
+        const session = await createSession(auth, { userAgent: req.headers['user-agent'] || null });
+        res.json({ success: true, ...session });
+    } catch (err) {
+        console.error('Error changing password:', err);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Always answers the same way, whether or not the nickname is registered
+app.post('/api/account/password-reset', accountRateLimit, validateBody(resetRequestSchema), async (req, res) => {
+    try {
+        await requestPasswordReset(req.body.username);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error requesting password reset:', err);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+app.post('/api/account/password-reset/confirm', loginRateLimit, validateBody(resetConfirmSchema), async (req, res) => {
+    try {
+        const result = await resetPassword(req.body.token, req.body.newPassword);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error resetting password:', err);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Nicknames on the caller's account, with where each was seen
+app.get('/api/account/nicknames', requireSession, async (req, res) => {
+    try {
+        const history = await getNicknameHistory(req.session.auth);
+        if (!history) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        const user = await users.get(req.session.auth);
+        res.json({ nicknames: user.nicknames || [], history: history.nicknames });
+    } catch (err) {
+        console.error('Error fetching account nicknames:', err);
+        res.status(500).json({ error: 'Failed to fetch nicknames' });
+    }
+});
+
+// Body: { nickname }
+app.post('/api/account/nicknames', requireSession, validateBody(nicknameSchema), async (req, res) => {
+    try {
+        const result = await claimNickname(req.session.auth, req.body.nickname);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, nicknames: result.nicknames });
+    } catch (err) {
+        console.error('Error claiming nickname:', err);
+        res.status(500).json({ error: 'Failed to claim nickname' });
+    }
+});
+
+app.delete('/api/account/nicknames/:nickname', requireSession, async (req, res) => {
+    try {
+        const result = await releaseNickname(req.session.auth, req.params.nickname);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, nicknames: result.nicknames });
+    } catch (err) {
+        console.error('Error releasing nickname:', err);
+        res.status(500).json({ error: 'Failed to release nickname' });
+    }
+});
+
+// The player's linked Discord account, and whether linking is available at all
+app.get('/api/account/discord', requireSession, async (req, res) => {
+    try {
+        const result = await getDiscordLink(req.session.auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching Discord link:', err);
+        res.status(500).json({ error: 'Failed to fetch Discord link' });
+    }
+});
+
+// Returns the Discord consent URL to send the browser to; Discord comes back to the callback
+app.post('/api/account/discord', requireSession, (req, res) => {
+    const result = startDiscordLink(req.session.auth);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+});
+
+app.delete('/api/account/discord', requireSession, async (req, res) => {
+    try {
+        const result = await unlinkDiscord(req.session.auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error unlinking Discord:', err);
+        res.status(500).json({ error: 'Failed to unlink Discord' });
+    }
+});
+
+// The logged-in player, from the access token: account, stats and VIP settings. The site
+// reads the auth from here instead of keeping it in localStorage.
+async function sendCurrentPlayer(req, res) {
+    const auth = req.session.auth;
+
+    try {
+        // Fetch user data
+        const userData = await users.get(auth);
+        if (!userData) {
+            return res.status(401).json({ error: 'Invalid auth token' });
+        }
+
+        // Fetch player stats (none before the first recorded match)
+        const statsData = await playerStats.get(auth);
+
+        cacheVipEntry(userData);
 
         // Return user and stats data
         res.json({
             auth: userData.auth,
             userId: userData.auth,
             username: userData.nicknames[0], // Use first nickname
-            stats: statsData,
-            isVIP: userData.isVIP && new Date(userData.vip_expires_at) > new Date(),
+            role: userData.role,
+            stats: statsData ? cacheProfile(statsData) : null,
+            isVIP: isVipActive(userData),
             vip_expires_at: userData.vip_expires_at,
+            vipStatus: describeVip(userData),
             vip_color: userData.vip_color,
             vipMessage: userData.vipMessage,
             vipCelebration: userData.vipCelebration
@@ -358,126 +667,137 @@ app.post('/api/login/verify', async (req, res) => {
         console.error('Verify error:', err);
         res.status(500).json({ error: 'An error occurred during verification' });
     }
-});
+}
+
+app.get('/api/me', requireSession, sendCurrentPlayer);
+
+// Verify session token (older clients; same answer as /api/me)
+app.post('/api/login/verify', requireSession, sendCurrentPlayer);
 
 // Get player profile
-app.get('/api/getPlayerProfile', async (req, res) => {
+app.get('/api/getPlayerProfile', supersededBy(req => req.query.auth && `/api/v1/players/${encodeURIComponent(req.query.auth)}`), async (req, res) => {
     const { auth } = req.query; // The auth ID of the profile being requested
-    const userAuth = req.headers.authorization?.replace('Bearer ', '') || req.query.userAuth; // Get the logged-in user's auth from header or query
 
     try {
         // Check if the requested profile is the logged-in user's own profile
-        const isOwnProfile = auth === userAuth;
-
-        // If it's the user's own profile, fetch directly from Supabase
-        if (isOwnProfile) {
-            const { data: profileData, error } = await supabase
-                .from('player_stats')
-                .select('wins, losses, draws, goals, assists, points, games_played, clean_sheets')
-                .eq('auth', auth)
-                .single();
-
-            if (error || !profileData) {
-                return res.status(400).json({ error: 'Error fetching player profile' });
-            }
-
-            // Update cache with the fresh data
-            const profiles = cache.get(CACHE_KEY_PLAYER_PROFILES) || {};
-            cache.set(CACHE_KEY_PLAYER_PROFILES, { ...profiles, [auth]: profileData });
-
-            return res.json({ profile: profileData });
-        }
-
-        // For other users' profiles, check the cache first
-        const profiles = cache.get(CACHE_KEY_PLAYER_PROFILES) || {};
-        if (profiles[auth]) {
-            return res.json({ profile: profiles[auth] });
-        }
-
-        // Cache miss: fetch from Supabase for other users
-        const { data: profileData, error } = await supabase
-            .from('player_stats')
-            .select('wins, losses, draws, goals, assists, points, games_played, clean_sheets')
-            .eq('auth', auth)
-            .single();
+        const isOwnProfile = !!req.session && req.session.auth === auth;
 
-        if (error || !profileData) {
+        // Players always see their own profile fresh from the database; other profiles come from the cache
+        const profileData = isOwnProfile ? await loadProfile(auth) : await getProfile(auth);
+        if (!profileData) {
             return res.status(400).json({ error: 'Error fetching player profile' });
         }
 
-        // Update cache
-        cache.set(CACHE_KEY_PLAYER_PROFILES, { ...profiles, [auth]: profileData });
+        // Achievements are extras: failing to load them shouldn't hide the profile
+        const achievements = await getUnlockedAchievements(auth).catch(err => {
+            console.error('Error fetching achievements for profile:', err);
+            return [];
+        });
+        const clanTags = await clanTagsOf([auth]).catch(err => {
+            console.error('Error fetching clan for profile:', err);
+            return {};
+        });
 
-        res.json({ profile: profileData });
+        res.json({ profile: profileData, achievements, clan: clanTags[auth] || null });
     } catch (err) {
         console.error('Error fetching player profile:', err);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Handle BMC VIP purchase
-app.post('/api/bmc-purchase', async (req, res) => {
-    const { auth } = req.body;
+// Buy Me a Coffee webhook: grants, renews and refunds VIP
+app.post('/api/webhooks/bmc', async (req, res) => {
+    if (!bmc.verifySignature(req.rawBody, req.headers['x-signature-sha256'])) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const validationError = bmc.validateEvent(req.body);
+    if (validationError) {
+        return invalidBody(res, validationError);
+    }
 
     try {
-        const now = new Date();
-        const expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+        const result = await bmc.handleEvent(req.body);
 
-        const { error } = await supabase
-            .from('users')
-            .update({
-                isVIP: true,
-                vip_expires_at: expiresAt.toISOString(),
-                vip_color: '#ffffff',
-                vipMessage: '',
-                vipCelebration: null
-            })
-            .eq('auth', auth);
+        if (result.duplicate) {
+            return res.json({ success: true, duplicate: true });
+        }
 
-        if (error) {
-            console.error('Supabase BMC update error:', error);
-            return res.status(500).json({ error: 'Failed to update VIP status' });
+        if (result.status === 'unmatched') {
+            console.warn(`BMC event ${req.body.event_id} could not be matched to a player`);
         }
 
-        // Update cache
-        const vipStatus = cache.get(CACHE_KEY_VIP_STATUS) || {};
-        vipStatus[auth] = {
-            isVIP: true,
-            vip_color: '#ffffff',
-            vipMessage: '',
-            vipCelebration: null
-        };
-        cache.set(CACHE_KEY_VIP_STATUS, vipStatus);
+        res.json({ success: true, status: result.status });
+    } catch (err) {
+        console.error('BMC webhook error:', err);
+        res.status(500).json({ error: 'An error occurred while processing the webhook' });
+    }
+});
 
-        res.json({ success: true });
+// Discord OAuth redirect. The browser lands here without a session (the signed state says
+// whose account it is) and is sent back to the profile page with the outcome.
+app.get('/api/discord/callback', async (req, res) => {
+    if (req.query.error) {
+        return res.redirect(`/?discordError=${encodeURIComponent('Discord linking was cancelled')}`);
+    }
+
+    try {
+        const result = await completeDiscordLink(req.query.code, req.query.state);
+        if (result.error) {
+            return res.redirect(`/?discordError=${encodeURIComponent(result.error)}`);
+        }
+        res.redirect('/?discord=linked');
     } catch (err) {
-        console.error('BMC purchase error:', err);
-        res.status(500).json({ error: 'An error occurred while processing BMC purchase' });
+        console.error('Error completing Discord link:', err);
+        res.redirect(`/?discordError=${encodeURIComponent('Could not link your Discord account')}`);
     }
 });
 
-// Update VIP color
-app.post('/api/update-vip-color', async (req, res) => {
-    const { auth, color } = req.body;
+// Slash commands (/rank, /profile, /room). Discord signs every interaction and drops
+// endpoints that accept bad signatures, so nothing is looked at before the check.
+app.post('/api/discord/interactions', async (req, res) => {
+    if (!verifyInteraction(req.rawBody, req.headers['x-signature-ed25519'], req.headers['x-signature-timestamp'])) {
+        return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    const validationError = validateInteraction(req.body);
+    if (validationError) {
+        return invalidBody(res, validationError);
+    }
 
     try {
-        const { error } = await supabase
-            .from('users')
-            .update({ vip_color: color })
-            .eq('auth', auth);
+        const result = await handleInteraction(req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Discord interaction error:', err);
+        res.status(500).json({ error: 'Failed to answer the interaction' });
+    }
+});
+
+// Where and how to buy VIP, for the profile page
+app.get('/api/vip/purchase-info', (req, res) => {
+    res.json({
+        url: process.env.BMC_PAGE_URL || null,
+        days: bmc.VIP_DAYS_PER_PURCHASE
+    });
+});
+
+// Update VIP color
+app.post('/api/update-vip-color', requireSelf, validateBody(vipColorSchema), requireActiveVip, async (req, res) => {
+    const auth = req.actingAuth;
+    const { color } = req.body;
 
-        if (error) {
+    try {
+        try {
+            await users.update(auth, { vip_color: color });
+        } catch (error) {
             console.error('Error updating vip_color:', error);
             return res.status(500).json({ error: 'Failed to update VIP color' });
         }
 
-        // Update cache
-        const vipStatus = cache.get(CACHE_KEY_VIP_STATUS) || {};
-        if (vipStatus[auth]) {
-            vipStatus[auth].vip_color = color;
-            cache.set(CACHE_KEY_VIP_STATUS, vipStatus);
-        }
-
         res.json({ success: true });
     } catch (err) {
         console.error('Server error updating VIP color:', err);
@@ -487,22 +807,12 @@ app.post('/api/update-vip-color', async (req, res) => {
 
 app.get('/api/room-link', async (req, res) => {
     try {
-        const cachedRoomLink = cache.get(CACHE_KEY_ROOM_LINK);
-        if (cachedRoomLink) {
-            return res.json(cachedRoomLink);
-        }
-
-        const { data, error } = await supabase
-            .from('room_link')
-            .select('room_link, total_players, red_players, blue_players, spec_players, blue_score, red_score')
-            .eq('id', 1)
-            .single();
-
-        if (error) {
+        // The main room; other rooms are listed by /api/rooms
+        const data = await getOrLoad(keys.roomLink(), () => getRoom(DEFAULT_ROOM_ID));
+        if (!data) {
             return res.status(400).json({ error: 'Could not fetch room link' });
         }
 
-        cache.set(CACHE_KEY_ROOM_LINK, data);
         res.json(data);
     } catch (err) {
         console.error('Room link fetch error:', err);
@@ -510,171 +820,1093 @@ app.get('/api/room-link', async (req, res) => {
     }
 });
 
-app.get('/api/getRankings', async (req, res) => {
-    try {
-        const page = parseInt(req.query.page) || 1;
-        const cachedRankings = cache.get(CACHE_KEY_RANKINGS);
-
-        if (cachedRankings && cachedRankings[page]) {
+// Live room status stream (Server-Sent Events)
+app.get('/api/room/stream', handleRoomStream);
 
-            // Fetch user stats if auth is provided
-            let userStats = {};
-            let userRank = null;
-            if (req.query.auth) {
-                const { data: userStat, error: userStatError } = await supabase
-                    .from('player_stats')
-                    .select('auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets')
-                    .eq('auth', req.query.auth)
-                    .single();
+// Room state pushed by a room host whenever it changes (roomId defaults to the main room).
+// Every push also counts as the room's heartbeat.
+app.post('/api/room/update', requireRoomSecret, validateBody(validateRoomUpdate), async (req, res) => {
+    try {
+        const room = await applyRoomUpdate(req.body);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        res.json({ success: true, room });
+    } catch (err) {
+        console.error('Error updating room:', err);
+        res.status(500).json({ error: 'Failed to update room' });
+    }
+});
 
-                if (userStatError) {
-                    console.error('Error fetching user stats:', userStatError);
-                } else {
-                    userStats[req.query.auth] = userStat;
-                    userRank = userStat.rank;
-                }
-            }
+// Active rooms with link, mode, player counts, score and heartbeat freshness
+app.get('/api/rooms', supersededBy('/api/v1/rooms'), async (req, res) => {
+    try {
+        const rooms = await listRooms();
+        res.json({ rooms: rooms.map(withLiveState) });
+    } catch (err) {
+        console.error('Error listing rooms:', err);
+        res.status(500).json({ error: 'Failed to list rooms' });
+    }
+});
 
-            return res.json({
-                ...cachedRankings[page],
-                userStats,
-                countRank: userRank !== null ? userRank : 'Unranked'
-            });
-        }
+// Admin: every room, including deactivated ones
+app.get('/api/admin/rooms', requireRole('admin'), async (req, res) => {
+    try {
+        const rooms = await listRooms({ includeInactive: true });
+        res.json({ rooms: rooms.map(withLiveState) });
+    } catch (err) {
+        console.error('Error listing rooms:', err);
+        res.status(500).json({ error: 'Failed to list rooms' });
+    }
+});
 
-        // Fallback to fetching data if cache is empty
-        const perPage = 250;
-        const offset = (page - 1) * perPage;
+app.post('/api/admin/rooms', requireRole('admin'), validateBody(validateRoom), async (req, res) => {
+    try {
+        const room = await createRoom(req.body);
+        if (room.active) publishRoomUpdate(room);
+        await recordAudit(req.session.auth, 'room.create', String(room.id), { room: req.body });
+        res.status(201).json({ room });
+    } catch (err) {
+        console.error('Error creating room:', err);
+        res.status(500).json({ error: 'Failed to create room' });
+    }
+});
 
-        const { data: statsData, error: statsError } = await supabase
-            .from('player_stats')
-            .select('auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets')
-            .order('rank', { ascending: true })
-            .range(offset, offset + perPage - 1);
+app.patch('/api/admin/rooms/:id', requireRole('admin'), async (req, res) => {
+    const validationError = validateRoom(req.body, { partial: true });
+    if (validationError) {
+        return invalidBody(res, validationError);
+    }
 
-        if (statsError) {
-            console.error('Error fetching stats:', statsError);
-            return res.status(500).json({ error: 'Failed to fetch rankings' });
+    try {
+        const room = await updateRoom(parseInt(req.params.id), req.body);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
         }
 
-        const { count: totalCount, error: countError } = await supabase
-            .from('player_stats')
-            .select('auth', { count: 'exact', head: true });
-
-        if (countError) {
-            console.error('Error fetching total count:', countError);
-            return res.status(500).json({ error: 'Failed to fetch total count' });
+        if (room.active) {
+            publishRoomUpdate(room);
+        } else {
+            publishRoomRemoved(room.id);
         }
+        await recordAudit(req.session.auth, 'room.update', String(room.id), { changes: req.body });
+        res.json({ room });
+    } catch (err) {
+        console.error('Error updating room:', err);
+        res.status(500).json({ error: 'Failed to update room' });
+    }
+});
 
-        const authIds = statsData.map(stat => stat.auth);
-        const { data: userDataRaw, error: userError } = await supabase
-            .from('users')
-            .select('auth, nicknames')
-            .in('auth', authIds);
+app.delete('/api/admin/rooms/:id', requireRole('admin'), async (req, res) => {
+    const id = parseInt(req.params.id);
 
-        if (userError) {
-            console.error('Error fetching user data:', userError);
-            return res.status(500).json({ error: 'Failed to fetch user data' });
+    try {
+        if (!await deleteRoom(id)) {
+            return res.status(404).json({ error: 'Room not found' });
         }
 
-        const userData = userDataRaw.reduce((acc, curr) => {
-            acc[curr.auth] = curr;
-            return acc;
-        }, {});
-
-        let userStats = {};
-        let userRank = null;
-        if (req.query.auth) {
-            const { data: userStat, error: userStatError } = await supabase
-                .from('player_stats')
-                .select('auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets')
-                .eq('auth', req.query.auth)
-                .single();
+        publishRoomRemoved(id);
+        await recordAudit(req.session.auth, 'room.delete', String(id));
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error deleting room:', err);
+        res.status(500).json({ error: 'Failed to delete room' });
+    }
+});
 
-            if (userStatError) {
-                console.error('Error fetching user stats:', userStatError);
-            } else {
-                userStats[req.query.auth] = userStat;
-                userRank = userStat.rank;
-            }
+// Admin: account, ban, VIP and stats overview of one player
+app.get('/api/admin/players/:auth', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await findUser(req.params.auth);
+        if (!user) {
+            return res.status(404).json({ error: 'Player not found' });
         }
 
-        const responseData = {
-            statsData,
-            userData,
-            userStats,
-            countRank: userRank !== null ? userRank : 'Unranked',
-            pagination: {
-                currentPage: page,
-                perPage,
-                totalItems: totalCount,
-                totalPages: Math.ceil(totalCount / perPage)
-            }
-        };
-
-        // Update cache for this page
-        const updatedRankings = cachedRankings || {};
-        updatedRankings[page] = { statsData, userData, pagination: responseData.pagination };
-        cache.set(CACHE_KEY_RANKINGS, updatedRankings);
+        const stats = await playerStats.get(user.auth);
 
-        res.json(responseData);
+        res.json({
+            auth: user.auth,
+            nicknames: user.nicknames,
+            role: user.role,
+            ban: activeBan(user),
+            vipStatus: describeVip(user),
+            stats: stats && toProfile(stats)
+        });
     } catch (err) {
-        console.error('Error in getRankings:', err);
-        res.status(500).json({ error: 'Server error' });
+        console.error('Error fetching player for admin:', err);
+        res.status(500).json({ error: 'Failed to fetch player' });
     }
 });
 
-app.post('/api/vip-status', async (req, res) => {
-    const { auth } = req.body;
-
-    if (!auth) {
-        return res.json({ auth: '', isVip: false, vipColor: null, vipMessage: null, vipCelebration: null });
+// Body: { reason?, days? } - without days the ban is permanent
+app.post('/api/admin/players/:auth/ban', requireRole('admin'), validateBody(validateBan), async (req, res) => {
+    const auth = req.params.auth;
+    if (auth === req.session.auth) {
+        return res.status(400).json({ error: 'You cannot ban yourself' });
     }
 
     try {
-        const vipStatus = cache.get(CACHE_KEY_VIP_STATUS) || {};
-        if (vipStatus[auth]) {
-            return res.json(vipStatus[auth]);
+        if (!await findUser(auth)) {
+            return res.status(404).json({ error: 'Player not found' });
         }
 
-        const { data: userData, error } = await supabase
-            .from('users')
-            .select('isVIP, vip_color, vipMessage, vipCelebration, vip_expires_at')
-            .eq('auth', auth)
-            .single();
-
-        if (error || !userData) {
-            console.error('Error retrieving VIP status:', error);
-            return res.status(500).json({ error: 'Failed to retrieve VIP status' });
-        }
+        const { reason, days } = req.body;
+        const ban = await banPlayer(auth, { reason, days, actor: req.session.auth });
+        await recordAudit(req.session.auth, 'ban', auth, { reason: reason || null, days: days || null });
+        res.json({ success: true, ban });
+    } catch (err) {
+        console.error('Error banning player:', err);
+        res.status(500).json({ error: 'Failed to ban player' });
+    }
+});
 
-        const isVip = userData.isVIP && new Date(userData.vip_expires_at) > new Date();
-        const vipData = {
-            isVip,
-            vipColor: userData.vip_color,
-            vipMessage: userData.vipMessage,
-            vipCelebration: userData.vipCelebration
-        };
+app.post('/api/admin/players/:auth/unban', requireRole('admin'), async (req, res) => {
+    const auth = req.params.auth;
 
-        // Update cache
-        cache.set(CACHE_KEY_VIP_STATUS, { ...vipStatus, [auth]: vipData });
+    try {
+        const user = await findUser(auth);
+        if (!user) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        if (!activeBan(user)) {
+            return res.status(409).json({ error: 'Player is not banned' });
+        }
 
-        res.json(vipData);
+        await unbanPlayer(auth);
+        await recordAudit(req.session.auth, 'unban', auth, { previousBan: activeBan(user) });
+        res.json({ success: true });
     } catch (err) {
-        console.error('Error in vip-status:', err);
-        res.status(500).json({ error: 'Server error' });
+        console.error('Error unbanning player:', err);
+        res.status(500).json({ error: 'Failed to unban player' });
     }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-    const os = require('os');
-    const interfaces = os.networkInterfaces();
+// Fold a duplicate account into this one. Body: { source }
+app.post('/api/admin/players/:auth/merge', requireRole('admin'), validateBody(mergeSchema), async (req, res) => {
+    const target = req.params.auth;
+    const { source } = req.body;
+    if (source === target) {
+        return res.status(400).json({ error: 'Cannot merge an account into itself' });
+    }
 
-    console.log('Available on:');
-    Object.values(interfaces).flat().forEach(i => {
-        if (i.family === 'IPv4') {
-            console.log(`http://${i.address}:${PORT}`);
+    try {
+        const summary = await mergePlayers(source, target);
+        if (!summary) {
+            return res.status(404).json({ error: 'Player not found' });
         }
-    });
-});
\ No newline at end of file
+
+        await recordAudit(req.session.auth, 'merge', target, { source, ...summary });
+
+        res.json({ success: true, nicknames: summary.nicknames });
+    } catch (err) {
+        console.error('Error merging players:', err);
+        res.status(500).json({ error: 'Failed to merge players' });
+    }
+});
+
+// Overwrite stats. Body: { stats: { points?, games_played?, wins?, ... }, reason? }
+app.patch('/api/admin/players/:auth/stats', requireRole('admin'), validateBody(statCorrectionSchema), async (req, res) => {
+    const auth = req.params.auth;
+    const { stats, reason } = req.body;
+
+    try {
+        const before = await correctStats(auth, stats);
+        if (!before) {
+            return res.status(404).json({ error: 'Player has no stats' });
+        }
+
+        await recordAudit(req.session.auth, 'stats.correct', auth, { before, after: stats, reason: reason || null });
+
+        res.json({ success: true, before, after: stats });
+    } catch (err) {
+        console.error('Error correcting stats:', err);
+        res.status(500).json({ error: 'Failed to correct stats' });
+    }
+});
+
+// Body: { days } - extends an active VIP, otherwise starts one from today
+app.post('/api/admin/players/:auth/vip', requireRole('admin'), validateBody(vipGrantSchema), async (req, res) => {
+    const auth = req.params.auth;
+    const { days, reason } = req.body;
+
+    try {
+        if (!await findUser(auth)) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const expiresAt = await extendVip(auth, days);
+        await recordAudit(req.session.auth, 'vip.grant', auth, { days, expiresAt, reason: reason || null });
+        res.json({ success: true, expiresAt });
+    } catch (err) {
+        console.error('Error granting VIP:', err);
+        res.status(500).json({ error: 'Failed to grant VIP' });
+    }
+});
+
+// Body: { days? } - takes back that many days, or ends VIP now without it
+app.delete('/api/admin/players/:auth/vip', requireRole('admin'), validateBody(vipRevokeSchema), async (req, res) => {
+    const auth = req.params.auth;
+    const { days, reason } = req.body;
+
+    try {
+        const user = await findUser(auth);
+        if (!user) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        if (!user.isVIP) {
+            return res.status(409).json({ error: 'Player has no VIP to revoke' });
+        }
+
+        let expiresAt = null;
+        if (days) {
+            expiresAt = await revokeVipDays(auth, days);
+        } else {
+            await endVip(auth);
+        }
+        await recordAudit(req.session.auth, 'vip.revoke', auth, { days: days || null, expiresAt, reason: reason || null });
+        res.json({ success: true, isVIP: expiresAt !== null, expiresAt });
+    } catch (err) {
+        console.error('Error revoking VIP:', err);
+        res.status(500).json({ error: 'Failed to revoke VIP' });
+    }
+});
+
+// Buy Me a Coffee payments that couldn't be tied to an account
+app.get('/api/admin/vip/purchases', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ purchases: await bmc.listUnmatchedPurchases() });
+    } catch (err) {
+        console.error('Error listing unmatched VIP purchases:', err);
+        res.status(500).json({ error: 'Failed to list payments' });
+    }
+});
+
+// Body: { auth } - grants a parked payment's VIP days to that player
+app.post('/api/admin/vip/purchases/:id/assign', requireRole('admin'), validateBody(bmc.assignPurchaseSchema), async (req, res) => {
+    const { auth } = req.body;
+
+    try {
+        const result = await bmc.assignPurchase(parseInt(req.params.id), auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await recordAudit(req.session.auth, 'vip.assign', auth, {
+            purchaseId: parseInt(req.params.id),
+            days: result.days,
+            expiresAt: result.expiresAt
+        });
+        res.json({ success: true, expiresAt: result.expiresAt });
+    } catch (err) {
+        console.error('Error assigning VIP purchase:', err);
+        res.status(500).json({ error: 'Failed to assign payment' });
+    }
+});
+
+// Cache hit/miss counters and the state of the delta refresh
+app.get('/api/admin/cache', requireRole('admin'), (req, res) => {
+    res.json({ ...cacheStats(), deltaRefresh: deltaStatus() });
+});
+
+// Drop every cached value and reload the rankings index and rooms; other entries load on demand
+app.post('/api/admin/cache/flush', requireRole('admin'), async (req, res) => {
+    try {
+        const flushedKeys = flush();
+        await Promise.all([rebuildRankingsIndex(), refreshRooms()]);
+        await recordAudit(req.session.auth, 'cache.flush', null, { keys: flushedKeys });
+        res.json({ success: true, flushedKeys });
+    } catch (err) {
+        console.error('Error flushing cache:', err);
+        res.status(500).json({ error: 'Failed to flush cache' });
+    }
+});
+
+// Admin actions, newest first. Filters: action, target
+app.get('/api/admin/audit-log', requireRole('admin'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        res.json(await listAuditLog({
+            page,
+            action: req.query.action || null,
+            target: req.query.target || null
+        }));
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// API keys for /api/v1, newest first
+app.get('/api/admin/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ apiKeys: await listApiKeys() });
+    } catch (err) {
+        console.error('Error listing API keys:', err);
+        res.status(500).json({ error: 'Failed to list API keys' });
+    }
+});
+
+// Body: { name, owner?, requestsPerHour? }. The key is only ever returned here.
+app.post('/api/admin/api-keys', requireRole('admin'), validateBody(validateApiKey), async (req, res) => {
+    try {
+        const { apiKey, key } = await createApiKey(req.body, req.session.auth);
+        await recordAudit(req.session.auth, 'apikey.create', String(apiKey.id), {
+            name: apiKey.name,
+            owner: apiKey.owner,
+            requestsPerHour: apiKey.requests_per_hour
+        });
+        res.status(201).json({ apiKey, key });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+app.delete('/api/admin/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const apiKey = await revokeApiKey(parseInt(req.params.id));
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+
+        await recordAudit(req.session.auth, 'apikey.revoke', String(apiKey.id), { name: apiKey.name });
+        res.json({ success: true, apiKey });
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// Create or update the Discord slash commands; needed once, and after they change
+app.post('/api/admin/discord/commands', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await registerCommands();
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await recordAudit(req.session.auth, 'discord.commands', null, { commands: result.commands });
+        res.json({ success: true, commands: result.commands });
+    } catch (err) {
+        console.error('Error registering Discord commands:', err);
+        res.status(500).json({ error: 'Failed to register Discord commands' });
+    }
+});
+
+// Bans in force, so room hosts can keep banned players out
+app.get('/api/bans', requireRoomSecret, async (req, res) => {
+    try {
+        res.json({ bans: await listActiveBans() });
+    } catch (err) {
+        console.error('Error listing bans:', err);
+        res.status(500).json({ error: 'Failed to list bans' });
+    }
+});
+
+const RANKINGS_PER_PAGE = 250;
+const MAX_SEARCH_LENGTH = 50;
+
+// Leaderboard page. Supports sort=<metric>, dir=asc|desc, minGames=<n> and q=<nickname search>;
+// ranks are per metric and the caller's own position is included when auth is known.
+app.get('/api/getRankings', supersededBy('/api/v1/rankings'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const perPage = Math.min(RANKINGS_PER_PAGE, Math.max(1, parseInt(req.query.limit) || RANKINGS_PER_PAGE));
+        const sort = req.query.sort || 'points';
+        const dir = req.query.dir || 'desc';
+        const minGames = Math.max(0, parseInt(req.query.minGames) || 0);
+        const search = String(req.query.q || '').slice(0, MAX_SEARCH_LENGTH);
+        const auth = req.query.auth || req.session?.auth || null;
+
+        if (!METRICS.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of: ${METRICS.join(', ')}` });
+        }
+        if (dir !== 'asc' && dir !== 'desc') {
+            return res.status(400).json({ error: 'dir must be asc or desc' });
+        }
+
+        let index = rankingsIndex;
+        let season;
+
+        // Past seasons are served from the archived standings
+        if (req.query.season) {
+            const seasons = await listSeasons();
+            season = seasons.find(s => s.id === parseInt(req.query.season));
+            if (!season) {
+                return res.status(404).json({ error: 'Season not found' });
+            }
+
+            if (season.status === 'closed') {
+                index = await getSeasonRankingsIndex(season.id);
+            }
+        }
+
+        await index.ready();
+        const result = index.query({ sort, dir, minGames, search, page, perPage, auth });
+
+        // Achievement ids for badges next to names (none until the unlocks have loaded)
+        const badges = badgesOf(Object.keys(result.userData));
+        // Clan tags are extras: failing to load them shouldn't hide the rankings
+        const clanTags = await clanTagsOf(Object.keys(result.userData)).catch(err => {
+            console.error('Error fetching clan tags for rankings:', err);
+            return {};
+        });
+        Object.values(result.userData).forEach(user => {
+            user.badges = badges[user.auth];
+            user.clan = clanTags[user.auth] || null;
+        });
+
+        res.json(season ? { ...result, season } : result);
+    } catch (err) {
+        console.error('Error in getRankings:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Most even red/blue split of the players in a room, for the room host and admins
+app.post('/api/balance',
+    (req, res, next) => (hasRoomSecret(req) ? next() : requireRole('admin')(req, res, next)),
+    validateBody(validateBalanceRequest),
+    async (req, res) => {
+        try {
+            const result = await balanceTeams(req.body);
+            if (result.error) return res.status(result.status).json({ error: result.error });
+            res.json(result);
+        } catch (err) {
+            console.error('Error balancing teams:', err);
+            res.status(500).json({ error: 'Failed to balance teams' });
+        }
+    });
+
+// Match results reported by the room host
+app.post('/api/matches', requireRoomSecret, validateBody(validateMatch), async (req, res) => {
+    try {
+        const { matchId, players } = await recordMatch(req.body);
+
+        // The match is already recorded, so a failed payout is logged rather than reported
+        let coins = {};
+        try {
+            const awards = await awardMatchCoins(matchId, players);
+            coins = Object.fromEntries(awards.map(award => [award.auth, award.amount]));
+        } catch (err) {
+            console.error(`Error awarding career coins for match ${matchId}:`, err);
+        }
+
+        res.status(201).json({
+            success: true,
+            matchId,
+            players: players.map(({ auth, team, result, elo_before, elo_delta, elo_after }) => ({
+                auth, team, result, elo_before, elo_delta, elo_after, coins: coins[auth] ?? 0
+            }))
+        });
+    } catch (err) {
+        console.error('Error recording match:', err);
+        res.status(500).json({ error: 'Failed to record match' });
+    }
+});
+
+// Replay upload for a recorded match: the raw .hbr2 file as the request body
+// (Content-Type: application/octet-stream). The room host sends it with its secret right
+// after reporting the match; players from the match can add one later.
+app.post('/api/matches/:id/replay',
+    (req, res, next) => (hasRoomSecret(req) ? next() : requireSession(req, res, next)),
+    express.raw({ type: 'application/octet-stream', limit: REPLAY_MAX_BYTES }),
+    async (req, res) => {
+        try {
+            const auth = hasRoomSecret(req) ? null : req.session.auth;
+            const result = await uploadReplay(parseInt(req.params.id), req.body, auth);
+            if (result.error) return res.status(result.status).json({ error: result.error });
+            res.status(201).json({ success: true, replay: result.replay });
+        } catch (err) {
+            console.error('Error uploading replay:', err);
+            res.status(500).json({ error: 'Failed to upload replay' });
+        }
+    });
+
+// Replay metadata: room, stadium, score, goals and players (linked to accounts where known)
+app.get('/api/replays/:id', async (req, res) => {
+    try {
+        const replay = await getReplay(parseInt(req.params.id));
+        if (!replay) return res.status(404).json({ error: 'Replay not found' });
+        res.json({ replay });
+    } catch (err) {
+        console.error('Error fetching replay:', err);
+        res.status(500).json({ error: 'Failed to fetch replay' });
+    }
+});
+
+// The replay file, to open at haxball.com/replay
+app.get('/api/replays/:id/download', async (req, res) => {
+    try {
+        const result = await getReplayFile(parseInt(req.params.id));
+        if (!result) return res.status(404).json({ error: 'Replay not found' });
+
+        res.attachment(`match-${result.replay.matchId}.hbr2`);
+        res.type('application/octet-stream');
+        res.send(result.file);
+    } catch (err) {
+        console.error('Error downloading replay:', err);
+        res.status(500).json({ error: 'Failed to download replay' });
+    }
+});
+
+app.delete('/api/replays/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await deleteReplay(parseInt(req.params.id));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error deleting replay:', err);
+        res.status(500).json({ error: 'Failed to delete replay' });
+    }
+});
+
+// Career catalog: nations, tiers, paths and players with their costs
+app.get('/api/career/catalog', (req, res) => {
+    res.json(getCatalog());
+});
+
+// Caller's coins, unlocked players and selected player
+app.get('/api/career', requireSession, async (req, res) => {
+    try {
+        res.json(await getCareer(req.session.auth));
+    } catch (err) {
+        console.error('Error fetching career:', err);
+        res.status(500).json({ error: 'Failed to fetch career' });
+    }
+});
+
+app.post('/api/career/unlock', requireSession, validateBody(careerPlayerSchema), async (req, res) => {
+    const { playerId } = req.body;
+
+    try {
+        const result = await unlockPlayer(req.session.auth, playerId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, ...await getCareer(req.session.auth) });
+    } catch (err) {
+        console.error('Error unlocking career player:', err);
+        res.status(500).json({ error: 'Failed to unlock player' });
+    }
+});
+
+app.post('/api/career/select', requireSession, validateBody(careerPlayerSchema), async (req, res) => {
+    const { playerId } = req.body;
+
+    try {
+        const failure = await selectPlayer(req.session.auth, playerId);
+        if (failure) {
+            return res.status(failure.status).json({ error: failure.error });
+        }
+        res.json({ success: true, selectedPlayer: playerId });
+    } catch (err) {
+        console.error('Error selecting career player:', err);
+        res.status(500).json({ error: 'Failed to select player' });
+    }
+});
+
+// Clan leaderboard. sort=points (average Elo), goals, wins or members.
+app.get('/api/clans', async (req, res) => {
+    const sort = req.query.sort || 'points';
+    if (!LEADERBOARD_SORTS.includes(sort)) {
+        return res.status(400).json({ error: `sort must be one of: ${LEADERBOARD_SORTS.join(', ')}` });
+    }
+
+    try {
+        res.json({ sort, clans: await getClanLeaderboard(sort) });
+    } catch (err) {
+        console.error('Error fetching clan leaderboard:', err);
+        res.status(500).json({ error: 'Failed to fetch clans' });
+    }
+});
+
+// The caller's clan and role, with pending invites (and join requests, for officers)
+app.get('/api/clans/me', requireSession, async (req, res) => {
+    try {
+        res.json(await getMyClan(req.session.auth));
+    } catch (err) {
+        console.error('Error fetching own clan:', err);
+        res.status(500).json({ error: 'Failed to fetch clan' });
+    }
+});
+
+app.get('/api/clans/:id', async (req, res) => {
+    try {
+        const clan = await getClan(parseInt(req.params.id));
+        if (!clan) {
+            return res.status(404).json({ error: 'Clan not found' });
+        }
+        res.json({ clan });
+    } catch (err) {
+        console.error('Error fetching clan:', err);
+        res.status(500).json({ error: 'Failed to fetch clan' });
+    }
+});
+
+// Body: { name, tag, color?, description? }. The caller becomes the leader.
+app.post('/api/clans', requireSession, validateBody(createClanSchema), async (req, res) => {
+    try {
+        const result = await createClan(req.session.auth, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json({ success: true, clan: result.clan });
+    } catch (err) {
+        console.error('Error creating clan:', err);
+        res.status(500).json({ error: 'Failed to create clan' });
+    }
+});
+
+// Body: any of { name, tag, color, description }. Leader only.
+app.patch('/api/clans/:id', requireSession, validateBody(updateClanSchema), async (req, res) => {
+    try {
+        const result = await updateClan(req.session.auth, parseInt(req.params.id), req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, clan: result.clan });
+    } catch (err) {
+        console.error('Error updating clan:', err);
+        res.status(500).json({ error: 'Failed to update clan' });
+    }
+});
+
+app.delete('/api/clans/:id', requireSession, async (req, res) => {
+    try {
+        const result = await disbandClan(req.session.auth, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error disbanding clan:', err);
+        res.status(500).json({ error: 'Failed to disband clan' });
+    }
+});
+
+// Body: { auth }. Officers invite a player; joined is true if they had already asked to join.
+app.post('/api/clans/:id/invites', requireSession, validateBody(clanInviteSchema), async (req, res) => {
+    try {
+        const result = await invitePlayer(req.session.auth, parseInt(req.params.id), req.body.auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, joined: result.joined });
+    } catch (err) {
+        console.error('Error inviting to clan:', err);
+        res.status(500).json({ error: 'Failed to send invite' });
+    }
+});
+
+// Ask to join; joined is true if the clan had already invited the caller
+app.post('/api/clans/:id/requests', requireSession, async (req, res) => {
+    try {
+        const result = await requestToJoin(req.session.auth, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, joined: result.joined });
+    } catch (err) {
+        console.error('Error requesting to join clan:', err);
+        res.status(500).json({ error: 'Failed to send request' });
+    }
+});
+
+// The invited player accepts an invite, or an officer accepts a join request
+app.post('/api/clans/invites/:inviteId/accept', requireSession, async (req, res) => {
+    try {
+        const result = await acceptInvite(req.session.auth, parseInt(req.params.inviteId));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, clan: result.clan });
+    } catch (err) {
+        console.error('Error accepting clan invite:', err);
+        res.status(500).json({ error: 'Failed to accept invite' });
+    }
+});
+
+// Decline or withdraw an invite or join request
+app.delete('/api/clans/invites/:inviteId', requireSession, async (req, res) => {
+    try {
+        const result = await declineInvite(req.session.auth, parseInt(req.params.inviteId));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error declining clan invite:', err);
+        res.status(500).json({ error: 'Failed to decline invite' });
+    }
+});
+
+// Body: { role }. Leader only; role 'leader' hands the clan over.
+app.patch('/api/clans/:id/members/:auth', requireSession, validateBody(clanRoleSchema), async (req, res) => {
+    try {
+        const result = await setMemberRole(req.session.auth, parseInt(req.params.id), req.params.auth, req.body.role);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error changing clan role:', err);
+        res.status(500).json({ error: 'Failed to change role' });
+    }
+});
+
+// Kick a member
+app.delete('/api/clans/:id/members/:auth', requireSession, async (req, res) => {
+    try {
+        const result = await kickMember(req.session.auth, parseInt(req.params.id), req.params.auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error kicking clan member:', err);
+        res.status(500).json({ error: 'Failed to kick member' });
+    }
+});
+
+app.post('/api/clans/leave', requireSession, async (req, res) => {
+    try {
+        const result = await leaveClan(req.session.auth);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error leaving clan:', err);
+        res.status(500).json({ error: 'Failed to leave clan' });
+    }
+});
+
+// Every tournament, newest first, with entrant counts and winners
+app.get('/api/tournaments', async (req, res) => {
+    try {
+        res.json({ tournaments: await listTournaments() });
+    } catch (err) {
+        console.error('Error listing tournaments:', err);
+        res.status(500).json({ error: 'Failed to list tournaments' });
+    }
+});
+
+// Entrants, bracket matches and (round robin) standings
+app.get('/api/tournaments/:id', async (req, res) => {
+    try {
+        const result = await getTournament(parseInt(req.params.id));
+        if (!result) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching tournament:', err);
+        res.status(500).json({ error: 'Failed to fetch tournament' });
+    }
+});
+
+// Body: { name, format, description?, entrantType?, maxEntrants? }
+app.post('/api/tournaments', requireRole('admin', 'organizer'), validateBody(createTournamentSchema), async (req, res) => {
+    try {
+        const result = await createTournament(req.session.auth, req.body);
+        res.status(201).json({ success: true, tournament: result.tournament });
+    } catch (err) {
+        console.error('Error creating tournament:', err);
+        res.status(500).json({ error: 'Failed to create tournament' });
+    }
+});
+
+// Sign up the caller, or their clan for clan tournaments
+app.post('/api/tournaments/:id/entries', requireSession, async (req, res) => {
+    try {
+        const result = await signUp(req.session.auth, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json({ success: true, entry: result.entry });
+    } catch (err) {
+        console.error('Error signing up for tournament:', err);
+        res.status(500).json({ error: 'Failed to sign up' });
+    }
+});
+
+app.delete('/api/tournaments/:id/entries/:entryId', requireSession, async (req, res) => {
+    try {
+        const result = await withdraw(req.session.auth, parseInt(req.params.id), parseInt(req.params.entryId));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error withdrawing from tournament:', err);
+        res.status(500).json({ error: 'Failed to withdraw' });
+    }
+});
+
+// Close sign-ups, seed by Elo and build the bracket
+app.post('/api/tournaments/:id/start', requireSession, async (req, res) => {
+    try {
+        const result = await startTournament(req.session.auth, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, tournament: result.tournament });
+    } catch (err) {
+        console.error('Error starting tournament:', err);
+        res.status(500).json({ error: 'Failed to start tournament' });
+    }
+});
+
+app.post('/api/tournaments/:id/cancel', requireSession, async (req, res) => {
+    try {
+        const result = await cancelTournament(req.session.auth, parseInt(req.params.id));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error cancelling tournament:', err);
+        res.status(500).json({ error: 'Failed to cancel tournament' });
+    }
+});
+
+// Body: { score1, score2 }. From a player the result waits for the opponent's confirmation;
+// from the organizer it stands.
+app.post('/api/tournaments/:id/matches/:matchId/report', requireSession, validateBody(matchResultSchema), async (req, res) => {
+    try {
+        const result = await reportResult(req.session.auth, parseInt(req.params.id), parseInt(req.params.matchId), req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, match: result.match, confirmed: result.confirmed, finished: !!result.finished });
+    } catch (err) {
+        console.error('Error reporting tournament result:', err);
+        res.status(500).json({ error: 'Failed to report result' });
+    }
+});
+
+app.post('/api/tournaments/:id/matches/:matchId/confirm', requireSession, async (req, res) => {
+    try {
+        const result = await confirmResult(req.session.auth, parseInt(req.params.id), parseInt(req.params.matchId));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, match: result.match, finished: !!result.finished });
+    } catch (err) {
+        console.error('Error confirming tournament result:', err);
+        res.status(500).json({ error: 'Failed to confirm result' });
+    }
+});
+
+// Reject the opponent's reported score; the match goes back to waiting for a result
+app.post('/api/tournaments/:id/matches/:matchId/dispute', requireSession, async (req, res) => {
+    try {
+        const result = await disputeResult(req.session.auth, parseInt(req.params.id), parseInt(req.params.matchId));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ success: true, match: result.match });
+    } catch (err) {
+        console.error('Error disputing tournament result:', err);
+        res.status(500).json({ error: 'Failed to dispute result' });
+    }
+});
+
+// Tournaments a player entered, themself or with their clan, and whether they won
+app.get('/api/players/:auth/tournaments', async (req, res) => {
+    try {
+        res.json({ tournaments: await getPlayerTournaments(req.params.auth) });
+    } catch (err) {
+        console.error('Error fetching player tournaments:', err);
+        res.status(500).json({ error: 'Failed to fetch tournaments' });
+    }
+});
+
+// All seasons, newest first
+app.get('/api/seasons', async (req, res) => {
+    try {
+        res.json({ seasons: await listSeasons() });
+    } catch (err) {
+        console.error('Error fetching seasons:', err);
+        res.status(500).json({ error: 'Failed to fetch seasons' });
+    }
+});
+
+// Player's finishing position in past seasons
+app.get('/api/players/:auth/seasons', async (req, res) => {
+    try {
+        res.json({ seasons: await getPlayerSeasonHistory(req.params.auth) });
+    } catch (err) {
+        console.error('Error fetching season history:', err);
+        res.status(500).json({ error: 'Failed to fetch season history' });
+    }
+});
+
+// Find players by any nickname they have used
+app.get('/api/players/search', supersededBy('/api/v1/players'), async (req, res) => {
+    const query = String(req.query.q || '').slice(0, MAX_SEARCH_LENGTH);
+    const limit = Math.max(1, parseInt(req.query.limit) || 10);
+
+    if (query.trim().length < SEARCH_MIN_LENGTH) {
+        return res.status(400).json({ error: `Search needs at least ${SEARCH_MIN_LENGTH} characters` });
+    }
+
+    try {
+        res.json({ players: await searchPlayers(query, limit) });
+    } catch (err) {
+        console.error('Error searching players:', err);
+        res.status(500).json({ error: 'Failed to search players' });
+    }
+});
+
+// Current and past nicknames of a player
+app.get('/api/players/:auth/nicknames', async (req, res) => {
+    try {
+        const history = await getNicknameHistory(req.params.auth);
+        if (!history) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        res.json(history);
+    } catch (err) {
+        console.error('Error fetching nickname history:', err);
+        res.status(500).json({ error: 'Failed to fetch nickname history' });
+    }
+});
+
+// Player match history
+app.get('/api/players/:auth/matches', async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const perPage = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    try {
+        res.json(await getPlayerMatches(req.params.auth, page, perPage));
+    } catch (err) {
+        console.error('Error fetching match history:', err);
+        res.status(500).json({ error: 'Failed to fetch match history' });
+    }
+});
+
+// Every achievement with the share of players who have unlocked it
+app.get('/api/achievements', async (req, res) => {
+    try {
+        res.json({ achievements: await listAchievements() });
+    } catch (err) {
+        console.error('Error listing achievements:', err);
+        res.status(500).json({ error: 'Failed to list achievements' });
+    }
+});
+
+// A player's achievements, locked ones included, with unlock dates and progress
+app.get('/api/players/:auth/achievements', async (req, res) => {
+    try {
+        const stats = await playerStats.get(req.params.auth);
+        if (!stats) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const achievements = await getPlayerAchievements(req.params.auth, stats);
+        res.json({
+            achievements,
+            unlocked: achievements.filter(achievement => achievement.unlockedAt).length,
+            total: achievements.length
+        });
+    } catch (err) {
+        console.error('Error fetching player achievements:', err);
+        res.status(500).json({ error: 'Failed to fetch achievements' });
+    }
+});
+
+// Head-to-head and teammate record of two players, with both players' stats
+app.get('/api/players/:auth/vs/:other', async (req, res) => {
+    const { auth, other } = req.params;
+    if (auth === other) {
+        return res.status(400).json({ error: 'Pick two different players' });
+    }
+
+    try {
+        const result = await getHeadToHead(auth, other);
+        if (!result) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error fetching head-to-head:', err);
+        res.status(500).json({ error: 'Failed to fetch head-to-head' });
+    }
+});
+
+// Player Elo over time
+app.get('/api/players/:auth/elo-history', async (req, res) => {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+
+    try {
+        res.json(await getEloHistory(req.params.auth, limit));
+    } catch (err) {
+        console.error('Error fetching Elo history:', err);
+        res.status(500).json({ error: 'Failed to fetch Elo history' });
+    }
+});
+
+app.post('/api/vip-status', validateBody(vipStatusSchema), supersededBy(req => req.body.auth && `/api/v1/players/${encodeURIComponent(req.body.auth)}/vip`), async (req, res) => {
+    const { auth } = req.body;
+
+    if (!auth) {
+        return res.json({ auth: '', isVip: false, vipColor: null, vipMessage: null, vipCelebration: null });
+    }
+
+    // Cached entries hold the raw user fields; the response adds the lifecycle countdown
+    const formatVipStatus = entry => ({
+        isVip: entry.isVIP,
+        vipColor: entry.vip_color,
+        vipMessage: entry.vipMessage,
+        vipCelebration: entry.vipCelebration,
+        ...describeVip({ isVIP: entry.isVIP, vip_expires_at: entry.vip_expires_at })
+    });
+
+    try {
+        const entry = await getVipEntry(auth);
+        if (!entry) {
+            console.error(`Error retrieving VIP status: no user ${auth}`);
+            return res.status(500).json({ error: 'Failed to retrieve VIP status' });
+        }
+
+        res.json(formatVipStatus(entry));
+    } catch (err) {
+        console.error('Error in vip-status:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Unreadable bodies get the same structured errors as failed validation
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return invalidBody(res, 'Malformed JSON body');
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large', code: 'body_too_large' });
+    }
+
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Server error' });
+});
+
+const PORT = process.env.PORT || 3000;
+if (require.main === module) {
+    scheduleJobs();
+    populateCaches();
+
+    app.listen(PORT, '0.0.0.0', () => {
+        const os = require('os');
+        const interfaces = os.networkInterfaces();
+
+        console.log('Available on:');
+        Object.values(interfaces).flat().forEach(i => {
+            if (i.family === 'IPv4') {
+                console.log(`http://${i.address}:${PORT}`);
+            }
+        });
+    });
+}
+
+module.exports = { app, populateCaches };
\ No newline at end of file
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { users } = require('./repositories');
+const { hashPassword, verifyPassword, revokeAllSessions } = require('./auth');
+const { clearLoginFailures } = require('./rateLimit');
+const { notify } = require('./notifier');
+
+// Account self-service: registration, password change and reset, and nickname claims.
+//
+// Registration links a web login to the player's in-game auth: the site hands out a short
+// code, the player types `!link <code>` in a room, and the room host reports the code with
+// the player's auth to /api/room/link. Typing the code in-game proves the auth is theirs.
+// The registered nickname goes through the same claim check as any other nickname.
+//
+// Functions return { error, status } when the request can't be honoured.
+
+const LINK_CODE_TTL = 15 * 60 * 1000; // 15 minutes
+const LINK_CODE_LENGTH = 6;
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const PASSWORD_MIN_LENGTH = 8;
+const NICKNAME_MAX_LENGTH = 25; // Haxball's own limit
+const MAX_NICKNAMES = 10;
+
+const PASSWORD_FIELD = { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH, maxLength: 200 };
+const NICKNAME_FIELD = { type: 'string', required: true, minLength: 1, maxLength: NICKNAME_MAX_LENGTH };
+
+// Request bodies (see lib/validate.js)
+const registerSchema = {
+    username: NICKNAME_FIELD,
+    password: PASSWORD_FIELD
+};
+const linkCodeSchema = {
+    auth: { type: 'string', required: true, maxLength: 100 },
+    code: { type: 'string', required: true, maxLength: 20 }
+};
+const passwordChangeSchema = {
+    currentPassword: { type: 'string', required: true, maxLength: 200 },
+    newPassword: PASSWORD_FIELD
+};
+const resetRequestSchema = {
+    username: { type: 'string', required: true, maxLength: 50 }
+};
+const resetConfirmSchema = {
+    token: { type: 'string', required: true, maxLength: 200 },
+    newPassword: PASSWORD_FIELD
+};
+const nicknameSchema = {
+    nickname: NICKNAME_FIELD
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function newLinkCode() {
+    return Array.from(crypto.randomBytes(LINK_CODE_LENGTH), byte => LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length]).join('');
+}
+
+// Codes are typed by hand, so case and stray spaces don't matter
+function normalizeCode(code) {
+    return code.replace(/\s+/g, '').toUpperCase();
+}
+
+function failure(status, error) {
+    return { status, error };
+}
+
+// The account holding a nickname, if any
+async function nicknameOwner(nickname) {
+    const [owner] = await users.findByNickname(nickname);
+    return owner || null;
+}
+
+// Whether `auth` may add `nickname` to an account holding `nicknames`: each name belongs to
+// one account, and only names the player has played a recorded match under can be taken.
+// Returns { error, status } if not, otherwise null.
+async function checkNicknameClaim(auth, nickname, nicknames = []) {
+    if (nicknames.length >= MAX_NICKNAMES) {
+        return failure(400, `An account can hold at most ${MAX_NICKNAMES} nicknames`);
+    }
+
+    const owner = await nicknameOwner(nickname);
+    if (owner && owner.auth !== auth) {
+        return failure(409, 'That nickname belongs to another account');
+    }
+
+    // Straight from the matches: the player may not have an account yet
+    const { data: seen, error } = await supabase.rpc('player_nickname_history', { p_auth: auth });
+    if (error) {
+        throw error;
+    }
+    if (!seen.some(row => row.nickname === nickname && Number(row.matches) > 0)) {
+        return failure(403, 'Play a ranked match under that nickname before claiming it');
+    }
+    return null;
+}
+
+// Start a registration. Returns { registrationId, code, expiresAt }. The player's auth
+// isn't known until the code is typed in a room, so the full nickname claim check runs
+// then; here only names that are already taken are turned away.
+async function startRegistration({ username, password }) {
+    const nickname = username.trim();
+    if (!nickname) {
+        return failure(400, 'username is required');
+    }
+    if (await nicknameOwner(nickname)) {
+        return failure(409, 'That nickname is already registered');
+    }
+
+    const code = newLinkCode();
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL).toISOString();
+    const { data, error } = await supabase
+        .from('account_registrations')
+        .insert({
+            id: crypto.randomUUID(),
+            nickname,
+            password: await hashPassword(password),
+            code_hash: sha256(code),
+            expires_at: expiresAt
+        })
+        .select('id')
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return { registrationId: data.id, code, expiresAt };
+}
+
+// pending, linked or expired. Returns null for unknown registrations.
+async function getRegistration(id) {
+    const { data, error } = await supabase
+        .from('account_registrations')
+        .select('nickname, expires_at, linked_at')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!data) return null;
+
+    let status = 'pending';
+    if (data.linked_at) status = 'linked';
+    else if (new Date(data.expires_at) <= new Date()) status = 'expired';
+
+    return { status, nickname: data.nickname, expiresAt: data.expires_at };
+}
+
+// Called by the room host when a player types a link code. Creates the account, or gives an
+// existing player the registered login (their other sessions are signed out).
+// Returns { nickname, created }. A code whose nickname the player can't claim stays
+// unused until it expires.
+async function completeRegistration({ auth, code }) {
+    const codeHash = sha256(normalizeCode(code));
+    const { data: pending, error: pendingError } = await supabase
+        .from('account_registrations')
+        .select('nickname')
+        .eq('code_hash', codeHash)
+        .is('linked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .limit(1)
+        .maybeSingle();
+
+    if (pendingError) {
+        throw pendingError;
+    }
+    if (!pending) {
+        return failure(404, 'Unknown or expired code');
+    }
+
+    const user = await users.get(auth);
+    const nicknames = user?.nicknames || [];
+    const claimError = nicknames.includes(pending.nickname)
+        ? null
+        : await checkNicknameClaim(auth, pending.nickname, nicknames);
+    if (claimError) {
+        return claimError;
+    }
+
+    // Claim the code so two reports of the same code can't both use it
+    const { data, error } = await supabase
+        .from('account_registrations')
+        .update({ linked_auth: auth, linked_at: new Date().toISOString() })
+        .eq('code_hash', codeHash)
+        .is('linked_at', null)
+        .select('nickname, password');
+
+    if (error) {
+        throw error;
+    }
+    if (data.length === 0) {
+        return failure(404, 'Unknown or expired code');
+    }
+
+    const { nickname, password } = data[0];
+    if (!user) {
+        await users.create({ auth, nicknames: [nickname], password });
+        return { nickname, created: true };
+    }
+
+    await users.update(auth, {
+        password,
+        nicknames: nicknames.includes(nickname) ? nicknames : [...nicknames, nickname]
+    });
+    await revokeAllSessions(auth);
+    return { nickname, created: false };
+}
+
+// Forget any lockouts on the account's login names
+async function clearLockouts(auth) {
+    const user = await users.get(auth);
+    await Promise.all((user?.nicknames || []).map(clearLoginFailures));
+}
+
+// Every session of the account is signed out; the caller gets a new one from the route
+async function changePassword(auth, currentPassword, newPassword) {
+    const stored = await users.getPassword(auth);
+    const { valid } = await verifyPassword(currentPassword, stored);
+    if (!valid) {
+        return failure(400, 'Current password is incorrect');
+    }
+
+    await users.update(auth, { password: await hashPassword(newPassword) });
+    await revokeAllSessions(auth);
+    return {};
+}
+
+// Sends a reset link through the notifier if the nickname belongs to an account. Says
+// nothing either way, so it can't be used to find out which nicknames are registered.
+async function requestPasswordReset(username) {
+    const owner = await nicknameOwner(username.trim());
+    if (!owner) return;
+
+    // Only the newest link works
+    const now = new Date().toISOString();
+    const { error: expireError } = await supabase
+        .from('password_resets')
+        .update({ used_at: now })
+        .eq('auth', owner.auth)
+        .is('used_at', null);
+
+    if (expireError) {
+        throw expireError;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL).toISOString();
+    const { error } = await supabase
+        .from('password_resets')
+        .insert({ token_hash: sha256(token), auth: owner.auth, expires_at: expiresAt });
+
+    if (error) {
+        throw error;
+    }
+
+    await notify(owner.auth, 'password_reset', {
+        nickname: owner.nicknames[0],
+        resetUrl: `${process.env.SITE_URL || ''}/?reset=${token}`,
+        expiresAt
+    });
+}
+
+async function resetPassword(token, newPassword) {
+    const { data, error } = await supabase
+        .from('password_resets')
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', sha256(token))
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select('auth');
+
+    if (error) {
+        throw error;
+    }
+    if (data.length === 0) {
+        return failure(400, 'This reset link is invalid or has expired');
+    }
+
+    const { auth } = data[0];
+    await users.update(auth, { password: await hashPassword(newPassword) });
+    await revokeAllSessions(auth);
+    await clearLockouts(auth);
+    return {};
+}
+
+// Add a nickname to the account. Only names the player has played a recorded match
+// under can be claimed, and each name belongs to one account.
+async function claimNickname(auth, name) {
+    const nickname = name.trim();
+    const user = await users.get(auth);
+    if (!user) {
+        return failure(404, 'Account not found');
+    }
+
+    const nicknames = user.nicknames || [];
+    if (nicknames.includes(nickname)) {
+        return { nicknames };
+    }
+
+    const claimError = await checkNicknameClaim(auth, nickname, nicknames);
+    if (claimError) {
+        return claimError;
+    }
+
+    const updated = await users.update(auth, { nicknames: [...nicknames, nickname] });
+    return { nicknames: updated.nicknames };
+}
+
+// Free a nickname for others to claim. The last one can't go: it's the login name.
+async function releaseNickname(auth, nickname) {
+    const user = await users.get(auth);
+    if (!user) {
+        return failure(404, 'Account not found');
+    }
+
+    const nicknames = user.nicknames || [];
+    if (!nicknames.includes(nickname)) {
+        return failure(404, 'That nickname is not on your account');
+    }
+    if (nicknames.length === 1) {
+        return failure(400, 'You need at least one nickname to log in with');
+    }
+
+    const updated = await users.update(auth, { nicknames: nicknames.filter(name => name !== nickname) });
+    await clearLoginFailures(nickname);
+    return { nicknames: updated.nicknames };
+}
+
+module.exports = {
+    registerSchema,
+    linkCodeSchema,
+    passwordChangeSchema,
+    resetRequestSchema,
+    resetConfirmSchema,
+    nicknameSchema,
+    startRegistration,
+    getRegistration,
+    completeRegistration,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    claimNickname,
+    releaseNickname
+};
@@ -0,0 +1,276 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, playerStats, fetchAll } = require('./repositories');
+const { rankingsIndex } = require('./rankingsIndex');
+const { achievements: catalog } = require('../data/achievements.json');
+
+// Achievements are declared in data/achievements.json and checked whenever a player's
+// stats change. Rule types:
+//   stat       - a player_stats counter reaches `min`
+//   streak     - `length` wins in a row
+//   seasonRank - a closed season finished at rank `max` or better
+// Unlocks are never taken back. They are stored in player_achievements and also kept in
+// memory, which serves the badges on the rankings and the rarity percentages.
+
+const UPSERT_CHUNK = 1000; // Rows per upsert request
+const rulesOfType = type => catalog.filter(achievement => achievement.rule.type === type);
+const MAX_STREAK = Math.max(0, ...rulesOfType('streak').map(achievement => achievement.rule.length));
+const MAX_SEASON_RANK = Math.max(0, ...rulesOfType('seasonRank').map(achievement => achievement.rule.max));
+
+let unlocks = new Map(); // auth -> Map(achievementId -> unlockedAt)
+let unlockCounts = new Map(); // achievementId -> players who have it
+let loading = null;
+let loadedAt = null;
+
+function addUnlock(auth, achievementId, unlockedAt) {
+    if (!unlocks.has(auth)) unlocks.set(auth, new Map());
+    const playerUnlocks = unlocks.get(auth);
+    if (playerUnlocks.has(achievementId)) return;
+
+    playerUnlocks.set(achievementId, unlockedAt);
+    unlockCounts.set(achievementId, (unlockCounts.get(achievementId) || 0) + 1);
+}
+
+function removePlayer(auth) {
+    (unlocks.get(auth) || new Map()).forEach((unlockedAt, achievementId) => {
+        unlockCounts.set(achievementId, unlockCounts.get(achievementId) - 1);
+    });
+    unlocks.delete(auth);
+}
+
+async function loadUnlocks() {
+    const rows = await fetchAll(() => supabase
+        .from('player_achievements')
+        .select('auth, achievement_id, unlocked_at')
+        .order('auth')
+        .order('achievement_id'));
+
+    unlocks = new Map();
+    unlockCounts = new Map();
+    rows.forEach(row => addUnlock(row.auth, row.achievement_id, row.unlocked_at));
+    loadedAt = new Date();
+}
+
+async function ready() {
+    if (loadedAt) return;
+    if (!loading) {
+        loading = loadUnlocks().finally(() => {
+            loading = null;
+        });
+    }
+    await loading;
+}
+
+// facts: { stats?, winStreak?, bestSeasonRank? }. Rules whose fact is missing aren't met.
+function meetsRule(rule, facts) {
+    switch (rule.type) {
+        case 'stat':
+            return !!facts.stats && (facts.stats[rule.stat] || 0) >= rule.min;
+        case 'streak':
+            return facts.winStreak !== undefined && facts.winStreak >= rule.length;
+        case 'seasonRank':
+            return facts.bestSeasonRank !== undefined && facts.bestSeasonRank <= rule.max;
+        default:
+            return false;
+    }
+}
+
+// Wins in a row at the end of each player's match history, counted up to MAX_STREAK
+async function fetchWinStreaks(auths) {
+    const streaks = {};
+    if (MAX_STREAK === 0) return streaks;
+
+    await Promise.all(auths.map(async auth => {
+        const { data, error } = await supabase
+            .from('match_players')
+            .select('result')
+            .eq('auth', auth)
+            .order('match_id', { ascending: false })
+            .range(0, MAX_STREAK - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        const firstNonWin = data.findIndex(row => row.result !== 'W');
+        streaks[auth] = firstNonWin === -1 ? data.length : firstNonWin;
+    }));
+    return streaks;
+}
+
+// Best closed-season finish of players who finished within MAX_SEASON_RANK (all such players without auths)
+async function fetchBestSeasonRanks(auths = null) {
+    if (MAX_SEASON_RANK === 0) return {};
+
+    let query = supabase
+        .from('season_standings')
+        .select('auth, rank')
+        .not('rank', 'is', null)
+        .lte('rank', MAX_SEASON_RANK);
+    if (auths) query = query.in('auth', auths);
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw error;
+    }
+
+    return data.reduce((acc, row) => {
+        acc[row.auth] = Math.min(acc[row.auth] ?? Infinity, row.rank);
+        return acc;
+    }, {});
+}
+
+// Record every achievement the players now qualify for. factsByAuth: { auth: facts }.
+// Only registered players are awarded; player_achievements rows belong to a users row.
+// Returns the new unlocks as [{ auth, achievements: [definition] }].
+async function evaluate(factsByAuth) {
+    await ready();
+
+    const unlockedAt = new Date().toISOString();
+    const qualifying = Object.entries(factsByAuth)
+        .map(([auth, facts]) => ({
+            auth,
+            achievements: catalog.filter(achievement => !unlocks.get(auth)?.has(achievement.id)
+                && meetsRule(achievement.rule, facts))
+        }))
+        .filter(entry => entry.achievements.length > 0);
+    if (qualifying.length === 0) return [];
+
+    const registered = new Set(await users.listRegistered(qualifying.map(entry => entry.auth)));
+    const earned = qualifying.filter(entry => registered.has(entry.auth));
+    if (earned.length === 0) return [];
+
+    const rows = earned.flatMap(entry => entry.achievements.map(achievement => ({
+        auth: entry.auth,
+        achievement_id: achievement.id,
+        unlocked_at: unlockedAt
+    })));
+    for (let offset = 0; offset < rows.length; offset += UPSERT_CHUNK) {
+        const { error } = await supabase
+            .from('player_achievements')
+            .upsert(rows.slice(offset, offset + UPSERT_CHUNK), { onConflict: 'auth,achievement_id', ignoreDuplicates: true });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    rows.forEach(row => addUnlock(row.auth, row.achievement_id, row.unlocked_at));
+    earned.forEach(entry => events.emit('achievements:unlock', entry));
+    return earned;
+}
+
+// Check players whose stats just changed
+async function checkPlayers(auths) {
+    if (auths.length === 0) return [];
+
+    const [stats, streaks, seasonRanks] = await Promise.all([
+        playerStats.listByAuths(auths),
+        fetchWinStreaks(auths),
+        fetchBestSeasonRanks(auths)
+    ]);
+
+    return evaluate(Object.fromEntries(auths.map(auth => [auth, {
+        stats: stats.find(row => row.auth === auth),
+        winStreak: streaks[auth],
+        bestSeasonRank: seasonRanks[auth]
+    }])));
+}
+
+// Award stat and season achievements everyone already qualifies for (streaks are only
+// seen as matches come in). Uses the rankings index, so it costs one database read.
+async function backfillAchievements() {
+    try {
+        await rankingsIndex.ready();
+        const seasonRanks = await fetchBestSeasonRanks();
+
+        const factsByAuth = {};
+        for (const row of rankingsIndex.players()) {
+            factsByAuth[row.auth] = { stats: row, bestSeasonRank: seasonRanks[row.auth] };
+        }
+        Object.entries(seasonRanks).forEach(([auth, bestSeasonRank]) => {
+            factsByAuth[auth] = factsByAuth[auth] || { bestSeasonRank };
+        });
+
+        await evaluate(factsByAuth);
+    } catch (err) {
+        console.error('Error backfilling achievements:', err);
+    }
+}
+
+// Share of ranked players who have each achievement, as a percentage with one decimal
+function rarityOf(achievementId) {
+    const total = rankingsIndex.size;
+    if (total === 0) return 0;
+    return Math.round(((unlockCounts.get(achievementId) || 0) / total) * 1000) / 10;
+}
+
+function describe(achievement) {
+    const { rule, ...details } = achievement;
+    return { ...details, rarity: rarityOf(achievement.id) };
+}
+
+// Every achievement with its rarity
+async function listAchievements() {
+    await Promise.all([ready(), rankingsIndex.ready()]);
+    return catalog.map(describe);
+}
+
+// Every achievement with the player's unlock date (null if locked) and, for stat rules,
+// progress towards it. stats: the player's player_stats row, if known.
+async function getPlayerAchievements(auth, stats = null) {
+    await Promise.all([ready(), rankingsIndex.ready()]);
+    const playerUnlocks = unlocks.get(auth) || new Map();
+
+    return catalog.map(achievement => {
+        const entry = { ...describe(achievement), unlockedAt: playerUnlocks.get(achievement.id) || null };
+        if (achievement.rule.type === 'stat' && stats) {
+            entry.progress = { current: stats[achievement.rule.stat] || 0, target: achievement.rule.min };
+        }
+        return entry;
+    });
+}
+
+// Unlocked achievements only, oldest first
+async function getUnlockedAchievements(auth) {
+    const achievements = await getPlayerAchievements(auth);
+    return achievements
+        .filter(achievement => achievement.unlockedAt)
+        .sort((a, b) => (a.unlockedAt < b.unlockedAt ? -1 : 1));
+}
+
+// Unlocked achievement ids per player, for badges next to names
+function badgesOf(auths) {
+    return Object.fromEntries(auths.map(auth => [auth, [...(unlocks.get(auth)?.keys() || [])]]));
+}
+
+function logCheckError(err) {
+    console.error('Error checking achievements:', err);
+}
+
+events.on('stats:update', auths => {
+    checkPlayers(auths).catch(logCheckError);
+});
+
+// A season closed: its top finishers may have earned season achievements
+events.on('stats:reset', () => {
+    fetchBestSeasonRanks()
+        .then(seasonRanks => evaluate(Object.fromEntries(Object.entries(seasonRanks)
+            .map(([auth, bestSeasonRank]) => [auth, { bestSeasonRank }]))))
+        .catch(logCheckError);
+});
+
+// The source account's unlocks were deleted with it; the merged account may qualify for more
+events.on('players:merge', ({ source, target }) => {
+    removePlayer(source);
+    checkPlayers([target]).catch(logCheckError);
+});
+
+module.exports = {
+    listAchievements,
+    getPlayerAchievements,
+    getUnlockedAchievements,
+    badgesOf,
+    backfillAchievements
+};
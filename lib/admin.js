@@ -0,0 +1,175 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, playerStats } = require('./repositories');
+const { revokeAllSessions } = require('./auth');
+const { METRICS } = require('./rankingsIndex');
+
+// Moderation: bans, account merges and stat corrections. Every admin action is written
+// to admin_audit_log, which the database keeps append-only.
+
+const MAX_BAN_REASON_LENGTH = 200;
+const MAX_BAN_DAYS = 3650;
+const MAX_VIP_GRANT_DAYS = 3650;
+const AUDIT_PAGE_SIZE = 50;
+
+// Ban details if the ban is in force, otherwise null
+function activeBan(user, now = new Date()) {
+    if (!user || !user.banned_at) return null;
+    if (user.banned_until && new Date(user.banned_until) <= now) return null;
+    return { reason: user.ban_reason, until: user.banned_until, bannedAt: user.banned_at };
+}
+
+// Never throws: an audit write failing must not turn a completed action into an error
+async function recordAudit(actor, action, target, details = {}) {
+    const { error } = await supabase
+        .from('admin_audit_log')
+        .insert({ actor, action, target, details });
+
+    if (error) {
+        console.error(`Error writing audit log entry (${action} by ${actor} on ${target}):`, error);
+    }
+}
+
+async function listAuditLog({ page = 1, action = null, target = null } = {}) {
+    let query = supabase
+        .from('admin_audit_log')
+        .select('id, actor, action, target, details, created_at', { count: 'exact' })
+        .order('id', { ascending: false })
+        .range((page - 1) * AUDIT_PAGE_SIZE, page * AUDIT_PAGE_SIZE - 1);
+    if (action) query = query.eq('action', action);
+    if (target) query = query.eq('target', target);
+
+    const { data, count, error } = await query;
+
+    if (error) {
+        throw error;
+    }
+
+    return {
+        entries: data,
+        pagination: {
+            currentPage: page,
+            perPage: AUDIT_PAGE_SIZE,
+            totalItems: count,
+            totalPages: Math.ceil(count / AUDIT_PAGE_SIZE)
+        }
+    };
+}
+
+function findUser(auth) {
+    return users.get(auth);
+}
+
+// Returns an error message, or null. days is optional (permanent ban).
+function validateBan(body) {
+    const { reason, days } = body || {};
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_BAN_REASON_LENGTH)) {
+        return `reason must be a string of at most ${MAX_BAN_REASON_LENGTH} characters`;
+    }
+    if (days !== undefined && days !== null && !(Number.isInteger(days) && days > 0 && days <= MAX_BAN_DAYS)) {
+        return `days must be a whole number between 1 and ${MAX_BAN_DAYS}`;
+    }
+    return null;
+}
+
+// Ban a player and log them out everywhere
+async function banPlayer(auth, { reason = null, days = null, actor }) {
+    const now = new Date();
+    const ban = {
+        banned_at: now.toISOString(),
+        banned_until: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        ban_reason: reason || null,
+        banned_by: actor
+    };
+
+    await users.update(auth, ban);
+    await revokeAllSessions(auth);
+    return activeBan(ban, now);
+}
+
+async function unbanPlayer(auth) {
+    await users.update(auth, { banned_at: null, banned_until: null, ban_reason: null, banned_by: null });
+}
+
+// Bans in force, for room hosts to kick on join
+async function listActiveBans() {
+    const banned = await users.listBanned();
+    return banned.map(user => ({ auth: user.auth, nicknames: user.nicknames, ...activeBan(user) }));
+}
+
+// Returns the merge summary, or null if either account doesn't exist
+async function mergePlayers(source, target) {
+    const { data, error } = await supabase.rpc('merge_players', { p_source: source, p_target: target });
+
+    if (error) {
+        if (error.code === 'P0002') return null;
+        throw error;
+    }
+
+    events.emit('players:merge', { source, target });
+    await revokeAllSessions(source).catch(err => {
+        console.error(`Error revoking sessions of merged account ${source}:`, err);
+    });
+    return data;
+}
+
+// Returns an error message, or null. Only the stat columns can be corrected.
+function validateStatCorrection(stats) {
+    if (!stats || typeof stats !== 'object' || Object.keys(stats).length === 0) {
+        return 'At least one stat is required';
+    }
+    for (const [field, value] of Object.entries(stats)) {
+        if (!METRICS.includes(field)) {
+            return `Unknown stat: ${field}`;
+        }
+        if (!Number.isInteger(value) || (field !== 'points' && value < 0)) {
+            return `${field} must be a whole number${field === 'points' ? '' : ' of at least 0'}`;
+        }
+    }
+    return null;
+}
+
+const mergeSchema = {
+    source: { type: 'string', required: true, minLength: 1, maxLength: 100, message: 'source is required' }
+};
+const statCorrectionSchema = {
+    stats: { type: 'object', required: true, check: validateStatCorrection },
+    reason: { type: 'string', maxLength: MAX_BAN_REASON_LENGTH }
+};
+const vipGrantSchema = {
+    days: {
+        type: 'integer',
+        required: true,
+        min: 1,
+        max: MAX_VIP_GRANT_DAYS,
+        message: `days must be a whole number between 1 and ${MAX_VIP_GRANT_DAYS}`
+    },
+    reason: { type: 'string', maxLength: MAX_BAN_REASON_LENGTH }
+};
+const vipRevokeSchema = {
+    days: { type: 'integer', min: 1, message: 'days must be a positive whole number' },
+    reason: { type: 'string', maxLength: MAX_BAN_REASON_LENGTH }
+};
+
+// Returns the previous values of the corrected stats, or null if the player has no stats
+function correctStats(auth, stats) {
+    return playerStats.correct(auth, stats);
+}
+
+module.exports = {
+    activeBan,
+    recordAudit,
+    listAuditLog,
+    findUser,
+    validateBan,
+    banPlayer,
+    unbanPlayer,
+    listActiveBans,
+    mergePlayers,
+    validateStatCorrection,
+    correctStats,
+    mergeSchema,
+    statCorrectionSchema,
+    vipGrantSchema,
+    vipRevokeSchema
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { keys, getOrLoad, invalidate } = require('./cache');
+
+// API keys for the public /api/v1 endpoints. Keys are random tokens shown once at creation;
+// only their SHA-256 hash is stored. Each key has its own hourly request quota.
+
+const KEY_PREFIX = 'hxr_';
+const DEFAULT_REQUESTS_PER_HOUR = 1000;
+const MAX_REQUESTS_PER_HOUR = 100000;
+const API_KEY_CACHE_TTL = 300; // Seconds a revoked key can keep working on other instances
+const KEY_COLUMNS = 'id, name, owner, key_prefix, requests_per_hour, created_by, created_at, revoked_at';
+
+const usage = new Map(); // key id -> { requests, lastUsedAt } since startup
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns an error message, or null
+function validateApiKey(body) {
+    if (!body || typeof body !== 'object') return 'Key details are required';
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 60) {
+        return 'name must be a string of at most 60 characters';
+    }
+    if (body.owner !== undefined && body.owner !== null && (typeof body.owner !== 'string' || body.owner.length > 100)) {
+        return 'owner must be a string of at most 100 characters';
+    }
+    const quota = body.requestsPerHour;
+    if (quota !== undefined && (!Number.isInteger(quota) || quota < 1 || quota > MAX_REQUESTS_PER_HOUR)) {
+        return `requestsPerHour must be a whole number between 1 and ${MAX_REQUESTS_PER_HOUR}`;
+    }
+    return null;
+}
+
+// Returns the stored row and the key itself, which can't be recovered later
+async function createApiKey({ name, owner = null, requestsPerHour = DEFAULT_REQUESTS_PER_HOUR }, createdBy) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+    const { data, error } = await supabase
+        .from('api_keys')
+        .insert({
+            name: name.trim(),
+            owner,
+            key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+            key_hash: hashKey(key),
+            requests_per_hour: requestsPerHour,
+            created_by: createdBy
+        })
+        .select(KEY_COLUMNS)
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return { apiKey: data, key };
+}
+
+// Every key, newest first, with its usage since startup
+async function listApiKeys() {
+    const { data, error } = await supabase
+        .from('api_keys')
+        .select(KEY_COLUMNS)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return data.map(row => ({ ...row, usage: usage.get(row.id) || { requests: 0, lastUsedAt: null } }));
+}
+
+// Returns the revoked key, or null if there is no active key with that id
+async function revokeApiKey(id) {
+    const { data, error } = await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select(`${KEY_COLUMNS}, key_hash`);
+
+    if (error) {
+        throw error;
+    }
+    if (data.length === 0) return null;
+
+    const { key_hash, ...apiKey } = data[0];
+    invalidate(keys.apiKey(key_hash));
+    return apiKey;
+}
+
+// The active key row for a key, or null. Only known keys are cached: caching misses would
+// let random keys fill the cache, and the per-IP limit in front of this bounds the lookups.
+async function findApiKey(key) {
+    const hash = hashKey(key);
+    return getOrLoad(keys.apiKey(hash), async () => {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select(KEY_COLUMNS)
+            .eq('key_hash', hash)
+            .is('revoked_at', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+        return data;
+    }, API_KEY_CACHE_TTL);
+}
+
+// Middleware: identify the caller by the X-API-Key header. Requests without one go
+// through as anonymous; an unknown or revoked key is rejected.
+async function resolveApiKey(req, res, next) {
+    const key = req.headers['x-api-key'];
+    if (!key) return next();
+
+    try {
+        const apiKey = await findApiKey(String(key));
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or revoked API key', code: 'invalid_api_key' });
+        }
+
+        const stats = usage.get(apiKey.id) || { requests: 0, lastUsedAt: null };
+        usage.set(apiKey.id, { requests: stats.requests + 1, lastUsedAt: new Date().toISOString() });
+
+        req.apiKey = apiKey;
+        next();
+    } catch (err) {
+        console.error('Error checking API key:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+module.exports = {
+    validateApiKey,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    resolveApiKey
+};
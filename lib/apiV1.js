@@ -0,0 +1,286 @@
+const express = require('express');
+const { rateLimit } = require('./rateLimit');
+const { resolveApiKey } = require('./apiKeys');
+const { getVipEntry } = require('./playerCache');
+const { METRICS, rankingsIndex } = require('./rankingsIndex');
+const { listSeasons, getSeasonRankingsIndex } = require('./seasons');
+const { SEARCH_MIN_LENGTH, searchPlayers } = require('./players');
+const { getUnlockedAchievements, badgesOf } = require('./achievements');
+const { listRooms } = require('./rooms');
+const { withLiveState } = require('./roomStream');
+const openapi = require('./openapi');
+
+// Public read-only API for bots and community sites. Unlike the routes the site itself
+// uses, every response here has a fixed, documented shape (see lib/openapi.js): camelCase
+// fields, null for missing values, and { error, code } on failure. Fields may be added
+// within v1 but never renamed or removed.
+
+const QUOTA_WINDOW = 60 * 60 * 1000; // Quotas are per hour
+const ANONYMOUS_REQUESTS_PER_HOUR = parseInt(process.env.API_ANONYMOUS_QUOTA) || 100; // Per IP, without a key
+const IP_REQUESTS_PER_MINUTE = parseInt(process.env.API_IP_RATE_LIMIT) || 600; // Per IP, with or without a key
+const MAX_PER_PAGE = 100;
+const MAX_SEARCH_RESULTS = 25;
+const MAX_SEARCH_LENGTH = 50;
+
+const router = express.Router();
+
+function apiError(res, status, code, message) {
+    return res.status(status).json({ error: message, code });
+}
+
+// Express already tags JSON responses with an ETag and answers a matching If-None-Match
+// with 304; this says how long clients may reuse a response without asking at all
+function cacheFor(seconds) {
+    return (req, res, next) => {
+        res.set('Cache-Control', `public, max-age=${seconds}`);
+        next();
+    };
+}
+
+function toStats(row) {
+    return {
+        points: row.points ?? 0,
+        gamesPlayed: row.games_played ?? 0,
+        wins: row.wins ?? 0,
+        draws: row.draws ?? 0,
+        losses: row.losses ?? 0,
+        goals: row.goals ?? 0,
+        assists: row.assists ?? 0,
+        cleanSheets: row.clean_sheets ?? 0
+    };
+}
+
+// Cosmetics only apply while VIP is active, so they're null otherwise
+function toVip(entry) {
+    const active = !!entry.isVIP;
+    return {
+        active,
+        color: active ? entry.vip_color || null : null,
+        message: active ? entry.vipMessage || null : null,
+        celebration: active ? entry.vipCelebration || null : null,
+        expiresAt: entry.vip_expires_at || null
+    };
+}
+
+function toRoom(room) {
+    return {
+        id: room.id,
+        name: room.name,
+        mode: room.mode || null,
+        region: room.region || null,
+        ranked: !!room.ranked,
+        link: room.room_link || null,
+        status: room.status,
+        players: {
+            total: room.total_players ?? 0,
+            red: room.red_players ?? 0,
+            blue: room.blue_players ?? 0,
+            spectators: room.spec_players ?? 0
+        },
+        score: {
+            red: room.red_score ?? 0,
+            blue: room.blue_score ?? 0
+        },
+        lastHeartbeat: room.last_heartbeat || null
+    };
+}
+
+function toSeason(season) {
+    return { id: season.id, name: season.name, status: season.status };
+}
+
+// Every request is counted per IP before its key is looked up, so made-up keys can't be
+// sent to the database as fast as the caller likes
+router.use(rateLimit({
+    name: 'api-v1-ip',
+    windowMs: 60 * 1000,
+    max: IP_REQUESTS_PER_MINUTE,
+    message: 'Too many requests from this address, please slow down'
+}));
+
+router.use(resolveApiKey);
+
+// Keys get their own hourly quota; anonymous callers share a small one per IP
+router.use(rateLimit({
+    name: 'api-v1',
+    windowMs: QUOTA_WINDOW,
+    key: req => (req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`),
+    max: req => (req.apiKey ? req.apiKey.requests_per_hour : ANONYMOUS_REQUESTS_PER_HOUR),
+    message: 'API quota exceeded for this hour'
+}));
+
+router.get('/', cacheFor(3600), (req, res) => {
+    res.json({ version: 'v1', documentation: `${req.baseUrl}/openapi.json` });
+});
+
+router.get('/openapi.json', cacheFor(3600), (req, res) => {
+    res.json(openapi);
+});
+
+// Query: sort, dir, minGames, q, page, perPage, season
+router.get('/rankings', cacheFor(30), async (req, res) => {
+    const sort = req.query.sort || 'points';
+    const dir = req.query.dir || 'desc';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(req.query.perPage) || 50));
+    const minGames = Math.max(0, parseInt(req.query.minGames) || 0);
+    const search = String(req.query.q || '').slice(0, MAX_SEARCH_LENGTH);
+
+    if (!METRICS.includes(sort)) {
+        return apiError(res, 400, 'invalid_query', `sort must be one of: ${METRICS.join(', ')}`);
+    }
+    if (dir !== 'asc' && dir !== 'desc') {
+        return apiError(res, 400, 'invalid_query', 'dir must be asc or desc');
+    }
+
+    try {
+        let index = rankingsIndex;
+        let season = null;
+
+        if (req.query.season) {
+            const seasons = await listSeasons();
+            season = seasons.find(s => s.id === parseInt(req.query.season));
+            if (!season) {
+                return apiError(res, 404, 'not_found', 'Season not found');
+            }
+            if (season.status === 'closed') {
+                index = await getSeasonRankingsIndex(season.id);
+            }
+        }
+
+        await index.ready();
+        const result = index.query({ sort, dir, minGames, search, page, perPage });
+        const badges = badgesOf(result.statsData.map(row => row.auth));
+
+        res.json({
+            season: season ? toSeason(season) : null,
+            sort,
+            dir,
+            minGames,
+            query: result.search || null,
+            pagination: {
+                page,
+                perPage,
+                totalItems: result.pagination.totalItems,
+                totalPages: result.pagination.totalPages
+            },
+            players: result.statsData.map(row => ({
+                rank: row.rank ?? null,
+                auth: row.auth,
+                nickname: result.userData[row.auth].nicknames[0] || null,
+                stats: toStats(row),
+                badges: badges[row.auth]
+            }))
+        });
+    } catch (err) {
+        console.error('Error in v1 rankings:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+// Query: q (at least SEARCH_MIN_LENGTH characters), limit
+router.get('/players', cacheFor(60), async (req, res) => {
+    const query = String(req.query.q || '').slice(0, MAX_SEARCH_LENGTH);
+    const limit = Math.min(MAX_SEARCH_RESULTS, Math.max(1, parseInt(req.query.limit) || 10));
+
+    if (query.trim().length < SEARCH_MIN_LENGTH) {
+        return apiError(res, 400, 'invalid_query', `q needs at least ${SEARCH_MIN_LENGTH} characters`);
+    }
+
+    try {
+        const players = await searchPlayers(query, limit);
+        res.json({
+            players: players.map(player => ({
+                auth: player.auth,
+                nickname: player.nickname,
+                matchedNickname: player.matchedNickname,
+                points: player.points ?? 0,
+                gamesPlayed: player.gamesPlayed
+            }))
+        });
+    } catch (err) {
+        console.error('Error in v1 player search:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.get('/players/:auth', cacheFor(60), async (req, res) => {
+    const { auth } = req.params;
+
+    try {
+        await rankingsIndex.ready();
+        const row = rankingsIndex.get(auth);
+        if (!row) {
+            return apiError(res, 404, 'not_found', 'Player not found');
+        }
+
+        const [vipEntry, achievements] = await Promise.all([
+            getVipEntry(auth),
+            // Achievements are extras: failing to load them shouldn't hide the player
+            getUnlockedAchievements(auth).catch(err => {
+                console.error('Error fetching achievements for v1 player:', err);
+                return [];
+            })
+        ]);
+
+        res.json({
+            auth,
+            nickname: row.nicknames[0] || null,
+            nicknames: row.nicknames,
+            rank: rankingsIndex.rankOf(auth),
+            stats: toStats(row),
+            vip: vipEntry ? toVip(vipEntry) : null,
+            achievements: achievements.map(({ id, name, description, icon, rarity, unlockedAt }) => ({
+                id, name, description, icon, rarity, unlockedAt
+            }))
+        });
+    } catch (err) {
+        console.error('Error in v1 player:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.get('/players/:auth/vip', cacheFor(60), async (req, res) => {
+    try {
+        const entry = await getVipEntry(req.params.auth);
+        if (!entry) {
+            return apiError(res, 404, 'not_found', 'Player not found');
+        }
+
+        res.json({ auth: req.params.auth, ...toVip(entry) });
+    } catch (err) {
+        console.error('Error in v1 VIP status:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.get('/rooms', cacheFor(5), async (req, res) => {
+    try {
+        const rooms = await listRooms();
+        res.json({ rooms: rooms.map(room => toRoom(withLiveState(room))) });
+    } catch (err) {
+        console.error('Error in v1 rooms:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.get('/rooms/:id', cacheFor(5), async (req, res) => {
+    try {
+        const rooms = await listRooms();
+        const room = rooms.find(r => r.id === parseInt(req.params.id));
+        if (!room) {
+            return apiError(res, 404, 'not_found', 'Room not found');
+        }
+
+        res.json(toRoom(withLiveState(room)));
+    } catch (err) {
+        console.error('Error in v1 room:', err);
+        apiError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.use((req, res) => {
+    apiError(res, 404, 'not_found', 'No such endpoint');
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { users, sessions } = require('./repositories');
+const { keys, getOrLoad, invalidate } = require('./cache');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes, in seconds
+const REFRESH_TTL_SHORT = 24 * 60 * 60 * 1000; // 1 day
+const REFRESH_TTL_REMEMBER = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_CACHE_TTL = 60; // seconds a resolved session row is trusted before re-checking revocation
+
+// Request bodies (see lib/validate.js)
+const loginSchema = {
+    username: { type: 'string', required: true, maxLength: 50 },
+    password: { type: 'string', required: true, maxLength: 200 },
+    rememberMe: { type: 'boolean' }
+};
+// A missing token is answered with 401 by the route, like an expired one
+const refreshSchema = {
+    refreshToken: { type: 'string', maxLength: 500 }
+};
+
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+    // Tokens signed with a random secret stop working on restart, which is fine locally but not in production
+    console.warn('SESSION_SECRET is not set, using a random secret for this process');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Password hashing: stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function isHashedPassword(stored) {
+    return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+// Returns { valid, needsUpgrade }. Legacy rows still hold the plaintext password and are flagged for upgrade.
+async function verifyPassword(password, stored) {
+    if (!stored || typeof password !== 'string') {
+        return { valid: false, needsUpgrade: false };
+    }
+
+    if (!isHashedPassword(stored)) {
+        return { valid: safeEqual(password, stored), needsUpgrade: true };
+    }
+
+    const [, saltB64, hashB64] = stored.split('$');
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length);
+    return { valid: crypto.timingSafeEqual(actual, expected), needsUpgrade: false };
+}
+
+// Replace a legacy plaintext password with its hash
+async function upgradePassword(auth, password) {
+    try {
+        await users.update(auth, { password: await hashPassword(password) });
+    } catch (err) {
+        console.error('Error upgrading password hash:', err);
+    }
+}
+
+// Access tokens: <payload>.<signature>, HMAC-SHA256 signed
+function signToken(payload) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+function issueAccessToken(session) {
+    const now = Math.floor(Date.now() / 1000);
+    return signToken({ sid: session.id, auth: session.auth, iat: now, exp: now + ACCESS_TOKEN_TTL });
+}
+
+// Refresh tokens are <sessionId>.<secret>; only a hash of the secret is stored
+function newRefreshSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function sessionResponse(session, refreshSecret) {
+    return {
+        accessToken: issueAccessToken(session),
+        refreshToken: `${session.id}.${refreshSecret}`,
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshExpiresAt: session.expires_at
+    };
+}
+
+async function createSession(auth, { rememberMe = false, userAgent = null } = {}) {
+    const refreshSecret = newRefreshSecret();
+    const ttl = rememberMe ? REFRESH_TTL_REMEMBER : REFRESH_TTL_SHORT;
+
+    const session = await sessions.create({
+        id: crypto.randomUUID(),
+        auth,
+        refresh_hash: sha256(refreshSecret),
+        remember_me: rememberMe,
+        user_agent: userAgent,
+        expires_at: new Date(Date.now() + ttl).toISOString()
+    });
+
+    return sessionResponse(session, refreshSecret);
+}
+
+// Rotate the refresh token and issue a new access token. Returns null if the token is not usable.
+async function refreshSession(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret) return null;
+
+    const session = await sessions.get(sessionId);
+    if (!session) return null;
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+
+    if (!safeEqual(sha256(secret), session.refresh_hash)) {
+        // A rotated-out refresh token being replayed means it leaked; kill the session
+        await revokeSession(session.id);
+        return null;
+    }
+
+    const refreshSecret = newRefreshSecret();
+    const ttl = session.remember_me ? REFRESH_TTL_REMEMBER : REFRESH_TTL_SHORT;
+    const expiresAt = new Date(Date.now() + ttl).toISOString();
+
+    await sessions.update(session.id, {
+        refresh_hash: sha256(refreshSecret),
+        expires_at: expiresAt,
+        last_used_at: new Date().toISOString()
+    });
+
+    return sessionResponse({ ...session, expires_at: expiresAt }, refreshSecret);
+}
+
+async function revokeSession(sessionId) {
+    invalidate(keys.session(sessionId));
+    await sessions.update(sessionId, { revoked_at: new Date().toISOString() });
+}
+
+async function revokeAllSessions(auth) {
+    const revoked = await sessions.revokeAll(auth, new Date().toISOString());
+    invalidate(revoked.map(keys.session));
+}
+
+// Check the session row is still live, with a short cache so each request doesn't hit the database
+async function isSessionActive(sessionId) {
+    return getOrLoad(keys.session(sessionId), async () => {
+        const session = await sessions.get(sessionId);
+        return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+    }, SESSION_CACHE_TTL);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer ')) return null;
+    return header.slice('Bearer '.length).trim();
+}
+
+// Resolves req.session = { id, auth } from the bearer token, or null. Never rejects the request itself.
+async function resolveSession(req, res, next) {
+    req.session = null;
+
+    const payload = verifyToken(getBearerToken(req));
+    if (!payload) return next();
+
+    try {
+        if (await isSessionActive(payload.sid)) {
+            req.session = { id: payload.sid, auth: payload.auth };
+        }
+    } catch (err) {
+        console.error('Error resolving session:', err);
+    }
+
+    next();
+}
+
+function requireSession(req, res, next) {
+    if (!req.session) {
+        return res.status(401).json({ error: 'Not logged in or session expired' });
+    }
+    next();
+}
+
+module.exports = {
+    loginSchema,
+    refreshSchema,
+    hashPassword,
+    verifyPassword,
+    upgradePassword,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    resolveSession,
+    requireSession
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { users } = require('./repositories');
+const { keys, getOrLoad } = require('./cache');
+const { isVipActive } = require('./vip');
+
+// Authorization for account mutations. The acting user always comes from the session, never the request body.
+
+function unauthorized(res, message = 'Not logged in or session expired') {
+    return res.status(401).json({ error: message });
+}
+
+function forbidden(res, message) {
+    return res.status(403).json({ error: message });
+}
+
+// Only allow the caller to act on their own account. A body `auth` is accepted for
+// backwards compatibility but must match the session.
+function requireSelf(req, res, next) {
+    if (!req.session) {
+        return unauthorized(res);
+    }
+
+    const { auth } = req.body || {};
+    if (auth !== undefined && auth !== req.session.auth) {
+        return forbidden(res, 'You can only modify your own account');
+    }
+
+    req.actingAuth = req.session.auth;
+    next();
+}
+
+// Cosmetic VIP settings can only be changed while VIP is active
+async function requireActiveVip(req, res, next) {
+    const auth = req.actingAuth || req.session?.auth;
+    if (!auth) {
+        return unauthorized(res);
+    }
+
+    try {
+        const user = await users.get(auth);
+        if (!user) {
+            return forbidden(res, 'Account not found');
+        }
+
+        if (!isVipActive(user)) {
+            return forbidden(res, 'VIP membership is not active');
+        }
+
+        next();
+    } catch (err) {
+        console.error('Error checking VIP status:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+const ROLE_CACHE_TTL = 60; // Seconds a role change can take to apply
+
+async function getRole(auth) {
+    // Cached as '' for users without a role, since null results aren't cached
+    const role = await getOrLoad(keys.role(auth), async () => {
+        const user = await users.get(auth);
+        return user?.role || '';
+    }, ROLE_CACHE_TTL);
+    return role || null;
+}
+
+// Only let logged-in users with one of the given roles through, e.g. requireRole('admin')
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        if (!req.session) {
+            return unauthorized(res);
+        }
+
+        try {
+            const role = await getRole(req.session.auth);
+            if (!roles.includes(role)) {
+                return forbidden(res, 'You do not have permission to do that');
+            }
+
+            req.role = role;
+            next();
+        } catch (err) {
+            console.error('Error checking role:', err);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+}
+
+// Whether the request carries the room host's shared secret
+function hasRoomSecret(req) {
+    const secret = process.env.ROOM_SECRET;
+    if (!secret) return false;
+
+    const a = Buffer.from(String(req.headers['x-room-secret'] || ''));
+    const b = Buffer.from(secret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Endpoints called by the Haxball room host are guarded by a shared secret header
+function requireRoomSecret(req, res, next) {
+    if (!process.env.ROOM_SECRET) {
+        return res.status(503).json({ error: 'Room integration is not configured' });
+    }
+
+    if (!hasRoomSecret(req)) {
+        return unauthorized(res, 'Invalid room secret');
+    }
+
+    next();
+}
+
+module.exports = {
+    requireSelf,
+    requireActiveVip,
+    requireRole,
+    requireRoomSecret,
+    hasRoomSecret
+};
@@ -0,0 +1,223 @@
+const { users, playerStats } = require('./repositories');
+const { ELO_DEFAULT_RATING, expectedScore } = require('./elo');
+
+// Team balancer for the room host (and admins on the site). Splits the players in the room
+// into red and blue so the teams' average Elo is as close as possible, trying every split.
+// Constraints, strongest first:
+//   together   pairs that must end up on the same team (friends queueing together)
+//   gk         players who prefer goal; with two or more, each team gets one when possible
+//   previous   last game's split; an identical split (either way round) is avoided when
+//              another one exists
+// Players are given by auth or by nickname; unknown players count as ELO_DEFAULT_RATING.
+
+const MAX_PLAYERS = 24;
+
+// Returns an error message, or null if the payload is usable
+function validateBalanceRequest(body) {
+    if (!body || typeof body !== 'object') return 'Balance request is required';
+
+    const { players, together, previous } = body;
+    if (!Array.isArray(players) || players.length < 2) {
+        return 'players needs at least two players';
+    }
+    if (players.length > MAX_PLAYERS) {
+        return `At most ${MAX_PLAYERS} players can be balanced`;
+    }
+
+    const seen = new Set();
+    for (const player of players) {
+        const id = player && (player.auth || player.nickname);
+        if (typeof id !== 'string' || !id.trim()) {
+            return 'Every player needs an auth or a nickname';
+        }
+        if (seen.has(id)) {
+            return `Player ${id} appears more than once`;
+        }
+        seen.add(id);
+
+        if (player.gk !== undefined && typeof player.gk !== 'boolean') {
+            return `gk for ${id} must be true or false`;
+        }
+    }
+
+    if (together !== undefined) {
+        if (!Array.isArray(together)) return 'together must be a list of pairs';
+        for (const pair of together) {
+            if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(id => seen.has(id))) {
+                return 'Each together pair needs two of the listed players';
+            }
+        }
+    }
+
+    if (previous !== undefined) {
+        if (!previous || typeof previous !== 'object'
+            || !['red', 'blue'].every(team => Array.isArray(previous[team]) && previous[team].every(id => typeof id === 'string'))) {
+            return 'previous must have red and blue lists of players';
+        }
+    }
+
+    return null;
+}
+
+// Auth (when known) and rating for every requested player, in request order
+async function resolvePlayers(players) {
+    const accounts = await users.listByAuths(players.filter(player => player.auth).map(player => player.auth));
+    const byAuth = Object.fromEntries(accounts.map(user => [user.auth, user]));
+
+    const resolved = await Promise.all(players.map(async player => {
+        const id = player.auth || player.nickname;
+        if (player.auth) {
+            const nickname = player.nickname || byAuth[player.auth]?.nicknames[0] || null;
+            return { id, auth: player.auth, nickname, gk: !!player.gk };
+        }
+        const [owner] = await users.findByNickname(player.nickname);
+        return { id, auth: owner?.auth || null, nickname: player.nickname, gk: !!player.gk };
+    }));
+
+    const auths = resolved.map(player => player.auth).filter(Boolean);
+    const stats = auths.length > 0 ? await playerStats.listByAuths(auths) : [];
+    const points = Object.fromEntries(stats.map(row => [row.auth, row.points]));
+
+    return resolved.map(player => ({
+        ...player,
+        rating: points[player.auth] ?? ELO_DEFAULT_RATING,
+        rated: points[player.auth] !== undefined
+    }));
+}
+
+// Groups of player indexes that must share a team, from the together pairs
+function groupPlayers(players, together = []) {
+    const parent = players.map((player, index) => index);
+    const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+    const indexOf = Object.fromEntries(players.map((player, index) => [player.id, index]));
+
+    together.forEach(([a, b]) => {
+        parent[root(indexOf[a])] = root(indexOf[b]);
+    });
+
+    const groups = new Map();
+    players.forEach((player, index) => {
+        const key = root(index);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(index);
+    });
+    return [...groups.values()];
+}
+
+// Bitmask of the given player ids
+function maskOf(players, ids) {
+    return players.reduce((mask, player, index) => (ids.includes(player.id) ? mask | (1 << index) : mask), 0);
+}
+
+// Best split as a bitmask of the red players, or null when the pairs can't be kept together
+function findSplit(players, groups, previous) {
+    const total = players.length;
+    const redSizes = total % 2 === 0 ? [total / 2] : [Math.floor(total / 2), Math.ceil(total / 2)];
+    const ratingSum = players.reduce((sum, player) => sum + player.rating, 0);
+    const keepers = maskOf(players, players.filter(player => player.gk).map(player => player.id));
+    const keeperCount = players.filter(player => player.gk).length;
+
+    const previousRed = previous ? maskOf(players, previous.red) : 0;
+    const previousBlue = previous ? maskOf(players, previous.blue) : 0;
+    const previousPlayers = previousRed | previousBlue;
+
+    const groupMasks = groups.map(group => group.reduce((mask, index) => mask | (1 << index), 0));
+    const groupSums = groups.map(group => group.reduce((sum, index) => sum + players[index].rating, 0));
+
+    let best = null;
+    const consider = (red, redCount, redSum) => {
+        const blueCount = total - redCount;
+        const difference = Math.abs(redSum / redCount - (ratingSum - redSum) / blueCount);
+
+        const redKeepers = bitCount(red & keepers);
+        const keepersMissing = keeperCount >= 2 && (redKeepers === 0 || redKeepers === keeperCount) ? 1 : 0;
+
+        const seenRed = red & previousPlayers;
+        const repeats = previousRed !== 0 && previousBlue !== 0 && (seenRed === previousRed || seenRed === previousBlue) ? 1 : 0;
+
+        const candidate = { red, keepersMissing, repeats, difference };
+        if (!best
+            || candidate.keepersMissing < best.keepersMissing
+            || (candidate.keepersMissing === best.keepersMissing && candidate.repeats < best.repeats)
+            || (candidate.keepersMissing === best.keepersMissing && candidate.repeats === best.repeats
+                && candidate.difference < best.difference)) {
+            best = candidate;
+        }
+    };
+
+    // Try every way of putting whole groups on red that gives red one of the allowed sizes.
+    // Every rule is the same with the colours swapped, so with even teams the first group
+    // can stay on red, which halves the search.
+    const minSize = redSizes[0];
+    const maxSize = redSizes[redSizes.length - 1];
+    const remaining = groups.map((group, index) => groups.slice(index).reduce((sum, rest) => sum + rest.length, 0));
+    const walk = (next, red, redCount, redSum) => {
+        if (redSizes.includes(redCount)) {
+            consider(red, redCount, redSum);
+        }
+
+        for (let group = next; group < groups.length; group++) {
+            if (redCount + remaining[group] < minSize) break;
+            const count = redCount + groups[group].length;
+            if (count <= maxSize) {
+                walk(group + 1, red | groupMasks[group], count, redSum + groupSums[group]);
+            }
+        }
+    };
+    if (minSize === maxSize && groups[0].length <= maxSize) {
+        walk(1, groupMasks[0], groups[0].length, groupSums[0]);
+    } else {
+        walk(0, 0, 0, 0);
+    }
+
+    return best;
+}
+
+function bitCount(mask) {
+    let count = 0;
+    for (let bits = mask; bits; bits &= bits - 1) count++;
+    return count;
+}
+
+function average(team) {
+    return team.reduce((sum, player) => sum + player.rating, 0) / team.length;
+}
+
+// Returns { red, blue, ratings, winProbability, repeatsPrevious }
+async function balanceTeams({ players, together, previous }) {
+    const resolved = await resolvePlayers(players);
+    const groups = groupPlayers(resolved, together);
+    const split = findSplit(resolved, groups, previous);
+    if (!split) {
+        return { status: 400, error: 'Those players can\'t all be kept together on teams this size' };
+    }
+
+    const describe = player => ({
+        auth: player.auth,
+        nickname: player.nickname,
+        rating: player.rating,
+        rated: player.rated,
+        gk: player.gk
+    });
+    const red = resolved.filter((player, index) => split.red & (1 << index));
+    const blue = resolved.filter((player, index) => !(split.red & (1 << index)));
+    const redRating = average(red);
+    const blueRating = average(blue);
+    const redWins = expectedScore(redRating, blueRating);
+
+    return {
+        red: red.map(describe),
+        blue: blue.map(describe),
+        ratings: { red: Math.round(redRating), blue: Math.round(blueRating) },
+        winProbability: {
+            red: Math.round(redWins * 1000) / 1000,
+            blue: Math.round((1 - redWins) * 1000) / 1000
+        },
+        repeatsPrevious: split.repeats === 1
+    };
+}
+
+module.exports = {
+    validateBalanceRequest,
+    balanceTeams
+};
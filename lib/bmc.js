@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { users, vip } = require('./repositories');
+const { extendVip, revokeVipDays } = require('./vip');
+
+// Buy Me a Coffee webhook handling. Every delivery is recorded in the vip_purchases ledger,
+// keyed by the provider's event id so retried deliveries are applied only once. Payments
+// that can't be tied to an account for certain are parked as 'unmatched' for an admin.
+
+const VIP_DAYS_PER_PURCHASE = parseInt(process.env.VIP_DAYS_PER_PURCHASE) || 30;
+
+const PURCHASE_EVENTS = ['donation.created', 'membership.started', 'extra_purchase.created'];
+// Also sent for plan and metadata edits; only a later billing period is a renewal payment
+const RENEWAL_EVENTS = ['membership.updated'];
+const REFUND_EVENTS = ['donation.refunded', 'membership.refunded', 'extra_purchase.refunded'];
+const CANCEL_EVENTS = ['membership.cancelled', 'recurring_donation.cancelled'];
+
+// Supporters name the account in the support note: "auth:<id>" or "nick:<nickname>"
+// (punctuation right after the name is not part of it)
+const ACCOUNT_MARKER = /\b(auth|nick):\s*(\S+?)[.,;!?]*(?=\s|$)/i;
+
+// Body of the admin route that hands a parked payment to a player
+const assignPurchaseSchema = {
+    auth: { type: 'string', required: true, minLength: 1, maxLength: 100, message: 'auth is required' }
+};
+
+function failure(status, error) {
+    return { status, error };
+}
+
+function verifySignature(rawBody, signature) {
+    const secret = process.env.BMC_WEBHOOK_SECRET;
+    if (!secret || !rawBody || typeof signature !== 'string') return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const a = Buffer.from(expected);
+    const b = Buffer.from(signature.trim().toLowerCase());
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Returns an error message, or null. Only what handleEvent relies on is checked.
+function validateEvent(event) {
+    if (!event || typeof event !== 'object') return 'Webhook body must be a JSON object';
+    if (!event.event_id && !event.id) return 'Webhook event has no id';
+    if (typeof event.type !== 'string') return 'Webhook event has no type';
+    if (event.data !== undefined && (!event.data || typeof event.data !== 'object')) return 'Webhook data must be an object';
+    return null;
+}
+
+// Remember the supporter's email so their later payments map without a note. An email
+// already linked to another account is left alone.
+async function linkBmcEmail(auth, email) {
+    if (!email || await users.findByBmcEmail(email)) return;
+
+    const user = await users.get(auth);
+    if (user && !user.bmc_email) {
+        await users.update(auth, { bmc_email: email });
+    }
+}
+
+// Find the player a supporter paid for: an email already linked to an account, then an
+// account named with a marker in the support note. Free text is never guessed at.
+async function resolveSupporter(data) {
+    const email = data.supporter_email ? String(data.supporter_email).toLowerCase() : null;
+
+    if (email) {
+        const linked = await users.findByBmcEmail(email);
+        if (linked) return linked.auth;
+    }
+
+    const marker = ACCOUNT_MARKER.exec(String(data.support_note || ''));
+    if (!marker) return null;
+
+    const [, kind, value] = marker;
+    let auth = null;
+    if (kind.toLowerCase() === 'auth') {
+        auth = (await users.get(value))?.auth || null;
+    } else {
+        const matches = await users.findByNickname(value);
+        if (matches.length === 1) auth = matches[0].auth;
+    }
+
+    if (auth) {
+        await linkBmcEmail(auth, email);
+    }
+    return auth;
+}
+
+// End of the membership's current billing period (BMC sends unix seconds), or null
+function periodEnd(data) {
+    const value = data?.current_period_end;
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = typeof value === 'number' || /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function classifyEvent(event) {
+    if (REFUND_EVENTS.includes(event.type) || event.data?.refunded === true || event.data?.refunded === 'true') {
+        return 'refund';
+    }
+    if (CANCEL_EVENTS.includes(event.type)) return 'cancel';
+    if (PURCHASE_EVENTS.includes(event.type)) return 'purchase';
+    if (RENEWAL_EVENTS.includes(event.type)) return 'renewal';
+    return 'ignored';
+}
+
+async function applyPurchase(entry, data) {
+    const auth = await resolveSupporter(data);
+    if (!auth) {
+        return { status: 'unmatched' };
+    }
+
+    const expiresAt = await extendVip(auth, VIP_DAYS_PER_PURCHASE);
+    return { status: 'granted', auth, days: VIP_DAYS_PER_PURCHASE, vip_expires_at: expiresAt.toISOString() };
+}
+
+// A membership update only pays for VIP when it moves the billing period past the last
+// one granted. Edits keep the period and are ignored; memberships this server never
+// granted can't be told apart from edits, so they're parked.
+async function applyRenewal(entry, data) {
+    const end = periodEnd(data);
+    if (!end) {
+        return { status: 'ignored' };
+    }
+
+    // A refunded period still counts, so the refund isn't undone by a repeated update
+    const previous = entry.payment_id ? await vip.findGrantedPurchase(entry.payment_id, { includeRefunded: true }) : null;
+    const previousEnd = periodEnd(previous?.payload?.data);
+    if (!previous || !previous.auth || !previousEnd) {
+        return { status: 'unmatched' };
+    }
+    if (end <= previousEnd) {
+        return { status: 'ignored' };
+    }
+
+    const expiresAt = await extendVip(previous.auth, VIP_DAYS_PER_PURCHASE);
+    return { status: 'granted', auth: previous.auth, days: VIP_DAYS_PER_PURCHASE, vip_expires_at: expiresAt.toISOString() };
+}
+
+async function applyRefund(entry, data) {
+    // Undo exactly what the original payment granted. The original is marked refunded
+    // first, so two refunds of the same payment can't both take the days back.
+    const original = await vip.findGrantedPurchase(entry.payment_id);
+    if (!original || !original.auth || !await vip.claimRefund(original.id)) {
+        return { status: 'ignored' };
+    }
+
+    let expiresAt;
+    try {
+        expiresAt = await revokeVipDays(original.auth, original.days);
+    } catch (err) {
+        await vip.updatePurchase(original.id, { status: 'granted' });
+        throw err;
+    }
+
+    return {
+        status: 'refund',
+        auth: original.auth,
+        days: -original.days,
+        vip_expires_at: expiresAt ? expiresAt.toISOString() : null
+    };
+}
+
+async function applyCancel(entry, data) {
+    // VIP already paid for runs until it expires; cancelling only stops future renewals
+    const auth = await resolveSupporter(data);
+    return { status: 'cancelled', auth };
+}
+
+// Returns { duplicate } or { status, auth } for the processed event
+async function handleEvent(event) {
+    const data = event.data || {};
+    const eventId = String(event.event_id || event.id || '');
+    if (!eventId) {
+        throw new Error('Webhook event has no id');
+    }
+
+    const entry = {
+        event_id: eventId,
+        event_type: event.type,
+        payment_id: data.id != null ? String(data.id) : null,
+        supporter_email: data.supporter_email ? String(data.supporter_email).toLowerCase() : null,
+        supporter_name: data.supporter_name || null,
+        amount: data.amount != null ? Number(data.amount) : null,
+        currency: data.currency || null,
+        status: 'processing',
+        payload: event
+    };
+
+    // Claim the event id first; the unique constraint makes concurrent retries no-ops
+    const purchaseId = await vip.claimPurchase(entry);
+    if (!purchaseId) {
+        return { duplicate: true };
+    }
+
+    // Changing VIP is the last step of each handler, so an error means nothing was granted or
+    // taken back yet
+    let result = { status: 'ignored' };
+    try {
+        const kind = classifyEvent(event);
+        if (kind === 'purchase') result = await applyPurchase(entry, data);
+        else if (kind === 'renewal') result = await applyRenewal(entry, data);
+        else if (kind === 'refund') result = await applyRefund(entry, data);
+        else if (kind === 'cancel') result = await applyCancel(entry, data);
+    } catch (err) {
+        // Release the claim so the provider's retry can process it again
+        await vip.deletePurchase(purchaseId);
+        throw err;
+    }
+
+    const outcome = {
+        status: result.status,
+        auth: result.auth || null,
+        days: result.days || 0,
+        vip_expires_at: result.vip_expires_at || null,
+        processed_at: new Date().toISOString()
+    };
+    try {
+        await vip.updatePurchase(purchaseId, outcome);
+    } catch (err) {
+        if (!outcome.days) {
+            await vip.deletePurchase(purchaseId);
+            throw err;
+        }
+        // VIP has changed: the claim stays so a retry is a duplicate, not a second grant.
+        // The entry is flagged for an admin, or left 'processing' if even that fails.
+        await vip.updatePurchase(purchaseId, { ...outcome, status: 'failed' }).catch(flagError => {
+            console.error(`Error flagging VIP purchase ${purchaseId} as failed:`, flagError);
+        });
+        throw err;
+    }
+
+    return result;
+}
+
+// Admin: payments parked because no account could be tied to them
+async function listUnmatchedPurchases() {
+    const purchases = await vip.listPurchases('unmatched');
+    return purchases.map(({ payload, ...purchase }) => ({
+        ...purchase,
+        supportNote: payload?.data?.support_note || null
+    }));
+}
+
+// Admin: grant a parked payment to a player, and link the supporter's email to them
+// so later payments map on their own. Returns { auth, days, expiresAt }.
+async function assignPurchase(purchaseId, auth) {
+    const purchase = Number.isInteger(purchaseId) ? await vip.findPurchase(purchaseId) : null;
+    if (!purchase) {
+        return failure(404, 'Payment not found');
+    }
+    if (purchase.status !== 'unmatched') {
+        return failure(409, 'This payment was already handled');
+    }
+    if (!await users.get(auth)) {
+        return failure(404, 'Player not found');
+    }
+
+    await linkBmcEmail(auth, purchase.supporter_email);
+    const expiresAt = await extendVip(auth, VIP_DAYS_PER_PURCHASE);
+    await vip.updatePurchase(purchase.id, {
+        status: 'granted',
+        auth,
+        days: VIP_DAYS_PER_PURCHASE,
+        vip_expires_at: expiresAt.toISOString(),
+        processed_at: new Date().toISOString()
+    });
+
+    return { auth, days: VIP_DAYS_PER_PURCHASE, expiresAt };
+}
+
+module.exports = {
+    VIP_DAYS_PER_PURCHASE,
+    verifySignature,
+    validateEvent,
+    handleEvent,
+    listUnmatchedPurchases,
+    assignPurchase,
+    assignPurchaseSchema
+};
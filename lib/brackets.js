@@ -0,0 +1,282 @@
+// Tournament brackets, independent of storage. A bracket is a list of matches:
+//   { key, bracket, round, position, entry1_id, entry2_id, winner_id, status,
+//     next_key, next_slot, loser_next_key, loser_next_slot }
+// where bracket is 'winners', 'losers', 'final' or 'round_robin' and the next_* fields say
+// which slot (0 = entry1, 1 = entry2) of which match the winner and loser move on to.
+// status: 'pending' (waiting for an earlier match), 'ready', 'reported' or 'completed'.
+// A match whose opponent can never arrive (an empty seed, or a bye further up) completes
+// on its own, so byes need no special casing.
+
+const FORMATS = ['single_elimination', 'double_elimination', 'round_robin'];
+
+// Seed positions in a bracket of `size` (a power of two), so 1 and 2 can only meet in the
+// final: 1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight
+function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const mirror = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, mirror - seed]);
+    }
+    return order;
+}
+
+function newMatch(key, bracket, round, position, next = null, loserNext = null) {
+    return {
+        key,
+        bracket,
+        round,
+        position,
+        entry1_id: null,
+        entry2_id: null,
+        winner_id: null,
+        status: 'pending',
+        next_key: next ? next.key : null,
+        next_slot: next ? next.slot : null,
+        loser_next_key: loserNext ? loserNext.key : null,
+        loser_next_slot: loserNext ? loserNext.slot : null
+    };
+}
+
+// The winners bracket: rounds of halving size, seeds placed in round 1.
+// finalNext: where the winner of the last round goes (the grand final in double elimination).
+function winnersBracket(entryIds, rounds, loserTarget, finalNext = null) {
+    const size = 2 ** rounds;
+    const order = seedOrder(size);
+    const matches = [];
+
+    for (let round = 1; round <= rounds; round++) {
+        const count = size / 2 ** round;
+        for (let position = 1; position <= count; position++) {
+            const next = round < rounds
+                ? { key: `W${round + 1}-${Math.ceil(position / 2)}`, slot: (position - 1) % 2 }
+                : finalNext;
+            const match = newMatch(`W${round}-${position}`, 'winners', round, position, next, loserTarget(round, position, count));
+            if (round === 1) {
+                match.entry1_id = entryIds[order[position * 2 - 2] - 1] ?? null;
+                match.entry2_id = entryIds[order[position * 2 - 1] - 1] ?? null;
+            }
+            matches.push(match);
+        }
+    }
+    return matches;
+}
+
+function singleElimination(entryIds) {
+    const rounds = Math.max(1, Math.ceil(Math.log2(entryIds.length)));
+    return winnersBracket(entryIds, rounds, () => null);
+}
+
+// Losers of winners round 1 play each other; after that each losers round alternates
+// between taking in the losers of the next winners round and halving the field. The losers
+// bracket winner meets the winners bracket winner in the grand final (F1), which is replayed
+// (F2) if the player from the losers bracket wins it.
+function doubleElimination(entryIds) {
+    const rounds = Math.max(1, Math.ceil(Math.log2(entryIds.length)));
+    const size = 2 ** rounds;
+    const loserRounds = 2 * (rounds - 1);
+    const grandFinal = { key: 'F1', slot: 0 };
+    const intoFinal = { key: 'F1', slot: 1 };
+
+    // Losers of winners round r drop into losers round 1 (r = 1) or 2(r - 1); every other
+    // drop round is filled in reverse so early opponents don't meet again straight away
+    const loserTarget = (round, position, count) => {
+        if (loserRounds === 0) return intoFinal;
+        if (round === 1) {
+            return { key: `L1-${Math.ceil(position / 2)}`, slot: (position - 1) % 2 };
+        }
+        const target = round % 2 === 0 ? count + 1 - position : position;
+        return { key: `L${2 * (round - 1)}-${target}`, slot: 1 };
+    };
+
+    const matches = winnersBracket(entryIds, rounds, loserTarget, grandFinal);
+
+    for (let round = 1; round <= loserRounds; round++) {
+        const count = size / 2 ** (Math.floor((round + 1) / 2) + 1);
+        for (let position = 1; position <= count; position++) {
+            let next;
+            if (round === loserRounds) {
+                next = intoFinal;
+            } else if (round % 2 === 1) {
+                // Odd rounds feed the drop-in round of the same size
+                next = { key: `L${round + 1}-${position}`, slot: 0 };
+            } else {
+                next = { key: `L${round + 1}-${Math.ceil(position / 2)}`, slot: (position - 1) % 2 };
+            }
+            matches.push(newMatch(`L${round}-${position}`, 'losers', round, position, next));
+        }
+    }
+
+    matches.push(newMatch('F1', 'final', 1, 1));
+    return matches;
+}
+
+// Circle method: one entrant stays put while the rest rotate. With an odd field the
+// empty seat is a rest round, which gets no match.
+function roundRobin(entryIds) {
+    const seats = entryIds.length % 2 === 0 ? [...entryIds] : [...entryIds, null];
+    const matches = [];
+
+    for (let round = 1; round < seats.length; round++) {
+        let position = 0;
+        for (let i = 0; i < seats.length / 2; i++) {
+            const home = seats[i];
+            const away = seats[seats.length - 1 - i];
+            if (home === null || away === null) continue;
+
+            const match = newMatch(`R${round}-${++position}`, 'round_robin', round, position);
+            match.entry1_id = home;
+            match.entry2_id = away;
+            matches.push(match);
+        }
+        seats.splice(1, 0, seats.pop());
+    }
+    return matches;
+}
+
+// entryIds in seed order, best first
+function generateBracket(format, entryIds) {
+    let matches;
+    if (format === 'single_elimination') matches = singleElimination(entryIds);
+    else if (format === 'double_elimination') matches = doubleElimination(entryIds);
+    else matches = roundRobin(entryIds);
+
+    settle(matches);
+    return matches;
+}
+
+function place(byKey, target, entryId) {
+    if (!target.key) return;
+    const match = byKey.get(target.key);
+    match[target.slot === 0 ? 'entry1_id' : 'entry2_id'] = entryId;
+}
+
+// Whether every match feeding a slot has finished, so the slot's entrant (or its absence) is final
+function slotSettled(matches, key, slot) {
+    return matches.every(match => match.status === 'completed'
+        || !((match.next_key === key && match.next_slot === slot)
+            || (match.loser_next_key === key && match.loser_next_slot === slot)));
+}
+
+// Move a completed match's winner and loser on
+function advance(byKey, match, loserId) {
+    place(byKey, { key: match.next_key, slot: match.next_slot }, match.winner_id);
+    place(byKey, { key: match.loser_next_key, slot: match.loser_next_slot }, loserId);
+}
+
+// Open pending matches whose entrants are known, and complete those left with one entrant
+// (or none). Returns the keys of the matches that changed.
+function settle(matches) {
+    const byKey = new Map(matches.map(match => [match.key, match]));
+    const changed = new Set();
+
+    let progress = true;
+    while (progress) {
+        progress = false;
+        for (const match of matches) {
+            if (match.status !== 'pending') continue;
+            if (!slotSettled(matches, match.key, 0) || !slotSettled(matches, match.key, 1)) continue;
+
+            if (match.entry1_id && match.entry2_id) {
+                match.status = 'ready';
+            } else {
+                // A walkover: the lone entrant goes through, nobody drops down
+                match.status = 'completed';
+                match.winner_id = match.entry1_id || match.entry2_id || null;
+                advance(byKey, match, null);
+                if (match.next_key) changed.add(match.next_key);
+                if (match.loser_next_key) changed.add(match.loser_next_key);
+            }
+            changed.add(match.key);
+            progress = true;
+        }
+    }
+    return [...changed];
+}
+
+// Record a played match and move the bracket on. Returns the keys of the matches that changed,
+// plus a grand final replay when the losers bracket player takes F1.
+function completeMatch(matches, key, winnerId) {
+    const byKey = new Map(matches.map(match => [match.key, match]));
+    const match = byKey.get(key);
+    const loserId = match.entry1_id === winnerId ? match.entry2_id : match.entry1_id;
+
+    match.status = 'completed';
+    match.winner_id = winnerId;
+    advance(byKey, match, loserId);
+
+    const changed = new Set([key, match.next_key, match.loser_next_key].filter(Boolean));
+    let replay = null;
+    if (key === 'F1' && winnerId === match.entry2_id) {
+        replay = newMatch('F2', 'final', 2, 1);
+        replay.entry1_id = match.entry1_id;
+        replay.entry2_id = match.entry2_id;
+        replay.status = 'ready';
+    }
+
+    settle(matches).forEach(changedKey => changed.add(changedKey));
+    return { changed: [...changed], replay };
+}
+
+// Round robin table: 3 points a win, 1 a draw; then goal difference and goals scored
+function standings(entries, matches) {
+    const rows = new Map(entries.map(entry => [entry.id, {
+        entryId: entry.id, played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0, points: 0
+    }]));
+
+    matches
+        .filter(match => match.status === 'completed' && match.score1 !== null && match.score1 !== undefined)
+        .forEach(match => {
+            const sides = [
+                [rows.get(match.entry1_id), match.score1, match.score2],
+                [rows.get(match.entry2_id), match.score2, match.score1]
+            ];
+            sides.forEach(([row, scored, conceded]) => {
+                if (!row) return;
+                row.played++;
+                row.goalsFor += scored;
+                row.goalsAgainst += conceded;
+                if (scored > conceded) {
+                    row.wins++;
+                    row.points += 3;
+                } else if (scored === conceded) {
+                    row.draws++;
+                    row.points += 1;
+                } else {
+                    row.losses++;
+                }
+            });
+        });
+
+    const seedOf = new Map(entries.map(entry => [entry.id, entry.seed ?? Infinity]));
+    return [...rows.values()].sort((a, b) => b.points - a.points
+        || (b.goalsFor - b.goalsAgainst) - (a.goalsFor - a.goalsAgainst)
+        || b.goalsFor - a.goalsFor
+        || seedOf.get(a.entryId) - seedOf.get(b.entryId));
+}
+
+// The winning entry id once the bracket is decided, else null
+function findChampion(format, entries, matches) {
+    if (format === 'round_robin') {
+        if (matches.some(match => match.status !== 'completed')) return null;
+        return standings(entries, matches)[0]?.entryId ?? null;
+    }
+
+    const finalKey = format === 'double_elimination'
+        ? (matches.some(match => match.key === 'F2') ? 'F2' : 'F1')
+        : matches.filter(match => match.bracket === 'winners').reduce((last, match) => (match.round > last.round ? match : last)).key;
+    const final = matches.find(match => match.key === finalKey);
+    if (final.status !== 'completed') return null;
+
+    // F1 won from the losers bracket forces a replay
+    if (finalKey === 'F1' && final.winner_id === final.entry2_id && final.entry1_id) return null;
+    return final.winner_id;
+}
+
+module.exports = {
+    FORMATS,
+    seedOrder,
+    generateBracket,
+    completeMatch,
+    standings,
+    findChampion
+};
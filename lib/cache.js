@@ -0,0 +1,138 @@
+const NodeCache = require('node-cache');
+
+// One cache for the whole app. Entries are per item (one profile, one VIP status, one
+// session...) and their keys come from `keys`, so readers and writers always agree on
+// the name of an entry. The part before the first ':' is the entry's type, which the
+// hit/miss metrics are grouped by.
+const cache = new NodeCache({ stdTTL: 7 * 60 }); // 7 minutes TTL
+
+const keys = {
+    profile: auth => `profile:${auth}`,
+    vip: auth => `vip:${auth}`,
+    role: auth => `role:${auth}`,
+    session: id => `session:${id}`,
+    apiKey: hash => `apikey:${hash}`,
+    rooms: scope => `rooms:${scope}`,
+    roomLink: () => 'room_link',
+    seasons: () => 'seasons'
+};
+
+const loading = new Map(); // key -> load in flight
+const metrics = new Map(); // type -> counters
+
+function typeOf(key) {
+    return key.split(':')[0];
+}
+
+function count(key, counter, amount = 1) {
+    const type = typeOf(key);
+    if (!metrics.has(type)) {
+        metrics.set(type, { hits: 0, misses: 0, loads: 0, loadErrors: 0, invalidations: 0 });
+    }
+    metrics.get(type)[counter] += amount;
+}
+
+// Cached value, or undefined
+function get(key) {
+    const value = cache.get(key);
+    count(key, value === undefined ? 'misses' : 'hits');
+    return value;
+}
+
+function set(key, value, ttl) {
+    // A load still in flight would overwrite this with older data
+    loading.delete(key);
+    return ttl === undefined ? cache.set(key, value) : cache.set(key, value, ttl);
+}
+
+// Cached value, or the result of load(), which is then cached. Concurrent misses on the
+// same key share one load instead of all hitting the database. null and undefined
+// results are returned but not cached.
+function getOrLoad(key, load, ttl) {
+    const cached = get(key);
+    if (cached !== undefined) return Promise.resolve(cached);
+    if (loading.has(key)) return loading.get(key);
+
+    count(key, 'loads');
+    const pending = (async () => {
+        try {
+            const value = await load();
+            // Skip the write if the entry was invalidated or set while loading
+            if (loading.get(key) === pending && value !== null && value !== undefined) {
+                if (ttl === undefined) cache.set(key, value);
+                else cache.set(key, value, ttl);
+            }
+            return value;
+        } catch (err) {
+            count(key, 'loadErrors');
+            throw err;
+        } finally {
+            if (loading.get(key) === pending) loading.delete(key);
+        }
+    })();
+
+    loading.set(key, pending);
+    return pending;
+}
+
+// Drop one or more entries
+function invalidate(keyOrKeys) {
+    const list = Array.isArray(keyOrKeys) ? keyOrKeys : [keyOrKeys];
+    list.forEach(key => {
+        loading.delete(key);
+        count(key, 'invalidations', cache.del(key));
+    });
+}
+
+// Drop every entry of a type, e.g. invalidateType('profile')
+function invalidateType(type) {
+    invalidate(cache.keys().filter(key => typeOf(key) === type));
+    [...loading.keys()].filter(key => typeOf(key) === type).forEach(key => loading.delete(key));
+}
+
+function flush() {
+    const flushed = cache.keys().length;
+    cache.flushAll();
+    loading.clear();
+    return flushed;
+}
+
+// Hit/miss counters since startup, overall and per entry type
+function cacheStats() {
+    const entries = cache.keys();
+    const byType = {};
+    metrics.forEach((counters, type) => {
+        byType[type] = { ...counters, entries: 0 };
+    });
+    entries.forEach(key => {
+        const type = typeOf(key);
+        byType[type] = byType[type] || { hits: 0, misses: 0, loads: 0, loadErrors: 0, invalidations: 0, entries: 0 };
+        byType[type].entries++;
+    });
+
+    const total = Object.values(byType).reduce((acc, counters) => {
+        Object.keys(acc).forEach(counter => {
+            acc[counter] += counters[counter];
+        });
+        return acc;
+    }, { hits: 0, misses: 0, loads: 0, loadErrors: 0, invalidations: 0, entries: 0 });
+
+    const lookups = total.hits + total.misses;
+    return {
+        ...total,
+        hitRate: lookups > 0 ? Math.round((total.hits / lookups) * 1000) / 1000 : null,
+        loadsInFlight: loading.size,
+        byType
+    };
+}
+
+module.exports = {
+    keys,
+    get,
+    set,
+    getOrLoad,
+    invalidate,
+    invalidateType,
+    flush,
+    cacheStats
+};
@@ -0,0 +1,172 @@
+const supabase = require('./supabase');
+const catalog = require('../data/career.json');
+
+// Career mode: players are unlocked with coins earned in matches. The catalog
+// (nations -> tiers -> paths -> players) is static data; balances and unlocks are
+// stored per account and every unlock is validated here and in career_unlock().
+
+const COINS_PER_RESULT = {
+    W: parseInt(process.env.CAREER_COINS_WIN) || 30,
+    D: parseInt(process.env.CAREER_COINS_DRAW) || 15,
+    L: parseInt(process.env.CAREER_COINS_LOSS) || 5
+};
+const COINS_PER_GOAL = 5;
+const COINS_PER_ASSIST = 3;
+const COINS_PER_CLEAN_SHEET = 10;
+
+const UNLOCK_ERRORS = {
+    already_unlocked: 'Player is already unlocked',
+    missing_prerequisite: 'Unlock a player from the previous tier of this path first',
+    insufficient_coins: 'Not enough coins to unlock this player'
+};
+
+// Body of the unlock and select routes (see lib/validate.js)
+const careerPlayerSchema = {
+    playerId: { type: 'string', required: true, maxLength: 50 }
+};
+
+// playerId -> { ...player, nation, tier, path, requires: [ids in the same path one tier down] }
+const playersById = {};
+Object.entries(catalog.nations).forEach(([nation, nationInfo]) => {
+    nationInfo.tiers.forEach((tier, tierIndex) => {
+        tier.paths.forEach((path, pathIndex) => {
+            const previousPath = tierIndex > 0 ? nationInfo.tiers[tierIndex - 1].paths[pathIndex] : null;
+            path.players.forEach(player => {
+                playersById[player.id] = {
+                    ...player,
+                    nation,
+                    tier: tierIndex + 1,
+                    path: pathIndex + 1,
+                    requires: previousPath ? previousPath.players.map(p => p.id) : []
+                };
+            });
+        });
+    });
+});
+
+// Free players are owned by everyone without an unlock row
+function isFree(playerId) {
+    return playersById[playerId]?.cost === 0;
+}
+
+function getCatalog() {
+    return catalog;
+}
+
+// Coin balance, unlocked players (free ones included) and the selected player
+async function getCareer(auth) {
+    const { data: profile, error } = await supabase
+        .from('career_profiles')
+        .select('coins, selected_player')
+        .eq('auth', auth)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    const { data: unlocks, error: unlockError } = await supabase
+        .from('career_unlocks')
+        .select('player_id')
+        .eq('auth', auth);
+
+    if (unlockError) {
+        throw unlockError;
+    }
+
+    const freePlayers = Object.keys(playersById).filter(isFree);
+    const unlocked = [...new Set([...freePlayers, ...unlocks.map(row => row.player_id)])];
+
+    return {
+        coins: profile?.coins || 0,
+        selectedPlayer: profile?.selected_player || null,
+        unlocked
+    };
+}
+
+// Returns { coins } or { error, status }
+async function unlockPlayer(auth, playerId) {
+    const player = playersById[playerId];
+    if (!player) {
+        return { error: 'Unknown player', status: 404 };
+    }
+    if (player.cost === 0) {
+        return { error: UNLOCK_ERRORS.already_unlocked, status: 409 };
+    }
+
+    // A free player in the previous tier counts as unlocked already
+    const requires = player.requires.some(isFree) ? [] : player.requires;
+
+    const { data: result, error } = await supabase.rpc('career_unlock', {
+        p_auth: auth,
+        p_player_id: playerId,
+        p_cost: player.cost,
+        p_requires: requires
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    if (result.error) {
+        return { error: UNLOCK_ERRORS[result.error] || 'Unlock failed', status: result.error === 'already_unlocked' ? 409 : 400 };
+    }
+
+    return { coins: result.coins };
+}
+
+// Returns null on success or { error, status }
+async function selectPlayer(auth, playerId) {
+    if (!playersById[playerId]) {
+        return { error: 'Unknown player', status: 404 };
+    }
+
+    const { unlocked } = await getCareer(auth);
+    if (!unlocked.includes(playerId)) {
+        return { error: 'Unlock this player before selecting them', status: 400 };
+    }
+
+    const { error } = await supabase
+        .from('career_profiles')
+        .upsert({ auth, selected_player: playerId, updated_at: new Date().toISOString() }, { onConflict: 'auth' });
+
+    if (error) {
+        throw error;
+    }
+
+    return null;
+}
+
+function coinsForMatch(player) {
+    return COINS_PER_RESULT[player.result]
+        + player.goals * COINS_PER_GOAL
+        + player.assists * COINS_PER_ASSIST
+        + (player.clean_sheet ? COINS_PER_CLEAN_SHEET : 0);
+}
+
+// Pay out coins for a recorded match; players are the rows returned by recordMatch().
+// Returns the coins actually credited as [{ auth, amount }]: players without an account and
+// players already paid for this match get nothing.
+async function awardMatchCoins(matchId, players) {
+    const awards = players.map(player => ({ auth: player.auth, amount: coinsForMatch(player) }));
+
+    const { data, error } = await supabase.rpc('award_career_coins', {
+        p_match_id: matchId,
+        p_awards: awards
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+module.exports = {
+    careerPlayerSchema,
+    getCatalog,
+    getCareer,
+    unlockPlayer,
+    selectPlayer,
+    awardMatchCoins
+};
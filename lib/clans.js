@@ -0,0 +1,683 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, fetchAll } = require('./repositories');
+const { rankingsIndex } = require('./rankingsIndex');
+
+// Clans: player-run groups with a tag shown next to their members' names. Roles:
+//   leader  - one per clan; edits and disbands it, promotes and demotes, kicks anyone
+//   officer - invites players, accepts join requests, kicks members
+//   member  - can leave
+// A clan invites a player or a player asks to join; the other side accepting adds the
+// member. When the leader leaves the longest-serving officer (or member) takes over, and
+// the last member leaving disbands the clan.
+//
+// Clans and memberships are kept in memory, which serves the tags on the rankings and the
+// clan leaderboard. The copy is reloaded once it is CLAN_CACHE_TTL seconds old, so changes
+// made by other instances or directly in the database show up. Permission checks don't
+// trust it: they read the players' clan_members rows first. Functions return
+// { error, status } when the request can't be honoured.
+
+const CLAN_CACHE_TTL = parseInt(process.env.CLAN_CACHE_TTL) || 60; // Seconds before memberships are reloaded
+const MAX_MEMBERS = 30;
+const ROLES = ['leader', 'officer', 'member'];
+const ROLE_RANK = { member: 0, officer: 1, leader: 2 };
+const LEADERBOARD_SORTS = ['points', 'goals', 'wins', 'members'];
+const CLAN_COLUMNS = 'id, name, tag, color, description, created_by, created_at';
+
+const NAME_FIELD = { type: 'string', minLength: 3, maxLength: 30 };
+const TAG_FIELD = { type: 'string', pattern: /^[A-Za-z0-9]{2,5}$/, message: 'tag must be 2 to 5 letters or digits' };
+const COLOR_FIELD = { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/, message: 'color must be a hex colour like #FFD700' };
+const DESCRIPTION_FIELD = { type: 'string', nullable: true, maxLength: 200 };
+
+// Request bodies (see lib/validate.js)
+const createClanSchema = {
+    name: { ...NAME_FIELD, required: true },
+    tag: { ...TAG_FIELD, required: true },
+    color: COLOR_FIELD,
+    description: DESCRIPTION_FIELD
+};
+const updateClanSchema = {
+    name: NAME_FIELD,
+    tag: TAG_FIELD,
+    color: COLOR_FIELD,
+    description: DESCRIPTION_FIELD
+};
+const clanInviteSchema = {
+    auth: { type: 'string', required: true, maxLength: 100 }
+};
+const clanRoleSchema = {
+    role: { type: 'string', required: true, enum: ROLES }
+};
+
+let clans = new Map(); // clan id -> clans row
+let members = new Map(); // auth -> { clanId, role, joinedAt }
+let loading = null;
+let loadedAt = null;
+let writes = 0; // Bumped on every local change, so a reload that raced one is thrown away
+
+function failure(status, error) {
+    return { status, error };
+}
+
+async function loadClans() {
+    const writesBefore = writes;
+    const [clanRows, memberRows] = await Promise.all([
+        fetchAll(() => supabase.from('clans').select(CLAN_COLUMNS).order('id')),
+        fetchAll(() => supabase.from('clan_members').select('auth, clan_id, role, joined_at').order('auth'))
+    ]);
+
+    // Rows read before a local change would undo it; the next call reloads instead
+    if (writes !== writesBefore) return;
+    clans = new Map(clanRows.map(row => [row.id, row]));
+    members = new Map(memberRows.map(row => [row.auth, { clanId: row.clan_id, role: row.role, joinedAt: row.joined_at }]));
+    loadedAt = new Date();
+}
+
+async function ready() {
+    if (loadedAt && Date.now() - loadedAt < CLAN_CACHE_TTL * 1000) return;
+    if (!loading) {
+        loading = loadClans().finally(() => {
+            loading = null;
+        });
+    }
+    await loading;
+}
+
+function membersOf(clanId) {
+    return [...members].filter(([, member]) => member.clanId === clanId);
+}
+
+function summarize(clan) {
+    return { id: clan.id, name: clan.name, tag: clan.tag, color: clan.color };
+}
+
+function sameText(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// Returns an error message if another clan already uses the name or tag, or null
+function takenBy(name, tag, exceptId = null) {
+    for (const clan of clans.values()) {
+        if (clan.id === exceptId) continue;
+        if (name !== undefined && sameText(clan.name, name)) return 'A clan with that name already exists';
+        if (tag !== undefined && sameText(clan.tag, tag)) return 'That tag is already taken';
+    }
+    return null;
+}
+
+// Members' stats added up. Elo is the average over members with ranked stats.
+function aggregate(clanId) {
+    const totals = { members: 0, points: null, goals: 0, wins: 0, gamesPlayed: 0 };
+    let pointsSum = 0;
+    let ranked = 0;
+
+    membersOf(clanId).forEach(([auth]) => {
+        totals.members++;
+        const row = rankingsIndex.get(auth);
+        if (!row) return;
+        ranked++;
+        pointsSum += row.points ?? 0;
+        totals.goals += row.goals ?? 0;
+        totals.wins += row.wins ?? 0;
+        totals.gamesPlayed += row.games_played ?? 0;
+    });
+
+    if (ranked > 0) totals.points = Math.round(pointsSum / ranked);
+    return totals;
+}
+
+// A player's membership as stored right now, or null. Refreshes the in-memory copy; a
+// clan this instance hasn't loaded yet makes the next call reload everything instead.
+async function fetchMember(auth) {
+    const { data, error } = await supabase
+        .from('clan_members')
+        .select('clan_id, role, joined_at')
+        .eq('auth', auth)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    const member = data && { clanId: data.clan_id, role: data.role, joinedAt: data.joined_at };
+    if (member && !clans.has(member.clanId)) {
+        loadedAt = null;
+    } else if (member) {
+        members.set(auth, member);
+    } else {
+        members.delete(auth);
+    }
+    writes++;
+    return member;
+}
+
+// The caller's membership of the clan, or a failure if they lack the role
+async function checkRole(auth, clanId, minimumRole) {
+    const member = await fetchMember(auth);
+    if (!member || member.clanId !== clanId) {
+        return clans.has(clanId) ? failure(403, 'You are not in this clan') : failure(404, 'Clan not found');
+    }
+    if (ROLE_RANK[member.role] < ROLE_RANK[minimumRole]) {
+        return failure(403, `Only the clan ${minimumRole === 'leader' ? 'leader' : 'leader or officers'} can do that`);
+    }
+    return { clan: clans.get(clanId), member };
+}
+
+// Nicknames for players, whether or not they have ranked stats
+async function nicknamesOf(auths) {
+    const names = {};
+    const missing = [];
+    auths.forEach(auth => {
+        const row = rankingsIndex.get(auth);
+        if (row) names[auth] = row.nicknames[0] || null;
+        else missing.push(auth);
+    });
+
+    const rows = await users.listByAuths(missing);
+    rows.forEach(user => {
+        names[user.auth] = user.nicknames?.[0] || null;
+    });
+    return names;
+}
+
+async function getInvite(id) {
+    if (!Number.isInteger(id)) return null;
+    const { data, error } = await supabase
+        .from('clan_invites')
+        .select('id, clan_id, auth, kind, created_by, created_at')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+async function deleteInvites(column, value) {
+    const { error } = await supabase.from('clan_invites').delete().eq(column, value);
+    if (error) {
+        throw error;
+    }
+}
+
+async function addMember(clanId, auth, role) {
+    if (members.has(auth)) {
+        return failure(409, 'That player is already in a clan');
+    }
+    if (membersOf(clanId).length >= MAX_MEMBERS) {
+        return failure(400, `A clan can have at most ${MAX_MEMBERS} members`);
+    }
+
+    const { data, error } = await supabase
+        .from('clan_members')
+        .insert({ auth, clan_id: clanId, role })
+        .select('joined_at')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, 'That player is already in a clan');
+        }
+        throw error;
+    }
+
+    members.set(auth, { clanId, role, joinedAt: data.joined_at });
+    writes++;
+    // Other invites and requests are moot once the player is in a clan
+    await deleteInvites('auth', auth);
+    return {};
+}
+
+async function setRole(auth, role) {
+    const { error } = await supabase.from('clan_members').update({ role }).eq('auth', auth);
+    if (error) {
+        throw error;
+    }
+    const member = members.get(auth);
+    if (member) member.role = role;
+    writes++;
+}
+
+// Hands the clan from its leader to another member in one statement. Returns false, changing
+// nothing, if either has left the clan or `from` is no longer its leader.
+async function transferLeadership(clanId, from, to) {
+    const { data, error } = await supabase.rpc('transfer_clan_leadership', {
+        p_clan_id: clanId,
+        p_from: from,
+        p_to: to
+    });
+
+    if (error) {
+        throw error;
+    }
+    if (!data) return false;
+
+    [[to, 'leader'], [from, 'officer']].forEach(([auth, role]) => {
+        const member = members.get(auth);
+        if (member) member.role = role;
+    });
+    writes++;
+    return true;
+}
+
+async function deleteClan(clanId) {
+    const { error } = await supabase.from('clans').delete().eq('id', clanId);
+    if (error) {
+        throw error;
+    }
+    membersOf(clanId).forEach(([auth]) => members.delete(auth));
+    clans.delete(clanId);
+    writes++;
+}
+
+// After a member leaves: disband an empty clan, or hand a leaderless one to the
+// longest-serving officer, or failing that the longest-serving member
+async function settleLeadership(clanId) {
+    const remaining = membersOf(clanId);
+    if (remaining.length === 0) {
+        await deleteClan(clanId);
+        return;
+    }
+    if (remaining.some(([, member]) => member.role === 'leader')) return;
+
+    const [successor] = remaining.sort(([, a], [, b]) => (
+        ROLE_RANK[b.role] - ROLE_RANK[a.role] || (a.joinedAt < b.joinedAt ? -1 : 1)
+    ));
+    await setRole(successor[0], 'leader');
+}
+
+async function removeMember(auth, member) {
+    const { error } = await supabase.from('clan_members').delete().eq('auth', auth);
+    if (error) {
+        throw error;
+    }
+    members.delete(auth);
+    writes++;
+    await settleLeadership(member.clanId);
+}
+
+// Clans ranked by sort: points (average Elo), goals, wins or members
+async function getClanLeaderboard(sort = 'points') {
+    await Promise.all([ready(), rankingsIndex.ready()]);
+
+    const rows = [...clans.values()].map(clan => ({ ...summarize(clan), ...aggregate(clan.id) }));
+    rows.sort((a, b) => (b[sort] ?? -Infinity) - (a[sort] ?? -Infinity) || a.name.localeCompare(b.name));
+    return rows.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+// A clan with its members' stats, leader first. Returns null for unknown clans.
+async function getClan(clanId) {
+    await Promise.all([ready(), rankingsIndex.ready()]);
+    const clan = clans.get(clanId);
+    if (!clan) return null;
+
+    const roster = membersOf(clanId);
+    const names = await nicknamesOf(roster.map(([auth]) => auth));
+    const memberList = roster
+        .map(([auth, member]) => {
+            const row = rankingsIndex.get(auth);
+            return {
+                auth,
+                nickname: names[auth] || null,
+                role: member.role,
+                joinedAt: member.joinedAt,
+                stats: row ? {
+                    points: row.points ?? 0,
+                    games_played: row.games_played ?? 0,
+                    wins: row.wins ?? 0,
+                    goals: row.goals ?? 0,
+                    assists: row.assists ?? 0
+                } : null
+            };
+        })
+        .sort((a, b) => ROLE_RANK[b.role] - ROLE_RANK[a.role] || (b.stats?.points ?? -1) - (a.stats?.points ?? -1));
+
+    return {
+        ...clan,
+        totals: aggregate(clanId),
+        members: memberList
+    };
+}
+
+// The caller's clan and role, invites waiting for them, and (for officers) their
+// clan's pending invites and join requests
+async function getMyClan(auth) {
+    await ready();
+    const member = members.get(auth);
+
+    let query = supabase
+        .from('clan_invites')
+        .select('id, clan_id, auth, kind, created_at')
+        .order('created_at', { ascending: false });
+    query = member && ROLE_RANK[member.role] >= ROLE_RANK.officer
+        ? query.eq('clan_id', member.clanId)
+        : query.eq('auth', auth).eq('kind', 'invite');
+
+    const { data, error } = await query;
+    if (error) {
+        throw error;
+    }
+
+    const names = await nicknamesOf([...new Set(data.map(row => row.auth))]);
+    const pending = data
+        .filter(row => clans.has(row.clan_id))
+        .map(row => ({
+            id: row.id,
+            kind: row.kind,
+            auth: row.auth,
+            nickname: names[row.auth] || null,
+            clan: summarize(clans.get(row.clan_id)),
+            createdAt: row.created_at
+        }));
+
+    return {
+        clan: member ? summarize(clans.get(member.clanId)) : null,
+        role: member ? member.role : null,
+        invites: pending.filter(row => row.auth === auth && row.kind === 'invite'),
+        pending: member ? pending.filter(row => row.clan.id === member.clanId) : []
+    };
+}
+
+// Clan tag and colour per player, or null, for tags next to names
+async function clanTagsOf(auths) {
+    await ready();
+    return Object.fromEntries(auths.map(auth => {
+        const member = members.get(auth);
+        return [auth, member ? summarize(clans.get(member.clanId)) : null];
+    }));
+}
+
+// The player's clan and role, or null
+async function getMembership(auth) {
+    await ready();
+    const member = members.get(auth);
+    return member ? { clan: summarize(clans.get(member.clanId)), role: member.role } : null;
+}
+
+// A clan with its totals and the auths of its members, or null
+async function getClanRoster(clanId) {
+    await Promise.all([ready(), rankingsIndex.ready()]);
+    const clan = clans.get(clanId);
+    if (!clan) return null;
+    return { ...summarize(clan), totals: aggregate(clanId), members: membersOf(clanId).map(([auth]) => auth) };
+}
+
+// The creator becomes its leader. Returns { clan }.
+async function createClan(auth, { name, tag, color = '#FFFFFF', description = null }) {
+    await ready();
+    if (members.has(auth)) {
+        return failure(409, 'Leave your current clan before creating one');
+    }
+    const taken = takenBy(name.trim(), tag);
+    if (taken) {
+        return failure(409, taken);
+    }
+
+    const { data, error } = await supabase
+        .from('clans')
+        .insert({ name: name.trim(), tag, color, description, created_by: auth })
+        .select(CLAN_COLUMNS)
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, 'That clan name or tag is already taken');
+        }
+        throw error;
+    }
+
+    clans.set(data.id, data);
+    writes++;
+    const joined = await addMember(data.id, auth, 'leader');
+    if (joined.error) {
+        await deleteClan(data.id);
+        return joined;
+    }
+    return { clan: data };
+}
+
+// Leader only. Returns { clan }.
+async function updateClan(auth, clanId, changes) {
+    await ready();
+    const check = await checkRole(auth, clanId, 'leader');
+    if (check.error) return check;
+
+    const update = {};
+    if (changes.name !== undefined) update.name = changes.name.trim();
+    if (changes.tag !== undefined) update.tag = changes.tag;
+    if (changes.color !== undefined) update.color = changes.color;
+    if (changes.description !== undefined) update.description = changes.description;
+    if (Object.keys(update).length === 0) {
+        return failure(400, 'Nothing to update');
+    }
+
+    const taken = takenBy(update.name, update.tag, clanId);
+    if (taken) {
+        return failure(409, taken);
+    }
+
+    const { data, error } = await supabase
+        .from('clans')
+        .update(update)
+        .eq('id', clanId)
+        .select(CLAN_COLUMNS)
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, 'That clan name or tag is already taken');
+        }
+        throw error;
+    }
+
+    clans.set(clanId, data);
+    writes++;
+    return { clan: data };
+}
+
+// Leader only
+async function disbandClan(auth, clanId) {
+    await ready();
+    const check = await checkRole(auth, clanId, 'leader');
+    if (check.error) return check;
+
+    await deleteClan(clanId);
+    return {};
+}
+
+// Officers invite a player; if the player already asked to join they're added straight
+// away. Returns { joined }.
+async function invitePlayer(auth, clanId, target) {
+    await ready();
+    const check = await checkRole(auth, clanId, 'officer');
+    if (check.error) return check;
+
+    if (members.has(target)) {
+        return failure(409, 'That player is already in a clan');
+    }
+    if (!(await users.get(target))) {
+        return failure(404, 'Player not found');
+    }
+
+    return offer(clanId, target, 'invite', auth);
+}
+
+// A player asks to join; if the clan already invited them they're added straight away.
+// Returns { joined }.
+async function requestToJoin(auth, clanId) {
+    await ready();
+    if (!clans.has(clanId)) {
+        return failure(404, 'Clan not found');
+    }
+    if (members.has(auth)) {
+        return failure(409, 'Leave your current clan first');
+    }
+
+    return offer(clanId, auth, 'request', auth);
+}
+
+// Records an invite or request, or completes the opposite one
+async function offer(clanId, auth, kind, createdBy) {
+    const { data: existing, error } = await supabase
+        .from('clan_invites')
+        .select('id, kind')
+        .eq('clan_id', clanId)
+        .eq('auth', auth)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (existing && existing.kind !== kind) {
+        const joined = await addMember(clanId, auth, 'member');
+        return joined.error ? joined : { joined: true };
+    }
+    if (existing) {
+        return { joined: false };
+    }
+
+    if (membersOf(clanId).length >= MAX_MEMBERS) {
+        return failure(400, `A clan can have at most ${MAX_MEMBERS} members`);
+    }
+
+    const { error: insertError } = await supabase
+        .from('clan_invites')
+        .insert({ clan_id: clanId, auth, kind, created_by: createdBy });
+
+    // A duplicate means the same offer was just made
+    if (insertError && insertError.code !== '23505') {
+        throw insertError;
+    }
+    return { joined: false };
+}
+
+// The invited player accepts an invite; officers accept a join request
+async function acceptInvite(auth, inviteId) {
+    await ready();
+    const invite = await getInvite(inviteId);
+    if (!invite || !clans.has(invite.clan_id)) {
+        return failure(404, 'Invite not found');
+    }
+
+    if (invite.kind === 'invite') {
+        if (invite.auth !== auth) {
+            return failure(403, 'This invite is for another player');
+        }
+    } else {
+        const check = await checkRole(auth, invite.clan_id, 'officer');
+        if (check.error) return check;
+    }
+
+    const joined = await addMember(invite.clan_id, invite.auth, 'member');
+    if (joined.error) return joined;
+    return { clan: summarize(clans.get(invite.clan_id)) };
+}
+
+// Either side can turn down or withdraw an invite or request
+async function declineInvite(auth, inviteId) {
+    await ready();
+    const invite = await getInvite(inviteId);
+    if (!invite) {
+        return failure(404, 'Invite not found');
+    }
+    if (invite.auth !== auth) {
+        const check = await checkRole(auth, invite.clan_id, 'officer');
+        if (check.error) return check;
+    }
+
+    await deleteInvites('id', inviteId);
+    return {};
+}
+
+// Leader only. Making someone leader hands over the clan; the old leader becomes an officer.
+async function setMemberRole(auth, clanId, target, role) {
+    await ready();
+    const check = await checkRole(auth, clanId, 'leader');
+    if (check.error) return check;
+
+    const member = await fetchMember(target);
+    if (!member || member.clanId !== clanId) {
+        return failure(404, 'That player is not in this clan');
+    }
+    if (target === auth) {
+        return failure(400, 'Make another member leader instead');
+    }
+
+    if (role === 'leader') {
+        if (!(await transferLeadership(clanId, auth, target))) {
+            return failure(409, 'The clan changed meanwhile, please try again');
+        }
+    } else {
+        await setRole(target, role);
+    }
+    return {};
+}
+
+// The leader can kick anyone; officers only plain members
+async function kickMember(auth, clanId, target) {
+    await ready();
+    const check = await checkRole(auth, clanId, 'officer');
+    if (check.error) return check;
+
+    const member = await fetchMember(target);
+    if (!member || member.clanId !== clanId) {
+        return failure(404, 'That player is not in this clan');
+    }
+    if (target === auth) {
+        return failure(400, 'Leave the clan instead');
+    }
+    if (ROLE_RANK[member.role] >= ROLE_RANK[check.member.role]) {
+        return failure(403, 'You can only kick members below your role');
+    }
+
+    await removeMember(target, member);
+    return {};
+}
+
+async function leaveClan(auth) {
+    await ready();
+    const member = await fetchMember(auth);
+    if (!member) {
+        return failure(404, 'You are not in a clan');
+    }
+
+    await removeMember(auth, member);
+    return {};
+}
+
+// The source account's membership was deleted with it; its clan may need a new leader
+events.on('players:merge', ({ source }) => {
+    const member = members.get(source);
+    if (!member) return;
+
+    members.delete(source);
+    writes++;
+    settleLeadership(member.clanId).catch(err => {
+        console.error('Error settling clan leadership after merge:', err);
+    });
+});
+
+module.exports = {
+    LEADERBOARD_SORTS,
+    createClanSchema,
+    updateClanSchema,
+    clanInviteSchema,
+    clanRoleSchema,
+    getClanLeaderboard,
+    getClan,
+    getMyClan,
+    getMembership,
+    getClanRoster,
+    clanTagsOf,
+    createClan,
+    updateClan,
+    disbandClan,
+    invitePlayer,
+    requestToJoin,
+    acceptInvite,
+    declineInvite,
+    setMemberRole,
+    kickMember,
+    leaveClan
+};
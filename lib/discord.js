@@ -0,0 +1,502 @@
+const crypto = require('crypto');
+const events = require('./events');
+const { users } = require('./repositories');
+const { rankingsIndex } = require('./rankingsIndex');
+const { getProfile, getVipEntry } = require('./playerCache');
+const { clanTagsOf } = require('./clans');
+const { listRooms } = require('./rooms');
+const { withLiveState } = require('./roomStream');
+
+// Discord integration:
+//   - account linking: players link their Discord account through OAuth (identify scope);
+//     the Discord id is stored on their users row
+//   - slash commands: /rank, /profile and /room arrive as signed interactions and are
+//     answered from the rankings index, the profile and VIP caches and the live room state
+//   - announcements: new VIPs, a new rank-1 player and rooms going live or empty are posted
+//     to DISCORD_WEBHOOK_URL
+// DISCORD_API_BASE points the OAuth and command registration calls somewhere else, e.g. a
+// local mock of the Discord API. Each part stays off until its settings are present.
+//
+// Functions return { error, status } when the request can't be honoured.
+
+const DISCORD_API_BASE = (process.env.DISCORD_API_BASE || 'https://discord.com/api/v10').replace(/\/+$/, '');
+const DISCORD_AUTHORIZE_URL = process.env.DISCORD_AUTHORIZE_URL || 'https://discord.com/oauth2/authorize';
+const LINK_STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish the OAuth round trip
+
+// Interaction and response types, option types and message flags from the Discord API
+const INTERACTION_PING = 1;
+const INTERACTION_COMMAND = 2;
+const RESPONSE_PONG = 1;
+const RESPONSE_MESSAGE = 4;
+const OPTION_STRING = 3;
+const OPTION_USER = 6;
+const FLAG_EPHEMERAL = 64;
+
+const COLORS = { info: 0x5865F2, gold: 0xF1C40F, live: 0x2ECC71, empty: 0x95A5A6 };
+
+// Ed25519 public keys are 32 raw bytes; Node wants them wrapped in an SPKI structure
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const PLAYER_OPTIONS = [
+    { type: OPTION_STRING, name: 'player', description: 'In-game nickname', required: false },
+    { type: OPTION_USER, name: 'user', description: 'Discord member with a linked account', required: false }
+];
+const COMMANDS = [
+    { name: 'rank', description: 'Ranking and Elo of a player (you, by default)', options: PLAYER_OPTIONS },
+    { name: 'profile', description: 'Stats and VIP status of a player (you, by default)', options: PLAYER_OPTIONS },
+    {
+        name: 'room',
+        description: 'Open rooms with their players and score',
+        options: [{ type: OPTION_STRING, name: 'name', description: 'Only rooms whose name contains this', required: false }]
+    }
+];
+
+function failure(status, error) {
+    return { status, error };
+}
+
+function siteUrl(path = '') {
+    return `${process.env.SITE_URL || ''}${path}`;
+}
+
+function redirectUri() {
+    return process.env.DISCORD_REDIRECT_URI || siteUrl('/api/discord/callback');
+}
+
+// Nicknames are shown as typed, not as Discord markdown
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\*_~`|>[\]()])/g, '\\$1');
+}
+
+// Calls the Discord API and returns the parsed JSON; errors carry the HTTP status
+async function discordRequest(path, { method = 'GET', headers = {}, body } = {}) {
+    const response = await fetch(`${DISCORD_API_BASE}${path}`, { method, headers, body });
+    const text = await response.text();
+    if (!response.ok) {
+        const err = new Error(`Discord API ${method} ${path} answered ${response.status}: ${text.slice(0, 200)}`);
+        err.status = response.status;
+        throw err;
+    }
+    return text ? JSON.parse(text) : null;
+}
+
+// --- Account linking ---
+
+function linkingConfigured() {
+    return !!(process.env.DISCORD_CLIENT_ID && process.env.DISCORD_CLIENT_SECRET);
+}
+
+function signState(payload) {
+    return crypto.createHmac('sha256', process.env.DISCORD_CLIENT_SECRET).update(payload).digest('base64url');
+}
+
+// The OAuth state names the player who started linking, so the callback (a plain browser
+// redirect without the session) knows whose row to update. Signed, and only good briefly.
+function createLinkState(auth) {
+    const payload = Buffer.from(JSON.stringify({ auth, expiresAt: Date.now() + LINK_STATE_TTL })).toString('base64url');
+    return `${payload}.${signState(payload)}`;
+}
+
+// The auth a state was issued for, or null if it is forged or expired
+function readLinkState(state) {
+    if (typeof state !== 'string') return null;
+    const [payload, signature] = state.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(signState(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const { auth, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return typeof auth === 'string' && expiresAt > Date.now() ? auth : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function describeLink(user) {
+    return user.discord_id
+        ? { id: user.discord_id, username: user.discord_username, linkedAt: user.discord_linked_at }
+        : null;
+}
+
+// Returns { configured, discord } with the player's linked account, or null
+async function getDiscordLink(auth) {
+    const user = await users.get(auth);
+    if (!user) {
+        return failure(404, 'Player not found');
+    }
+    return { configured: linkingConfigured(), discord: describeLink(user) };
+}
+
+// Returns { url } to send the player to Discord's consent screen
+function startDiscordLink(auth) {
+    if (!linkingConfigured()) {
+        return failure(503, 'Discord linking is not set up on this server');
+    }
+
+    const params = new URLSearchParams({
+        client_id: process.env.DISCORD_CLIENT_ID,
+        redirect_uri: redirectUri(),
+        response_type: 'code',
+        scope: 'identify',
+        state: createLinkState(auth)
+    });
+    return { url: `${DISCORD_AUTHORIZE_URL}?${params}` };
+}
+
+// Finish linking after Discord redirects back with a code. Returns { auth, discord }.
+async function completeDiscordLink(code, state) {
+    if (!linkingConfigured()) {
+        return failure(503, 'Discord linking is not set up on this server');
+    }
+
+    const auth = readLinkState(state);
+    if (!auth) {
+        return failure(400, 'The Discord link has expired, please try again');
+    }
+    if (typeof code !== 'string' || !code) {
+        return failure(400, 'Discord did not send an authorization code');
+    }
+
+    let token;
+    try {
+        token = await discordRequest('/oauth2/token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri(),
+                client_id: process.env.DISCORD_CLIENT_ID,
+                client_secret: process.env.DISCORD_CLIENT_SECRET
+            })
+        });
+    } catch (err) {
+        // Codes are single use and short lived; a refused one just means starting over
+        if (err.status === 400 || err.status === 401) {
+            return failure(400, 'Discord refused the authorization, please try again');
+        }
+        throw err;
+    }
+
+    const account = await discordRequest('/users/@me', {
+        headers: { Authorization: `${token.token_type || 'Bearer'} ${token.access_token}` }
+    });
+
+    const owner = await users.findByDiscordId(account.id);
+    if (owner && owner.auth !== auth) {
+        return failure(409, 'That Discord account is already linked to another player');
+    }
+
+    let user;
+    try {
+        user = await users.update(auth, {
+            discord_id: account.id,
+            discord_username: account.username,
+            discord_linked_at: new Date().toISOString()
+        });
+    } catch (err) {
+        if (err.code === '23505') {
+            return failure(409, 'That Discord account is already linked to another player');
+        }
+        throw err;
+    }
+    if (!user) {
+        return failure(404, 'Player not found');
+    }
+
+    return { auth, discord: describeLink(user) };
+}
+
+async function unlinkDiscord(auth) {
+    const user = await users.update(auth, { discord_id: null, discord_username: null, discord_linked_at: null });
+    if (!user) {
+        return failure(404, 'Player not found');
+    }
+    return {};
+}
+
+// --- Slash commands ---
+
+// Checks the Ed25519 signature Discord puts on every interaction
+function verifyInteraction(rawBody, signature, timestamp) {
+    const publicKey = process.env.DISCORD_PUBLIC_KEY;
+    if (!publicKey || !rawBody || typeof signature !== 'string' || typeof timestamp !== 'string') return false;
+    if (!/^[0-9a-f]{64}$/i.test(publicKey) || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+
+    const key = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+        format: 'der',
+        type: 'spki'
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, 'hex'));
+}
+
+// Returns an error message, or null. Only what handleInteraction relies on is checked.
+function validateInteraction(body) {
+    if (!body || typeof body !== 'object') return 'Interaction must be a JSON object';
+    if (!Number.isInteger(body.type)) return 'Interaction has no type';
+    if (body.type === INTERACTION_COMMAND && (!body.data || typeof body.data.name !== 'string')) {
+        return 'Command interaction has no command name';
+    }
+    return null;
+}
+
+function reply(embeds) {
+    return { type: RESPONSE_MESSAGE, data: { embeds, allowed_mentions: { parse: [] } } };
+}
+
+// Only the person who ran the command sees it
+function privateReply(content) {
+    return { type: RESPONSE_MESSAGE, data: { content, flags: FLAG_EPHEMERAL, allowed_mentions: { parse: [] } } };
+}
+
+function commandOptions(interaction) {
+    return Object.fromEntries((interaction.data.options || []).map(option => [option.name, option.value]));
+}
+
+// The player a /rank or /profile is about: a nickname, a mentioned member, or the caller.
+// Returns { row } from the rankings index, or { message } explaining why there is none.
+async function resolvePlayer(interaction) {
+    const options = commandOptions(interaction);
+    await rankingsIndex.ready();
+
+    if (typeof options.player === 'string' && options.player.trim()) {
+        const name = options.player.trim().toLowerCase();
+        const rows = [...rankingsIndex.players()];
+        // Current nicknames win over names a player used before
+        const row = rows.find(candidate => candidate.nicknames[0]?.toLowerCase() === name)
+            || rows.find(candidate => candidate.nicknames.some(nickname => nickname.toLowerCase() === name));
+        return row ? { row } : { message: `No ranked player goes by ${options.player.trim()}.` };
+    }
+
+    const mentioned = typeof options.user === 'string' ? options.user : null;
+    const discordId = mentioned || interaction.member?.user?.id || interaction.user?.id;
+    const owner = discordId ? await users.findByDiscordId(discordId) : null;
+    if (!owner) {
+        return {
+            message: mentioned
+                ? `<@${mentioned}> hasn't linked a Discord account on the site.`
+                : 'Link your Discord account on the site first, or name a player.'
+        };
+    }
+
+    const row = rankingsIndex.get(owner.auth);
+    return row ? { row } : { message: `${owner.nicknames[0] || 'That player'} hasn't played a ranked match yet.` };
+}
+
+function playerName(row) {
+    return escapeMarkdown(row.nicknames[0] || row.auth);
+}
+
+async function rankCommand(interaction) {
+    const { row, message } = await resolvePlayer(interaction);
+    if (!row) return privateReply(message);
+
+    const rank = rankingsIndex.rankOf(row.auth);
+    return reply([{
+        title: `#${rank} ${playerName(row)}`,
+        color: COLORS.info,
+        url: process.env.SITE_URL ? siteUrl('/') : undefined,
+        fields: [
+            { name: 'Elo', value: String(row.points), inline: true },
+            { name: 'Players', value: String(rankingsIndex.size), inline: true },
+            { name: 'Games', value: String(row.games_played), inline: true }
+        ]
+    }]);
+}
+
+async function profileCommand(interaction) {
+    const { row, message } = await resolvePlayer(interaction);
+    if (!row) return privateReply(message);
+
+    const [profile, vipEntry, clanTags] = await Promise.all([
+        getProfile(row.auth),
+        getVipEntry(row.auth),
+        // Clan tags are extras: failing to load them shouldn't hide the profile
+        clanTagsOf([row.auth]).catch(err => {
+            console.error('Error fetching clan for Discord profile:', err);
+            return {};
+        })
+    ]);
+    if (!profile) return privateReply(`${playerName(row)} hasn't played a ranked match yet.`);
+
+    const clan = clanTags[row.auth];
+    const winRate = profile.games_played > 0 ? Math.round((profile.wins / profile.games_played) * 100) : 0;
+    const fields = [
+        { name: 'Elo', value: `${profile.points} (#${rankingsIndex.rankOf(row.auth)})`, inline: true },
+        { name: 'Games', value: String(profile.games_played), inline: true },
+        { name: 'Win rate', value: `${winRate}%`, inline: true },
+        { name: 'W / D / L', value: `${profile.wins} / ${profile.draws} / ${profile.losses}`, inline: true },
+        { name: 'Goals', value: String(profile.goals), inline: true },
+        { name: 'Assists', value: String(profile.assists), inline: true },
+        { name: 'Clean sheets', value: String(profile.clean_sheets), inline: true }
+    ];
+    if (vipEntry?.isVIP) {
+        fields.push({ name: 'VIP', value: `Until <t:${Math.floor(new Date(vipEntry.vip_expires_at) / 1000)}:D>`, inline: true });
+    }
+
+    return reply([{
+        title: `${clan ? `[${escapeMarkdown(clan.tag)}] ` : ''}${playerName(row)}${vipEntry?.isVIP ? ' 👑' : ''}`,
+        color: vipEntry?.isVIP ? COLORS.gold : COLORS.info,
+        url: process.env.SITE_URL ? siteUrl('/') : undefined,
+        fields
+    }]);
+}
+
+function describeRoom(room) {
+    const status = room.status === 'online' ? '🟢' : '⚪';
+    const lines = [
+        `${room.total_players || 0} players (${room.red_players || 0} red, ${room.blue_players || 0} blue)`,
+        `Score ${room.red_score || 0} - ${room.blue_score || 0}`
+    ];
+    if (room.room_link) lines.push(`[Join](${room.room_link})`);
+    return { name: `${status} ${escapeMarkdown(room.name || `Room ${room.id}`)}`, value: lines.join('\n') };
+}
+
+async function roomCommand(interaction) {
+    const { name } = commandOptions(interaction);
+    const needle = typeof name === 'string' ? name.trim().toLowerCase() : '';
+
+    const rooms = (await listRooms())
+        .map(withLiveState)
+        .filter(room => !needle || (room.name || '').toLowerCase().includes(needle));
+    if (rooms.length === 0) {
+        return privateReply(needle ? `No room matches ${name.trim()}.` : 'No rooms are open right now.');
+    }
+
+    // Rooms that are up first; an embed holds at most 25 fields
+    rooms.sort((a, b) => (a.status === 'online' ? 0 : 1) - (b.status === 'online' ? 0 : 1));
+    return reply([{
+        title: 'Rooms',
+        color: COLORS.live,
+        fields: rooms.slice(0, 25).map(describeRoom)
+    }]);
+}
+
+const COMMAND_HANDLERS = { rank: rankCommand, profile: profileCommand, room: roomCommand };
+
+// Returns the interaction response, or { error, status } for interactions we don't handle
+async function handleInteraction(interaction) {
+    if (interaction.type === INTERACTION_PING) {
+        return { type: RESPONSE_PONG };
+    }
+    if (interaction.type !== INTERACTION_COMMAND) {
+        return failure(400, `Unsupported interaction type ${interaction.type}`);
+    }
+
+    const handler = COMMAND_HANDLERS[interaction.data.name];
+    return handler ? handler(interaction) : privateReply(`Unknown command /${interaction.data.name}.`);
+}
+
+// Create or update the slash commands for the application. Returns { commands } with
+// their names.
+async function registerCommands() {
+    if (!process.env.DISCORD_CLIENT_ID || !process.env.DISCORD_BOT_TOKEN) {
+        return failure(503, 'DISCORD_CLIENT_ID and DISCORD_BOT_TOKEN are needed to register commands');
+    }
+
+    const registered = await discordRequest(`/applications/${process.env.DISCORD_CLIENT_ID}/commands`, {
+        method: 'PUT',
+        headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(COMMANDS)
+    });
+    return { commands: registered.map(command => command.name) };
+}
+
+// --- Announcements ---
+
+// Post an embed to the announcements webhook. Failures are logged, never thrown: the
+// events they announce have already happened.
+async function announce(embed) {
+    const url = process.env.DISCORD_WEBHOOK_URL;
+    if (!url) return;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ embeds: [embed], allowed_mentions: { parse: [] } })
+        });
+        if (!response.ok) {
+            console.error(`Discord webhook answered ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+    } catch (err) {
+        console.error('Error posting Discord announcement:', err);
+    }
+}
+
+async function nicknameOf(auth) {
+    const row = rankingsIndex.get(auth);
+    if (row?.nicknames[0]) return row.nicknames[0];
+    const user = await users.get(auth);
+    return user?.nicknames?.[0] || auth;
+}
+
+events.on('vip:grant', async ({ auth, renewal }) => {
+    if (renewal || !process.env.DISCORD_WEBHOOK_URL) return;
+    try {
+        await announce({
+            title: '👑 New VIP',
+            description: `**${escapeMarkdown(await nicknameOf(auth))}** is now a VIP. Thanks for supporting the community!`,
+            color: COLORS.gold
+        });
+    } catch (err) {
+        console.error('Error announcing new VIP:', err);
+    }
+});
+
+events.on('rankings:leader', async ({ auth, previous }) => {
+    if (!process.env.DISCORD_WEBHOOK_URL) return;
+    try {
+        const [name, previousName] = await Promise.all([nicknameOf(auth), nicknameOf(previous)]);
+        await announce({
+            title: '🏆 New #1',
+            description: `**${escapeMarkdown(name)}** took first place from **${escapeMarkdown(previousName)}** `
+                + `with ${rankingsIndex.get(auth)?.points ?? '?'} Elo.`,
+            color: COLORS.gold
+        });
+    } catch (err) {
+        console.error('Error announcing new leader:', err);
+    }
+});
+
+// Last known status and player count per room. A room's first update only records it, so
+// restarting the server doesn't announce every room again.
+const roomStates = new Map();
+
+events.on('room:update', room => {
+    const previous = roomStates.get(room.id);
+    const current = { status: room.status, players: room.total_players || 0 };
+    roomStates.set(room.id, current);
+    if (!previous || room.active === false) return;
+
+    const name = escapeMarkdown(room.name || `Room ${room.id}`);
+    if (previous.status !== 'online' && current.status === 'online') {
+        announce({
+            title: `🟢 ${name} is live`,
+            description: room.room_link ? `[Join the room](${room.room_link})` : undefined,
+            color: COLORS.live
+        });
+    } else if (current.status === 'online' && previous.players > 0 && current.players === 0) {
+        announce({
+            title: `⚪ ${name} is empty`,
+            description: room.room_link ? `Start a game: [join the room](${room.room_link})` : undefined,
+            color: COLORS.empty
+        });
+    }
+});
+
+module.exports = {
+    COMMANDS,
+    getDiscordLink,
+    startDiscordLink,
+    completeDiscordLink,
+    unlinkDiscord,
+    verifyInteraction,
+    validateInteraction,
+    handleInteraction,
+    registerCommands
+};
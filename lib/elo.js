@@ -0,0 +1,65 @@
+// Team Elo. Tunable through the environment:
+//   ELO_K_FACTOR          max points a single game can move a rating (default 32)
+//   ELO_SCALE             rating difference that means 10:1 odds (default 400)
+//   ELO_DEFAULT_RATING    rating for players without stats yet (default 1000)
+//   ELO_FORMULA           'team-average' compares team averages, 'individual' compares
+//                         each player's own rating against the opposing average
+//   ELO_GOAL_DIFF_WEIGHT  extra weight for wide margins, 0 disables (default 0.5)
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const ELO_K_FACTOR = envNumber('ELO_K_FACTOR', 32);
+const ELO_SCALE = envNumber('ELO_SCALE', 400);
+const ELO_DEFAULT_RATING = envNumber('ELO_DEFAULT_RATING', 1000);
+const ELO_FORMULA = process.env.ELO_FORMULA === 'individual' ? 'individual' : 'team-average';
+const ELO_GOAL_DIFF_WEIGHT = envNumber('ELO_GOAL_DIFF_WEIGHT', 0.5);
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Probability that a side rated `rating` beats a side rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / ELO_SCALE));
+}
+
+function marginMultiplier(goalDifference) {
+    return 1 + ELO_GOAL_DIFF_WEIGHT * Math.log(1 + Math.abs(goalDifference));
+}
+
+// ratings: { red: { auth: rating }, blue: { auth: rating } }, score: { red, blue }
+// Returns { auth: delta } with whole-point deltas
+function computeMatchElo(ratings, score) {
+    const redAverage = average(Object.values(ratings.red));
+    const blueAverage = average(Object.values(ratings.blue));
+    const multiplier = marginMultiplier(score.red - score.blue);
+
+    const actual = {
+        red: score.red > score.blue ? 1 : score.red === score.blue ? 0.5 : 0,
+        blue: score.blue > score.red ? 1 : score.red === score.blue ? 0.5 : 0
+    };
+
+    const deltas = {};
+    ['red', 'blue'].forEach(team => {
+        const opponentAverage = team === 'red' ? blueAverage : redAverage;
+        const teamAverage = team === 'red' ? redAverage : blueAverage;
+
+        Object.entries(ratings[team]).forEach(([auth, rating]) => {
+            const own = ELO_FORMULA === 'individual' ? rating : teamAverage;
+            const expected = expectedScore(own, opponentAverage);
+            deltas[auth] = Math.round(ELO_K_FACTOR * multiplier * (actual[team] - expected));
+        });
+    });
+
+    return deltas;
+}
+
+module.exports = {
+    ELO_K_FACTOR,
+    ELO_DEFAULT_RATING,
+    expectedScore,
+    computeMatchElo
+};
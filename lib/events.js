@@ -0,0 +1,17 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus so features can react to each other (e.g. room updates) without
+// importing one another. Events:
+//   'room:update' (room state)
+//   'users:update' (auths) - users rows changed
+//   'stats:update' (auths) - player_stats rows changed
+//   'stats:reset' - every player's stats changed (a season closed)
+//   'players:merge' ({ source, target }) - source was folded into target and deleted
+//   'achievements:unlock' ({ auth, achievements }) - a player unlocked achievements
+//   'tournament:finish' ({ tournament, winner }) - a tournament was decided; winner is its entry
+//   'vip:grant' ({ auth, expiresAt, renewal }) - VIP was granted or extended
+//   'rankings:leader' ({ auth, previous }) - a new player is rank 1 by points
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+module.exports = events;
@@ -0,0 +1,314 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, playerStats } = require('./repositories');
+const { ELO_DEFAULT_RATING, computeMatchElo } = require('./elo');
+const { replayIdsByMatch } = require('./replays');
+
+// Finished-match ingestion for the room host. The match, its players and the
+// player_stats updates are written in one transaction by the record_match() function.
+
+const MAX_PLAYERS_PER_TEAM = 12;
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Returns an error message, or null if the payload is usable
+function validateMatch(body) {
+    if (!body || typeof body !== 'object') return 'Match payload is required';
+
+    const { red, blue, score, duration } = body;
+    if (!Array.isArray(red) || !Array.isArray(blue) || red.length === 0 || blue.length === 0) {
+        return 'Both teams need at least one player';
+    }
+    if (red.length > MAX_PLAYERS_PER_TEAM || blue.length > MAX_PLAYERS_PER_TEAM) {
+        return `Teams can have at most ${MAX_PLAYERS_PER_TEAM} players`;
+    }
+    if (!score || !isCount(score.red) || !isCount(score.blue)) {
+        return 'score.red and score.blue must be non-negative integers';
+    }
+    if (!isCount(duration)) {
+        return 'duration must be a non-negative number of seconds';
+    }
+
+    const seen = new Set();
+    for (const player of [...red, ...blue]) {
+        if (!player || typeof player.auth !== 'string' || !player.auth) {
+            return 'Every player needs an auth id';
+        }
+        if (seen.has(player.auth)) {
+            return `Player ${player.auth} appears more than once`;
+        }
+        seen.add(player.auth);
+
+        for (const field of ['goals', 'assists', 'ownGoals']) {
+            if (player[field] !== undefined && !isCount(player[field])) {
+                return `${field} for ${player.auth} must be a non-negative integer`;
+            }
+        }
+    }
+
+    if (body.playedAt && isNaN(new Date(body.playedAt).getTime())) {
+        return 'playedAt must be a valid date';
+    }
+
+    return null;
+}
+
+function resultFor(team, score) {
+    const own = team === 'red' ? score.red : score.blue;
+    const other = team === 'red' ? score.blue : score.red;
+    return own > other ? 'W' : own === other ? 'D' : 'L';
+}
+
+// Clean sheets go to the marked goalkeeper, or to the whole team if nobody was marked
+function cleanSheetFor(player, team, teamPlayers, score) {
+    const conceded = team === 'red' ? score.blue : score.red;
+    if (conceded > 0) return false;
+    return teamPlayers.some(p => p.gk) ? !!player.gk : true;
+}
+
+// Records a validated match and returns { matchId, players }
+async function recordMatch(match) {
+    const auths = [...match.red, ...match.blue].map(player => player.auth);
+
+    const stats = await playerStats.listByAuths(auths);
+    const currentRatings = stats.reduce((acc, row) => {
+        acc[row.auth] = row.points ?? ELO_DEFAULT_RATING;
+        return acc;
+    }, {});
+    const ratingOf = auth => currentRatings[auth] ?? ELO_DEFAULT_RATING;
+
+    const ratings = {
+        red: Object.fromEntries(match.red.map(p => [p.auth, ratingOf(p.auth)])),
+        blue: Object.fromEntries(match.blue.map(p => [p.auth, ratingOf(p.auth)]))
+    };
+    const deltas = computeMatchElo(ratings, match.score);
+
+    const players = [];
+    ['red', 'blue'].forEach(team => {
+        match[team].forEach(player => {
+            const result = resultFor(team, match.score);
+            players.push({
+                auth: player.auth,
+                nickname: player.nickname || null,
+                team,
+                goals: player.goals || 0,
+                assists: player.assists || 0,
+                own_goals: player.ownGoals || 0,
+                goalkeeper: !!player.gk,
+                result,
+                clean_sheet: cleanSheetFor(player, team, match[team], match.score),
+                elo_before: ratingOf(player.auth),
+                elo_delta: deltas[player.auth],
+                elo_after: ratingOf(player.auth) + deltas[player.auth]
+            });
+        });
+    });
+
+    const { data: matchId, error } = await supabase.rpc('record_match', {
+        p_match: {
+            room_id: match.roomId ?? null,
+            red_score: match.score.red,
+            blue_score: match.score.blue,
+            duration: match.duration,
+            played_at: match.playedAt ? new Date(match.playedAt).toISOString() : new Date().toISOString()
+        },
+        p_players: players
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    events.emit('stats:update', auths);
+    return { matchId, players };
+}
+
+// Paginated match list for one player, newest first
+async function getPlayerMatches(auth, page = 1, perPage = 20) {
+    const offset = (page - 1) * perPage;
+
+    const { data: rows, count, error } = await supabase
+        .from('match_players')
+        .select('match_id, team, goals, assists, own_goals, result, elo_delta, elo_after', { count: 'exact' })
+        .eq('auth', auth)
+        .order('match_id', { ascending: false })
+        .range(offset, offset + perPage - 1);
+
+    if (error) {
+        throw error;
+    }
+
+    const matchIds = rows.map(row => row.match_id);
+    let matchesById = {};
+    let replayIds = {};
+    if (matchIds.length > 0) {
+        const { data: matchRows, error: matchError } = await supabase
+            .from('matches')
+            .select('id, red_score, blue_score, duration, played_at')
+            .in('id', matchIds);
+
+        if (matchError) {
+            throw matchError;
+        }
+
+        matchesById = matchRows.reduce((acc, match) => {
+            acc[match.id] = match;
+            return acc;
+        }, {});
+        replayIds = await replayIdsByMatch(matchIds);
+    }
+
+    const matches = rows.map(row => {
+        const match = matchesById[row.match_id] || {};
+        const isRed = row.team === 'red';
+        return {
+            matchId: row.match_id,
+            playedAt: match.played_at || null,
+            duration: match.duration ?? null,
+            team: row.team,
+            result: row.result,
+            score: isRed ? match.red_score : match.blue_score,
+            opponentScore: isRed ? match.blue_score : match.red_score,
+            goals: row.goals,
+            assists: row.assists,
+            ownGoals: row.own_goals,
+            eloDelta: row.elo_delta,
+            eloAfter: row.elo_after,
+            replayId: replayIds[row.match_id] ?? null
+        };
+    });
+
+    return {
+        matches,
+        pagination: {
+            currentPage: page,
+            perPage,
+            totalItems: count || 0,
+            totalPages: Math.max(1, Math.ceil((count || 0) / perPage))
+        }
+    };
+}
+
+// Elo after each of the player's last `limit` matches, oldest first, plus recent form
+async function getEloHistory(auth, limit = 100) {
+    const { data: rows, error } = await supabase
+        .from('match_players')
+        .select('match_id, result, elo_before, elo_after')
+        .eq('auth', auth)
+        .order('match_id', { ascending: false })
+        .range(0, limit - 1);
+
+    if (error) {
+        throw error;
+    }
+
+    let playedAt = {};
+    if (rows.length > 0) {
+        const { data: matchRows, error: matchError } = await supabase
+            .from('matches')
+            .select('id, played_at')
+            .in('id', rows.map(row => row.match_id));
+
+        if (matchError) {
+            throw matchError;
+        }
+
+        playedAt = matchRows.reduce((acc, match) => {
+            acc[match.id] = match.played_at;
+            return acc;
+        }, {});
+    }
+
+    const ordered = [...rows].reverse();
+    const points = ordered.map(row => ({
+        matchId: row.match_id,
+        playedAt: playedAt[row.match_id] || null,
+        elo: row.elo_after
+    }));
+
+    // Rating before the first match in the window, so the chart has a starting point
+    const start = ordered.length > 0 ? ordered[0].elo_before : null;
+
+    return {
+        start,
+        points,
+        form: rows.slice(0, 5).map(row => row.result)
+    };
+}
+
+// One side of head_to_head(): a's and b's numbers in the same shape
+function pairTotals(summary) {
+    return {
+        goals: { a: summary.a_goals, b: summary.b_goals },
+        assists: { a: summary.a_assists, b: summary.b_assists },
+        eloChange: { a: summary.a_elo_change, b: summary.b_elo_change }
+    };
+}
+
+const EMPTY_SUMMARY = {
+    games: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    a_goals: 0,
+    b_goals: 0,
+    a_assists: 0,
+    b_assists: 0,
+    a_elo_change: 0,
+    b_elo_change: 0,
+    biggest_swing: null,
+    last_match_id: null
+};
+
+// Record between two players when they met as opponents and when they were teammates,
+// with both players' current stats. Returns null if either player doesn't exist.
+async function getHeadToHead(a, b) {
+    const [players, stats] = await Promise.all([users.listByAuths([a, b]), playerStats.listByAuths([a, b])]);
+    if (players.length < 2) return null;
+
+    const { data, error } = await supabase.rpc('head_to_head', { p_a: a, p_b: b });
+
+    if (error) {
+        throw error;
+    }
+
+    const side = auth => ({
+        auth,
+        nickname: players.find(player => player.auth === auth).nicknames[0] || null,
+        stats: stats.find(stat => stat.auth === auth) || null
+    });
+    const against = { ...EMPTY_SUMMARY, ...data?.against };
+    const together = { ...EMPTY_SUMMARY, ...data?.together };
+
+    return {
+        a: side(a),
+        b: side(b),
+        against: {
+            games: against.games,
+            aWins: against.wins,
+            bWins: against.losses,
+            draws: against.draws,
+            ...pairTotals(against),
+            biggestSwing: against.biggest_swing,
+            lastMatchId: against.last_match_id
+        },
+        together: {
+            games: together.games,
+            wins: together.wins,
+            draws: together.draws,
+            losses: together.losses,
+            ...pairTotals(together),
+            lastMatchId: together.last_match_id
+        }
+    };
+}
+
+module.exports = {
+    validateMatch,
+    recordMatch,
+    getPlayerMatches,
+    getEloHistory,
+    getHeadToHead
+};
@@ -0,0 +1,954 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-memory stand-in for the Supabase client, used with DATA_BACKEND=memory for offline
+// development and the tests. Every table lives in a plain array seeded from a JSON file
+// (DATA_SEED_FILE, default data/seed.json). It implements the part of the query builder the
+// app uses, the keys, defaults, foreign keys and triggers from sql/, and the SQL functions
+// in JavaScript. Nothing is persisted, so every restart begins from the seed again.
+//
+// Like the real client it never throws: results are { data, error, count }, with Postgres
+// error codes where the app checks them (23505 for unique violations, 23503 for foreign key
+// violations, P0002 for no data).
+
+const SEED_FILE = process.env.DATA_SEED_FILE || path.join(__dirname, '..', 'data', 'seed.json');
+
+const now = () => new Date().toISOString();
+
+// Keys, unique constraints (nulls never clash, as in Postgres), column defaults (functions
+// are called per row), generated ids, foreign keys and updated_at triggers, per table
+const SCHEMA = {
+    users: {
+        key: ['auth'],
+        unique: [['bmc_email'], ['discord_id']],
+        defaults: { nicknames: () => [], role: 'player', isVIP: false, updated_at: now },
+        touch: true
+    },
+    player_stats: {
+        key: ['auth'],
+        defaults: {
+            points: 0, games_played: 0, wins: 0, draws: 0, losses: 0, goals: 0, assists: 0, clean_sheets: 0,
+            updated_at: now
+        },
+        touch: true
+    },
+    room_link: {
+        key: ['id'],
+        serial: true,
+        defaults: {
+            mode: 'futsal', ranked: true, active: true, total_players: 0, red_players: 0, blue_players: 0,
+            spec_players: 0, red_score: 0, blue_score: 0, created_at: now
+        }
+    },
+    sessions: {
+        key: ['id'],
+        defaults: { remember_me: false, created_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    vip_purchases: {
+        key: ['id'],
+        serial: true,
+        unique: [['event_id']],
+        defaults: { days: 0, created_at: now },
+        references: [['auth', 'users', 'auth', 'set null']]
+    },
+    vip_notifications: {
+        key: ['id'],
+        serial: true,
+        unique: [['auth', 'kind', 'expires_at']],
+        defaults: { sent_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    matches: {
+        key: ['id'],
+        serial: true,
+        defaults: { played_at: now, created_at: now }
+    },
+    match_players: {
+        key: ['match_id', 'auth'],
+        defaults: { goals: 0, assists: 0, own_goals: 0, goalkeeper: false, clean_sheet: false },
+        references: [['match_id', 'matches', 'id', 'cascade']]
+    },
+    seasons: {
+        key: ['id'],
+        serial: true,
+        unique: [{ columns: ['status'], where: row => row.status === 'active' }],
+        defaults: { status: 'active', counters_per_season: true },
+        references: []
+    },
+    season_standings: {
+        key: ['season_id', 'auth'],
+        defaults: { games_played: 0, wins: 0, draws: 0, losses: 0, goals: 0, assists: 0, clean_sheets: 0 },
+        references: [['season_id', 'seasons', 'id', 'cascade']]
+    },
+    career_profiles: {
+        key: ['auth'],
+        defaults: { coins: 0, updated_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    career_unlocks: {
+        key: ['auth', 'player_id'],
+        defaults: { unlocked_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    career_coin_awards: {
+        key: ['match_id', 'auth'],
+        defaults: { created_at: now },
+        references: [['match_id', 'matches', 'id', 'cascade']]
+    },
+    admin_audit_log: {
+        key: ['id'],
+        serial: true,
+        defaults: { details: () => ({}), created_at: now },
+        appendOnly: true
+    },
+    player_achievements: {
+        key: ['auth', 'achievement_id'],
+        defaults: { unlocked_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    api_keys: {
+        key: ['id'],
+        serial: true,
+        unique: [['key_hash']],
+        defaults: { requests_per_hour: 1000, created_at: now }
+    },
+    account_registrations: {
+        key: ['id'],
+        defaults: { created_at: now }
+    },
+    password_resets: {
+        key: ['token_hash'],
+        defaults: { created_at: now },
+        references: [['auth', 'users', 'auth', 'cascade']]
+    },
+    clans: {
+        key: ['id'],
+        serial: true,
+        unique: [{ columns: ['tag'], lower: true }, { columns: ['name'], lower: true }],
+        defaults: { color: '#FFFFFF', created_at: now },
+        references: [['created_by', 'users', 'auth', 'set null']]
+    },
+    clan_members: {
+        key: ['auth'],
+        defaults: { role: 'member', joined_at: now },
+        references: [['auth', 'users', 'auth', 'cascade'], ['clan_id', 'clans', 'id', 'cascade']]
+    },
+    clan_invites: {
+        key: ['id'],
+        serial: true,
+        unique: [['clan_id', 'auth']],
+        defaults: { created_at: now },
+        references: [
+            ['clan_id', 'clans', 'id', 'cascade'],
+            ['auth', 'users', 'auth', 'cascade'],
+            ['created_by', 'users', 'auth', 'set null']
+        ]
+    },
+    tournaments: {
+        key: ['id'],
+        serial: true,
+        defaults: { entrant_type: 'player', max_entrants: 16, status: 'signup', created_at: now },
+        references: [['created_by', 'users', 'auth', 'set null']]
+    },
+    tournament_entries: {
+        key: ['id'],
+        serial: true,
+        unique: [['tournament_id', 'auth'], ['tournament_id', 'clan_id']],
+        defaults: { members: () => [], created_at: now },
+        references: [['tournament_id', 'tournaments', 'id', 'cascade'], ['clan_id', 'clans', 'id', 'set null']]
+    },
+    tournament_matches: {
+        key: ['id'],
+        serial: true,
+        unique: [['tournament_id', 'key']],
+        defaults: { status: 'pending' },
+        references: [
+            ['tournament_id', 'tournaments', 'id', 'cascade'],
+            ['entry1_id', 'tournament_entries', 'id', 'set null'],
+            ['entry2_id', 'tournament_entries', 'id', 'set null'],
+            ['winner_id', 'tournament_entries', 'id', 'set null'],
+            ['reported_by', 'tournament_entries', 'id', 'set null']
+        ]
+    },
+    replays: {
+        key: ['id'],
+        serial: true,
+        unique: [['match_id']],
+        defaults: { goals: () => [], players: () => [], created_at: now },
+        references: [['match_id', 'matches', 'id', 'cascade'], ['uploaded_by', 'users', 'auth', 'set null']]
+    }
+};
+
+const STAT_METRICS = ['points', 'games_played', 'wins', 'draws', 'losses', 'goals', 'assists', 'clean_sheets'];
+const COUNTER_METRICS = STAT_METRICS.filter(metric => metric !== 'points');
+
+const tables = {};
+const sequences = {};
+
+class DatabaseError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function copy(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+function schemaOf(table) {
+    return SCHEMA[table] || { key: ['id'], serial: true };
+}
+
+function rowsOf(table) {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+}
+
+// Values compared the way PostgREST does: numbers as numbers, timestamps as instants,
+// everything else as text
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+function comparable(value) {
+    if (typeof value === 'string' && TIMESTAMP_PATTERN.test(value)) return new Date(value).getTime();
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+function compare(a, b) {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    return String(x) < String(y) ? -1 : String(x) > String(y) ? 1 : 0;
+}
+
+function equal(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b || compare(a, b) === 0;
+}
+
+function uniqueKey(row, constraint) {
+    const columns = Array.isArray(constraint) ? constraint : constraint.columns;
+    if (constraint.where && !constraint.where(row)) return null;
+    const values = columns.map(column => row[column]);
+    if (values.some(value => value === null || value === undefined)) return null;
+    return JSON.stringify(values.map(value => (constraint.lower ? String(value).toLowerCase() : String(value))));
+}
+
+function constraintsOf(table) {
+    const schema = schemaOf(table);
+    return [schema.key, ...(schema.unique || [])];
+}
+
+// The first stored row (other than `self`) clashing with `row` on a key or unique constraint
+function findConflict(table, row, self = null, constraints = constraintsOf(table)) {
+    for (const constraint of constraints) {
+        const key = uniqueKey(row, constraint);
+        if (key === null) continue;
+        const clash = rowsOf(table).find(other => other !== self && uniqueKey(other, constraint) === key);
+        if (clash) return clash;
+    }
+    return null;
+}
+
+function applyDefaults(table, fields) {
+    const schema = schemaOf(table);
+    const row = {};
+    Object.entries(schema.defaults || {}).forEach(([column, value]) => {
+        row[column] = typeof value === 'function' ? value() : value;
+    });
+    Object.assign(row, copy(fields));
+
+    if (schema.serial && (row.id === undefined || row.id === null)) {
+        const highest = rowsOf(table).reduce((max, other) => Math.max(max, Number(other.id) || 0), 0);
+        sequences[table] = Math.max(sequences[table] || 0, highest) + 1;
+        row.id = sequences[table];
+    }
+    return row;
+}
+
+// Every non-null foreign key in `columns` must point at an existing row, as in Postgres
+function checkReferences(table, row, columns = Object.keys(row)) {
+    (schemaOf(table).references || [])
+        .filter(([column]) => columns.includes(column) && row[column] !== null && row[column] !== undefined)
+        .forEach(([column, parent, parentColumn]) => {
+            if (!rowsOf(parent).some(other => equal(other[parentColumn], row[column]))) {
+                throw new DatabaseError(
+                    `insert or update on table "${table}" violates foreign key constraint on "${column}"`,
+                    '23503'
+                );
+            }
+        });
+}
+
+function insertRow(table, fields) {
+    const row = applyDefaults(table, fields);
+    if (findConflict(table, row)) {
+        throw new DatabaseError(`duplicate key value violates unique constraint on "${table}"`, '23505');
+    }
+    checkReferences(table, row);
+    rowsOf(table).push(row);
+    return row;
+}
+
+function updateRow(table, row, fields) {
+    const schema = schemaOf(table);
+    if (schema.appendOnly) {
+        throw new DatabaseError(`${table} is append-only`, 'P0001');
+    }
+
+    const next = { ...row, ...copy(fields) };
+    if (findConflict(table, next, row)) {
+        throw new DatabaseError(`duplicate key value violates unique constraint on "${table}"`, '23505');
+    }
+    checkReferences(table, next, Object.keys(fields));
+    if (schema.touch) next.updated_at = now();
+    Object.assign(row, next);
+    return row;
+}
+
+// Delete rows and apply the foreign keys pointing at them (cascade or set null)
+function deleteRows(table, doomed) {
+    if (doomed.length === 0) return;
+    if (schemaOf(table).appendOnly) {
+        throw new DatabaseError(`${table} is append-only`, 'P0001');
+    }
+
+    tables[table] = rowsOf(table).filter(row => !doomed.includes(row));
+
+    Object.entries(SCHEMA).forEach(([child, schema]) => {
+        (schema.references || [])
+            .filter(([, parent]) => parent === table)
+            .forEach(([column, , parentColumn, onDelete]) => {
+                const gone = new Set(doomed.map(row => String(row[parentColumn])));
+                const affected = rowsOf(child).filter(row => row[column] !== null && row[column] !== undefined
+                    && gone.has(String(row[column])));
+                if (onDelete === 'cascade') {
+                    deleteRows(child, affected);
+                } else {
+                    affected.forEach(row => {
+                        row[column] = null;
+                    });
+                }
+            });
+    });
+}
+
+// Run fn as one transaction: if it raises, every write it made is undone
+function inTransaction(fn) {
+    const snapshot = structuredClone(tables);
+    try {
+        return fn();
+    } catch (err) {
+        Object.keys(tables).forEach(table => delete tables[table]);
+        Object.assign(tables, snapshot);
+        throw err;
+    }
+}
+
+// --- Query builder ---
+
+const OPERATORS = {
+    eq: (value, operand) => equal(value, operand),
+    neq: (value, operand) => value !== null && value !== undefined && !equal(value, operand),
+    gt: (value, operand) => value !== null && value !== undefined && compare(value, operand) > 0,
+    gte: (value, operand) => value !== null && value !== undefined && compare(value, operand) >= 0,
+    lt: (value, operand) => value !== null && value !== undefined && compare(value, operand) < 0,
+    lte: (value, operand) => value !== null && value !== undefined && compare(value, operand) <= 0,
+    in: (value, operand) => operand.some(item => equal(value, item)),
+    is: (value, operand) => (operand === null || operand === 'null' ? value === null || value === undefined : value === operand),
+    cs: (value, operand) => Array.isArray(value) && [].concat(operand).every(item => value.some(own => equal(own, item)))
+};
+
+// PostgREST's text form of an operand in .or() and .filter()
+function parseOperand(operator, text) {
+    if (operator === 'is') return text === 'null' ? null : text === 'true';
+    if (operator === 'cs') return JSON.parse(text);
+    if (operator === 'in') return text.replace(/^\(|\)$/g, '').split(',');
+    return text;
+}
+
+function pickColumns(row, columns) {
+    if (!columns || columns.trim() === '*') return copy(row);
+    const picked = {};
+    columns.split(',').map(column => column.trim()).filter(Boolean).forEach(column => {
+        picked[column] = row[column] === undefined ? null : copy(row[column]);
+    });
+    return picked;
+}
+
+class Query {
+    constructor(table) {
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.countRows = false;
+        this.headOnly = false;
+        this.filters = [];
+        this.orders = [];
+        this.window = null;
+        this.cardinality = null;
+    }
+
+    select(columns = '*', { count, head } = {}) {
+        this.columns = columns;
+        if (this.action === 'select') {
+            this.countRows = !!count;
+            this.headOnly = !!head;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = [].concat(values);
+        return this;
+    }
+
+    upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+        this.action = 'upsert';
+        this.values = [].concat(values);
+        this.conflictColumns = onConflict ? onConflict.split(',').map(column => column.trim()) : null;
+        this.ignoreDuplicates = ignoreDuplicates;
+        return this;
+    }
+
+    update(fields) {
+        this.action = 'update';
+        this.fields = fields;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    where(column, operator, operand) {
+        this.filters.push(row => OPERATORS[operator](row[column], operand));
+        return this;
+    }
+
+    eq(column, value) { return this.where(column, 'eq', value); }
+    neq(column, value) { return this.where(column, 'neq', value); }
+    gt(column, value) { return this.where(column, 'gt', value); }
+    gte(column, value) { return this.where(column, 'gte', value); }
+    lt(column, value) { return this.where(column, 'lt', value); }
+    lte(column, value) { return this.where(column, 'lte', value); }
+    in(column, values) { return this.where(column, 'in', values); }
+    is(column, value) { return this.where(column, 'is', value); }
+    contains(column, value) { return this.where(column, 'cs', value); }
+
+    match(fields) {
+        Object.entries(fields).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    filter(column, operator, text) {
+        return this.where(column, operator, parseOperand(operator, text));
+    }
+
+    not(column, operator, text) {
+        const test = OPERATORS[operator];
+        const operand = parseOperand(operator, text === null ? 'null' : String(text));
+        this.filters.push(row => !test(row[column], operand));
+        return this;
+    }
+
+    // "column.operator.value,..." with any one condition matching
+    or(expression) {
+        const conditions = expression.split(',').map(condition => {
+            const [column, operator, ...rest] = condition.split('.');
+            return { column, operator, operand: parseOperand(operator, rest.join('.')) };
+        });
+        this.filters.push(row => conditions.some(({ column, operator, operand }) => OPERATORS[operator](row[column], operand)));
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.window = [from, to];
+        return this;
+    }
+
+    limit(count) {
+        this.window = [0, count - 1];
+        return this;
+    }
+
+    single() {
+        this.cardinality = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.cardinality = 'maybe';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    matching() {
+        return rowsOf(this.table).filter(row => this.filters.every(test => test(row)));
+    }
+
+    write() {
+        switch (this.action) {
+            case 'insert':
+                return this.values.map(values => insertRow(this.table, values));
+            case 'upsert':
+                return this.values.flatMap(values => {
+                    const constraints = this.conflictColumns ? [this.conflictColumns] : [schemaOf(this.table).key];
+                    const existing = findConflict(this.table, { ...values }, null, constraints);
+                    if (!existing) return [insertRow(this.table, values)];
+                    return this.ignoreDuplicates ? [] : [updateRow(this.table, existing, values)];
+                });
+            case 'update':
+                return this.matching().map(row => updateRow(this.table, row, this.fields));
+            case 'delete': {
+                const doomed = this.matching();
+                deleteRows(this.table, doomed);
+                return doomed;
+            }
+            default:
+                return this.matching();
+        }
+    }
+
+    sorted(rows) {
+        if (this.orders.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of this.orders) {
+                const x = a[column];
+                const y = b[column];
+                const xNull = x === null || x === undefined;
+                const yNull = y === null || y === undefined;
+                if (xNull && yNull) continue;
+                if (xNull || yNull) return (xNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+                const order = compare(x, y);
+                if (order !== 0) return ascending ? order : -order;
+            }
+            return 0;
+        });
+    }
+
+    execute() {
+        let rows;
+        try {
+            // A statement is atomic, so a multi-row write that fails part way stores nothing
+            rows = this.action === 'select' ? this.write() : inTransaction(() => this.write());
+        } catch (err) {
+            if (err instanceof DatabaseError) {
+                return { data: null, error: { message: err.message, code: err.code }, count: null };
+            }
+            throw err;
+        }
+
+        const count = this.countRows ? rows.length : null;
+        rows = this.sorted(rows);
+        if (this.window) rows = rows.slice(this.window[0], this.window[1] + 1);
+
+        if (this.headOnly || (this.action !== 'select' && !this.returning)) {
+            return { data: null, error: null, count };
+        }
+
+        const data = rows.map(row => pickColumns(row, this.columns));
+        if (this.cardinality) {
+            if (data.length === 1) return { data: data[0], error: null, count };
+            if (data.length === 0 && this.cardinality === 'maybe') return { data: null, error: null, count };
+            return {
+                data: null,
+                error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' },
+                count
+            };
+        }
+        return { data, error: null, count };
+    }
+}
+
+// --- SQL functions (sql/*.sql) ---
+
+const find = (table, test) => rowsOf(table).find(test) || null;
+
+// row_number() over (order by points desc, games_played desc, auth)
+function rerankPlayerStats() {
+    [...rowsOf('player_stats')]
+        .sort((a, b) => b.points - a.points || b.games_played - a.games_played || (a.auth < b.auth ? -1 : 1))
+        .forEach((row, index) => {
+            if (row.rank !== index + 1) updateRow('player_stats', row, { rank: index + 1 });
+        });
+}
+
+function recordMatch({ p_match: match, p_players: players }) {
+    const { id } = insertRow('matches', {
+        room_id: match.room_id ?? null,
+        red_score: match.red_score,
+        blue_score: match.blue_score,
+        duration: match.duration,
+        played_at: match.played_at || now()
+    });
+
+    players.forEach(player => {
+        insertRow('match_players', {
+            match_id: id,
+            auth: player.auth,
+            nickname: player.nickname ?? null,
+            team: player.team,
+            goals: player.goals,
+            assists: player.assists,
+            own_goals: player.own_goals,
+            goalkeeper: player.goalkeeper,
+            result: player.result,
+            clean_sheet: player.clean_sheet,
+            elo_before: player.elo_before,
+            elo_delta: player.elo_delta,
+            elo_after: player.elo_after
+        });
+
+        const won = player.result === 'W' ? 1 : 0;
+        const drew = player.result === 'D' ? 1 : 0;
+        const lost = player.result === 'L' ? 1 : 0;
+        const stats = find('player_stats', row => row.auth === player.auth);
+        if (!stats) {
+            insertRow('player_stats', {
+                auth: player.auth,
+                points: player.elo_after,
+                games_played: 1,
+                wins: won,
+                draws: drew,
+                losses: lost,
+                goals: player.goals,
+                assists: player.assists,
+                clean_sheets: player.clean_sheet ? 1 : 0
+            });
+        } else {
+            updateRow('player_stats', stats, {
+                points: stats.points + player.elo_delta,
+                games_played: stats.games_played + 1,
+                wins: stats.wins + won,
+                draws: stats.draws + drew,
+                losses: stats.losses + lost,
+                goals: stats.goals + player.goals,
+                assists: stats.assists + player.assists,
+                clean_sheets: stats.clean_sheets + (player.clean_sheet ? 1 : 0)
+            });
+        }
+    });
+
+    rerankPlayerStats();
+    return id;
+}
+
+function closeSeason({ p_season_id: seasonId, p_reset_factor: factor, p_base_rating: base, p_next_name: nextName, p_next_ends_at: nextEndsAt }) {
+    const season = find('seasons', row => row.id === seasonId && row.status === 'active');
+    if (!season) {
+        throw new DatabaseError(`Season ${seasonId} is not active`, 'P0001');
+    }
+    updateRow('seasons', season, { status: 'closed', closed_at: now() });
+
+    // Counters cover this season only: lifetime totals minus what earlier seasons archived.
+    // Only players with games this season are archived, ranked among themselves.
+    const earlier = rowsOf('season_standings');
+    rowsOf('player_stats')
+        .map(stats => {
+            const archived = earlier.filter(row => row.auth === stats.auth);
+            return {
+                auth: stats.auth,
+                points: stats.points,
+                ...Object.fromEntries(COUNTER_METRICS.map(metric => [
+                    metric,
+                    Math.max(stats[metric] - archived.reduce((sum, row) => sum + row[metric], 0), 0)
+                ]))
+            };
+        })
+        .filter(standing => standing.games_played > 0)
+        .sort((a, b) => b.points - a.points || b.games_played - a.games_played || (a.auth < b.auth ? -1 : 1))
+        .forEach((standing, index) => {
+            insertRow('season_standings', { season_id: seasonId, rank: index + 1, ...standing });
+        });
+
+    rowsOf('player_stats').forEach(stats => {
+        updateRow('player_stats', stats, { points: Math.round(base + (stats.points - base) * factor) });
+    });
+    rerankPlayerStats();
+
+    return insertRow('seasons', { name: nextName, starts_at: now(), ends_at: nextEndsAt, status: 'active' }).id;
+}
+
+function playerNicknameHistory({ p_auth: auth }) {
+    const groups = new Map();
+    rowsOf('match_players')
+        .filter(row => row.auth === auth && row.nickname !== null && row.nickname !== undefined)
+        .forEach(row => {
+            const playedAt = find('matches', match => match.id === row.match_id).played_at;
+            const group = groups.get(row.nickname) || { nickname: row.nickname, first_seen: playedAt, last_seen: playedAt, matches: 0 };
+            group.matches += 1;
+            if (compare(playedAt, group.first_seen) < 0) group.first_seen = playedAt;
+            if (compare(playedAt, group.last_seen) > 0) group.last_seen = playedAt;
+            groups.set(row.nickname, group);
+        });
+    return [...groups.values()].sort((a, b) => compare(b.last_seen, a.last_seen));
+}
+
+function careerProfile(auth) {
+    return find('career_profiles', row => row.auth === auth) || insertRow('career_profiles', { auth });
+}
+
+function awardCareerCoins({ p_match_id: matchId, p_awards: awards }) {
+    return awards.filter(({ auth, amount }) => {
+        if (!find('users', row => row.auth === auth)) return false;
+        if (find('career_coin_awards', row => row.match_id === matchId && row.auth === auth)) return false;
+        insertRow('career_coin_awards', { match_id: matchId, auth, amount });
+
+        const profile = careerProfile(auth);
+        updateRow('career_profiles', profile, { coins: profile.coins + amount, updated_at: now() });
+        return true;
+    }).map(({ auth, amount }) => ({ auth, amount }));
+}
+
+function careerUnlock({ p_auth: auth, p_player_id: playerId, p_cost: cost, p_requires: requires }) {
+    const profile = careerProfile(auth);
+    const unlocked = rowsOf('career_unlocks').filter(row => row.auth === auth).map(row => row.player_id);
+
+    if (unlocked.includes(playerId)) return { error: 'already_unlocked' };
+    if (requires.length > 0 && !requires.some(id => unlocked.includes(id))) return { error: 'missing_prerequisite' };
+    if (profile.coins < cost) return { error: 'insufficient_coins' };
+
+    updateRow('career_profiles', profile, { coins: profile.coins - cost, updated_at: now() });
+    insertRow('career_unlocks', { auth, player_id: playerId, cost });
+    return { coins: profile.coins };
+}
+
+function correctPlayerStats({ p_auth: auth, p_stats: stats }) {
+    const row = find('player_stats', candidate => candidate.auth === auth);
+    if (!row) return null;
+
+    const before = Object.fromEntries(Object.keys(stats).map(column => [column, row[column] ?? null]));
+    updateRow('player_stats', row, Object.fromEntries(STAT_METRICS
+        .filter(metric => stats[metric] !== undefined && stats[metric] !== null)
+        .map(metric => [metric, stats[metric]])));
+    rerankPlayerStats();
+    return before;
+}
+
+function mergePlayers({ p_source: sourceAuth, p_target: targetAuth }) {
+    const source = find('users', row => row.auth === sourceAuth);
+    const target = find('users', row => row.auth === targetAuth);
+    if (!source || !target) {
+        throw new DatabaseError('Both accounts must exist', 'P0002');
+    }
+
+    updateRow('users', target, {
+        nicknames: [...target.nicknames, ...source.nicknames.filter(nickname => !target.nicknames.includes(nickname))]
+    });
+
+    // Keep whichever VIP runs longer
+    if (source.vip_expires_at && (!target.vip_expires_at || compare(source.vip_expires_at, target.vip_expires_at) > 0)) {
+        updateRow('users', target, {
+            isVIP: source.isVIP,
+            vip_expires_at: source.vip_expires_at,
+            vip_state: source.vip_state ?? null,
+            vip_color: target.vip_color ?? source.vip_color ?? null
+        });
+    }
+
+    const sourceStats = copy(find('player_stats', row => row.auth === sourceAuth));
+    const targetStats = copy(find('player_stats', row => row.auth === targetAuth));
+    if (sourceStats) {
+        const sourceRow = find('player_stats', row => row.auth === sourceAuth);
+        if (!targetStats) {
+            updateRow('player_stats', sourceRow, { auth: targetAuth });
+        } else {
+            const targetRow = find('player_stats', row => row.auth === targetAuth);
+            updateRow('player_stats', targetRow, {
+                points: sourceStats.games_played > targetStats.games_played ? sourceStats.points : targetStats.points,
+                ...Object.fromEntries(COUNTER_METRICS.map(metric => [metric, targetStats[metric] + sourceStats[metric]]))
+            });
+            deleteRows('player_stats', [sourceRow]);
+        }
+        rerankPlayerStats();
+    }
+
+    // Matches both accounts played in keep the target's row only
+    const sourceRows = rowsOf('match_players').filter(row => row.auth === sourceAuth);
+    deleteRows('match_players', sourceRows.filter(row => find('match_players', other => other.match_id === row.match_id
+        && other.auth === targetAuth)));
+    sourceRows
+        .filter(row => rowsOf('match_players').includes(row))
+        .forEach(row => updateRow('match_players', row, { auth: targetAuth }));
+
+    // Merged rows take their season Elo the same way as player_stats
+    const seasonIds = new Set();
+    rowsOf('season_standings').filter(row => row.auth === sourceAuth).forEach(row => {
+        seasonIds.add(row.season_id);
+        const existing = find('season_standings', other => other.season_id === row.season_id && other.auth === targetAuth);
+        if (existing) {
+            updateRow('season_standings', existing, {
+                points: row.games_played > existing.games_played ? row.points : existing.points,
+                ...Object.fromEntries(COUNTER_METRICS.map(metric => [metric, existing[metric] + row[metric]]))
+            });
+            deleteRows('season_standings', [row]);
+        } else {
+            updateRow('season_standings', row, { auth: targetAuth });
+        }
+    });
+    // The source's place is gone and the merged points may move the target
+    seasonIds.forEach(seasonId => {
+        rowsOf('season_standings')
+            .filter(row => row.season_id === seasonId)
+            .sort((a, b) => b.points - a.points || b.games_played - a.games_played || (a.auth < b.auth ? -1 : 1))
+            .forEach((row, index) => {
+                if (row.rank !== index + 1) updateRow('season_standings', row, { rank: index + 1 });
+            });
+    });
+
+    const sourceCareer = find('career_profiles', row => row.auth === sourceAuth);
+    if (sourceCareer) {
+        const targetCareer = find('career_profiles', row => row.auth === targetAuth);
+        if (targetCareer) {
+            updateRow('career_profiles', targetCareer, {
+                coins: targetCareer.coins + sourceCareer.coins,
+                selected_player: targetCareer.selected_player ?? sourceCareer.selected_player ?? null,
+                updated_at: now()
+            });
+        } else {
+            insertRow('career_profiles', { auth: targetAuth, coins: sourceCareer.coins, selected_player: sourceCareer.selected_player ?? null });
+        }
+    }
+    rowsOf('career_unlocks').filter(row => row.auth === sourceAuth).forEach(row => {
+        if (!find('career_unlocks', other => other.auth === targetAuth && other.player_id === row.player_id)) {
+            insertRow('career_unlocks', { auth: targetAuth, player_id: row.player_id, cost: row.cost, unlocked_at: row.unlocked_at });
+        }
+    });
+
+    // Sessions, notifications and career rows of the source go with it
+    deleteRows('users', [source]);
+
+    return { nicknames: copy(target.nicknames), sourceStats, targetStats };
+}
+
+function headToHead({ p_a: a, p_b: b }) {
+    const groups = {};
+    rowsOf('match_players').filter(row => row.auth === a).forEach(mine => {
+        const theirs = find('match_players', row => row.match_id === mine.match_id && row.auth === b);
+        if (!theirs) return;
+
+        const key = mine.team === theirs.team ? 'together' : 'against';
+        const group = groups[key] || (groups[key] = {
+            games: 0, wins: 0, draws: 0, losses: 0, a_goals: 0, b_goals: 0, a_assists: 0, b_assists: 0,
+            a_elo_change: 0, b_elo_change: 0, biggest_swing: 0, last_match_id: 0
+        });
+        group.games += 1;
+        group.wins += mine.result === 'W' ? 1 : 0;
+        group.draws += mine.result === 'D' ? 1 : 0;
+        group.losses += mine.result === 'L' ? 1 : 0;
+        group.a_goals += mine.goals;
+        group.b_goals += theirs.goals;
+        group.a_assists += mine.assists;
+        group.b_assists += theirs.assists;
+        group.a_elo_change += mine.elo_delta;
+        group.b_elo_change += theirs.elo_delta;
+        group.biggest_swing = Math.max(group.biggest_swing, Math.abs(mine.elo_delta));
+        group.last_match_id = Math.max(group.last_match_id, mine.match_id);
+    });
+    return { against: groups.against || null, together: groups.together || null };
+}
+
+function startTournament({ p_tournament_id: tournamentId, p_entries: entries, p_matches: matches }) {
+    const tournament = find('tournaments', row => row.id === tournamentId && row.status === 'signup');
+    if (!tournament) return null;
+    updateRow('tournaments', tournament, { status: 'running', started_at: now() });
+
+    entries.forEach(({ id, seed, rating, members }) => {
+        const entry = find('tournament_entries', row => row.id === id && row.tournament_id === tournamentId);
+        if (entry) updateRow('tournament_entries', entry, { seed, rating, members });
+    });
+
+    matches.forEach(match => {
+        insertRow('tournament_matches', {
+            tournament_id: tournamentId,
+            key: match.key,
+            bracket: match.bracket,
+            round: match.round,
+            position: match.position,
+            entry1_id: match.entry1_id,
+            entry2_id: match.entry2_id,
+            winner_id: match.winner_id,
+            status: match.status,
+            completed_at: match.status === 'completed' ? now() : null,
+            next_key: match.next_key,
+            next_slot: match.next_slot,
+            loser_next_key: match.loser_next_key,
+            loser_next_slot: match.loser_next_slot
+        });
+    });
+
+    return tournament;
+}
+
+function transferClanLeadership({ p_clan_id: clanId, p_from: from, p_to: to }) {
+    const leader = find('clan_members', row => row.auth === from && row.clan_id === clanId && row.role === 'leader');
+    const successor = find('clan_members', row => row.auth === to && row.clan_id === clanId);
+    if (!leader || !successor || leader === successor) return false;
+
+    updateRow('clan_members', successor, { role: 'leader' });
+    updateRow('clan_members', leader, { role: 'officer' });
+    return true;
+}
+
+const FUNCTIONS = {
+    record_match: recordMatch,
+    close_season: closeSeason,
+    player_nickname_history: playerNicknameHistory,
+    award_career_coins: awardCareerCoins,
+    career_unlock: careerUnlock,
+    rerank_player_stats: rerankPlayerStats,
+    correct_player_stats: correctPlayerStats,
+    merge_players: mergePlayers,
+    head_to_head: headToHead,
+    start_tournament: startTournament,
+    transfer_clan_leadership: transferClanLeadership
+};
+
+// A function runs as one transaction: if it raises, its writes are undone
+async function rpc(name, args = {}) {
+    const fn = FUNCTIONS[name];
+    if (!fn) {
+        return { data: null, error: { message: `Could not find the function public.${name}`, code: 'PGRST202' } };
+    }
+
+    try {
+        return { data: copy(inTransaction(() => fn(copy(args)))) ?? null, error: null };
+    } catch (err) {
+        if (err instanceof DatabaseError) {
+            return { data: null, error: { message: err.message, code: err.code } };
+        }
+        throw err;
+    }
+}
+
+function seed(file) {
+    const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(rows).forEach(([table, tableRows]) => {
+        tableRows.forEach(row => insertRow(table, row));
+    });
+    rerankPlayerStats();
+}
+
+seed(SEED_FILE);
+
+module.exports = {
+    from: table => new Query(table),
+    rpc
+};
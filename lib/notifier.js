@@ -0,0 +1,24 @@
+// Pluggable player notifications (VIP reminders, password reset links and the like). The
+// default just logs, standing in for a real transport (mail, Discord DM) installed with
+// setNotifier().
+
+let sender = async (auth, kind, data) => {
+    console.log(`[notify] ${auth} ${kind}`, JSON.stringify(data));
+};
+
+function setNotifier(fn) {
+    sender = fn;
+}
+
+async function notify(auth, kind, data = {}) {
+    try {
+        await sender(auth, kind, data);
+    } catch (err) {
+        console.error(`Error sending ${kind} notification to ${auth}:`, err);
+    }
+}
+
+module.exports = {
+    setNotifier,
+    notify
+};
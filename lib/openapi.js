@@ -0,0 +1,290 @@
+// OpenAPI description of the public /api/v1 endpoints, served at /api/v1/openapi.json.
+// Keep it in step with the serializers in lib/apiV1.js.
+
+const { METRICS } = require('./rankingsIndex');
+const { SEARCH_MIN_LENGTH } = require('./players');
+const { VIP_CELEBRATIONS } = require('./vip');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const jsonResponse = (description, schema) => ({
+    description,
+    headers: {
+        ETag: { $ref: '#/components/headers/ETag' },
+        'Cache-Control': { $ref: '#/components/headers/CacheControl' }
+    },
+    content: { 'application/json': { schema } }
+});
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+const commonResponses = {
+    304: { description: 'Not modified since the ETag sent in If-None-Match' },
+    401: errorResponse('Invalid or revoked API key'),
+    429: errorResponse('Hourly quota exceeded; see the Retry-After header')
+};
+
+const authParam = { name: 'auth', in: 'path', required: true, schema: string, description: 'Haxball auth id of the player' };
+
+module.exports = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Haxball Rankings API',
+        version: '1.0.0',
+        description: 'Read-only access to rankings, players, rooms and VIP cosmetics. '
+            + 'Send an API key in the X-API-Key header for a higher quota; without one, requests '
+            + 'share a small hourly quota per IP. Every IP is also limited per minute, key or not. '
+            + 'Every response carries RateLimit-Limit, '
+            + 'RateLimit-Remaining and RateLimit-Reset headers. Fields may be added within v1 '
+            + 'but are never renamed or removed.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{}, { ApiKey: [] }],
+    paths: {
+        '/rankings': {
+            get: {
+                summary: 'Ranked players, one page at a time',
+                parameters: [
+                    { name: 'sort', in: 'query', schema: { type: 'string', enum: METRICS, default: 'points' } },
+                    { name: 'dir', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+                    { name: 'minGames', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 }, description: 'Only rank players with at least this many games' },
+                    { name: 'q', in: 'query', schema: { type: 'string', maxLength: 50 }, description: 'Filter by nickname; ranks are kept' },
+                    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+                    { name: 'perPage', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+                    { name: 'season', in: 'query', schema: integer, description: 'Season id; closed seasons return their final standings' }
+                ],
+                responses: {
+                    200: jsonResponse('A page of rankings', ref('RankingsPage')),
+                    400: errorResponse('Invalid sort or dir'),
+                    404: errorResponse('Season not found'),
+                    ...commonResponses
+                }
+            }
+        },
+        '/players': {
+            get: {
+                summary: 'Search players by nickname',
+                parameters: [
+                    { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: SEARCH_MIN_LENGTH, maxLength: 50 } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 25, default: 10 } }
+                ],
+                responses: {
+                    200: jsonResponse('Best matches first', {
+                        type: 'object',
+                        required: ['players'],
+                        properties: { players: { type: 'array', items: ref('PlayerSearchResult') } }
+                    }),
+                    400: errorResponse('Search term too short'),
+                    ...commonResponses
+                }
+            }
+        },
+        '/players/{auth}': {
+            get: {
+                summary: 'A player with stats, rank, VIP cosmetics and achievements',
+                parameters: [authParam],
+                responses: {
+                    200: jsonResponse('The player', ref('Player')),
+                    404: errorResponse('Player not found or has no stats'),
+                    ...commonResponses
+                }
+            }
+        },
+        '/players/{auth}/vip': {
+            get: {
+                summary: "A player's VIP status and cosmetics",
+                parameters: [authParam],
+                responses: {
+                    200: jsonResponse('VIP status', {
+                        allOf: [
+                            { type: 'object', required: ['auth'], properties: { auth: string } },
+                            ref('Vip')
+                        ]
+                    }),
+                    404: errorResponse('Player not found'),
+                    ...commonResponses
+                }
+            }
+        },
+        '/rooms': {
+            get: {
+                summary: 'Active rooms with their live state',
+                responses: {
+                    200: jsonResponse('Active rooms', {
+                        type: 'object',
+                        required: ['rooms'],
+                        properties: { rooms: { type: 'array', items: ref('Room') } }
+                    }),
+                    ...commonResponses
+                }
+            }
+        },
+        '/rooms/{id}': {
+            get: {
+                summary: 'One active room',
+                parameters: [{ name: 'id', in: 'path', required: true, schema: integer }],
+                responses: {
+                    200: jsonResponse('The room', ref('Room')),
+                    404: errorResponse('Room not found or inactive'),
+                    ...commonResponses
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                summary: 'This document',
+                responses: { 200: { description: 'OpenAPI 3 document' } }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        headers: {
+            ETag: { schema: string, description: 'Send back in If-None-Match to get 304 when unchanged' },
+            CacheControl: { schema: string, description: 'How long the response may be reused, e.g. public, max-age=30' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error', 'code'],
+                properties: {
+                    error: { type: 'string', description: 'Human-readable message' },
+                    code: { type: 'string', enum: ['invalid_query', 'invalid_api_key', 'rate_limited', 'not_found', 'server_error'] },
+                    retryAfter: { type: 'integer', description: 'Seconds to wait (rate_limited only)' }
+                }
+            },
+            Stats: {
+                type: 'object',
+                required: ['points', 'gamesPlayed', 'wins', 'draws', 'losses', 'goals', 'assists', 'cleanSheets'],
+                properties: {
+                    points: { type: 'integer', description: 'Elo rating' },
+                    gamesPlayed: integer,
+                    wins: integer,
+                    draws: integer,
+                    losses: integer,
+                    goals: integer,
+                    assists: integer,
+                    cleanSheets: integer
+                }
+            },
+            Season: {
+                type: 'object',
+                required: ['id', 'name', 'status'],
+                properties: {
+                    id: integer,
+                    name: string,
+                    status: { type: 'string', enum: ['active', 'closed'] }
+                }
+            },
+            RankedPlayer: {
+                type: 'object',
+                required: ['rank', 'auth', 'nickname', 'stats', 'badges'],
+                properties: {
+                    rank: nullable({ type: 'integer', description: 'Rank for the requested sort; null if unranked' }),
+                    auth: string,
+                    nickname: nullable(string),
+                    stats: ref('Stats'),
+                    badges: { type: 'array', items: string, description: 'Unlocked achievement ids' }
+                }
+            },
+            RankingsPage: {
+                type: 'object',
+                required: ['season', 'sort', 'dir', 'minGames', 'query', 'pagination', 'players'],
+                properties: {
+                    season: nullable(ref('Season')),
+                    sort: { type: 'string', enum: METRICS },
+                    dir: { type: 'string', enum: ['asc', 'desc'] },
+                    minGames: integer,
+                    query: nullable(string),
+                    pagination: {
+                        type: 'object',
+                        required: ['page', 'perPage', 'totalItems', 'totalPages'],
+                        properties: { page: integer, perPage: integer, totalItems: integer, totalPages: integer }
+                    },
+                    players: { type: 'array', items: ref('RankedPlayer') }
+                }
+            },
+            PlayerSearchResult: {
+                type: 'object',
+                required: ['auth', 'nickname', 'matchedNickname', 'points', 'gamesPlayed'],
+                properties: {
+                    auth: string,
+                    nickname: string,
+                    matchedNickname: { type: 'string', description: 'The current or past nickname that matched' },
+                    points: integer,
+                    gamesPlayed: integer
+                }
+            },
+            Vip: {
+                type: 'object',
+                required: ['active', 'color', 'message', 'celebration', 'expiresAt'],
+                properties: {
+                    active: { type: 'boolean' },
+                    color: nullable({ type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }),
+                    message: nullable({ type: 'string', maxLength: 10 }),
+                    celebration: nullable({ type: 'string', enum: VIP_CELEBRATIONS }),
+                    expiresAt: nullable(dateTime)
+                },
+                description: 'Cosmetics are null unless VIP is active'
+            },
+            Achievement: {
+                type: 'object',
+                required: ['id', 'name', 'description', 'icon', 'rarity', 'unlockedAt'],
+                properties: {
+                    id: string,
+                    name: string,
+                    description: string,
+                    icon: string,
+                    rarity: { type: 'number', description: 'Percentage of ranked players who have it' },
+                    unlockedAt: dateTime
+                }
+            },
+            Player: {
+                type: 'object',
+                required: ['auth', 'nickname', 'nicknames', 'rank', 'stats', 'vip', 'achievements'],
+                properties: {
+                    auth: string,
+                    nickname: nullable(string),
+                    nicknames: { type: 'array', items: string },
+                    rank: nullable({ type: 'integer', description: 'Rank by points; null if unranked' }),
+                    stats: ref('Stats'),
+                    vip: nullable(ref('Vip')),
+                    achievements: { type: 'array', items: ref('Achievement'), description: 'Unlocked achievements, oldest first' }
+                }
+            },
+            Room: {
+                type: 'object',
+                required: ['id', 'name', 'mode', 'region', 'ranked', 'link', 'status', 'players', 'score', 'lastHeartbeat'],
+                properties: {
+                    id: integer,
+                    name: string,
+                    mode: nullable(string),
+                    region: nullable(string),
+                    ranked: { type: 'boolean' },
+                    link: nullable(string),
+                    status: { type: 'string', enum: ['online', 'stale', 'unknown'] },
+                    players: {
+                        type: 'object',
+                        required: ['total', 'red', 'blue', 'spectators'],
+                        properties: { total: integer, red: integer, blue: integer, spectators: integer }
+                    },
+                    score: {
+                        type: 'object',
+                        required: ['red', 'blue'],
+                        properties: { red: integer, blue: integer }
+                    },
+                    lastHeartbeat: nullable(dateTime)
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,138 @@
+const events = require('./events');
+const { users, playerStats } = require('./repositories');
+const { keys, set, getOrLoad, invalidate, invalidateType } = require('./cache');
+const { vipCacheEntry } = require('./vip');
+const { rankingsIndex } = require('./rankingsIndex');
+
+// Per-player cache entries: profile stats and VIP status. Writes made by this server
+// invalidate the entries they touch (through the event bus); a delta refresh picks up
+// everything else by reading only the rows whose updated_at moved since the last run.
+
+const CACHE_DELTA_INTERVAL = (Number.isFinite(parseInt(process.env.CACHE_DELTA_INTERVAL))
+    ? parseInt(process.env.CACHE_DELTA_INTERVAL)
+    : 60) * 1000; // Seconds in the env var
+// updated_at is stamped when a transaction starts, so a slow one can commit behind the
+// watermark; re-reading a short window before it catches those rows
+const DELTA_OVERLAP_MS = 30 * 1000;
+
+// Rows changed before startup are loaded on demand, so the first delta starts from now
+let watermark = new Date();
+let lastDelta = null;
+
+// The stats shown on profiles
+function toProfile(stats) {
+    const { wins, losses, draws, goals, assists, points, games_played, clean_sheets } = stats;
+    return { wins, losses, draws, goals, assists, points, games_played, clean_sheets };
+}
+
+function cacheProfile(stats) {
+    const profile = toProfile(stats);
+    set(keys.profile(stats.auth), profile);
+    return profile;
+}
+
+function cacheVipEntry(user) {
+    const entry = vipCacheEntry(user);
+    set(keys.vip(user.auth), entry);
+    return entry;
+}
+
+// Profile stats, or null if the player has none
+function getProfile(auth) {
+    return getOrLoad(keys.profile(auth), async () => {
+        const stats = await playerStats.get(auth);
+        return stats ? toProfile(stats) : null;
+    });
+}
+
+// Skips the cache, e.g. for players looking at their own profile
+async function loadProfile(auth) {
+    const stats = await playerStats.get(auth);
+    return stats ? cacheProfile(stats) : null;
+}
+
+// VIP cache entry, or null if the user doesn't exist
+function getVipEntry(auth) {
+    return getOrLoad(keys.vip(auth), async () => {
+        const user = await users.get(auth);
+        return user ? vipCacheEntry(user) : null;
+    });
+}
+
+function withoutUpdatedAt(row) {
+    const { updated_at, ...rest } = row;
+    return rest;
+}
+
+// Re-read the users and player_stats rows changed since the last run and patch them into
+// the cache and the rankings index
+async function refreshChanged() {
+    const since = new Date(watermark.getTime() - DELTA_OVERLAP_MS);
+    const [changedUsers, changedStats] = await Promise.all([
+        users.listUpdatedSince(since),
+        playerStats.listUpdatedSince(since)
+    ]);
+
+    changedUsers.forEach(cacheVipEntry);
+    changedStats.forEach(cacheProfile);
+
+    if (rankingsIndex.loadedAt) {
+        const nicknames = new Map(changedUsers.map(user => [user.auth, user.nicknames || []]));
+        const rows = changedStats.map(stat => ({ ...withoutUpdatedAt(stat), nicknames: nicknames.get(stat.auth) }));
+        changedUsers
+            .filter(user => rankingsIndex.has(user.auth) && !changedStats.some(stat => stat.auth === user.auth))
+            .forEach(user => rows.push({ auth: user.auth, nicknames: nicknames.get(user.auth) }));
+        if (rows.length > 0) rankingsIndex.upsertPlayers(rows);
+    }
+
+    [...changedUsers, ...changedStats].forEach(row => {
+        const updatedAt = new Date(row.updated_at);
+        if (updatedAt > watermark) watermark = updatedAt;
+    });
+    lastDelta = { at: new Date().toISOString(), users: changedUsers.length, stats: changedStats.length };
+    return lastDelta;
+}
+
+async function runDeltaRefresh() {
+    try {
+        await refreshChanged();
+    } catch (err) {
+        console.error('Error refreshing changed players:', err);
+    }
+}
+
+function deltaStatus() {
+    return {
+        intervalSeconds: CACHE_DELTA_INTERVAL / 1000,
+        watermark: watermark.toISOString(),
+        last: lastDelta
+    };
+}
+
+events.on('users:update', auths => {
+    invalidate(auths.flatMap(auth => [keys.vip(auth), keys.role(auth)]));
+});
+
+events.on('stats:update', auths => {
+    invalidate(auths.map(keys.profile));
+});
+
+events.on('stats:reset', () => {
+    invalidateType('profile');
+});
+
+events.on('players:merge', ({ source, target }) => {
+    invalidate([source, target].flatMap(auth => [keys.profile(auth), keys.vip(auth), keys.role(auth)]));
+});
+
+module.exports = {
+    CACHE_DELTA_INTERVAL,
+    toProfile,
+    cacheProfile,
+    cacheVipEntry,
+    getProfile,
+    loadProfile,
+    getVipEntry,
+    runDeltaRefresh,
+    deltaStatus
+};
@@ -0,0 +1,118 @@
+const supabase = require('./supabase');
+const { users } = require('./repositories');
+const { rankingsIndex } = require('./rankingsIndex');
+
+// Player lookup by any nickname they have used, and the history of those nicknames.
+// Search runs over the in-memory rankings index, so it costs no database round trip.
+
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_MAX_RESULTS = 25;
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How well one nickname matches the query; 0 means no match
+function scoreNickname(nickname, query) {
+    const name = nickname.toLowerCase();
+    if (name === query) return 100;
+    if (name.startsWith(query)) return 80;
+    if (name.split(/[\s_\-.]+/).some(word => word.startsWith(query))) return 70;
+    if (name.includes(query)) return 60;
+
+    // Typos: compare against the start of the name so long names can still match short queries
+    const maxDistance = Math.floor(query.length / 4) + 1;
+    const distance = Math.min(
+        levenshtein(query, name),
+        levenshtein(query, name.slice(0, query.length))
+    );
+    return distance <= maxDistance ? 40 - distance * 10 : 0;
+}
+
+// Best matches first; equally good matches go to the more active player
+async function searchPlayers(query, limit = 10) {
+    const needle = query.trim().toLowerCase();
+    if (needle.length < SEARCH_MIN_LENGTH) return [];
+
+    await rankingsIndex.ready();
+
+    const results = [];
+    for (const player of rankingsIndex.players()) {
+        let best = 0;
+        let matchedNickname = null;
+        player.nicknames.forEach((nickname, index) => {
+            // Slight preference for the name the player is shown with
+            const score = scoreNickname(nickname, needle) + (index === 0 ? 5 : 0);
+            if (score > best && score > 5) {
+                best = score;
+                matchedNickname = nickname;
+            }
+        });
+
+        if (matchedNickname) {
+            results.push({
+                auth: player.auth,
+                nickname: player.nicknames[0],
+                matchedNickname,
+                gamesPlayed: player.games_played || 0,
+                points: player.points,
+                score: best
+            });
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score || b.gamesPlayed - a.gamesPlayed);
+    return results.slice(0, Math.min(limit, SEARCH_MAX_RESULTS)).map(({ score, ...result }) => result);
+}
+
+// Known nicknames of a player, most recently used first. Returns null for unknown players.
+async function getNicknameHistory(auth) {
+    const user = await users.get(auth);
+    if (!user) return null;
+
+    const { data: seen, error: historyError } = await supabase.rpc('player_nickname_history', { p_auth: auth });
+
+    if (historyError) {
+        throw historyError;
+    }
+
+    const nicknames = user.nicknames || [];
+    const history = seen.map(row => ({
+        nickname: row.nickname,
+        firstSeen: row.first_seen,
+        lastSeen: row.last_seen,
+        matches: Number(row.matches)
+    }));
+
+    // Names on the account that never showed up in a recorded match
+    nicknames
+        .filter(nickname => !history.some(entry => entry.nickname === nickname))
+        .forEach(nickname => history.push({ nickname, firstSeen: null, lastSeen: null, matches: 0 }));
+
+    // The name used in the latest match, falling back to the account's display name
+    const current = history.find(entry => entry.lastSeen)?.nickname || nicknames[0] || null;
+
+    return {
+        auth,
+        current,
+        nicknames: history.map(entry => ({ ...entry, current: entry.nickname === current }))
+    };
+}
+
+module.exports = {
+    SEARCH_MIN_LENGTH,
+    searchPlayers,
+    getNicknameHistory
+};
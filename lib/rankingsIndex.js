@@ -0,0 +1,259 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, playerStats, fetchAll } = require('./repositories');
+
+// In-memory rankings index. Holds every player's stats and nicknames once, and serves
+// sorted/filtered/searched pages with per-metric ranks without touching the database.
+
+const METRICS = ['points', 'games_played', 'wins', 'draws', 'losses', 'goals', 'assists', 'clean_sheets'];
+const STAT_COLUMNS = 'auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets';
+function byAuth(users) {
+    return users.reduce((acc, user) => {
+        acc[user.auth] = user.nicknames || [];
+        return acc;
+    }, {});
+}
+
+async function fetchAllNicknames() {
+    return byAuth(await users.list());
+}
+
+async function fetchNicknames(authIds) {
+    return byAuth(await users.listByAuths(authIds));
+}
+
+// Live standings from player_stats
+async function loadCurrentStandings() {
+    const stats = await playerStats.list();
+    const nicknames = await fetchAllNicknames();
+    return stats.map(stat => ({ ...stat, nicknames: nicknames[stat.auth] || [] }));
+}
+
+// Archived standings of a closed season
+function loadSeasonStandings(seasonId) {
+    return async () => {
+        const stats = await fetchAll(() => supabase
+            .from('season_standings')
+            .select(STAT_COLUMNS)
+            .eq('season_id', seasonId)
+            .order('auth'));
+        const nicknames = await fetchAllNicknames();
+        return stats.map(stat => ({ ...stat, nicknames: nicknames[stat.auth] || [] }));
+    };
+}
+
+// Competition ranks ("1, 2, 2, 4") over rows already in metric order
+function withRanks(rows, metric) {
+    let previousValue = null;
+    let previousRank = 0;
+    return rows.map((row, index) => {
+        const value = row[metric] || 0;
+        const rank = value === previousValue ? previousRank : index + 1;
+        previousValue = value;
+        previousRank = rank;
+        return { row, rank };
+    });
+}
+
+function createRankingsIndex(loadRows) {
+    let players = new Map(); // auth -> row
+    let sortedCache = {}; // `${metric}:${dir}` -> rows in order with metric ranks
+    let loading = null;
+    let queued = null;
+    let loadedAt = null;
+
+    function invalidateSorts() {
+        sortedCache = {};
+    }
+
+    async function rebuild() {
+        // The load in flight may have read data older than this request, so queue one more after it
+        if (loading) {
+            if (!queued) {
+                queued = loading.catch(() => {}).then(() => {
+                    queued = null;
+                    return rebuild();
+                });
+            }
+            return queued;
+        }
+
+        loading = (async () => {
+            try {
+                const rows = await loadRows();
+                players = new Map(rows.map(row => [row.auth, row]));
+                loadedAt = new Date();
+                invalidateSorts();
+            } finally {
+                loading = null;
+            }
+        })();
+
+        return loading;
+    }
+
+    async function ready() {
+        if (!loadedAt) await (loading || rebuild());
+    }
+
+    // Replace individual players' rows (e.g. after a match) without a full reload
+    function upsertPlayers(rows) {
+        rows.forEach(row => {
+            const existing = players.get(row.auth);
+            players.set(row.auth, { ...existing, ...row, nicknames: row.nicknames || existing?.nicknames || [] });
+        });
+        invalidateSorts();
+    }
+
+    // All players ordered by metric, each with their rank for that metric
+    function sortedBy(metric, dir) {
+        const key = `${metric}:${dir}`;
+        if (sortedCache[key]) return sortedCache[key];
+
+        const sign = dir === 'asc' ? 1 : -1;
+        const rows = [...players.values()].sort((a, b) => {
+            const diff = ((a[metric] || 0) - (b[metric] || 0)) * sign;
+            if (diff !== 0) return diff;
+            // Ties: more games first, then a stable order
+            return (b.games_played || 0) - (a.games_played || 0) || (a.auth < b.auth ? -1 : 1);
+        });
+
+        sortedCache[key] = withRanks(rows, metric);
+        return sortedCache[key];
+    }
+
+    function matchesSearch(row, search) {
+        return row.nicknames.some(nickname => nickname.toLowerCase().includes(search));
+    }
+
+    function toStat(entry) {
+        const { nicknames, ...stat } = entry.row;
+        return { ...stat, rank: entry.rank };
+    }
+
+    // Returns a page in the /api/getRankings shape
+    function query({ sort = 'points', dir = 'desc', minGames = 0, search = '', page = 1, perPage = 250, auth = null }) {
+        let ranked = sortedBy(sort, dir);
+
+        // The games filter changes who is ranked, so ranks are recomputed over the filtered list
+        if (minGames > 0) {
+            const eligible = ranked.filter(entry => (entry.row.games_played || 0) >= minGames);
+            ranked = withRanks(eligible.map(entry => entry.row), sort);
+        }
+
+        // Search narrows the list but keeps everyone's real rank
+        const needle = search.trim().toLowerCase();
+        const visible = needle ? ranked.filter(entry => matchesSearch(entry.row, needle)) : ranked;
+
+        const totalItems = visible.length;
+        const totalPages = Math.ceil(totalItems / perPage);
+        const pageEntries = visible.slice((page - 1) * perPage, page * perPage);
+
+        const userData = {};
+        pageEntries.forEach(entry => {
+            userData[entry.row.auth] = { auth: entry.row.auth, nicknames: entry.row.nicknames };
+        });
+
+        const userStats = {};
+        let countRank = 'Unranked';
+        if (auth) {
+            const own = ranked.find(entry => entry.row.auth === auth);
+            if (own) {
+                userStats[auth] = toStat(own);
+                userData[auth] = { auth, nicknames: own.row.nicknames };
+                countRank = own.rank;
+            }
+        }
+
+        return {
+            statsData: pageEntries.map(toStat),
+            userData,
+            userStats,
+            countRank,
+            sort,
+            dir,
+            minGames,
+            search: needle,
+            pagination: {
+                currentPage: page,
+                perPage,
+                totalItems,
+                totalPages
+            }
+        };
+    }
+
+    return {
+        rebuild,
+        ready,
+        upsertPlayers,
+        query,
+        players() {
+            return players.values();
+        },
+        has(auth) {
+            return players.has(auth);
+        },
+        get(auth) {
+            return players.get(auth) || null;
+        },
+        // A player's rank for a metric, or null if they aren't in the index
+        rankOf(auth, sort = 'points', dir = 'desc') {
+            return sortedBy(sort, dir).find(entry => entry.row.auth === auth)?.rank ?? null;
+        },
+        get size() {
+            return players.size;
+        },
+        get loadedAt() {
+            return loadedAt;
+        }
+    };
+}
+
+// Index of the live standings, shared by the whole app
+const rankingsIndex = createRankingsIndex(loadCurrentStandings);
+
+// Auth of the rank-1 player by points, or null before the live index has loaded
+function leader() {
+    if (!rankingsIndex.loadedAt) return null;
+    return rankingsIndex.query({ perPage: 1 }).statsData[0]?.auth || null;
+}
+
+// Fetch fresh rows for some players and patch them into the live index. A new rank-1 player
+// is announced as 'rankings:leader'.
+async function refreshPlayers(authIds) {
+    if (authIds.length === 0) return;
+
+    const stats = await playerStats.listByAuths(authIds);
+    const nicknames = await fetchNicknames(authIds);
+
+    const previous = leader();
+    rankingsIndex.upsertPlayers(stats.map(stat => ({ ...stat, nicknames: nicknames[stat.auth] || [] })));
+    const current = leader();
+    if (previous && current && current !== previous) {
+        events.emit('rankings:leader', { auth: current, previous });
+    }
+}
+
+// Keep the live index in step with stat writes: patch single players, reload on bulk changes
+events.on('stats:update', auths => {
+    refreshPlayers(auths).catch(err => {
+        console.error('Error refreshing rankings index:', err);
+    });
+});
+
+['stats:reset', 'players:merge'].forEach(event => {
+    events.on(event, () => {
+        rankingsIndex.rebuild().catch(err => {
+            console.error('Error rebuilding rankings index:', err);
+        });
+    });
+});
+
+module.exports = {
+    METRICS,
+    rankingsIndex,
+    refreshPlayers,
+    createRankingsIndex,
+    loadSeasonStandings
+};
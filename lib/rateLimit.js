@@ -0,0 +1,159 @@
+// Rate limits and login lockout. Counters live in a key-value store with expiry; the
+// default keeps them in this process, and setStore() can swap in a shared one (e.g. Redis)
+// when the site runs on several instances. A store needs three async methods:
+//   get(key) -> value or undefined, set(key, value, ttlMs), delete(key)
+
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5; // Failures before a lockout
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60; // First lockout; doubles each time
+const LOGIN_LOCKOUT_MAX_SECONDS = 60 * 60;
+const LOGIN_FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000; // Failures and lockouts are forgotten after a quiet day
+const SWEEP_INTERVAL = 60 * 1000;
+
+function createMemoryStore() {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) entries.delete(key);
+        });
+    }, SWEEP_INTERVAL);
+    sweep.unref();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry || entry.expiresAt <= Date.now()) return undefined;
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+let store = createMemoryStore();
+
+function setStore(newStore) {
+    store = newStore;
+}
+
+// 429 with the seconds to wait, in the header and the body
+function tooManyRequests(res, message, code, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error: message, code, retryAfter: retryAfterSeconds });
+}
+
+// Sliding window counter: the previous window's count is weighted by how much of it
+// still overlaps the sliding window. Records a hit and returns the estimated count.
+async function hit(key, windowMs, now = Date.now()) {
+    const windowStart = now - (now % windowMs);
+    const counter = await store.get(key);
+
+    let previous = 0;
+    let current = 0;
+    if (counter && counter.windowStart === windowStart) {
+        previous = counter.previous;
+        current = counter.current;
+    } else if (counter && counter.windowStart === windowStart - windowMs) {
+        previous = counter.current;
+    }
+
+    current++;
+    await store.set(key, { windowStart, previous, current }, windowMs * 2);
+
+    const overlap = 1 - (now - windowStart) / windowMs;
+    return {
+        count: Math.floor(previous * overlap) + current,
+        resetMs: windowStart + windowMs - now
+    };
+}
+
+// Middleware allowing `max` requests per `windowMs` per key. key(req) picks what is
+// limited (IP, account...); requests it returns null for aren't counted. max can also be
+// a function of the request, for limits that differ per caller.
+function rateLimit({ name, windowMs, max, key = req => req.ip, skip = () => false, message = 'Too many requests, please slow down' }) {
+    return async (req, res, next) => {
+        if (skip(req)) return next();
+
+        const id = key(req);
+        if (id === null || id === undefined) return next();
+
+        try {
+            const limit = typeof max === 'function' ? max(req) : max;
+            const { count, resetMs } = await hit(`rate:${name}:${id}`, windowMs);
+            res.set('RateLimit-Limit', String(limit));
+            res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+            res.set('RateLimit-Reset', String(Math.ceil(resetMs / 1000)));
+
+            if (count > limit) {
+                return tooManyRequests(res, message, 'rate_limited', Math.max(1, Math.ceil(resetMs / 1000)));
+            }
+        } catch (err) {
+            // A broken store shouldn't take the site down with it
+            console.error(`Rate limit store error (${name}):`, err);
+        }
+
+        next();
+    };
+}
+
+// Login lockout, per account name so guesses spread over many IPs still count.
+// After LOGIN_LOCKOUT_THRESHOLD failures the account is locked for LOGIN_LOCKOUT_SECONDS,
+// doubling with every further lockout up to an hour. A successful login clears it all.
+function lockoutKey(username) {
+    return `lockout:${String(username).trim().toLowerCase()}`;
+}
+
+// Seconds until the account can be tried again, or 0
+async function loginLockedFor(username) {
+    const state = await store.get(lockoutKey(username));
+    if (!state || !state.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+}
+
+// Returns the lockout length in seconds if this failure triggered one, otherwise 0
+async function recordLoginFailure(username) {
+    const key = lockoutKey(username);
+    const state = (await store.get(key)) || { failures: 0, lockouts: 0, lockedUntil: null };
+
+    state.failures++;
+    let lockedFor = 0;
+    if (state.failures >= LOGIN_LOCKOUT_THRESHOLD) {
+        lockedFor = Math.min(LOGIN_LOCKOUT_SECONDS * 2 ** state.lockouts, LOGIN_LOCKOUT_MAX_SECONDS);
+        state.lockouts++;
+        state.failures = 0;
+        state.lockedUntil = Date.now() + lockedFor * 1000;
+    }
+
+    await store.set(key, state, LOGIN_FAILURE_MEMORY_MS);
+    return lockedFor;
+}
+
+async function clearLoginFailures(username) {
+    await store.delete(lockoutKey(username));
+}
+
+function accountLocked(res, seconds) {
+    return tooManyRequests(
+        res,
+        `Too many failed logins. Try again in ${seconds} second${seconds === 1 ? '' : 's'}`,
+        'account_locked',
+        seconds
+    );
+}
+
+module.exports = {
+    createMemoryStore,
+    setStore,
+    rateLimit,
+    loginLockedFor,
+    recordLoginFailure,
+    clearLoginFailures,
+    accountLocked
+};
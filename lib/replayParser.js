@@ -0,0 +1,245 @@
+const zlib = require('zlib');
+
+// Reads the metadata out of a Haxball replay (.hbr2). The layout mirrors what the game
+// writes when a room stops recording:
+//   "HBR2", version (uint32), length in frames (uint32), then a raw-deflated body of
+//   goal markers (uint16 count; frame delta as a varint and the team whose goal was hit),
+//   the room state when recording started, and the game events after that.
+// Numbers are big-endian. Only the room state is decoded; the events are left alone, so
+// players who joined mid-recording aren't listed.
+
+const MAGIC = 'HBR2';
+const SUPPORTED_VERSIONS = [3];
+const FRAMES_PER_SECOND = 60;
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+const TEAMS = ['spectator', 'red', 'blue'];
+
+// Built-in stadiums, by the index the room state stores in place of a custom one
+const DEFAULT_STADIUMS = [
+    'Classic', 'Easy', 'Small', 'Big', 'Rounded', 'Hockey', 'Big Hockey', 'Big Easy', 'Big Rounded', 'Huge'
+];
+const CUSTOM_STADIUM = 255;
+
+class ReplayFormatError extends Error {}
+
+class Reader {
+    constructor(buffer) {
+        this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        this.offset = 0;
+    }
+
+    need(bytes) {
+        if (this.offset + bytes > this.view.byteLength) {
+            throw new ReplayFormatError('The replay file is truncated');
+        }
+        const at = this.offset;
+        this.offset += bytes;
+        return at;
+    }
+
+    skip(bytes) {
+        this.need(bytes);
+    }
+
+    uint8() {
+        return this.view.getUint8(this.need(1));
+    }
+
+    uint16() {
+        return this.view.getUint16(this.need(2));
+    }
+
+    int32() {
+        return this.view.getInt32(this.need(4));
+    }
+
+    uint32() {
+        return this.view.getUint32(this.need(4));
+    }
+
+    varint() {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const byte = this.uint8();
+            value |= (byte & 127) << shift;
+            if ((byte & 128) === 0) return value >>> 0;
+        }
+        throw new ReplayFormatError('The replay file is corrupt');
+    }
+
+    // The game encodes each UTF-16 unit on its own, so emoji arrive as two encoded
+    // surrogates, which Buffer's UTF-8 decoding would turn into replacement characters
+    string(length) {
+        const start = this.need(length);
+        const end = start + length;
+        this.offset = start;
+        let text = '';
+        while (this.offset < end) {
+            const lead = this.uint8();
+            const extra = lead < 0x80 ? 0 : lead >= 0xF0 ? 3 : lead >= 0xE0 ? 2 : lead >= 0xC0 ? 1 : -1;
+            if (extra < 0 || this.offset + extra > end) {
+                throw new ReplayFormatError('The replay file is corrupt');
+            }
+            let code = extra === 0 ? lead : lead & (0x3F >> extra);
+            for (let i = 0; i < extra; i++) {
+                code = (code << 6) | (this.uint8() & 0x3F);
+            }
+            text += String.fromCodePoint(code);
+        }
+        return text;
+    }
+
+    // Length-prefixed string where a length of 0 means null
+    nullableString() {
+        const length = this.varint();
+        return length === 0 ? null : this.string(length - 1);
+    }
+
+    rest() {
+        const at = this.need(this.view.byteLength - this.offset);
+        return Buffer.from(this.view.buffer, this.view.byteOffset + at, this.view.byteLength - at);
+    }
+}
+
+// A custom stadium is stored in full. Only its name is kept; the geometry is skipped.
+function readStadium(reader) {
+    const index = reader.uint8();
+    if (index !== CUSTOM_STADIUM) {
+        return DEFAULT_STADIUMS[index] || `Stadium ${index}`;
+    }
+
+    const name = reader.nullableString();
+    // Camera, spawn distance, kick-off radius and the player physics block
+    reader.skip(4 + 5 * 8 + 4 + 3 * 8 + 11 * 8 + 4);
+    reader.skip(2 + 1 + 1 + 1);
+
+    const skipList = size => {
+        const count = reader.uint8();
+        for (let i = 0; i < count; i++) size();
+    };
+    skipList(() => reader.skip(32)); // vertexes
+    skipList(() => {
+        // segments: optional fields are flagged in the first byte
+        const flags = reader.uint8();
+        reader.skip(2 + (flags & 1 ? 8 : 0) + (flags & 2 ? 8 : 0) + (flags & 4 ? 4 : 0) + 16);
+    });
+    skipList(() => reader.skip(40)); // planes
+    skipList(() => reader.skip(33)); // goals
+    skipList(() => reader.skip(92)); // discs
+    skipList(() => reader.skip(30)); // joints
+    skipList(() => reader.skip(16)); // red spawn points
+    skipList(() => reader.skip(16)); // blue spawn points
+
+    return name || 'Custom';
+}
+
+// The game in progress when recording started: the moving discs, then the clock and score
+function readGame(reader) {
+    const discs = reader.uint8();
+    reader.skip(discs * 92);
+    reader.skip(4 + 4); // timers
+    const red = reader.int32();
+    const blue = reader.int32();
+    reader.skip(8 + 4 + 1); // clock, pause and kick-off team
+    return { red, blue };
+}
+
+function readPlayer(reader) {
+    const admin = reader.uint8() !== 0;
+    reader.skip(4);
+    reader.nullableString(); // avatar
+    reader.nullableString(); // headless avatar
+    reader.skip(1);
+    const country = reader.nullableString();
+    reader.skip(4);
+    const name = reader.nullableString();
+    reader.skip(4);
+    const id = reader.varint();
+    reader.skip(1 + 2 + 1);
+    const team = TEAMS[reader.uint8()] || 'spectator';
+    reader.skip(2);
+    return { id, name: name || '', team, country, admin };
+}
+
+function readBody(body, frames) {
+    const reader = new Reader(body);
+
+    const goals = [];
+    let frame = 0;
+    for (let count = reader.uint16(); count > 0; count--) {
+        frame += reader.varint();
+        // The marker names the goal the ball went into, so the other team scored
+        const hit = reader.uint8();
+        goals.push({ frame, team: hit === 1 ? 'blue' : 'red' });
+    }
+
+    const roomName = reader.nullableString();
+    reader.skip(1);
+    const scoreLimit = reader.int32();
+    const timeLimit = reader.int32();
+    reader.skip(2 + 1 + 1);
+    const stadium = readStadium(reader);
+    const game = reader.uint8() !== 0 ? readGame(reader) : null;
+
+    const players = [];
+    for (let count = reader.uint8(); count > 0; count--) {
+        players.push(readPlayer(reader));
+    }
+
+    // Rooms record one game at a time, so the final score is the score when recording
+    // started plus the goals scored since
+    const score = {
+        red: (game ? game.red : 0) + goals.filter(goal => goal.team === 'red').length,
+        blue: (game ? game.blue : 0) + goals.filter(goal => goal.team === 'blue').length
+    };
+
+    return {
+        roomName,
+        stadium,
+        scoreLimit,
+        timeLimit,
+        duration: Math.round(frames / FRAMES_PER_SECOND),
+        frames,
+        score,
+        goals,
+        players
+    };
+}
+
+// Returns { replay } with the parsed metadata, or { error } when the file isn't a usable
+// Haxball replay
+function parseReplay(buffer) {
+    try {
+        if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== MAGIC) {
+            return { error: 'Not a Haxball replay (.hbr2) file' };
+        }
+
+        const reader = new Reader(buffer);
+        reader.skip(4);
+
+        const version = reader.uint32();
+        if (!SUPPORTED_VERSIONS.includes(version)) {
+            return { error: `Unsupported replay version ${version}` };
+        }
+        const frames = reader.uint32();
+
+        let body;
+        try {
+            body = zlib.inflateRawSync(reader.rest(), { maxOutputLength: MAX_INFLATED_BYTES });
+        } catch (err) {
+            return { error: 'The replay file is corrupt' };
+        }
+
+        return { replay: { version, ...readBody(body, frames) } };
+    } catch (err) {
+        if (err instanceof ReplayFormatError || err instanceof RangeError) {
+            return { error: err instanceof ReplayFormatError ? err.message : 'The replay file is corrupt' };
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    parseReplay
+};
@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded replay files live. A storage saves, reads and removes files by key:
+//   save(key, buffer), read(key) -> Buffer or null, remove(key)
+// The default keeps them on local disk under REPLAY_DIR (./replays); another backend
+// (S3, Supabase Storage) can be installed with setReplayStorage().
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]+\.hbr2$/;
+
+function filePath(dir, key) {
+    // Keys are generated by lib/replays.js, but never let one step outside the directory
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid replay key: ${key}`);
+    }
+    return path.join(dir, key);
+}
+
+function createDiskStorage(dir) {
+    return {
+        async save(key, buffer) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(filePath(dir, key), buffer);
+        },
+
+        async read(key) {
+            try {
+                return await fs.readFile(filePath(dir, key));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        async remove(key) {
+            await fs.rm(filePath(dir, key), { force: true });
+        }
+    };
+}
+
+let storage = createDiskStorage(process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays'));
+
+function setReplayStorage(backend) {
+    storage = backend;
+}
+
+function getReplayStorage() {
+    return storage;
+}
+
+module.exports = {
+    createDiskStorage,
+    setReplayStorage,
+    getReplayStorage
+};
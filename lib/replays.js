@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { users } = require('./repositories');
+const { parseReplay } = require('./replayParser');
+const { getReplayStorage } = require('./replayStorage');
+
+// Haxball replays attached to recorded matches. The room host can upload one right after
+// reporting the match, and so can anyone who played in it (or an admin), e.g. to settle a
+// disputed goal. The file has to parse as a replay and end on the match's score; its
+// players are matched to the match players by nickname so it shows up on their profiles.
+//
+// Functions return { error, status } when the request can't be honoured.
+
+const REPLAY_MAX_BYTES = parseInt(process.env.REPLAY_MAX_BYTES) || 10 * 1024 * 1024;
+const REPLAY_COLUMNS = 'id, match_id, storage_key, size, version, duration, room_name, stadium, red_score, blue_score, '
+    + 'goals, players, uploaded_by, created_at';
+
+function failure(status, error) {
+    return { status, error };
+}
+
+function formatReplay(row) {
+    return {
+        id: row.id,
+        matchId: row.match_id,
+        size: row.size,
+        version: row.version,
+        duration: row.duration,
+        roomName: row.room_name,
+        stadium: row.stadium,
+        score: { red: row.red_score, blue: row.blue_score },
+        goals: row.goals,
+        players: row.players,
+        uploadedBy: row.uploaded_by,
+        createdAt: row.created_at
+    };
+}
+
+async function fetchReplay(column, value) {
+    if (!Number.isInteger(value)) return null;
+    const { data, error } = await supabase
+        .from('replays')
+        .select(REPLAY_COLUMNS)
+        .eq(column, value)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+async function fetchMatch(matchId) {
+    if (!Number.isInteger(matchId)) return null;
+    const { data, error } = await supabase
+        .from('matches')
+        .select('id, red_score, blue_score')
+        .eq('id', matchId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (!data) return null;
+
+    const { data: players, error: playersError } = await supabase
+        .from('match_players')
+        .select('auth, nickname, team')
+        .eq('match_id', matchId);
+
+    if (playersError) {
+        throw playersError;
+    }
+    return { ...data, players };
+}
+
+const nicknameKey = name => String(name || '').trim().toLowerCase();
+
+// Pair the replay's players with the match players by nickname, within the same team
+function linkPlayers(replayPlayers, matchPlayers) {
+    return replayPlayers.map(player => {
+        const linked = matchPlayers.find(row => row.team === player.team
+            && nicknameKey(row.nickname) === nicknameKey(player.name));
+        return {
+            name: player.name,
+            team: player.team,
+            country: player.country,
+            auth: linked ? linked.auth : null
+        };
+    });
+}
+
+// Store an uploaded replay for a match. auth is the uploading player, or null for the room
+// host. Returns { replay }.
+async function uploadReplay(matchId, file, auth) {
+    if (!Buffer.isBuffer(file) || file.length === 0) {
+        return failure(400, 'Send the replay file as the request body');
+    }
+    if (file.length > REPLAY_MAX_BYTES) {
+        return failure(413, 'The replay file is too large');
+    }
+
+    const match = await fetchMatch(matchId);
+    if (!match) {
+        return failure(404, 'Match not found');
+    }
+
+    if (auth && !match.players.some(player => player.auth === auth)) {
+        const user = await users.get(auth);
+        if (user?.role !== 'admin') {
+            return failure(403, 'Only players from this match can upload its replay');
+        }
+    }
+
+    if (await fetchReplay('match_id', matchId)) {
+        return failure(409, 'This match already has a replay');
+    }
+
+    const { replay, error: parseError } = parseReplay(file);
+    if (parseError) {
+        return failure(400, parseError);
+    }
+    if (replay.score.red !== match.red_score || replay.score.blue !== match.blue_score) {
+        return failure(400, `The replay ends ${replay.score.red}-${replay.score.blue} but the match ended `
+            + `${match.red_score}-${match.blue_score}`);
+    }
+
+    const key = `${matchId}-${crypto.randomBytes(6).toString('hex')}.hbr2`;
+    const storage = getReplayStorage();
+    await storage.save(key, file);
+
+    const { data, error } = await supabase
+        .from('replays')
+        .insert({
+            match_id: matchId,
+            storage_key: key,
+            size: file.length,
+            version: replay.version,
+            duration: replay.duration,
+            room_name: replay.roomName,
+            stadium: replay.stadium,
+            red_score: replay.score.red,
+            blue_score: replay.score.blue,
+            goals: replay.goals,
+            players: linkPlayers(replay.players, match.players),
+            uploaded_by: auth
+        })
+        .select(REPLAY_COLUMNS)
+        .single();
+
+    if (error) {
+        await storage.remove(key);
+        if (error.code === '23505') {
+            return failure(409, 'This match already has a replay');
+        }
+        throw error;
+    }
+    return { replay: formatReplay(data) };
+}
+
+// Replay metadata, or null for unknown ids
+async function getReplay(id) {
+    const row = await fetchReplay('id', id);
+    return row ? formatReplay(row) : null;
+}
+
+// The replay with its file contents, or null if either is missing
+async function getReplayFile(id) {
+    const row = await fetchReplay('id', id);
+    if (!row) return null;
+
+    const file = await getReplayStorage().read(row.storage_key);
+    return file ? { replay: formatReplay(row), file } : null;
+}
+
+async function deleteReplay(id) {
+    const row = await fetchReplay('id', id);
+    if (!row) {
+        return failure(404, 'Replay not found');
+    }
+
+    const { error } = await supabase
+        .from('replays')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        throw error;
+    }
+
+    await getReplayStorage().remove(row.storage_key);
+    return {};
+}
+
+// Replay id per match id, for the matches that have one
+async function replayIdsByMatch(matchIds) {
+    if (matchIds.length === 0) return {};
+
+    const { data, error } = await supabase
+        .from('replays')
+        .select('id, match_id')
+        .in('match_id', matchIds);
+
+    if (error) {
+        throw error;
+    }
+    return Object.fromEntries(data.map(row => [row.match_id, row.id]));
+}
+
+module.exports = {
+    REPLAY_MAX_BYTES,
+    uploadReplay,
+    getReplay,
+    getReplayFile,
+    deleteReplay,
+    replayIdsByMatch
+};
@@ -0,0 +1,47 @@
+// Data access for users, player_stats, rooms, the VIP ledger and reminders, and sessions,
+// plus fetchAll for paging through whole tables. That is all this layer covers: matches,
+// seasons, achievements, clans, tournaments, career and the rest query the shared client in
+// lib/supabase.js directly and have no repository of their own.
+// DATA_BACKEND picks that client, not these repositories: with DATA_BACKEND=memory the same
+// queries and SQL functions run against in-memory tables seeded from data/seed.json (see
+// lib/memorySupabase.js), for every module alike, so the site runs without a Supabase project.
+
+const events = require('../events');
+
+const DATA_BACKEND = process.env.DATA_BACKEND || 'supabase';
+
+const DATA_BACKENDS = ['supabase', 'memory'];
+
+if (!DATA_BACKENDS.includes(DATA_BACKEND)) {
+    throw new Error(`Unknown DATA_BACKEND "${DATA_BACKEND}" (expected ${DATA_BACKENDS.join(' or ')})`);
+}
+
+const repositories = require('./supabase');
+
+// Announce each write to a player's row on the event bus, so caches drop what it changed
+// whichever module made the write
+function announced(write, event) {
+    return async (auth, ...args) => {
+        const result = await write(auth, ...args);
+        events.emit(event, [auth]);
+        return result;
+    };
+}
+
+module.exports = {
+    DATA_BACKEND,
+    ...repositories,
+    users: {
+        ...repositories.users,
+        update: announced(repositories.users.update, 'users:update'),
+        async create(fields) {
+            const user = await repositories.users.create(fields);
+            events.emit('users:update', [user.auth]);
+            return user;
+        }
+    },
+    playerStats: {
+        ...repositories.playerStats,
+        correct: announced(repositories.playerStats.correct, 'stats:update')
+    }
+};
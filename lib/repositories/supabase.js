@@ -0,0 +1,276 @@
+const supabase = require('../supabase');
+
+// Supabase-backed repositories. Every method throws the Supabase error on failure.
+
+// Everything but the password hash, which only login reads
+const USER_COLUMNS = 'auth, nicknames, role, isVIP, vip_state, vip_expires_at, vip_color, vipMessage, '
+    + 'vipCelebration, vip_archived_settings, bmc_email, banned_at, banned_until, ban_reason, banned_by, '
+    + 'discord_id, discord_username, discord_linked_at';
+const STAT_COLUMNS = 'auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets';
+const ROOM_COLUMNS = 'id, name, mode, region, ranked, active, room_link, total_players, red_players, '
+    + 'blue_players, spec_players, red_score, blue_score, last_heartbeat';
+const SESSION_COLUMNS = 'id, auth, refresh_hash, remember_me, user_agent, created_at, last_used_at, expires_at, revoked_at';
+const FETCH_CHUNK = 1000; // PostgREST returns at most 1000 rows per request
+const IN_CHUNK = 200; // Values per in() filter, which goes in the URL
+
+function unwrap({ data, error }) {
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+// Page through a query builder factory until a short page comes back. Shared by the
+// in-memory indexes that load whole tables.
+async function fetchAll(buildQuery) {
+    const rows = [];
+    for (let offset = 0; ; offset += FETCH_CHUNK) {
+        const data = unwrap(await buildQuery().range(offset, offset + FETCH_CHUNK - 1));
+        rows.push(...data);
+        if (data.length < FETCH_CHUNK) break;
+    }
+    return rows;
+}
+
+const users = {
+    async get(auth) {
+        return unwrap(await supabase.from('users').select(USER_COLUMNS).eq('auth', auth).maybeSingle());
+    },
+
+    // Accounts that have used this nickname, with their password hash (for login)
+    async findByNickname(nickname) {
+        const rows = unwrap(await supabase
+            .from('users')
+            .select(`${USER_COLUMNS}, password`)
+            .filter('nicknames', 'cs', JSON.stringify([nickname])));
+        return rows.filter(row => row.nicknames.includes(nickname));
+    },
+
+    async findByBmcEmail(email) {
+        return unwrap(await supabase.from('users').select(USER_COLUMNS).eq('bmc_email', email).maybeSingle());
+    },
+
+    async findByDiscordId(discordId) {
+        return unwrap(await supabase.from('users').select(USER_COLUMNS).eq('discord_id', discordId).maybeSingle());
+    },
+
+    // The stored password hash, or null (for password changes)
+    async getPassword(auth) {
+        const row = unwrap(await supabase.from('users').select('password').eq('auth', auth).maybeSingle());
+        return row?.password || null;
+    },
+
+    async create(fields) {
+        return unwrap(await supabase.from('users').insert(fields).select(USER_COLUMNS).single());
+    },
+
+    async list() {
+        return fetchAll(() => supabase.from('users').select(USER_COLUMNS).order('auth'));
+    },
+
+    async listByAuths(auths) {
+        if (auths.length === 0) return [];
+        return unwrap(await supabase.from('users').select(USER_COLUMNS).in('auth', auths));
+    },
+
+    // The auths among these that have an account. Players who never registered have stats
+    // and matches but no users row, so rows keyed to users can't be written for them.
+    async listRegistered(auths) {
+        const registered = [];
+        for (let offset = 0; offset < auths.length; offset += IN_CHUNK) {
+            const rows = unwrap(await supabase.from('users').select('auth').in('auth', auths.slice(offset, offset + IN_CHUNK)));
+            registered.push(...rows.map(row => row.auth));
+        }
+        return registered;
+    },
+
+    async listVips() {
+        return unwrap(await supabase.from('users').select(USER_COLUMNS).eq('isVIP', true));
+    },
+
+    async listBanned(now = new Date()) {
+        return unwrap(await supabase
+            .from('users')
+            .select(USER_COLUMNS)
+            .not('banned_at', 'is', null)
+            .or(`banned_until.is.null,banned_until.gt.${now.toISOString()}`));
+    },
+
+    // Returns the updated user, or null if it doesn't exist
+    async update(auth, fields) {
+        return unwrap(await supabase.from('users').update(fields).eq('auth', auth).select(USER_COLUMNS).maybeSingle());
+    },
+
+    // Users changed at or after `since`, oldest change first, with their updated_at
+    async listUpdatedSince(since) {
+        return fetchAll(() => supabase
+            .from('users')
+            .select(`${USER_COLUMNS}, updated_at`)
+            .gte('updated_at', since.toISOString())
+            .order('updated_at')
+            .order('auth'));
+    }
+};
+
+const playerStats = {
+    async get(auth) {
+        return unwrap(await supabase.from('player_stats').select(STAT_COLUMNS).eq('auth', auth).maybeSingle());
+    },
+
+    async list() {
+        return fetchAll(() => supabase.from('player_stats').select(STAT_COLUMNS).order('auth'));
+    },
+
+    async listByAuths(auths) {
+        if (auths.length === 0) return [];
+        return unwrap(await supabase.from('player_stats').select(STAT_COLUMNS).in('auth', auths));
+    },
+
+    // Overwrite some stats and re-rank. Returns the previous values, or null if the player has no stats.
+    async correct(auth, stats) {
+        return unwrap(await supabase.rpc('correct_player_stats', { p_auth: auth, p_stats: stats }));
+    },
+
+    // Stats changed at or after `since`, oldest change first, with their updated_at
+    async listUpdatedSince(since) {
+        return fetchAll(() => supabase
+            .from('player_stats')
+            .select(`${STAT_COLUMNS}, updated_at`)
+            .gte('updated_at', since.toISOString())
+            .order('updated_at')
+            .order('auth'));
+    }
+};
+
+const rooms = {
+    async list({ activeOnly = false } = {}) {
+        let query = supabase.from('room_link').select(ROOM_COLUMNS).order('id', { ascending: true });
+        if (activeOnly) query = query.eq('active', true);
+        return unwrap(await query);
+    },
+
+    async get(id) {
+        return unwrap(await supabase.from('room_link').select(ROOM_COLUMNS).eq('id', id).maybeSingle());
+    },
+
+    async create(fields) {
+        return unwrap(await supabase.from('room_link').insert(fields).select(ROOM_COLUMNS).single());
+    },
+
+    // Returns the updated room, or null if it doesn't exist
+    async update(id, fields) {
+        return unwrap(await supabase.from('room_link').update(fields).eq('id', id).select(ROOM_COLUMNS).maybeSingle());
+    },
+
+    // Returns false if the room doesn't exist
+    async delete(id) {
+        const data = unwrap(await supabase.from('room_link').delete().eq('id', id).select('id'));
+        return data.length > 0;
+    }
+};
+
+// VIP reminders and the Buy Me a Coffee purchase ledger. VIP state itself lives on users.
+const vip = {
+    // Returns false if this reminder was already sent (unique key on auth, kind, expires_at)
+    async recordNotification(auth, kind, expiresAt) {
+        const { error } = await supabase.from('vip_notifications').insert({ auth, kind, expires_at: expiresAt });
+        if (error) {
+            if (error.code === '23505') return false;
+            throw error;
+        }
+        return true;
+    },
+
+    // Claim a webhook event. Returns the ledger id, or null if the event was already claimed.
+    async claimPurchase(entry) {
+        const { data, error } = await supabase.from('vip_purchases').insert(entry).select('id').single();
+        if (error) {
+            if (error.code === '23505') return null;
+            throw error;
+        }
+        return data.id;
+    },
+
+    // The latest ledger entry for a payment that granted VIP (memberships have one per billing
+    // period). Periods already refunded are skipped unless includeRefunded is set.
+    async findGrantedPurchase(paymentId, { includeRefunded = false } = {}) {
+        return unwrap(await supabase
+            .from('vip_purchases')
+            .select('id, auth, days, payload')
+            .eq('payment_id', paymentId)
+            .in('status', includeRefunded ? ['granted', 'refunded'] : ['granted'])
+            .order('id', { ascending: false })
+            .limit(1)
+            .maybeSingle());
+    },
+
+    // Mark a granted entry refunded. Returns false if a refund already took it.
+    async claimRefund(id) {
+        const rows = unwrap(await supabase
+            .from('vip_purchases')
+            .update({ status: 'refunded' })
+            .eq('id', id)
+            .eq('status', 'granted')
+            .select('id'));
+        return rows.length > 0;
+    },
+
+    async findPurchase(id) {
+        return unwrap(await supabase
+            .from('vip_purchases')
+            .select('id, auth, supporter_email, status')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    // Newest first
+    async listPurchases(status) {
+        return unwrap(await supabase
+            .from('vip_purchases')
+            .select('id, event_type, supporter_email, supporter_name, amount, currency, created_at, payload')
+            .eq('status', status)
+            .order('id', { ascending: false }));
+    },
+
+    async updatePurchase(id, fields) {
+        unwrap(await supabase.from('vip_purchases').update(fields).eq('id', id));
+    },
+
+    async deletePurchase(id) {
+        unwrap(await supabase.from('vip_purchases').delete().eq('id', id));
+    }
+};
+
+const sessions = {
+    async create(row) {
+        return unwrap(await supabase.from('sessions').insert(row).select(SESSION_COLUMNS).single());
+    },
+
+    async get(id) {
+        return unwrap(await supabase.from('sessions').select(SESSION_COLUMNS).eq('id', id).maybeSingle());
+    },
+
+    async update(id, fields) {
+        unwrap(await supabase.from('sessions').update(fields).eq('id', id));
+    },
+
+    // Revoke every live session of a player. Returns the revoked session ids.
+    async revokeAll(auth, revokedAt) {
+        const data = unwrap(await supabase
+            .from('sessions')
+            .update({ revoked_at: revokedAt })
+            .eq('auth', auth)
+            .is('revoked_at', null)
+            .select('id'));
+        return data.map(row => row.id);
+    }
+};
+
+module.exports = {
+    fetchAll,
+    users,
+    playerStats,
+    rooms,
+    vip,
+    sessions
+};
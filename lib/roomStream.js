@@ -0,0 +1,199 @@
+const repositories = require('./repositories');
+const events = require('./events');
+const cache = require('./cache');
+const { DEFAULT_ROOM_ID, roomStatus } = require('./rooms');
+
+// Live room status over Server-Sent Events. Updates come from room hosts pushing
+// to /api/room/update, or from polling the room_link rows; every change is broadcast
+// to connected clients as a numbered event so reconnecting clients can catch up.
+
+const COUNT_FIELDS = ['total_players', 'red_players', 'blue_players', 'spec_players', 'red_score', 'blue_score'];
+const COMPARED_FIELDS = ['room_link', 'name', 'mode', 'region', 'ranked', 'active', 'status', ...COUNT_FIELDS];
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle connections
+const STALE_CHECK_INTERVAL = 30 * 1000;
+const RECONNECT_DELAY = 5000; // Sent to clients as the SSE retry hint
+const HISTORY_SIZE = 100; // Events kept for Last-Event-ID replay
+
+const clients = new Set(); // { res, roomId } (roomId null = all rooms)
+const history = [];
+const latest = new Map(); // room id -> last event for that room
+let lastEventId = 0;
+
+function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function wants(client, event) {
+    return client.roomId === null || client.roomId === event.data.id;
+}
+
+function broadcast(type, data) {
+    const event = { id: ++lastEventId, type, data };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+
+    const message = formatEvent(event);
+    clients.forEach(client => {
+        if (wants(client, event)) client.res.write(message);
+    });
+    return event;
+}
+
+// Returns an error message, or null if the pushed state is usable
+function validateRoomUpdate(body) {
+    if (!body || typeof body !== 'object') return 'Room state is required';
+
+    if (body.roomId !== undefined && !(Number.isInteger(body.roomId) && body.roomId > 0)) {
+        return 'roomId must be a positive integer';
+    }
+    for (const field of COUNT_FIELDS) {
+        if (body[field] !== undefined && !(Number.isInteger(body[field]) && body[field] >= 0)) {
+            return `${field} must be a non-negative integer`;
+        }
+    }
+    if (body.room_link !== undefined && typeof body.room_link !== 'string') {
+        return 'room_link must be a string';
+    }
+
+    return null;
+}
+
+// Broadcast a room's new state. Identical states are dropped so polling doesn't spam clients.
+function publishRoomUpdate(room) {
+    const data = { ...room, status: roomStatus(room) };
+    const previous = latest.get(room.id);
+    if (previous && COMPARED_FIELDS.every(field => previous.data[field] === data[field])) {
+        previous.data.last_heartbeat = data.last_heartbeat;
+        return false;
+    }
+
+    const event = broadcast('room', { ...data, updatedAt: new Date().toISOString() });
+    latest.set(room.id, event);
+
+    if (room.id === DEFAULT_ROOM_ID) {
+        cache.set(cache.keys.roomLink(), room);
+    }
+
+    events.emit('room:update', event.data);
+    return true;
+}
+
+// Tell clients a room is gone (deleted or deactivated)
+function publishRoomRemoved(id) {
+    if (!latest.has(id)) return;
+    latest.delete(id);
+    broadcast('room-removed', { id });
+}
+
+// Save a state pushed by a room host, record its heartbeat and broadcast it.
+// Returns null if the room doesn't exist.
+async function applyRoomUpdate(update) {
+    const fields = { last_heartbeat: new Date().toISOString() };
+    ['room_link', ...COUNT_FIELDS].forEach(field => {
+        if (update[field] !== undefined) fields[field] = update[field];
+    });
+
+    const data = await repositories.rooms.update(update.roomId ?? DEFAULT_ROOM_ID, fields);
+    if (!data) return null;
+
+    publishRoomUpdate(data);
+    return data;
+}
+
+// Current live state of a room, if it has been seen
+function getLiveRoom(id) {
+    return latest.get(id)?.data || null;
+}
+
+// Registry rows with the freshest known live state
+function withLiveState(room) {
+    const live = getLiveRoom(room.id);
+    const merged = live && new Date(live.last_heartbeat || 0) >= new Date(room.last_heartbeat || 0)
+        ? { ...room, ...live }
+        : room;
+    return { ...merged, status: roomStatus(merged) };
+}
+
+// Re-read all active rooms, for hosts that write room_link directly instead of pushing
+async function refreshRooms() {
+    try {
+        const rooms = await repositories.rooms.list({ activeOnly: true });
+        rooms.forEach(publishRoomUpdate);
+        [...latest.keys()]
+            .filter(id => !rooms.some(room => room.id === id))
+            .forEach(publishRoomRemoved);
+    } catch (err) {
+        console.error('Error refreshing rooms:', err);
+    }
+}
+
+// Rooms whose host stopped reporting go stale without any new data arriving
+function checkStaleRooms() {
+    latest.forEach(event => {
+        if (roomStatus(event.data) !== event.data.status) {
+            publishRoomUpdate(event.data);
+        }
+    });
+}
+
+// GET handler: replays what the client missed (per Last-Event-ID), then streams live events.
+// ?room=<id> limits the stream to one room.
+async function handleRoomStream(req, res) {
+    const roomId = req.query.room ? parseInt(req.query.room) : null;
+    if (req.query.room && !Number.isInteger(roomId)) {
+        return res.status(400).json({ error: 'room must be a room id' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    const client = { res, roomId };
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+        clients.delete(client);
+    });
+
+    const since = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId);
+    const canReplay = Number.isInteger(since)
+        && since <= lastEventId
+        && (history.length === 0 || since >= history[0].id - 1);
+
+    if (canReplay) {
+        history
+            .filter(event => event.id > since && wants(client, event))
+            .forEach(event => res.write(formatEvent(event)));
+    } else {
+        // New client, or too far behind (or from before a restart): start from a snapshot
+        if (latest.size === 0) await refreshRooms();
+        [...latest.values()]
+            .filter(event => wants(client, event))
+            .sort((a, b) => a.id - b.id)
+            .forEach(event => res.write(formatEvent(event)));
+    }
+
+    if (!closed) clients.add(client);
+}
+
+setInterval(() => {
+    clients.forEach(client => client.res.write(': heartbeat\n\n'));
+}, HEARTBEAT_INTERVAL).unref();
+
+setInterval(checkStaleRooms, STALE_CHECK_INTERVAL).unref();
+
+module.exports = {
+    validateRoomUpdate,
+    applyRoomUpdate,
+    publishRoomUpdate,
+    publishRoomRemoved,
+    getLiveRoom,
+    withLiveState,
+    refreshRooms,
+    handleRoomStream
+};
@@ -0,0 +1,102 @@
+const repositories = require('./repositories');
+const { keys, getOrLoad, invalidate } = require('./cache');
+
+// Room registry. Each row of room_link is one Haxball room with its link, mode, region
+// and latest reported state; last_heartbeat tells whether its host is still reporting.
+
+const ROOM_STALE_SECONDS = parseInt(process.env.ROOM_STALE_SECONDS) || 120;
+const ROOMS_CACHE_TTL = 30;
+const DEFAULT_ROOM_ID = 1; // The original single room, still served by /api/room-link
+
+const TEXT_FIELDS = { name: 60, mode: 30, region: 30, room_link: 200 };
+const BOOLEAN_FIELDS = ['ranked', 'active'];
+
+// online: heartbeat within ROOM_STALE_SECONDS; stale: host stopped reporting;
+// unknown: the host has never sent a heartbeat (e.g. it writes room_link directly)
+function roomStatus(room, now = new Date()) {
+    if (!room.last_heartbeat) return 'unknown';
+    const age = (now - new Date(room.last_heartbeat)) / 1000;
+    return age <= ROOM_STALE_SECONDS ? 'online' : 'stale';
+}
+
+// Returns an error message, or null. New rooms need a name and a link.
+function validateRoom(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') return 'Room details are required';
+
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+        const value = body[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'string' || value.length > maxLength) {
+            return `${field} must be a string of at most ${maxLength} characters`;
+        }
+    }
+    for (const field of BOOLEAN_FIELDS) {
+        if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+            return `${field} must be true or false`;
+        }
+    }
+    if (body.room_link && !/^https:\/\/(www\.)?haxball\.com\//.test(body.room_link)) {
+        return 'room_link must be a haxball.com link';
+    }
+    if (!partial && (!body.name || !body.room_link)) {
+        return 'name and room_link are required';
+    }
+
+    return null;
+}
+
+function pickRoomFields(body) {
+    const fields = {};
+    [...Object.keys(TEXT_FIELDS), ...BOOLEAN_FIELDS].forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+// Active rooms by default; admins can ask for all of them
+async function listRooms({ includeInactive = false } = {}) {
+    return getOrLoad(
+        keys.rooms(includeInactive ? 'all' : 'active'),
+        () => repositories.rooms.list({ activeOnly: !includeInactive }),
+        ROOMS_CACHE_TTL
+    );
+}
+
+function invalidateRooms() {
+    invalidate([keys.rooms('all'), keys.rooms('active')]);
+}
+
+function getRoom(id) {
+    return repositories.rooms.get(id);
+}
+
+async function createRoom(body) {
+    const room = await repositories.rooms.create(pickRoomFields(body));
+    invalidateRooms();
+    return room;
+}
+
+// Returns the updated room, or null if it doesn't exist
+async function updateRoom(id, body) {
+    const room = await repositories.rooms.update(id, pickRoomFields(body));
+    invalidateRooms();
+    return room;
+}
+
+// Returns false if the room doesn't exist
+async function deleteRoom(id) {
+    const deleted = await repositories.rooms.delete(id);
+    invalidateRooms();
+    return deleted;
+}
+
+module.exports = {
+    DEFAULT_ROOM_ID,
+    roomStatus,
+    validateRoom,
+    listRooms,
+    getRoom,
+    createRoom,
+    updateRoom,
+    deleteRoom
+};
@@ -0,0 +1,183 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { keys, getOrLoad, invalidate } = require('./cache');
+const { ELO_DEFAULT_RATING } = require('./elo');
+const { createRankingsIndex, loadSeasonStandings } = require('./rankingsIndex');
+
+// Seasons: when the active season's window ends, close_season() archives the final
+// standings of everyone who played that season (Elo at the close, their rank among them,
+// plus the games, wins, goals... played that season), soft-resets everyone's Elo towards
+// the default rating and opens the next season, all in one transaction.
+
+const SEASON_LENGTH_DAYS = parseInt(process.env.SEASON_LENGTH_DAYS) || 90;
+const SEASON_SOFT_RESET_FACTOR = Number.isFinite(parseFloat(process.env.SEASON_SOFT_RESET_FACTOR))
+    ? parseFloat(process.env.SEASON_SOFT_RESET_FACTOR)
+    : 0.5; // Share of the distance from the default rating a player keeps
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function seasonEnd(start) {
+    return new Date(start.getTime() + SEASON_LENGTH_DAYS * DAY_MS).toISOString();
+}
+
+async function listSeasons() {
+    return getOrLoad(keys.seasons(), async () => {
+        const { data, error } = await supabase
+            .from('seasons')
+            .select('id, name, starts_at, ends_at, status, closed_at')
+            .order('id', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    });
+}
+
+// The active season, creating the first one if the table is empty
+async function getActiveSeason() {
+    const { data: season, error } = await supabase
+        .from('seasons')
+        .select('id, name, starts_at, ends_at, status')
+        .eq('status', 'active')
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    if (season) return season;
+
+    const now = new Date();
+    const { data: created, error: createError } = await supabase
+        .from('seasons')
+        .insert({ name: 'Season 1', starts_at: now.toISOString(), ends_at: seasonEnd(now), status: 'active' })
+        .select('id, name, starts_at, ends_at, status')
+        .single();
+
+    if (createError) {
+        throw createError;
+    }
+
+    invalidate(keys.seasons());
+    return created;
+}
+
+// Close the given active season and open the next one. Returns the new season id.
+async function closeSeason(season) {
+    const { count, error: countError } = await supabase
+        .from('seasons')
+        .select('id', { count: 'exact', head: true });
+
+    if (countError) {
+        throw countError;
+    }
+
+    const { data: nextSeasonId, error } = await supabase.rpc('close_season', {
+        p_season_id: season.id,
+        p_reset_factor: SEASON_SOFT_RESET_FACTOR,
+        p_base_rating: ELO_DEFAULT_RATING,
+        p_next_name: `Season ${count + 1}`,
+        p_next_ends_at: seasonEnd(new Date())
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    invalidate(keys.seasons());
+    events.emit('stats:reset');
+    return nextSeasonId;
+}
+
+// Scheduled: close the active season once its window has passed. Returns true if a season was closed.
+async function runSeasonScheduler() {
+    try {
+        const season = await getActiveSeason();
+        if (new Date(season.ends_at) > new Date()) return false;
+
+        const nextSeasonId = await closeSeason(season);
+        console.log(`Closed ${season.name}, season ${nextSeasonId} is now active`);
+        return true;
+    } catch (err) {
+        console.error('Error running season scheduler:', err);
+        return false;
+    }
+}
+
+// Rankings index over a closed season's archived standings. Closed seasons only change
+// when players are merged, so each index is built once and kept until then.
+const seasonIndexes = new Map();
+
+async function getSeasonRankingsIndex(seasonId) {
+    if (!seasonIndexes.has(seasonId)) {
+        seasonIndexes.set(seasonId, createRankingsIndex(loadSeasonStandings(seasonId)));
+    }
+
+    const index = seasonIndexes.get(seasonId);
+    try {
+        await index.ready();
+    } catch (err) {
+        seasonIndexes.delete(seasonId);
+        throw err;
+    }
+    return index;
+}
+
+async function getSeasonStanding(seasonId, auth) {
+    const { data, error } = await supabase
+        .from('season_standings')
+        .select('auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets')
+        .eq('season_id', seasonId)
+        .eq('auth', auth)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+// Finishing position in every closed season the player took part in, newest first
+async function getPlayerSeasonHistory(auth) {
+    const { data: standings, error } = await supabase
+        .from('season_standings')
+        .select('season_id, rank, points, games_played, wins')
+        .eq('auth', auth)
+        .order('season_id', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    const seasons = await listSeasons();
+    const seasonsById = seasons.reduce((acc, season) => {
+        acc[season.id] = season;
+        return acc;
+    }, {});
+
+    return standings.map(standing => ({
+        seasonId: standing.season_id,
+        name: seasonsById[standing.season_id]?.name || `Season ${standing.season_id}`,
+        endedAt: seasonsById[standing.season_id]?.closed_at || null,
+        rank: standing.rank,
+        points: standing.points,
+        gamesPlayed: standing.games_played,
+        wins: standing.wins
+    }));
+}
+
+// merge_players() folds the source's standings into the target's and re-ranks those seasons
+events.on('players:merge', () => {
+    seasonIndexes.clear();
+});
+
+module.exports = {
+    listSeasons,
+    getActiveSeason,
+    closeSeason,
+    runSeasonScheduler,
+    getSeasonRankingsIndex,
+    getSeasonStanding,
+    getPlayerSeasonHistory
+};
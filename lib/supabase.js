@@ -0,0 +1,10 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Shared Supabase client (environment is loaded by index.js before this is required).
+// With DATA_BACKEND=memory every query goes to in-memory tables instead (lib/memorySupabase.js),
+// so the whole site runs without a Supabase project.
+const supabase = process.env.DATA_BACKEND === 'memory'
+    ? require('./memorySupabase')
+    : createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+module.exports = supabase;
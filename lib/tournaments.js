@@ -0,0 +1,586 @@
+const supabase = require('./supabase');
+const events = require('./events');
+const { users, playerStats } = require('./repositories');
+const { ELO_DEFAULT_RATING } = require('./elo');
+const { getMembership, getClanRoster } = require('./clans');
+const { FORMATS, generateBracket, completeMatch, standings, findChampion } = require('./brackets');
+
+// Tournaments: an organizer opens sign-ups, players (or clans, through their leader or an
+// officer) enter, and starting the tournament seeds the entrants by Elo and builds the
+// bracket (see lib/brackets.js). One side reports a result and the other confirms or
+// disputes it; organizers and admins can enter results directly. A confirmed result moves
+// the bracket on, and the tournament finishes once it has a winner.
+//
+// Functions return { error, status } when the request can't be honoured.
+
+const ENTRANT_TYPES = ['player', 'clan'];
+const MAX_SCORE = 99;
+const TOURNAMENT_COLUMNS = 'id, name, description, format, entrant_type, max_entrants, status, winner_entry_id, '
+    + 'created_by, created_at, started_at, finished_at';
+const ENTRY_COLUMNS = 'id, tournament_id, auth, clan_id, name, members, seed, rating, created_at';
+const MATCH_COLUMNS = 'id, tournament_id, key, bracket, round, position, entry1_id, entry2_id, score1, score2, '
+    + 'winner_id, status, reported_by, reported_at, completed_at, next_key, next_slot, loser_next_key, loser_next_slot';
+// Bracket fields a result can change, written back after each one
+const MATCH_STATE_FIELDS = ['entry1_id', 'entry2_id', 'score1', 'score2', 'winner_id', 'status',
+    'reported_by', 'reported_at', 'completed_at'];
+
+// Request bodies (see lib/validate.js)
+const createTournamentSchema = {
+    name: { type: 'string', required: true, minLength: 3, maxLength: 60 },
+    description: { type: 'string', nullable: true, maxLength: 500 },
+    format: { type: 'string', required: true, enum: FORMATS },
+    entrantType: { type: 'string', enum: ENTRANT_TYPES },
+    maxEntrants: { type: 'integer', min: 2, max: 128 }
+};
+const matchResultSchema = {
+    score1: { type: 'integer', required: true, min: 0, max: MAX_SCORE },
+    score2: { type: 'integer', required: true, min: 0, max: MAX_SCORE }
+};
+
+function failure(status, error) {
+    return { status, error };
+}
+
+async function fetchTournament(id) {
+    if (!Number.isInteger(id)) return null;
+    const { data, error } = await supabase
+        .from('tournaments')
+        .select(TOURNAMENT_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+async function fetchEntries(tournamentId) {
+    const { data, error } = await supabase
+        .from('tournament_entries')
+        .select(ENTRY_COLUMNS)
+        .eq('tournament_id', tournamentId)
+        .order('created_at');
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+async function fetchMatches(tournamentId) {
+    const { data, error } = await supabase
+        .from('tournament_matches')
+        .select(MATCH_COLUMNS)
+        .eq('tournament_id', tournamentId)
+        .order('id');
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+async function fetchMatch(id) {
+    const { data, error } = await supabase
+        .from('tournament_matches')
+        .select(MATCH_COLUMNS)
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+// Organizers manage the tournaments they created; admins manage all of them
+async function canManage(auth, tournament) {
+    if (tournament.created_by === auth) return true;
+    const user = await users.get(auth);
+    return user?.role === 'admin';
+}
+
+// Whether the caller plays for an entry: the player themself, or a clan's leader or officer
+async function speaksFor(auth, entry) {
+    if (!entry) return false;
+    if (entry.auth) return entry.auth === auth;
+    const membership = await getMembership(auth);
+    return !!membership && membership.clan.id === entry.clan_id && membership.role !== 'member';
+}
+
+// Every tournament, newest first, with its entrant count and winner
+async function listTournaments() {
+    const { data, error } = await supabase
+        .from('tournaments')
+        .select(TOURNAMENT_COLUMNS)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+    if (data.length === 0) return [];
+
+    const { data: entries, error: entriesError } = await supabase
+        .from('tournament_entries')
+        .select('id, tournament_id, name')
+        .in('tournament_id', data.map(tournament => tournament.id));
+
+    if (entriesError) {
+        throw entriesError;
+    }
+
+    return data.map(tournament => {
+        const own = entries.filter(entry => entry.tournament_id === tournament.id);
+        const winner = own.find(entry => entry.id === tournament.winner_entry_id);
+        return { ...tournament, entrants: own.length, winner: winner ? winner.name : null };
+    });
+}
+
+// The tournament with its entrants, bracket and (round robin) table. Returns null for unknown ids.
+async function getTournament(id) {
+    const tournament = await fetchTournament(id);
+    if (!tournament) return null;
+
+    const [entries, matches] = await Promise.all([fetchEntries(id), fetchMatches(id)]);
+    return {
+        tournament,
+        entries,
+        matches,
+        standings: tournament.format === 'round_robin' && tournament.status !== 'signup'
+            ? standings(entries, matches)
+            : null
+    };
+}
+
+// Tournaments the player took part in (themself or with their clan), newest first
+async function getPlayerTournaments(auth) {
+    const { data: entries, error } = await supabase
+        .from('tournament_entries')
+        .select('id, tournament_id, name')
+        .filter('members', 'cs', JSON.stringify([auth]));
+
+    if (error) {
+        throw error;
+    }
+    if (entries.length === 0) return [];
+
+    const { data, error: tournamentsError } = await supabase
+        .from('tournaments')
+        .select(TOURNAMENT_COLUMNS)
+        .in('id', entries.map(entry => entry.tournament_id))
+        .order('created_at', { ascending: false });
+
+    if (tournamentsError) {
+        throw tournamentsError;
+    }
+
+    return data.map(tournament => {
+        const entry = entries.find(row => row.tournament_id === tournament.id);
+        return {
+            id: tournament.id,
+            name: tournament.name,
+            format: tournament.format,
+            status: tournament.status,
+            finishedAt: tournament.finished_at,
+            entryName: entry.name,
+            won: tournament.winner_entry_id === entry.id
+        };
+    });
+}
+
+// Returns { tournament }
+async function createTournament(auth, { name, description = null, format, entrantType = 'player', maxEntrants = 16 }) {
+    const { data, error } = await supabase
+        .from('tournaments')
+        .insert({
+            name: name.trim(),
+            description,
+            format,
+            entrant_type: entrantType,
+            max_entrants: maxEntrants,
+            created_by: auth
+        })
+        .select(TOURNAMENT_COLUMNS)
+        .single();
+
+    if (error) {
+        throw error;
+    }
+    return { tournament: data };
+}
+
+// Enter the caller, or for clan tournaments the caller's clan. Returns { entry }.
+async function signUp(auth, tournamentId) {
+    const tournament = await fetchTournament(tournamentId);
+    if (!tournament) {
+        return failure(404, 'Tournament not found');
+    }
+    if (tournament.status !== 'signup') {
+        return failure(409, 'Sign-ups are closed');
+    }
+
+    let entry;
+    if (tournament.entrant_type === 'clan') {
+        const membership = await getMembership(auth);
+        if (!membership || membership.role === 'member') {
+            return failure(403, 'Only a clan leader or officer can sign their clan up');
+        }
+        entry = { clan_id: membership.clan.id, name: membership.clan.name };
+    } else {
+        const user = await users.get(auth);
+        if (!user) {
+            return failure(404, 'Account not found');
+        }
+        entry = { auth, name: user.nicknames[0], members: [auth] };
+    }
+
+    const entries = await fetchEntries(tournamentId);
+    if (entries.length >= tournament.max_entrants) {
+        return failure(409, 'The tournament is full');
+    }
+
+    const { data, error } = await supabase
+        .from('tournament_entries')
+        .insert({ tournament_id: tournamentId, ...entry })
+        .select(ENTRY_COLUMNS)
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return failure(409, 'Already signed up');
+        }
+        throw error;
+    }
+    return { entry: data };
+}
+
+// While sign-ups are open, entrants can pull out and organizers can remove them
+async function withdraw(auth, tournamentId, entryId) {
+    const tournament = await fetchTournament(tournamentId);
+    if (!tournament) {
+        return failure(404, 'Tournament not found');
+    }
+    if (tournament.status !== 'signup') {
+        return failure(409, 'The tournament has already started');
+    }
+
+    const entry = (await fetchEntries(tournamentId)).find(row => row.id === entryId);
+    if (!entry) {
+        return failure(404, 'Entry not found');
+    }
+    if (!(await speaksFor(auth, entry)) && !(await canManage(auth, tournament))) {
+        return failure(403, 'You can only withdraw your own entry');
+    }
+
+    const { error } = await supabase.from('tournament_entries').delete().eq('id', entryId);
+    if (error) {
+        throw error;
+    }
+    return {};
+}
+
+// Seed by Elo: a player's rating, or a clan's average. Clans are also pinned to the
+// members they have now, which is who a win is credited to.
+async function seedEntries(entries) {
+    const playerAuths = entries.filter(entry => entry.auth).map(entry => entry.auth);
+    const stats = await playerStats.listByAuths(playerAuths);
+    const points = Object.fromEntries(stats.map(row => [row.auth, row.points]));
+
+    const rated = await Promise.all(entries.map(async entry => {
+        if (entry.auth) {
+            return { ...entry, rating: points[entry.auth] ?? ELO_DEFAULT_RATING };
+        }
+        const roster = entry.clan_id ? await getClanRoster(entry.clan_id) : null;
+        return {
+            ...entry,
+            rating: roster?.totals.points ?? ELO_DEFAULT_RATING,
+            members: roster ? roster.members : entry.members
+        };
+    }));
+
+    rated.sort((a, b) => b.rating - a.rating || (a.created_at < b.created_at ? -1 : 1));
+    return rated.map((entry, index) => ({ ...entry, seed: index + 1 }));
+}
+
+// Close sign-ups, seed the entrants and build the bracket. Returns { tournament }.
+async function startTournament(auth, tournamentId) {
+    const tournament = await fetchTournament(tournamentId);
+    if (!tournament) {
+        return failure(404, 'Tournament not found');
+    }
+    if (!(await canManage(auth, tournament))) {
+        return failure(403, 'Only the organizer can start the tournament');
+    }
+    if (tournament.status !== 'signup') {
+        return failure(409, 'The tournament has already started');
+    }
+
+    const entries = await fetchEntries(tournamentId);
+    if (entries.length < 2) {
+        return failure(400, 'At least two entrants are needed');
+    }
+
+    const seeded = await seedEntries(entries);
+    const bracket = generateBracket(tournament.format, seeded.map(entry => entry.id));
+
+    // One transaction, so a failed bracket insert leaves the tournament open for sign-ups
+    // and two clicks can't build two brackets
+    const { data: started, error } = await supabase.rpc('start_tournament', {
+        p_tournament_id: tournamentId,
+        p_entries: seeded.map(({ id, seed, rating, members }) => ({ id, seed, rating, members })),
+        p_matches: bracket
+    });
+
+    if (error) {
+        throw error;
+    }
+    if (!started) {
+        return failure(409, 'The tournament has already started');
+    }
+    return { tournament: started };
+}
+
+// Organizers can call off a tournament that hasn't finished
+async function cancelTournament(auth, tournamentId) {
+    const tournament = await fetchTournament(tournamentId);
+    if (!tournament) {
+        return failure(404, 'Tournament not found');
+    }
+    if (!(await canManage(auth, tournament))) {
+        return failure(403, 'Only the organizer can cancel the tournament');
+    }
+    if (tournament.status === 'finished' || tournament.status === 'cancelled') {
+        return failure(409, `The tournament is already ${tournament.status}`);
+    }
+
+    const { error } = await supabase
+        .from('tournaments')
+        .update({ status: 'cancelled', finished_at: new Date().toISOString() })
+        .eq('id', tournamentId);
+
+    if (error) {
+        throw error;
+    }
+    return {};
+}
+
+// Loads what a result needs: the running tournament, its entries and bracket, and the match
+async function loadMatch(tournamentId, matchId) {
+    const tournament = await fetchTournament(tournamentId);
+    if (!tournament) {
+        return failure(404, 'Tournament not found');
+    }
+    if (tournament.status !== 'running') {
+        return failure(409, 'The tournament is not running');
+    }
+
+    const [entries, matches] = await Promise.all([fetchEntries(tournamentId), fetchMatches(tournamentId)]);
+    const match = matches.find(row => row.id === matchId);
+    if (!match) {
+        return failure(404, 'Match not found');
+    }
+
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    return { tournament, entries, matches, match, entriesById };
+}
+
+async function saveMatches(matches, keys) {
+    await Promise.all(matches.filter(match => keys.includes(match.key)).map(async match => {
+        const update = Object.fromEntries(MATCH_STATE_FIELDS.map(field => [field, match[field]]));
+        const { error } = await supabase.from('tournament_matches').update(update).eq('id', match.id);
+        if (error) {
+            throw error;
+        }
+    }));
+}
+
+// Record the final score, move the bracket on and finish the tournament if it's decided
+async function finalizeMatch({ tournament, entries, matches, match }, score1, score2) {
+    const now = new Date().toISOString();
+
+    // Claim the match first so two confirmations can't both move the bracket on
+    const { data: claimed, error: claimError } = await supabase
+        .from('tournament_matches')
+        .update({ score1, score2, status: 'completed', completed_at: now })
+        .eq('id', match.id)
+        .in('status', ['ready', 'reported'])
+        .select('id');
+
+    if (claimError) {
+        throw claimError;
+    }
+    if (claimed.length === 0) {
+        return failure(409, 'This match already has a result');
+    }
+    Object.assign(match, { score1, score2, completed_at: now });
+
+    let changed;
+    if (tournament.format === 'round_robin') {
+        Object.assign(match, {
+            status: 'completed',
+            winner_id: score1 === score2 ? null : (score1 > score2 ? match.entry1_id : match.entry2_id)
+        });
+        changed = [match.key];
+    } else {
+        const result = completeMatch(matches, match.key, score1 > score2 ? match.entry1_id : match.entry2_id);
+        changed = result.changed;
+        // Walkovers further on complete at the same time
+        matches.forEach(row => {
+            if (changed.includes(row.key) && row.status === 'completed' && !row.completed_at) row.completed_at = now;
+        });
+
+        if (result.replay) {
+            const { data, error } = await supabase
+                .from('tournament_matches')
+                .insert({ ...result.replay, tournament_id: tournament.id })
+                .select(MATCH_COLUMNS)
+                .single();
+            if (error) {
+                throw error;
+            }
+            matches.push(data);
+        }
+    }
+    await saveMatches(matches, changed);
+
+    const championId = findChampion(tournament.format, entries, matches);
+    if (!championId) return {};
+
+    const { data, error } = await supabase
+        .from('tournaments')
+        .update({ status: 'finished', winner_entry_id: championId, finished_at: now })
+        .eq('id', tournament.id)
+        .eq('status', 'running')
+        .select(TOURNAMENT_COLUMNS);
+
+    if (error) {
+        throw error;
+    }
+    if (data.length > 0) {
+        events.emit('tournament:finish', { tournament: data[0], winner: entries.find(entry => entry.id === championId) });
+    }
+    return { finished: true };
+}
+
+// One side reports the score and waits for the other to confirm; organizers' results stand
+// straight away. Elimination matches need a winner. Returns { match, confirmed }.
+async function reportResult(auth, tournamentId, matchId, { score1, score2 }) {
+    const loaded = await loadMatch(tournamentId, matchId);
+    if (loaded.error) return loaded;
+    const { tournament, match, entriesById } = loaded;
+
+    if (match.status !== 'ready' && match.status !== 'reported') {
+        return failure(409, match.status === 'completed' ? 'This match already has a result' : 'This match is not ready yet');
+    }
+    if (score1 === score2 && tournament.format !== 'round_robin') {
+        return failure(400, 'Knockout matches need a winner');
+    }
+
+    if (await canManage(auth, tournament)) {
+        const result = await finalizeMatch(loaded, score1, score2);
+        if (result.error) return result;
+        return { match: await fetchMatch(match.id), confirmed: true, finished: !!result.finished };
+    }
+
+    let side = null;
+    if (await speaksFor(auth, entriesById.get(match.entry1_id))) side = match.entry1_id;
+    else if (await speaksFor(auth, entriesById.get(match.entry2_id))) side = match.entry2_id;
+    if (!side) {
+        return failure(403, 'Only the players in this match can report its result');
+    }
+    if (match.status === 'reported' && match.reported_by !== side) {
+        return failure(409, 'Your opponent has already reported a result; confirm or dispute it');
+    }
+
+    const { data, error } = await supabase
+        .from('tournament_matches')
+        .update({ score1, score2, status: 'reported', reported_by: side, reported_at: new Date().toISOString() })
+        .eq('id', matchId)
+        .in('status', ['ready', 'reported'])
+        .select(MATCH_COLUMNS);
+
+    if (error) {
+        throw error;
+    }
+    if (data.length === 0) {
+        return failure(409, 'This match already has a result');
+    }
+    return { match: data[0], confirmed: false };
+}
+
+// The side that didn't report (or an organizer) accepts or rejects the reported result
+async function answerReport(auth, tournamentId, matchId, accept) {
+    const loaded = await loadMatch(tournamentId, matchId);
+    if (loaded.error) return loaded;
+    const { tournament, match, entriesById } = loaded;
+
+    if (match.status !== 'reported') {
+        return failure(409, 'There is no reported result to answer');
+    }
+
+    const opponentId = match.reported_by === match.entry1_id ? match.entry2_id : match.entry1_id;
+    if (!(await speaksFor(auth, entriesById.get(opponentId))) && !(await canManage(auth, tournament))) {
+        return failure(403, 'Only the opponent of the reporting side can answer this result');
+    }
+
+    if (accept) {
+        const result = await finalizeMatch(loaded, match.score1, match.score2);
+        if (result.error) return result;
+        return { match: await fetchMatch(match.id), finished: !!result.finished };
+    }
+
+    Object.assign(match, { score1: null, score2: null, status: 'ready', reported_by: null, reported_at: null });
+    await saveMatches(loaded.matches, [match.key]);
+    return { match };
+}
+
+function confirmResult(auth, tournamentId, matchId) {
+    return answerReport(auth, tournamentId, matchId, true);
+}
+
+function disputeResult(auth, tournamentId, matchId) {
+    return answerReport(auth, tournamentId, matchId, false);
+}
+
+// Entries of the folded-away account now stand for the surviving one
+events.on('players:merge', async ({ source, target }) => {
+    try {
+        const { data, error } = await supabase
+            .from('tournament_entries')
+            .select('id, auth, members')
+            .filter('members', 'cs', JSON.stringify([source]));
+
+        if (error) {
+            throw error;
+        }
+
+        await Promise.all(data.map(async entry => {
+            const update = { members: [...new Set(entry.members.map(auth => (auth === source ? target : auth)))] };
+            if (entry.auth === source) update.auth = target;
+            const { error: updateError } = await supabase.from('tournament_entries').update(update).eq('id', entry.id);
+            // Both accounts entered the same tournament: the source's entry keeps its auth
+            if (updateError && updateError.code !== '23505') {
+                throw updateError;
+            }
+        }));
+    } catch (err) {
+        console.error('Error moving tournament entries after merge:', err);
+    }
+});
+
+module.exports = {
+    createTournamentSchema,
+    matchResultSchema,
+    listTournaments,
+    getTournament,
+    getPlayerTournaments,
+    createTournament,
+    signUp,
+    withdraw,
+    startTournament,
+    cancelTournament,
+    reportResult,
+    confirmResult,
+    disputeResult
+};
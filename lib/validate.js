@@ -0,0 +1,105 @@
+// Request body validation for the write routes. A schema maps each field to its rules:
+//   type      'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'
+//   required  the field must be present (and not null)
+//   nullable  null is accepted (e.g. to clear a setting)
+//   minLength, maxLength, pattern, enum (strings); min, max (numbers)
+//   check     value -> error message or null, for rules the others can't express
+//   message   replaces the generated error for this field
+// Fields the schema doesn't mention are left alone. validateBody() also accepts the
+// existing validator functions (body -> error message or null).
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => !!value && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'a list'
+};
+
+// Returns an error message, or null
+function checkField(field, value, rule) {
+    if (value === undefined || value === null) {
+        if (rule.required) return `${field} is required`;
+        if (value === null && !rule.nullable) return `${field} can't be null`;
+        return null;
+    }
+
+    if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+        return `${field} must be ${TYPE_NAMES[rule.type]}`;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `${field} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${field} must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return `${field} has an invalid format`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${field} must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `${field} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `${field} must be at most ${rule.max}`;
+    }
+    if (rule.check) {
+        return rule.check(value);
+    }
+    return null;
+}
+
+// Returns { field, message } for the first problem, or null
+function validate(body, schema) {
+    if (!TYPE_CHECKS.object(body)) {
+        return { field: null, message: 'Request body must be a JSON object' };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const message = checkField(field, body[field], rule);
+        if (message) {
+            return { field, message: rule.message || message };
+        }
+    }
+    return null;
+}
+
+function invalidBody(res, message, field = null) {
+    return res.status(400).json({ error: message, code: 'invalid_body', field });
+}
+
+function validateBody(schemaOrValidator) {
+    return (req, res, next) => {
+        // Requests without a JSON body are validated as an empty object
+        if (req.body === undefined) req.body = {};
+
+        if (typeof schemaOrValidator === 'function') {
+            const message = schemaOrValidator(req.body);
+            return message ? invalidBody(res, message) : next();
+        }
+
+        const problem = validate(req.body, schemaOrValidator);
+        if (problem) {
+            return invalidBody(res, problem.message, problem.field);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateBody,
+    invalidBody
+};
@@ -0,0 +1,222 @@
+const events = require('./events');
+const { users, vip } = require('./repositories');
+const { notify } = require('./notifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VIP_GRACE_DAYS = parseInt(process.env.VIP_GRACE_DAYS) || 3;
+const VIP_REMINDER_DAYS = [1, 7]; // Remind this many days before expiry (closest first)
+const VIP_CELEBRATIONS = ['none', 'explosion', 'blinking', 'machinegun', 'invisible', 'magicalaura'];
+
+// Request bodies for the VIP settings routes (see lib/validate.js). `auth` is optional and
+// checked against the session by requireSelf.
+const AUTH_FIELD = { type: 'string', maxLength: 100 };
+const vipMessageSchema = {
+    auth: AUTH_FIELD,
+    vipMessage: {
+        type: 'string',
+        nullable: true,
+        pattern: /^[a-zA-Z]{0,10}$/,
+        message: 'vipMessage must be at most 10 letters (A-Z)'
+    }
+};
+const vipCelebrationSchema = {
+    auth: AUTH_FIELD,
+    vipCelebration: { type: 'string', nullable: true, enum: VIP_CELEBRATIONS }
+};
+const vipColorSchema = {
+    auth: AUTH_FIELD,
+    color: { type: 'string', required: true, pattern: /^#[0-9a-fA-F]{6}$/, message: 'color must be a hex colour like #FFD700' }
+};
+const vipStatusSchema = {
+    auth: AUTH_FIELD
+};
+
+// VIP lifecycle: active -> grace (perks kept for VIP_GRACE_DAYS after expiry) -> expired
+function getVipState(user, now = new Date()) {
+    if (!user || !user.vip_expires_at) return 'none';
+    if (!user.isVIP) return 'expired';
+
+    const expiresAt = new Date(user.vip_expires_at);
+    if (expiresAt > now) return 'active';
+    if (expiresAt.getTime() + VIP_GRACE_DAYS * DAY_MS > now.getTime()) return 'grace';
+    return 'expired';
+}
+
+function isVipActive(user, now = new Date()) {
+    const state = getVipState(user, now);
+    return state === 'active' || state === 'grace';
+}
+
+// Countdown and renewal info for the profile page
+function describeVip(user, now = new Date()) {
+    const state = getVipState(user, now);
+    const expiresAt = user && user.vip_expires_at ? new Date(user.vip_expires_at) : null;
+    const graceEndsAt = expiresAt ? new Date(expiresAt.getTime() + VIP_GRACE_DAYS * DAY_MS) : null;
+
+    let daysLeft = null;
+    if (state === 'active') daysLeft = Math.ceil((expiresAt - now) / DAY_MS);
+    else if (state === 'grace') daysLeft = Math.ceil((graceEndsAt - now) / DAY_MS);
+
+    return {
+        state,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        graceEndsAt: state === 'grace' ? graceEndsAt.toISOString() : null,
+        daysLeft,
+        renewUrl: process.env.BMC_PAGE_URL || null
+    };
+}
+
+// Cache entry for a player's VIP status
+function vipCacheEntry(user, now = new Date()) {
+    return {
+        isVIP: isVipActive(user, now),
+        vip_color: user.vip_color,
+        vipMessage: user.vipMessage,
+        vipCelebration: user.vipCelebration,
+        vip_expires_at: user.vip_expires_at,
+        vip_state: getVipState(user, now)
+    };
+}
+
+// Add `days` of VIP. Renewals extend the current expiry instead of restarting from now,
+// and cosmetics archived at expiry are restored.
+async function extendVip(auth, days) {
+    const user = await users.get(auth);
+    if (!user) {
+        throw new Error(`User ${auth} not found`);
+    }
+
+    const now = new Date();
+    const currentExpiry = user.vip_expires_at ? new Date(user.vip_expires_at) : null;
+    const renewal = !!(user.isVIP && currentExpiry && currentExpiry > now);
+    const base = renewal ? currentExpiry : now;
+    const expiresAt = new Date(base.getTime() + days * DAY_MS);
+
+    const updates = { isVIP: true, vip_expires_at: expiresAt.toISOString(), vip_state: 'active' };
+    if (user.vip_archived_settings) {
+        Object.assign(updates, user.vip_archived_settings, { vip_archived_settings: null });
+    }
+    if (!updates.vip_color && !user.vip_color) {
+        updates.vip_color = '#ffffff';
+    }
+
+    await users.update(auth, updates);
+    events.emit('vip:grant', { auth, expiresAt, renewal });
+
+    return expiresAt;
+}
+
+// Take back `days` of VIP (refunds). VIP ends immediately if nothing is left.
+async function revokeVipDays(auth, days) {
+    const user = await users.get(auth);
+    if (!user) {
+        throw new Error(`User ${auth} not found`);
+    }
+
+    const now = new Date();
+    const current = user.vip_expires_at ? new Date(user.vip_expires_at) : now;
+    const expiresAt = new Date(current.getTime() - days * DAY_MS);
+
+    if (expiresAt > now) {
+        await users.update(auth, { isVIP: true, vip_expires_at: expiresAt.toISOString(), vip_state: 'active' });
+        return expiresAt;
+    }
+
+    // Nothing left: cosmetics are archived as on expiry
+    if (user.isVIP) await expireVip(user);
+    await users.update(auth, { isVIP: false, vip_expires_at: now.toISOString(), vip_state: 'expired' });
+    return null;
+}
+
+// Send each reminder once per expiry date; the unique key on vip_notifications enforces it
+async function notifyOnce(auth, kind, expiresAt, data) {
+    try {
+        if (!await vip.recordNotification(auth, kind, expiresAt)) return;
+    } catch (err) {
+        console.error(`Error recording ${kind} notification:`, err);
+        return;
+    }
+
+    await notify(auth, kind, data);
+}
+
+async function expireVip(user) {
+    // Archive cosmetics so they come back if the player renews later
+    await users.update(user.auth, {
+        isVIP: false,
+        vip_state: 'expired',
+        vip_archived_settings: {
+            vip_color: user.vip_color,
+            vipMessage: user.vipMessage,
+            vipCelebration: user.vipCelebration
+        },
+        vip_color: null,
+        vipMessage: null,
+        vipCelebration: null
+    });
+}
+
+// End VIP immediately (admin revocation), archiving cosmetics as on expiry.
+// Returns false if the player had no VIP to end.
+async function endVip(auth) {
+    const user = await users.get(auth);
+    if (!user) {
+        throw new Error(`User ${auth} not found`);
+    }
+    if (!user.isVIP) return false;
+
+    await expireVip(user);
+    await users.update(auth, { vip_expires_at: new Date().toISOString() });
+
+    return true;
+}
+
+// Scheduled job: move VIPs through active -> grace -> expired and send reminders
+async function runVipLifecycle() {
+    try {
+        const vips = await users.listVips();
+
+        const now = new Date();
+        for (const user of vips) {
+            const info = describeVip(user, now);
+
+            try {
+                if (info.state === 'active') {
+                    const reminder = VIP_REMINDER_DAYS.find(days => info.daysLeft <= days);
+                    if (reminder !== undefined) {
+                        await notifyOnce(user.auth, `expiring_${reminder}d`, user.vip_expires_at, info);
+                    }
+                } else if (info.state === 'grace') {
+                    if (user.vip_state !== 'grace') {
+                        await users.update(user.auth, { vip_state: 'grace' });
+                    }
+                    await notifyOnce(user.auth, 'grace', user.vip_expires_at, info);
+                } else if (info.state === 'expired') {
+                    await expireVip(user);
+                    await notifyOnce(user.auth, 'expired', user.vip_expires_at, info);
+                }
+            } catch (err) {
+                console.error(`VIP lifecycle error for ${user.auth}:`, err);
+            }
+        }
+    } catch (err) {
+        console.error('Error running VIP lifecycle job:', err);
+    }
+}
+
+module.exports = {
+    VIP_GRACE_DAYS,
+    VIP_CELEBRATIONS,
+    vipMessageSchema,
+    vipCelebrationSchema,
+    vipColorSchema,
+    vipStatusSchema,
+    getVipState,
+    isVipActive,
+    describeVip,
+    vipCacheEntry,
+    extendVip,
+    revokeVipDays,
+    endVip,
+    runVipLifecycle
+};
@@ -0,0 +1,16 @@
+-- Login sessions. Access tokens are signed and short-lived; each session row backs one refresh token.
+create table if not exists sessions (
+    id uuid primary key,
+    auth text not null references users (auth) on delete cascade,
+    refresh_hash text not null,
+    remember_me boolean not null default false,
+    user_agent text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists sessions_auth_idx on sessions (auth);
+
+-- users.password now holds scrypt$<salt>$<hash>; legacy plaintext values are upgraded on next login
@@ -0,0 +1,25 @@
+-- Ledger of Buy Me a Coffee webhook deliveries. event_id is unique so retries are applied once.
+create table if not exists vip_purchases (
+    id bigserial primary key,
+    event_id text not null unique,
+    event_type text not null,
+    payment_id text,
+    auth text references users (auth) on delete set null,
+    supporter_email text,
+    supporter_name text,
+    amount numeric,
+    currency text,
+    days integer not null default 0,
+    vip_expires_at timestamptz,
+    -- processing | granted | unmatched | refunded | refund | cancelled | ignored
+    status text not null,
+    payload jsonb,
+    created_at timestamptz not null default now(),
+    processed_at timestamptz
+);
+
+create index if not exists vip_purchases_payment_idx on vip_purchases (payment_id);
+create index if not exists vip_purchases_auth_idx on vip_purchases (auth);
+
+-- Supporter email remembered from the first matched purchase, so renewals map without a note
+alter table users add column if not exists bmc_email text unique;
@@ -0,0 +1,15 @@
+-- VIP lifecycle state (active | grace | expired), kept in sync by the lifecycle job
+alter table users add column if not exists vip_state text;
+
+-- Cosmetic settings saved when VIP expires, restored on renewal
+alter table users add column if not exists vip_archived_settings jsonb;
+
+-- Reminders already sent, one per kind per expiry date
+create table if not exists vip_notifications (
+    id bigserial primary key,
+    auth text not null references users (auth) on delete cascade,
+    kind text not null,
+    expires_at timestamptz not null,
+    sent_at timestamptz not null default now(),
+    unique (auth, kind, expires_at)
+);
@@ -0,0 +1,109 @@
+-- Finished matches reported by the room host
+create table if not exists matches (
+    id bigserial primary key,
+    room_id integer,
+    red_score integer not null,
+    blue_score integer not null,
+    duration integer not null, -- seconds
+    played_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists matches_played_at_idx on matches (played_at desc);
+
+create table if not exists match_players (
+    match_id bigint not null references matches (id) on delete cascade,
+    auth text not null,
+    nickname text,
+    team text not null check (team in ('red', 'blue')),
+    goals integer not null default 0,
+    assists integer not null default 0,
+    own_goals integer not null default 0,
+    goalkeeper boolean not null default false,
+    result text not null check (result in ('W', 'D', 'L')),
+    clean_sheet boolean not null default false,
+    elo_before integer not null,
+    elo_delta integer not null,
+    elo_after integer not null,
+    primary key (match_id, auth)
+);
+
+create index if not exists match_players_auth_idx on match_players (auth, match_id desc);
+
+-- Insert a match with its players and apply the stat/Elo changes atomically.
+-- p_players elements carry the Elo already computed by the backend (lib/elo.js).
+create or replace function record_match(p_match jsonb, p_players jsonb)
+returns bigint
+language plpgsql
+as $$
+declare
+    v_match_id bigint;
+    p jsonb;
+begin
+    insert into matches (room_id, red_score, blue_score, duration, played_at)
+    values (
+        (p_match->>'room_id')::integer,
+        (p_match->>'red_score')::integer,
+        (p_match->>'blue_score')::integer,
+        (p_match->>'duration')::integer,
+        coalesce((p_match->>'played_at')::timestamptz, now())
+    )
+    returning id into v_match_id;
+
+    for p in select * from jsonb_array_elements(p_players)
+    loop
+        insert into match_players (
+            match_id, auth, nickname, team, goals, assists, own_goals, goalkeeper,
+            result, clean_sheet, elo_before, elo_delta, elo_after
+        ) values (
+            v_match_id,
+            p->>'auth',
+            p->>'nickname',
+            p->>'team',
+            (p->>'goals')::integer,
+            (p->>'assists')::integer,
+            (p->>'own_goals')::integer,
+            (p->>'goalkeeper')::boolean,
+            p->>'result',
+            (p->>'clean_sheet')::boolean,
+            (p->>'elo_before')::integer,
+            (p->>'elo_delta')::integer,
+            (p->>'elo_after')::integer
+        );
+
+        insert into player_stats (auth, points, games_played, wins, draws, losses, goals, assists, clean_sheets)
+        values (
+            p->>'auth',
+            (p->>'elo_after')::integer,
+            1,
+            (p->>'result' = 'W')::integer,
+            (p->>'result' = 'D')::integer,
+            (p->>'result' = 'L')::integer,
+            (p->>'goals')::integer,
+            (p->>'assists')::integer,
+            (p->>'clean_sheet')::boolean::integer
+        )
+        on conflict (auth) do update set
+            points = player_stats.points + (p->>'elo_delta')::integer,
+            games_played = player_stats.games_played + 1,
+            wins = player_stats.wins + excluded.wins,
+            draws = player_stats.draws + excluded.draws,
+            losses = player_stats.losses + excluded.losses,
+            goals = player_stats.goals + excluded.goals,
+            assists = player_stats.assists + excluded.assists,
+            clean_sheets = player_stats.clean_sheets + excluded.clean_sheets;
+    end loop;
+
+    -- Re-rank everyone by Elo
+    update player_stats ps
+    set rank = ranked.new_rank
+    from (
+        select auth, row_number() over (order by points desc, games_played desc, auth) as new_rank
+        from player_stats
+    ) ranked
+    where ps.auth = ranked.auth
+      and ps.rank is distinct from ranked.new_rank;
+
+    return v_match_id;
+end;
+$$;
@@ -0,0 +1,78 @@
+-- Ranking seasons. Exactly one season is active at a time.
+create table if not exists seasons (
+    id serial primary key,
+    name text not null,
+    starts_at timestamptz not null,
+    ends_at timestamptz not null,
+    status text not null default 'active' check (status in ('active', 'closed')),
+    closed_at timestamptz
+);
+
+create unique index if not exists seasons_one_active_idx on seasons (status) where status = 'active';
+
+-- Final standings of closed seasons, copied from player_stats when the season closes
+create table if not exists season_standings (
+    season_id integer not null references seasons (id) on delete cascade,
+    auth text not null,
+    rank integer,
+    points integer not null,
+    games_played integer not null default 0,
+    wins integer not null default 0,
+    draws integer not null default 0,
+    losses integer not null default 0,
+    goals integer not null default 0,
+    assists integer not null default 0,
+    clean_sheets integer not null default 0,
+    primary key (season_id, auth)
+);
+
+create index if not exists season_standings_rank_idx on season_standings (season_id, rank);
+create index if not exists season_standings_auth_idx on season_standings (auth);
+
+-- Archive standings, soft-reset Elo towards p_base_rating and open the next season atomically
+create or replace function close_season(
+    p_season_id integer,
+    p_reset_factor numeric,
+    p_base_rating integer,
+    p_next_name text,
+    p_next_ends_at timestamptz
+)
+returns integer
+language plpgsql
+as $$
+declare
+    v_next_id integer;
+begin
+    update seasons
+    set status = 'closed', closed_at = now()
+    where id = p_season_id and status = 'active';
+
+    if not found then
+        raise exception 'Season % is not active', p_season_id;
+    end if;
+
+    insert into season_standings (
+        season_id, auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets
+    )
+    select p_season_id, auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets
+    from player_stats;
+
+    update player_stats
+    set points = round(p_base_rating + (points - p_base_rating) * p_reset_factor);
+
+    update player_stats ps
+    set rank = ranked.new_rank
+    from (
+        select auth, row_number() over (order by points desc, games_played desc, auth) as new_rank
+        from player_stats
+    ) ranked
+    where ps.auth = ranked.auth
+      and ps.rank is distinct from ranked.new_rank;
+
+    insert into seasons (name, starts_at, ends_at, status)
+    values (p_next_name, now(), p_next_ends_at, 'active')
+    returning id into v_next_id;
+
+    return v_next_id;
+end;
+$$;
@@ -0,0 +1,13 @@
+-- Every nickname a player has been seen with in matches, with first/last appearance
+create or replace function player_nickname_history(p_auth text)
+returns table (nickname text, first_seen timestamptz, last_seen timestamptz, matches bigint)
+language sql
+stable
+as $$
+    select mp.nickname, min(m.played_at), max(m.played_at), count(*)
+    from match_players mp
+    join matches m on m.id = mp.match_id
+    where mp.auth = p_auth and mp.nickname is not null
+    group by mp.nickname
+    order by max(m.played_at) desc;
+$$;
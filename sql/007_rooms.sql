@@ -0,0 +1,31 @@
+-- Room registry: room_link grows from the single room (id 1) into one row per room
+alter table room_link add column if not exists name text;
+alter table room_link add column if not exists mode text not null default 'futsal';
+alter table room_link add column if not exists region text;
+alter table room_link add column if not exists ranked boolean not null default true;
+alter table room_link add column if not exists active boolean not null default true;
+alter table room_link add column if not exists last_heartbeat timestamptz;
+alter table room_link add column if not exists created_at timestamptz not null default now();
+
+update room_link set name = 'Main Room' where id = 1 and name is null;
+
+-- New rooms need generated ids; give the id column a sequence unless it already has one
+do $$
+begin
+    if not exists (
+        select 1 from information_schema.columns
+        where table_name = 'room_link' and column_name = 'id'
+          and (column_default is not null or is_identity = 'YES')
+    ) then
+        create sequence if not exists room_link_id_seq owned by room_link.id;
+        perform setval('room_link_id_seq', coalesce((select max(id) from room_link), 0) + 1, false);
+        alter table room_link alter column id set default nextval('room_link_id_seq');
+    end if;
+end $$;
+
+-- Matches reference the room they were played in
+create index if not exists matches_room_idx on matches (room_id);
+
+-- Site roles. Admins manage rooms (and later moderation).
+alter table users add column if not exists role text not null default 'player'
+    check (role in ('player', 'admin'));
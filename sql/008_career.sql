@@ -0,0 +1,85 @@
+-- Career mode: coin balance and selected player per account, plus unlocked players.
+-- The nation/tier/path catalog lives in data/career.json.
+create table if not exists career_profiles (
+    auth text primary key references users (auth) on delete cascade,
+    coins integer not null default 0 check (coins >= 0),
+    selected_player text,
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists career_unlocks (
+    auth text not null references users (auth) on delete cascade,
+    player_id text not null,
+    cost integer not null,
+    unlocked_at timestamptz not null default now(),
+    primary key (auth, player_id)
+);
+
+-- Coins granted per match, so a match can never pay out twice
+create table if not exists career_coin_awards (
+    match_id bigint not null references matches (id) on delete cascade,
+    auth text not null,
+    amount integer not null,
+    created_at timestamptz not null default now(),
+    primary key (match_id, auth)
+);
+
+-- Credit coins for a recorded match. p_awards: [{ auth, amount }]. Already-paid players are skipped.
+create or replace function award_career_coins(p_match_id bigint, p_awards jsonb)
+returns void
+language plpgsql
+as $$
+declare
+    a jsonb;
+begin
+    for a in select * from jsonb_array_elements(p_awards) loop
+        insert into career_coin_awards (match_id, auth, amount)
+        values (p_match_id, a->>'auth', (a->>'amount')::integer)
+        on conflict do nothing;
+
+        if found then
+            insert into career_profiles (auth, coins)
+            select a->>'auth', (a->>'amount')::integer
+            where exists (select 1 from users where auth = a->>'auth')
+            on conflict (auth) do update
+            set coins = career_profiles.coins + excluded.coins, updated_at = now();
+        end if;
+    end loop;
+end;
+$$;
+
+-- Spend coins on a player. The backend checks the catalog (cost, prerequisites);
+-- this checks the balance and the prerequisite unlocks under a row lock.
+-- Returns { coins } on success or { error } with one of:
+-- 'already_unlocked', 'missing_prerequisite', 'insufficient_coins'
+create or replace function career_unlock(p_auth text, p_player_id text, p_cost integer, p_requires text[])
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_coins integer;
+begin
+    insert into career_profiles (auth) values (p_auth) on conflict do nothing;
+
+    select coins into v_coins from career_profiles where auth = p_auth for update;
+
+    if exists (select 1 from career_unlocks where auth = p_auth and player_id = p_player_id) then
+        return jsonb_build_object('error', 'already_unlocked');
+    end if;
+
+    if array_length(p_requires, 1) > 0 and not exists (
+        select 1 from career_unlocks where auth = p_auth and player_id = any (p_requires)
+    ) then
+        return jsonb_build_object('error', 'missing_prerequisite');
+    end if;
+
+    if v_coins < p_cost then
+        return jsonb_build_object('error', 'insufficient_coins');
+    end if;
+
+    update career_profiles set coins = coins - p_cost, updated_at = now() where auth = p_auth;
+    insert into career_unlocks (auth, player_id, cost) values (p_auth, p_player_id, p_cost);
+
+    return jsonb_build_object('coins', v_coins - p_cost);
+end;
+$$;
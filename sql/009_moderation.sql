@@ -0,0 +1,186 @@
+-- Moderation: bans, account merges, stat corrections and the admin audit log
+
+-- banned_until null with banned_at set means a permanent ban
+alter table users add column if not exists banned_at timestamptz;
+alter table users add column if not exists banned_until timestamptz;
+alter table users add column if not exists ban_reason text;
+alter table users add column if not exists banned_by text;
+
+-- Every admin action, newest last. Rows can be added but never changed or removed.
+create table if not exists admin_audit_log (
+    id bigserial primary key,
+    actor text not null,
+    action text not null,
+    target text,
+    details jsonb not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_target_idx on admin_audit_log (target, created_at desc);
+
+create or replace function admin_audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_no_changes on admin_audit_log;
+create trigger admin_audit_log_no_changes
+    before update or delete on admin_audit_log
+    for each row execute function admin_audit_log_append_only();
+
+drop trigger if exists admin_audit_log_no_truncate on admin_audit_log;
+create trigger admin_audit_log_no_truncate
+    before truncate on admin_audit_log
+    for each statement execute function admin_audit_log_append_only();
+
+-- Re-rank everyone by Elo (same ordering as record_match)
+create or replace function rerank_player_stats()
+returns void
+language sql
+as $$
+    update player_stats ps
+    set rank = ranked.new_rank
+    from (
+        select auth, row_number() over (order by points desc, games_played desc, auth) as new_rank
+        from player_stats
+    ) ranked
+    where ps.auth = ranked.auth
+      and ps.rank is distinct from ranked.new_rank;
+$$;
+
+-- Overwrite some of a player's stats. p_stats: { column: value } for the stat columns.
+-- Returns the previous values of the changed columns, or null if the player has no stats.
+create or replace function correct_player_stats(p_auth text, p_stats jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_before jsonb;
+begin
+    select to_jsonb(ps) into v_before from player_stats ps where auth = p_auth for update;
+    if v_before is null then
+        return null;
+    end if;
+
+    update player_stats set
+        points = coalesce((p_stats->>'points')::integer, points),
+        games_played = coalesce((p_stats->>'games_played')::integer, games_played),
+        wins = coalesce((p_stats->>'wins')::integer, wins),
+        draws = coalesce((p_stats->>'draws')::integer, draws),
+        losses = coalesce((p_stats->>'losses')::integer, losses),
+        goals = coalesce((p_stats->>'goals')::integer, goals),
+        assists = coalesce((p_stats->>'assists')::integer, assists),
+        clean_sheets = coalesce((p_stats->>'clean_sheets')::integer, clean_sheets)
+    where auth = p_auth;
+
+    perform rerank_player_stats();
+
+    return (select jsonb_object_agg(key, v_before->key) from jsonb_object_keys(p_stats) key);
+end;
+$$;
+
+-- Fold a duplicate account (p_source) into p_target: nicknames, stats, match history,
+-- season standings, career progress and the longer VIP. The source account is deleted.
+-- Stat counts are added up; Elo is taken from whichever account played more games.
+create or replace function merge_players(p_source text, p_target text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_source users%rowtype;
+    v_target users%rowtype;
+    v_source_stats player_stats%rowtype;
+    v_target_stats player_stats%rowtype;
+begin
+    select * into v_source from users where auth = p_source for update;
+    select * into v_target from users where auth = p_target for update;
+    if v_source.auth is null or v_target.auth is null then
+        raise exception 'Both accounts must exist' using errcode = 'P0002';
+    end if;
+
+    update users set nicknames = v_target.nicknames || coalesce((
+        select jsonb_agg(n order by i)
+        from jsonb_array_elements(v_source.nicknames) with ordinality as s (n, i)
+        where not v_target.nicknames @> jsonb_build_array(n)
+    ), '[]'::jsonb)
+    where auth = p_target;
+
+    -- Keep whichever VIP runs longer
+    if v_source.vip_expires_at is not null
+       and (v_target.vip_expires_at is null or v_source.vip_expires_at > v_target.vip_expires_at) then
+        update users set
+            "isVIP" = v_source."isVIP",
+            vip_expires_at = v_source.vip_expires_at,
+            vip_state = v_source.vip_state,
+            vip_color = coalesce(vip_color, v_source.vip_color)
+        where auth = p_target;
+    end if;
+
+    select * into v_source_stats from player_stats where auth = p_source;
+    select * into v_target_stats from player_stats where auth = p_target;
+    if v_source_stats.auth is not null then
+        if v_target_stats.auth is null then
+            update player_stats set auth = p_target where auth = p_source;
+        else
+            update player_stats set
+                points = case when v_source_stats.games_played > v_target_stats.games_played
+                    then v_source_stats.points else points end,
+                games_played = games_played + v_source_stats.games_played,
+                wins = wins + v_source_stats.wins,
+                draws = draws + v_source_stats.draws,
+                losses = losses + v_source_stats.losses,
+                goals = goals + v_source_stats.goals,
+                assists = assists + v_source_stats.assists,
+                clean_sheets = clean_sheets + v_source_stats.clean_sheets
+            where auth = p_target;
+            delete from player_stats where auth = p_source;
+        end if;
+        perform rerank_player_stats();
+    end if;
+
+    -- Matches both accounts played in (e.g. on opposite teams) keep the target's row only
+    update match_players mp set auth = p_target
+    where mp.auth = p_source
+      and not exists (select 1 from match_players t where t.match_id = mp.match_id and t.auth = p_target);
+    delete from match_players where auth = p_source;
+
+    update season_standings ss set
+        games_played = ss.games_played + s.games_played,
+        wins = ss.wins + s.wins,
+        draws = ss.draws + s.draws,
+        losses = ss.losses + s.losses,
+        goals = ss.goals + s.goals,
+        assists = ss.assists + s.assists,
+        clean_sheets = ss.clean_sheets + s.clean_sheets
+    from season_standings s
+    where s.auth = p_source and ss.auth = p_target and ss.season_id = s.season_id;
+    update season_standings ss set auth = p_target
+    where ss.auth = p_source
+      and not exists (select 1 from season_standings t where t.season_id = ss.season_id and t.auth = p_target);
+    delete from season_standings where auth = p_source;
+
+    insert into career_profiles (auth, coins, selected_player)
+    select p_target, coins, selected_player from career_profiles where auth = p_source
+    on conflict (auth) do update set
+        coins = career_profiles.coins + excluded.coins,
+        selected_player = coalesce(career_profiles.selected_player, excluded.selected_player),
+        updated_at = now();
+    insert into career_unlocks (auth, player_id, cost, unlocked_at)
+    select p_target, player_id, cost, unlocked_at from career_unlocks where auth = p_source
+    on conflict do nothing;
+
+    -- Sessions, notifications and career rows of the source go with it
+    delete from users where auth = p_source;
+
+    return jsonb_build_object(
+        'nicknames', (select nicknames from users where auth = p_target),
+        'sourceStats', to_jsonb(v_source_stats),
+        'targetStats', to_jsonb(v_target_stats)
+    );
+end;
+$$;
@@ -0,0 +1,31 @@
+-- Change tracking for the server cache: every write to users or player_stats bumps
+-- updated_at, so the server can fetch just the rows changed since its last refresh
+-- instead of re-reading both tables.
+
+alter table users add column if not exists updated_at timestamptz not null default now();
+alter table player_stats add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists users_updated_at_idx on users (updated_at);
+create index if not exists player_stats_updated_at_idx on player_stats (updated_at);
+
+create or replace function touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+-- Covers every writer: the API, RPCs (matches, merges, season close) and room hosts
+-- that update the tables directly
+drop trigger if exists users_touch_updated_at on users;
+create trigger users_touch_updated_at
+    before update on users
+    for each row execute function touch_updated_at();
+
+drop trigger if exists player_stats_touch_updated_at on player_stats;
+create trigger player_stats_touch_updated_at
+    before update on player_stats
+    for each row execute function touch_updated_at();
@@ -0,0 +1,46 @@
+-- Head-to-head between two players over the matches they both played, split into games on
+-- opposite teams (against) and on the same team (together). Results, goals, assists and
+-- Elo changes are from p_a's side; the b_ columns are p_b's. Groups with no games are null.
+create or replace function head_to_head(p_a text, p_b text)
+returns jsonb
+language sql
+stable
+as $$
+    with shared as (
+        select
+            a.match_id,
+            a.team = b.team as together,
+            a.result,
+            a.goals as a_goals,
+            b.goals as b_goals,
+            a.assists as a_assists,
+            b.assists as b_assists,
+            a.elo_delta as a_elo_delta,
+            b.elo_delta as b_elo_delta
+        from match_players a
+        join match_players b on b.match_id = a.match_id and b.auth = p_b
+        where a.auth = p_a
+    ),
+    summary as (
+        select
+            together,
+            count(*) as games,
+            count(*) filter (where result = 'W') as wins,
+            count(*) filter (where result = 'D') as draws,
+            count(*) filter (where result = 'L') as losses,
+            sum(a_goals) as a_goals,
+            sum(b_goals) as b_goals,
+            sum(a_assists) as a_assists,
+            sum(b_assists) as b_assists,
+            sum(a_elo_delta) as a_elo_change,
+            sum(b_elo_delta) as b_elo_change,
+            max(abs(a_elo_delta)) as biggest_swing,
+            max(match_id) as last_match_id
+        from shared
+        group by together
+    )
+    select jsonb_build_object(
+        'against', (select to_jsonb(s) - 'together' from summary s where not s.together),
+        'together', (select to_jsonb(s) - 'together' from summary s where s.together)
+    );
+$$;
@@ -0,0 +1,12 @@
+-- Achievements unlocked per player. Definitions live in data/achievements.json; a row
+-- is only ever added, so unlocked_at is the first time the player qualified.
+-- Rows of an account folded away by merge_players() go with it; the surviving account
+-- re-earns what its merged stats qualify for.
+create table if not exists player_achievements (
+    auth text not null references users (auth) on delete cascade,
+    achievement_id text not null,
+    unlocked_at timestamptz not null default now(),
+    primary key (auth, achievement_id)
+);
+
+create index if not exists player_achievements_achievement_idx on player_achievements (achievement_id);
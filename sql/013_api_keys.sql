@@ -0,0 +1,15 @@
+-- API keys for the public /api/v1 endpoints (community bots and sites). Only a SHA-256
+-- hash of each key is stored; the key itself is shown once, when it is created.
+create table if not exists api_keys (
+    id bigserial primary key,
+    name text not null,
+    owner text,
+    key_prefix text not null,
+    key_hash text not null unique,
+    requests_per_hour integer not null default 1000 check (requests_per_hour > 0),
+    created_by text,
+    created_at timestamptz not null default now(),
+    revoked_at timestamptz
+);
+
+create index if not exists api_keys_active_idx on api_keys (created_at desc) where revoked_at is null;
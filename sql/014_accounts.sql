@@ -0,0 +1,29 @@
+-- Account self-service: web registrations waiting for their in-game link code, and
+-- password reset tokens. Codes and tokens are stored as SHA-256 hashes only.
+
+-- A registration holds the chosen nickname and password hash until the player types
+-- the code in a room; the room host then reports their auth and the account is created
+-- (or, for an existing player, given the new login). linked_auth has no foreign key
+-- because the code is claimed before the users row may exist.
+create table if not exists account_registrations (
+    id uuid primary key,
+    nickname text not null,
+    password text not null,
+    code_hash text not null,
+    expires_at timestamptz not null,
+    created_at timestamptz not null default now(),
+    linked_auth text,
+    linked_at timestamptz
+);
+
+create index if not exists account_registrations_code_idx on account_registrations (code_hash) where linked_at is null;
+
+create table if not exists password_resets (
+    token_hash text primary key,
+    auth text not null references users (auth) on delete cascade,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists password_resets_auth_idx on password_resets (auth) where used_at is null;
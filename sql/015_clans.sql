@@ -0,0 +1,42 @@
+-- Clans: player-run groups with a short tag shown next to members' names.
+-- A player belongs to at most one clan (clan_members is keyed by auth). Each clan has one
+-- leader; officers can invite, accept requests and kick members.
+
+create table if not exists clans (
+    id bigserial primary key,
+    name text not null,
+    tag text not null check (char_length(tag) between 2 and 5),
+    color text not null default '#FFFFFF' check (color ~ '^#[0-9a-fA-F]{6}$'),
+    description text,
+    created_by text references users (auth) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+-- Tags and names are unique regardless of case
+create unique index if not exists clans_tag_idx on clans (lower(tag));
+create unique index if not exists clans_name_idx on clans (lower(name));
+
+-- Members of an account folded away by merge_players() go with it; the app hands a
+-- leaderless clan to its longest-serving remaining member
+create table if not exists clan_members (
+    auth text primary key references users (auth) on delete cascade,
+    clan_id bigint not null references clans (id) on delete cascade,
+    role text not null default 'member' check (role in ('leader', 'officer', 'member')),
+    joined_at timestamptz not null default now()
+);
+
+create index if not exists clan_members_clan_idx on clan_members (clan_id);
+
+-- Pending invites (sent by the clan to a player) and join requests (sent by a player to
+-- the clan). Accepting either adds the member and removes the row.
+create table if not exists clan_invites (
+    id bigserial primary key,
+    clan_id bigint not null references clans (id) on delete cascade,
+    auth text not null references users (auth) on delete cascade,
+    kind text not null check (kind in ('invite', 'request')),
+    created_by text references users (auth) on delete set null,
+    created_at timestamptz not null default now(),
+    unique (clan_id, auth)
+);
+
+create index if not exists clan_invites_auth_idx on clan_invites (auth);
@@ -0,0 +1,68 @@
+-- Tournaments run on the site: sign-ups, a bracket seeded by Elo, and results reported by
+-- the entrants. Created by admins and players with the 'organizer' role
+-- (update users set role = 'organizer' where auth = '...').
+
+alter table users drop constraint if exists users_role_check;
+alter table users add constraint users_role_check check (role in ('player', 'organizer', 'admin'));
+
+create table if not exists tournaments (
+    id bigserial primary key,
+    name text not null,
+    description text,
+    format text not null check (format in ('single_elimination', 'double_elimination', 'round_robin')),
+    entrant_type text not null default 'player' check (entrant_type in ('player', 'clan')),
+    max_entrants integer not null default 16 check (max_entrants between 2 and 128),
+    status text not null default 'signup' check (status in ('signup', 'running', 'finished', 'cancelled')),
+    winner_entry_id bigint,
+    created_by text references users (auth) on delete set null,
+    created_at timestamptz not null default now(),
+    started_at timestamptz,
+    finished_at timestamptz
+);
+
+create index if not exists tournaments_status_idx on tournaments (status, created_at desc);
+
+-- A player or a clan signed up to a tournament. name is kept so finished brackets still
+-- read correctly after renames, merges or a clan disbanding. members lists the auths the
+-- entry stands for (the player, or the clan's members when the tournament started), which
+-- is how tournament wins reach player profiles. auth has no foreign key for the same reason.
+create table if not exists tournament_entries (
+    id bigserial primary key,
+    tournament_id bigint not null references tournaments (id) on delete cascade,
+    auth text,
+    clan_id bigint references clans (id) on delete set null,
+    name text not null,
+    members jsonb not null default '[]'::jsonb,
+    seed integer,
+    rating integer,
+    created_at timestamptz not null default now(),
+    unique (tournament_id, auth),
+    unique (tournament_id, clan_id)
+);
+
+create index if not exists tournament_entries_members_idx on tournament_entries using gin (members);
+
+-- Bracket matches, keyed within the tournament (W1-1, L2-3, F1, R4-2, ...). next_key and
+-- loser_next_key name the match the winner and loser move on to (see lib/brackets.js).
+create table if not exists tournament_matches (
+    id bigserial primary key,
+    tournament_id bigint not null references tournaments (id) on delete cascade,
+    key text not null,
+    bracket text not null check (bracket in ('winners', 'losers', 'final', 'round_robin')),
+    round integer not null,
+    position integer not null,
+    entry1_id bigint references tournament_entries (id) on delete set null,
+    entry2_id bigint references tournament_entries (id) on delete set null,
+    score1 integer,
+    score2 integer,
+    winner_id bigint references tournament_entries (id) on delete set null,
+    status text not null default 'pending' check (status in ('pending', 'ready', 'reported', 'completed')),
+    reported_by bigint references tournament_entries (id) on delete set null,
+    reported_at timestamptz,
+    completed_at timestamptz,
+    next_key text,
+    next_slot smallint,
+    loser_next_key text,
+    loser_next_slot smallint,
+    unique (tournament_id, key)
+);
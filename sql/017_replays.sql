@@ -0,0 +1,20 @@
+-- Haxball replay files (.hbr2) attached to recorded matches, one per match. The file lives
+-- in the replay storage (lib/replayStorage.js) under storage_key; the row keeps what was
+-- parsed from it. players lists everyone in the room when recording started, with the auth
+-- of the match player their nickname matched (or null), which links the replay to profiles.
+create table if not exists replays (
+    id bigserial primary key,
+    match_id bigint not null unique references matches (id) on delete cascade,
+    storage_key text not null,
+    size integer not null,
+    version integer not null,
+    duration integer not null, -- seconds
+    room_name text,
+    stadium text,
+    red_score integer not null,
+    blue_score integer not null,
+    goals jsonb not null default '[]'::jsonb,
+    players jsonb not null default '[]'::jsonb,
+    uploaded_by text references users (auth) on delete set null,
+    created_at timestamptz not null default now()
+);
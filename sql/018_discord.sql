@@ -0,0 +1,7 @@
+-- Discord accounts linked through OAuth (lib/discord.js). The slash commands look the
+-- caller up by discord_id, so a Discord account can be linked to one player only.
+alter table users add column if not exists discord_id text;
+alter table users add column if not exists discord_username text;
+alter table users add column if not exists discord_linked_at timestamptz;
+
+create unique index if not exists users_discord_id_idx on users (discord_id);
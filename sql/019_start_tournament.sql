@@ -0,0 +1,44 @@
+-- Start a tournament in one transaction: close sign-ups, store the seeds and insert the
+-- bracket (lib/tournaments.js computes both). A failed insert leaves the tournament open
+-- for sign-ups, so it can be started again. Returns the started tournament as JSON, or
+-- null if it was no longer open for sign-ups.
+create or replace function start_tournament(
+    p_tournament_id bigint,
+    p_entries jsonb,
+    p_matches jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_tournament tournaments;
+begin
+    update tournaments
+    set status = 'running', started_at = now()
+    where id = p_tournament_id and status = 'signup'
+    returning * into v_tournament;
+
+    if not found then
+        return null;
+    end if;
+
+    update tournament_entries e
+    set seed = s.seed, rating = s.rating, members = s.members
+    from jsonb_to_recordset(p_entries) as s (id bigint, seed integer, rating integer, members jsonb)
+    where e.id = s.id and e.tournament_id = p_tournament_id;
+
+    insert into tournament_matches (
+        tournament_id, key, bracket, round, position, entry1_id, entry2_id, winner_id, status,
+        completed_at, next_key, next_slot, loser_next_key, loser_next_slot
+    )
+    select
+        p_tournament_id, m.key, m.bracket, m.round, m.position, m.entry1_id, m.entry2_id, m.winner_id, m.status,
+        case when m.status = 'completed' then now() end, m.next_key, m.next_slot, m.loser_next_key, m.loser_next_slot
+    from jsonb_to_recordset(p_matches) as m (
+        key text, bracket text, round integer, position integer, entry1_id bigint, entry2_id bigint,
+        winner_id bigint, status text, next_key text, next_slot smallint, loser_next_key text, loser_next_slot smallint
+    );
+
+    return to_jsonb(v_tournament);
+end;
+$$;
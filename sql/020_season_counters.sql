@@ -0,0 +1,99 @@
+-- Season standings keep that season's games, wins, goals and the other counters, not the
+-- lifetime totals from player_stats. player_stats stays lifetime (profiles show career
+-- stats), so close_season() archives the difference from what earlier seasons already hold.
+
+-- Seasons closed before this migration archived lifetime totals. Turn each of their rows
+-- into the difference from the player's row in the season before; the flag makes this run once.
+alter table seasons add column if not exists counters_per_season boolean not null default false;
+
+with per_season as (
+    select
+        s.season_id,
+        s.auth,
+        s.games_played - coalesce(lag(s.games_played) over w, 0) as games_played,
+        s.wins - coalesce(lag(s.wins) over w, 0) as wins,
+        s.draws - coalesce(lag(s.draws) over w, 0) as draws,
+        s.losses - coalesce(lag(s.losses) over w, 0) as losses,
+        s.goals - coalesce(lag(s.goals) over w, 0) as goals,
+        s.assists - coalesce(lag(s.assists) over w, 0) as assists,
+        s.clean_sheets - coalesce(lag(s.clean_sheets) over w, 0) as clean_sheets
+    from season_standings s
+    join seasons on seasons.id = s.season_id and not seasons.counters_per_season
+    window w as (partition by s.auth order by s.season_id)
+)
+update season_standings s
+set games_played = greatest(l.games_played, 0),
+    wins = greatest(l.wins, 0),
+    draws = greatest(l.draws, 0),
+    losses = greatest(l.losses, 0),
+    goals = greatest(l.goals, 0),
+    assists = greatest(l.assists, 0),
+    clean_sheets = greatest(l.clean_sheets, 0)
+from per_season l
+where s.season_id = l.season_id and s.auth = l.auth;
+
+update seasons set counters_per_season = true where not counters_per_season;
+alter table seasons alter column counters_per_season set default true;
+
+-- As in 005, except the counters: lifetime totals minus everything earlier seasons archived
+create or replace function close_season(
+    p_season_id integer,
+    p_reset_factor numeric,
+    p_base_rating integer,
+    p_next_name text,
+    p_next_ends_at timestamptz
+)
+returns integer
+language plpgsql
+as $$
+declare
+    v_next_id integer;
+begin
+    update seasons
+    set status = 'closed', closed_at = now()
+    where id = p_season_id and status = 'active';
+
+    if not found then
+        raise exception 'Season % is not active', p_season_id;
+    end if;
+
+    -- Corrections can lower lifetime totals below what was archived; a season never goes negative
+    insert into season_standings (
+        season_id, auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets
+    )
+    select
+        p_season_id, ps.auth, ps.rank, ps.points,
+        greatest(ps.games_played - coalesce(earlier.games_played, 0), 0),
+        greatest(ps.wins - coalesce(earlier.wins, 0), 0),
+        greatest(ps.draws - coalesce(earlier.draws, 0), 0),
+        greatest(ps.losses - coalesce(earlier.losses, 0), 0),
+        greatest(ps.goals - coalesce(earlier.goals, 0), 0),
+        greatest(ps.assists - coalesce(earlier.assists, 0), 0),
+        greatest(ps.clean_sheets - coalesce(earlier.clean_sheets, 0), 0)
+    from player_stats ps
+    left join (
+        select auth, sum(games_played) as games_played, sum(wins) as wins, sum(draws) as draws,
+            sum(losses) as losses, sum(goals) as goals, sum(assists) as assists, sum(clean_sheets) as clean_sheets
+        from season_standings
+        group by auth
+    ) earlier on earlier.auth = ps.auth;
+
+    update player_stats
+    set points = round(p_base_rating + (points - p_base_rating) * p_reset_factor);
+
+    update player_stats ps
+    set rank = ranked.new_rank
+    from (
+        select auth, row_number() over (order by points desc, games_played desc, auth) as new_rank
+        from player_stats
+    ) ranked
+    where ps.auth = ranked.auth
+      and ps.rank is distinct from ranked.new_rank;
+
+    insert into seasons (name, starts_at, ends_at, status)
+    values (p_next_name, now(), p_next_ends_at, 'active')
+    returning id into v_next_id;
+
+    return v_next_id;
+end;
+$$;
@@ -0,0 +1,34 @@
+-- award_career_coins() skipped players without an account but the caller could not tell,
+-- so match reports showed coins nobody received. It now only records awards for accounts
+-- and returns what it credited as [{ auth, amount }].
+drop function if exists award_career_coins(bigint, jsonb);
+
+create function award_career_coins(p_match_id bigint, p_awards jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    a jsonb;
+    v_credited jsonb := '[]'::jsonb;
+begin
+    for a in select * from jsonb_array_elements(p_awards) loop
+        insert into career_coin_awards (match_id, auth, amount)
+        select p_match_id, a->>'auth', (a->>'amount')::integer
+        where exists (select 1 from users where auth = a->>'auth')
+        on conflict do nothing;
+
+        if found then
+            insert into career_profiles (auth, coins)
+            values (a->>'auth', (a->>'amount')::integer)
+            on conflict (auth) do update
+            set coins = career_profiles.coins + excluded.coins, updated_at = now();
+
+            v_credited := v_credited || jsonb_build_array(
+                jsonb_build_object('auth', a->>'auth', 'amount', (a->>'amount')::integer)
+            );
+        end if;
+    end loop;
+
+    return v_credited;
+end;
+$$;
@@ -0,0 +1,18 @@
+-- Hand a clan from its leader to another member in one statement, so a clan never ends up
+-- with two leaders or none. Returns false, changing nothing, unless p_from still leads the
+-- clan and p_to is still in it.
+create or replace function transfer_clan_leadership(p_clan_id bigint, p_from text, p_to text)
+returns boolean
+language sql
+as $$
+    with handed_over as (
+        update clan_members
+        set role = case when auth = p_to then 'leader' else 'officer' end
+        where clan_id = p_clan_id
+          and auth in (p_from, p_to)
+          and exists (select 1 from clan_members where clan_id = p_clan_id and auth = p_from and role = 'leader')
+          and exists (select 1 from clan_members where clan_id = p_clan_id and auth = p_to)
+        returning 1
+    )
+    select count(*) = 2 from handed_over;
+$$;
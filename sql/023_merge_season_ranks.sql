@@ -0,0 +1,119 @@
+-- merge_players() added the source's season counters to the target's but left every
+-- rank as it was: the source's place stayed empty and the target kept a rank its merged
+-- row no longer earns. As in 009, except season standings: the merged row keeps the Elo of
+-- whichever account played more games that season, and the seasons touched are re-ranked.
+create or replace function merge_players(p_source text, p_target text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_source users%rowtype;
+    v_target users%rowtype;
+    v_source_stats player_stats%rowtype;
+    v_target_stats player_stats%rowtype;
+    v_seasons integer[];
+begin
+    select * into v_source from users where auth = p_source for update;
+    select * into v_target from users where auth = p_target for update;
+    if v_source.auth is null or v_target.auth is null then
+        raise exception 'Both accounts must exist' using errcode = 'P0002';
+    end if;
+
+    update users set nicknames = v_target.nicknames || coalesce((
+        select jsonb_agg(n order by i)
+        from jsonb_array_elements(v_source.nicknames) with ordinality as s (n, i)
+        where not v_target.nicknames @> jsonb_build_array(n)
+    ), '[]'::jsonb)
+    where auth = p_target;
+
+    -- Keep whichever VIP runs longer
+    if v_source.vip_expires_at is not null
+       and (v_target.vip_expires_at is null or v_source.vip_expires_at > v_target.vip_expires_at) then
+        update users set
+            "isVIP" = v_source."isVIP",
+            vip_expires_at = v_source.vip_expires_at,
+            vip_state = v_source.vip_state,
+            vip_color = coalesce(vip_color, v_source.vip_color)
+        where auth = p_target;
+    end if;
+
+    select * into v_source_stats from player_stats where auth = p_source;
+    select * into v_target_stats from player_stats where auth = p_target;
+    if v_source_stats.auth is not null then
+        if v_target_stats.auth is null then
+            update player_stats set auth = p_target where auth = p_source;
+        else
+            update player_stats set
+                points = case when v_source_stats.games_played > v_target_stats.games_played
+                    then v_source_stats.points else points end,
+                games_played = games_played + v_source_stats.games_played,
+                wins = wins + v_source_stats.wins,
+                draws = draws + v_source_stats.draws,
+                losses = losses + v_source_stats.losses,
+                goals = goals + v_source_stats.goals,
+                assists = assists + v_source_stats.assists,
+                clean_sheets = clean_sheets + v_source_stats.clean_sheets
+            where auth = p_target;
+            delete from player_stats where auth = p_source;
+        end if;
+        perform rerank_player_stats();
+    end if;
+
+    -- Matches both accounts played in (e.g. on opposite teams) keep the target's row only
+    update match_players mp set auth = p_target
+    where mp.auth = p_source
+      and not exists (select 1 from match_players t where t.match_id = mp.match_id and t.auth = p_target);
+    delete from match_players where auth = p_source;
+
+    select coalesce(array_agg(season_id), '{}') into v_seasons from season_standings where auth = p_source;
+    -- Merged rows take their season Elo the same way as player_stats
+    update season_standings ss set
+        points = case when s.games_played > ss.games_played then s.points else ss.points end,
+        games_played = ss.games_played + s.games_played,
+        wins = ss.wins + s.wins,
+        draws = ss.draws + s.draws,
+        losses = ss.losses + s.losses,
+        goals = ss.goals + s.goals,
+        assists = ss.assists + s.assists,
+        clean_sheets = ss.clean_sheets + s.clean_sheets
+    from season_standings s
+    where s.auth = p_source and ss.auth = p_target and ss.season_id = s.season_id;
+    update season_standings ss set auth = p_target
+    where ss.auth = p_source
+      and not exists (select 1 from season_standings t where t.season_id = ss.season_id and t.auth = p_target);
+    delete from season_standings where auth = p_source;
+
+    -- The source's place is gone and the merged points may move the target, so closed
+    -- seasons the source played in are ranked again, with the order rerank_player_stats() uses
+    update season_standings ss
+    set rank = ranked.new_rank
+    from (
+        select season_id, auth,
+            row_number() over (partition by season_id order by points desc, games_played desc, auth) as new_rank
+        from season_standings
+        where season_id = any(v_seasons)
+    ) ranked
+    where ss.season_id = ranked.season_id
+      and ss.auth = ranked.auth
+      and ss.rank is distinct from ranked.new_rank;
+
+    insert into career_profiles (auth, coins, selected_player)
+    select p_target, coins, selected_player from career_profiles where auth = p_source
+    on conflict (auth) do update set
+        coins = career_profiles.coins + excluded.coins,
+        selected_player = coalesce(career_profiles.selected_player, excluded.selected_player),
+        updated_at = now();
+    insert into career_unlocks (auth, player_id, cost, unlocked_at)
+    select p_target, player_id, cost, unlocked_at from career_unlocks where auth = p_source
+    on conflict do nothing;
+
+    -- Sessions, notifications and career rows of the source go with it
+    delete from users where auth = p_source;
+
+    return jsonb_build_object(
+        'nicknames', (select nicknames from users where auth = p_target),
+        'sourceStats', to_jsonb(v_source_stats),
+        'targetStats', to_jsonb(v_target_stats)
+    );
+end;
+$$;
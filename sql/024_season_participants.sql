@@ -0,0 +1,92 @@
+-- close_season() archived a row for everyone in player_stats, so a closed season listed
+-- players who never played in it (all counters 0) in its standings and in their season
+-- history. Seasons now archive only the players who played that season, ranked among
+-- themselves.
+
+-- Rank the players who did play in seasons with empty rows among themselves, then drop the
+-- empty rows
+update season_standings s
+set rank = ranked.new_rank
+from (
+    select season_id, auth,
+        row_number() over (partition by season_id order by points desc, games_played desc, auth) as new_rank
+    from season_standings
+    where games_played > 0
+      and season_id in (select season_id from season_standings where games_played = 0)
+) ranked
+where s.season_id = ranked.season_id
+  and s.auth = ranked.auth
+  and s.rank is distinct from ranked.new_rank;
+
+delete from season_standings where games_played = 0;
+
+-- As in 020, except only players with games this season are archived, and their rank is
+-- their place among them
+create or replace function close_season(
+    p_season_id integer,
+    p_reset_factor numeric,
+    p_base_rating integer,
+    p_next_name text,
+    p_next_ends_at timestamptz
+)
+returns integer
+language plpgsql
+as $$
+declare
+    v_next_id integer;
+begin
+    update seasons
+    set status = 'closed', closed_at = now()
+    where id = p_season_id and status = 'active';
+
+    if not found then
+        raise exception 'Season % is not active', p_season_id;
+    end if;
+
+    -- Corrections can lower lifetime totals below what was archived; a season never goes negative
+    insert into season_standings (
+        season_id, auth, rank, points, games_played, wins, draws, losses, goals, assists, clean_sheets
+    )
+    select
+        p_season_id, auth,
+        row_number() over (order by points desc, games_played desc, auth),
+        points, games_played, wins, draws, losses, goals, assists, clean_sheets
+    from (
+        select
+            ps.auth, ps.points,
+            greatest(ps.games_played - coalesce(earlier.games_played, 0), 0) as games_played,
+            greatest(ps.wins - coalesce(earlier.wins, 0), 0) as wins,
+            greatest(ps.draws - coalesce(earlier.draws, 0), 0) as draws,
+            greatest(ps.losses - coalesce(earlier.losses, 0), 0) as losses,
+            greatest(ps.goals - coalesce(earlier.goals, 0), 0) as goals,
+            greatest(ps.assists - coalesce(earlier.assists, 0), 0) as assists,
+            greatest(ps.clean_sheets - coalesce(earlier.clean_sheets, 0), 0) as clean_sheets
+        from player_stats ps
+        left join (
+            select auth, sum(games_played) as games_played, sum(wins) as wins, sum(draws) as draws,
+                sum(losses) as losses, sum(goals) as goals, sum(assists) as assists, sum(clean_sheets) as clean_sheets
+            from season_standings
+            group by auth
+        ) earlier on earlier.auth = ps.auth
+    ) this_season
+    where games_played > 0;
+
+    update player_stats
+    set points = round(p_base_rating + (points - p_base_rating) * p_reset_factor);
+
+    update player_stats ps
+    set rank = ranked.new_rank
+    from (
+        select auth, row_number() over (order by points desc, games_played desc, auth) as new_rank
+        from player_stats
+    ) ranked
+    where ps.auth = ranked.auth
+      and ps.rank is distinct from ranked.new_rank;
+
+    insert into seasons (name, starts_at, ends_at, status)
+    values (p_next_name, now(), p_next_ends_at, 'active')
+    returning id into v_next_id;
+
+    return v_next_id;
+end;
+$$;
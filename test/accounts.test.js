@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ROOM_HEADERS, SEED_PASSWORD } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+test('login returns tokens and the player', async () => {
+    const { status, body } = await server.request('POST', '/api/login', { body: { username: 'kaan', password: SEED_PASSWORD } });
+
+    assert.equal(status, 200);
+    assert.ok(body.accessToken);
+    assert.ok(body.refreshToken);
+    assert.equal(body.auth, 'seed-auth-2');
+    assert.equal(body.isVIP, true);
+    assert.equal(body.stats.points, 1155);
+});
+
+test('login rejects a wrong password and an unknown nickname alike', async () => {
+    const wrong = await server.request('POST', '/api/login', { body: { username: 'kaan', password: 'not-it' } });
+    const unknown = await server.request('POST', '/api/login', { body: { username: 'nobody', password: SEED_PASSWORD } });
+
+    assert.equal(wrong.status, 400);
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body, wrong.body);
+});
+
+test('repeated wrong passwords lock the account, even against the right one', async () => {
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await server.request('POST', '/api/login', { body: { username: 'selin', password: 'guess' } })).status, 400);
+    }
+    const locking = await server.request('POST', '/api/login', { body: { username: 'selin', password: 'guess' } });
+    assert.equal(locking.status, 429);
+    assert.equal(locking.body.code, 'account_locked');
+    assert.equal(locking.headers.get('retry-after'), '60');
+
+    const right = await server.request('POST', '/api/login', { body: { username: 'SELIN', password: SEED_PASSWORD } });
+    assert.equal(right.status, 429);
+    assert.ok(Number(right.headers.get('retry-after')) > 0);
+});
+
+test('session routes need a valid access token', async () => {
+    assert.equal((await server.request('POST', '/api/login/verify')).status, 401);
+    assert.equal((await server.request('POST', '/api/login/verify', { token: 'forged.token' })).status, 401);
+
+    const token = await server.login('deniz');
+    const { status, body } = await server.request('POST', '/api/login/verify', { token });
+    assert.equal(status, 200);
+    assert.equal(body.auth, 'seed-auth-3');
+});
+
+test('/api/me names the player the access token belongs to', async () => {
+    assert.equal((await server.request('GET', '/api/me')).status, 401);
+
+    const { status, body } = await server.request('GET', '/api/me', { token: await server.login('kaan') });
+    assert.equal(status, 200);
+    assert.equal(body.auth, 'seed-auth-2');
+    assert.equal(body.username, 'kaan');
+    assert.equal(body.isVIP, true);
+});
+
+test('a refresh token is single-use, and reusing one ends the session', async () => {
+    const { body: session } = await server.request('POST', '/api/login', { body: { username: 'arda', password: SEED_PASSWORD } });
+
+    const refreshed = await server.request('POST', '/api/login/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+    const reused = await server.request('POST', '/api/login/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.equal((await server.request('POST', '/api/login/verify', { token: refreshed.body.accessToken })).status, 401);
+});
+
+test('logout revokes the session', async () => {
+    const token = await server.login('burak');
+
+    assert.equal((await server.request('POST', '/api/logout', { token })).status, 200);
+    assert.equal((await server.request('POST', '/api/login/verify', { token })).status, 401);
+});
+
+test('registration finishes when the room host reports the link code', async () => {
+    const started = await server.request('POST', '/api/register', { body: { username: 'newplayer', password: 'a-long-password' } });
+    assert.equal(started.status, 201);
+    assert.match(started.body.command, /^!link /);
+
+    const pending = await server.request('GET', `/api/register/${started.body.registrationId}`);
+    assert.equal(pending.body.status, 'pending');
+
+    // The nickname has to be one the player has played a match under
+    const unplayed = await server.request('POST', '/api/room/link', {
+        headers: ROOM_HEADERS,
+        body: { auth: 'new-auth', code: started.body.code }
+    });
+    assert.equal(unplayed.status, 403);
+    assert.equal((await server.request('GET', `/api/register/${started.body.registrationId}`)).body.status, 'pending');
+
+    await server.reportMatch({
+        red: [{ auth: 'new-auth', nickname: 'newplayer' }],
+        blue: [{ auth: 'seed-auth-7', nickname: 'emre' }],
+        score: { red: 1, blue: 0 },
+        duration: 120
+    });
+
+    const wrongCode = await server.request('POST', '/api/room/link', {
+        headers: ROOM_HEADERS,
+        body: { auth: 'new-auth', code: 'ZZZZZZ' }
+    });
+    assert.equal(wrongCode.status, 404);
+
+    const linked = await server.request('POST', '/api/room/link', {
+        headers: ROOM_HEADERS,
+        body: { auth: 'new-auth', code: started.body.code }
+    });
+    assert.equal(linked.status, 200);
+    assert.equal(linked.body.created, true);
+
+    const done = await server.request('GET', `/api/register/${started.body.registrationId}`);
+    assert.equal(done.body.status, 'linked');
+
+    const login = await server.request('POST', '/api/login', { body: { username: 'newplayer', password: 'a-long-password' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.auth, 'new-auth');
+});
+
+test('registration refuses a nickname an account already holds', async () => {
+    const { status } = await server.request('POST', '/api/register', { body: { username: 'selin', password: 'a-long-password' } });
+    assert.equal(status, 409);
+});
+
+test('registering on an existing account needs the same nickname claim', async () => {
+    const started = await server.request('POST', '/api/register', { body: { username: 'not-deniz', password: 'a-long-password' } });
+
+    const linked = await server.request('POST', '/api/room/link', {
+        headers: ROOM_HEADERS,
+        body: { auth: 'seed-auth-3', code: started.body.code }
+    });
+    assert.equal(linked.status, 403);
+
+    const login = await server.request('POST', '/api/login', { body: { username: 'deniz', password: SEED_PASSWORD } });
+    assert.equal(login.status, 200);
+});
+
+test('changing the password signs out every other session', async () => {
+    const oldToken = await server.login('emre');
+    const { status, body } = await server.request('POST', '/api/account/password', {
+        token: oldToken,
+        body: { currentPassword: SEED_PASSWORD, newPassword: 'another-password' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal((await server.request('POST', '/api/login/verify', { token: oldToken })).status, 401);
+    assert.equal((await server.request('POST', '/api/login/verify', { token: body.accessToken })).status, 200);
+
+    const oldLogin = await server.request('POST', '/api/login', { body: { username: 'emre', password: SEED_PASSWORD } });
+    assert.equal(oldLogin.status, 400);
+});
+
+test('VIP cosmetics need an active VIP', async () => {
+    const vip = await server.request('POST', '/api/updateVipMessage', { token: await server.login('kaan'), body: { vipMessage: 'GG' } });
+    assert.equal(vip.status, 200);
+
+    const regular = await server.request('POST', '/api/updateVipMessage', { token: await server.login('zeynep'), body: { vipMessage: 'GG' } });
+    assert.equal(regular.status, 403);
+});
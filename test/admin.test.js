@@ -0,0 +1,190 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, SEED_PASSWORD } = require('./helpers');
+const { users } = require('../lib/repositories');
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login('mesut');
+});
+
+after(() => server.close());
+
+test('admin routes are refused to players', async () => {
+    const token = await server.login('kaan');
+
+    assert.equal((await server.request('GET', '/api/admin/audit-log')).status, 401);
+    assert.equal((await server.request('GET', '/api/admin/audit-log', { token })).status, 403);
+});
+
+test('a banned player cannot log in, and the ban is audited', async () => {
+    const ban = await server.request('POST', '/api/admin/players/seed-auth-8/ban', { token: admin, body: { reason: 'spam', days: 1 } });
+    assert.equal(ban.status, 200);
+
+    const login = await server.request('POST', '/api/login', { body: { username: 'zeynep', password: SEED_PASSWORD } });
+    assert.equal(login.status, 403);
+    assert.equal(login.body.ban.reason, 'spam');
+
+    const { body } = await server.request('GET', '/api/admin/audit-log', { token: admin });
+    assert.deepEqual(
+        { action: body.entries[0].action, actor: body.entries[0].actor, target: body.entries[0].target },
+        { action: 'ban', actor: 'seed-auth-1', target: 'seed-auth-8' }
+    );
+
+    const unban = await server.request('POST', '/api/admin/players/seed-auth-8/unban', { token: admin, body: {} });
+    assert.equal(unban.status, 200);
+    assert.equal((await server.request('POST', '/api/login', { body: { username: 'zeynep', password: SEED_PASSWORD } })).status, 200);
+});
+
+test('stat corrections apply, re-rank and report the previous values', async () => {
+    const { status, body } = await server.request('PATCH', '/api/admin/players/seed-auth-6/stats', {
+        token: admin,
+        body: { stats: { points: 2000 }, reason: 'restored after an outage' }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.before, { points: 1055 });
+
+    const rankings = await server.request('GET', '/api/getRankings');
+    assert.equal(rankings.body.statsData[0].auth, 'seed-auth-6');
+    assert.equal(rankings.body.statsData[0].rank, 1);
+});
+
+test('merging folds the source account into the target', async () => {
+    const { status, body } = await server.request('POST', '/api/admin/players/seed-auth-4/merge', {
+        token: admin,
+        body: { source: 'seed-auth-7' }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.nicknames, ['arda', 'emre']);
+
+    const profile = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-4');
+    assert.equal(profile.body.profile.games_played, 28 + 16);
+
+    const missing = await server.request('POST', '/api/admin/players/seed-auth-4/merge', {
+        token: admin,
+        body: { source: 'seed-auth-7' }
+    });
+    assert.equal(missing.status, 404);
+});
+
+test('admins can grant and revoke VIP days', async () => {
+    const granted = await server.request('POST', '/api/admin/players/seed-auth-5/vip', { token: admin, body: { days: 10 } });
+    assert.equal(granted.status, 200);
+
+    const status = await server.request('GET', '/api/v1/players/seed-auth-5/vip');
+    assert.equal(status.body.active, true);
+
+    const burak = await server.login('burak');
+    await server.request('POST', '/api/updateVipMessage', { token: burak, body: { vipMessage: 'HI' } });
+
+    const revoked = await server.request('DELETE', '/api/admin/players/seed-auth-5/vip', { token: admin, body: { days: 10 } });
+    assert.equal(revoked.status, 200);
+    assert.equal((await server.request('GET', '/api/v1/players/seed-auth-5/vip')).body.active, false);
+
+    // Revoking every day left archives the cosmetics like an expiry, and a new grant brings them back
+    const user = await users.get('seed-auth-5');
+    assert.equal(user.vipMessage, null);
+    assert.equal(user.vip_archived_settings.vipMessage, 'HI');
+
+    await server.request('POST', '/api/admin/players/seed-auth-5/vip', { token: admin, body: { days: 5 } });
+    assert.equal((await server.request('GET', '/api/v1/players/seed-auth-5/vip')).body.message, 'HI');
+});
+
+test('API keys are issued once and work until revoked', async () => {
+    const created = await server.request('POST', '/api/admin/api-keys', { token: admin, body: { name: 'stats bot' } });
+    assert.equal(created.status, 201);
+
+    const headers = { 'x-api-key': created.body.key };
+    const rankings = await server.request('GET', '/api/v1/rankings', { headers });
+    assert.equal(rankings.status, 200);
+    assert.equal(rankings.headers.get('ratelimit-limit'), '1000');
+
+    const listed = await server.request('GET', '/api/admin/api-keys', { token: admin });
+    assert.equal(listed.body.apiKeys.some(key => 'key' in key || 'key_hash' in key), false);
+
+    await server.request('DELETE', `/api/admin/api-keys/${created.body.apiKey.id}`, { token: admin });
+    assert.equal((await server.request('GET', '/api/v1/rankings', { headers })).status, 401);
+});
+
+test('the player overview shows the account, its ban and its stats', async () => {
+    const { status, body } = await server.request('GET', '/api/admin/players/seed-auth-3', { token: admin });
+    assert.equal(status, 200);
+    assert.deepEqual(body.nicknames, ['deniz', 'dnz']);
+    assert.equal(body.ban, null);
+    assert.equal(body.stats.games_played, 32);
+
+    assert.equal((await server.request('GET', '/api/admin/players/nobody', { token: admin })).status, 404);
+});
+
+test('admin actions that make no sense are refused', async () => {
+    const self = await server.request('POST', '/api/admin/players/seed-auth-1/ban', { token: admin, body: {} });
+    assert.equal(self.body.error, 'You cannot ban yourself');
+
+    const notBanned = await server.request('POST', '/api/admin/players/seed-auth-2/unban', { token: admin, body: {} });
+    assert.equal(notBanned.status, 409);
+
+    const itself = await server.request('POST', '/api/admin/players/seed-auth-2/merge', { token: admin, body: { source: 'seed-auth-2' } });
+    assert.equal(itself.body.error, 'Cannot merge an account into itself');
+
+    const noStats = await server.request('PATCH', '/api/admin/players/nobody/stats', { token: admin, body: { stats: { wins: 1 } } });
+    assert.equal(noStats.status, 404);
+
+    const noVip = await server.request('DELETE', '/api/admin/players/seed-auth-3/vip', { token: admin, body: {} });
+    assert.equal(noVip.body.error, 'Player has no VIP to revoke');
+});
+
+test('the audit log filters by action and target', async () => {
+    await server.request('POST', '/api/admin/players/seed-auth-6/ban', { token: admin, body: { reason: 'smurf' } });
+    await server.request('POST', '/api/admin/players/seed-auth-6/unban', { token: admin, body: {} });
+
+    const { body } = await server.request('GET', '/api/admin/audit-log?target=seed-auth-6', { token: admin });
+    assert.deepEqual(body.entries.map(entry => entry.action), ['unban', 'ban', 'stats.correct']);
+    assert.equal(body.entries[0].details.previousBan.reason, 'smurf');
+
+    const bans = await server.request('GET', '/api/admin/audit-log?action=ban', { token: admin });
+    assert.deepEqual(bans.body.entries.map(entry => entry.target), ['seed-auth-6', 'seed-auth-8']);
+});
+
+test('admin bodies are validated before anything runs', async () => {
+    const noSource = await server.request('POST', '/api/admin/players/seed-auth-2/merge', { token: admin, body: {} });
+    assert.deepEqual(noSource.body, { error: 'source is required', code: 'invalid_body', field: 'source' });
+
+    const unknownStat = await server.request('PATCH', '/api/admin/players/seed-auth-2/stats', { token: admin, body: { stats: { elo: 5 } } });
+    assert.equal(unknownStat.body.error, 'Unknown stat: elo');
+    assert.equal(unknownStat.body.field, 'stats');
+
+    const tooLong = await server.request('POST', '/api/admin/players/seed-auth-2/vip', { token: admin, body: { days: 4000 } });
+    assert.equal(tooLong.body.field, 'days');
+    const fraction = await server.request('DELETE', '/api/admin/players/seed-auth-2/vip', { token: admin, body: { days: 1.5 } });
+    assert.equal(fraction.body.error, 'days must be a positive whole number');
+
+    const noAuth = await server.request('POST', '/api/admin/vip/purchases/1/assign', { token: admin, body: { auth: '' } });
+    assert.equal(noAuth.body.error, 'auth is required');
+});
+
+test('merging re-ranks the closed seasons both accounts played in', async () => {
+    const { getActiveSeason, closeSeason } = require('../lib/seasons');
+    const season = await getActiveSeason();
+    await closeSeason(season);
+
+    const standings = async () => (await server.request('GET', `/api/getRankings?season=${season.id}&perPage=50`)).body.statsData;
+    const before = await standings();
+    const kaan = before.find(row => row.auth === 'seed-auth-2');
+
+    await server.request('POST', '/api/admin/players/seed-auth-8/merge', { token: admin, body: { source: 'seed-auth-2' } });
+
+    const after = await standings();
+    assert.equal(after.length, before.length - 1);
+    assert.deepEqual(after.map(row => row.rank), after.map((row, index) => index + 1));
+
+    // zeynep takes kaan's Elo for the season, as kaan played more games in it
+    const zeynep = after.find(row => row.auth === 'seed-auth-8');
+    assert.equal(zeynep.points, kaan.points);
+    assert.equal(zeynep.rank, kaan.rank);
+    assert.equal(zeynep.games_played, 12 + 36);
+});
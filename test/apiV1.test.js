@@ -0,0 +1,25 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { cacheStats } = require('../lib/cache');
+
+process.env.API_IP_RATE_LIMIT = '5';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+test('made-up API keys are limited per IP and never cached', async () => {
+    const statuses = [];
+    for (let i = 0; i < 7; i++) {
+        const { status } = await server.request('GET', '/api/v1/rankings', { headers: { 'x-api-key': `hxr_guess${i}` } });
+        statuses.push(status);
+    }
+
+    assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429, 429]);
+    assert.equal(cacheStats().byType.apikey?.entries ?? 0, 0);
+});
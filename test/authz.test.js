@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers'); // In-memory backend
+const { users } = require('../lib/repositories');
+const { requireSelf, requireActiveVip } = require('../lib/authz');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs a middleware against a fake request. Returns { status, body } if it answered, or
+// { next: true } if it passed the request on.
+async function run(middleware, req) {
+    return new Promise(resolve => {
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(body) {
+                resolve({ status: this.statusCode, body });
+                return this;
+            }
+        };
+        Promise.resolve(middleware(req, res, () => resolve({ next: true }))).catch(resolve);
+    });
+}
+
+test('requireSelf acts as the session user', async () => {
+    const req = { session: { auth: 'seed-auth-3' }, body: {} };
+
+    assert.deepEqual(await run(requireSelf, req), { next: true });
+    assert.equal(req.actingAuth, 'seed-auth-3');
+});
+
+test('requireSelf accepts a body auth matching the session', async () => {
+    const req = { session: { auth: 'seed-auth-3' }, body: { auth: 'seed-auth-3' } };
+    assert.deepEqual(await run(requireSelf, req), { next: true });
+});
+
+test('requireSelf refuses another player\'s auth', async () => {
+    const req = { session: { auth: 'seed-auth-3' }, body: { auth: 'seed-auth-1' } };
+    const result = await run(requireSelf, req);
+
+    assert.equal(result.status, 403);
+    assert.equal(req.actingAuth, undefined);
+});
+
+test('requireSelf needs a session', async () => {
+    const result = await run(requireSelf, { body: { auth: 'seed-auth-3' } });
+    assert.equal(result.status, 401);
+});
+
+test('requireActiveVip lets an active VIP through', async () => {
+    const result = await run(requireActiveVip, { session: { auth: 'seed-auth-2' }, actingAuth: 'seed-auth-2' });
+    assert.deepEqual(result, { next: true });
+});
+
+test('requireActiveVip refuses a player who never had VIP', async () => {
+    const result = await run(requireActiveVip, { session: { auth: 'seed-auth-3' }, actingAuth: 'seed-auth-3' });
+
+    assert.equal(result.status, 403);
+    assert.equal(result.body.error, 'VIP membership is not active');
+});
+
+test('requireActiveVip keeps perks during the grace period, then refuses', async () => {
+    const req = { session: { auth: 'seed-auth-4' }, actingAuth: 'seed-auth-4' };
+
+    await users.update('seed-auth-4', { isVIP: true, vip_expires_at: new Date(Date.now() - DAY_MS).toISOString() });
+    assert.deepEqual(await run(requireActiveVip, req), { next: true });
+
+    await users.update('seed-auth-4', { vip_expires_at: new Date(Date.now() - 30 * DAY_MS).toISOString() });
+    assert.equal((await run(requireActiveVip, req)).status, 403);
+});
+
+test('requireActiveVip refuses a VIP that was switched off', async () => {
+    await users.update('seed-auth-5', { isVIP: false, vip_expires_at: new Date(Date.now() + 30 * DAY_MS).toISOString() });
+
+    const result = await run(requireActiveVip, { session: { auth: 'seed-auth-5' }, actingAuth: 'seed-auth-5' });
+    assert.equal(result.status, 403);
+});
+
+test('requireActiveVip refuses unknown accounts and missing sessions', async () => {
+    assert.equal((await run(requireActiveVip, { session: { auth: 'no-such-auth' } })).status, 403);
+    assert.equal((await run(requireActiveVip, {})).status, 401);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ROOM_HEADERS } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+function balance(body, options = { headers: ROOM_HEADERS }) {
+    return server.request('POST', '/api/balance', { body, ...options });
+}
+
+const average = team => team.reduce((sum, player) => sum + player.rating, 0) / team.length;
+
+// Smallest difference in average rating over every split into teams at most one player apart
+function bestDifference(ratings) {
+    const total = ratings.length;
+    let best = Infinity;
+    for (let red = 0; red < 1 << total; red++) {
+        const redRatings = ratings.filter((rating, index) => red & (1 << index));
+        if (Math.abs(redRatings.length - (total - redRatings.length)) > 1) continue;
+        const blueRatings = ratings.filter((rating, index) => !(red & (1 << index)));
+        const difference = Math.abs(redRatings.reduce((a, b) => a + b, 0) / redRatings.length
+            - blueRatings.reduce((a, b) => a + b, 0) / blueRatings.length);
+        best = Math.min(best, difference);
+    }
+    return best;
+}
+
+test('an even number of players is split into equal teams with the closest averages', async () => {
+    const { status, body } = await balance({
+        players: ['seed-auth-1', 'seed-auth-2', 'seed-auth-3', 'seed-auth-4'].map(auth => ({ auth }))
+    });
+    assert.equal(status, 200);
+
+    // 1180 + 1105 against 1155 + 1130
+    assert.equal(body.red.length, 2);
+    assert.equal(body.blue.length, 2);
+    assert.deepEqual(body.ratings, { red: 1143, blue: 1143 });
+    assert.deepEqual(body.winProbability, { red: 0.5, blue: 0.5 });
+    const teams = [body.red, body.blue].map(team => team.map(player => player.auth).sort());
+    assert.ok(teams.some(team => team.join() === 'seed-auth-1,seed-auth-4'));
+});
+
+test('an odd number of players gives one team the extra player, and every split is tried', async () => {
+    const players = [
+        ...['seed-auth-1', 'seed-auth-2', 'seed-auth-3', 'seed-auth-5', 'seed-auth-6', 'seed-auth-8'].map(auth => ({ auth })),
+        { nickname: 'walk-in' }
+    ];
+    const { status, body } = await balance({ players });
+    assert.equal(status, 200);
+
+    assert.deepEqual([body.red.length, body.blue.length].sort(), [3, 4]);
+    const everyone = [...body.red, ...body.blue];
+    assert.equal(everyone.length, 7);
+    const walkIn = everyone.find(player => player.nickname === 'walk-in');
+    assert.equal(walkIn.rating, 1000);
+    assert.equal(walkIn.rated, false);
+
+    const difference = Math.abs(average(body.red) - average(body.blue));
+    assert.ok(Math.abs(difference - bestDifference(everyone.map(player => player.rating))) < 1e-9);
+});
+
+test('pairs queueing together stay on the same team', async () => {
+    const { body } = await balance({
+        players: ['seed-auth-1', 'seed-auth-2', 'seed-auth-3', 'seed-auth-4'].map(auth => ({ auth })),
+        together: [['seed-auth-1', 'seed-auth-2']]
+    });
+    const red = body.red.map(player => player.auth);
+    assert.equal(red.includes('seed-auth-1'), red.includes('seed-auth-2'));
+});
+
+test('the full room of 24 is balanced, and more players are refused', async () => {
+    const room = Array.from({ length: 24 }, (_, index) => ({ nickname: `player-${index}` }));
+    const full = await balance({ players: room });
+    assert.equal(full.status, 200);
+    assert.equal(full.body.red.length, 12);
+
+    const crowded = await balance({ players: [...room, { nickname: 'player-24' }] });
+    assert.equal(crowded.status, 400);
+    assert.equal(crowded.body.code, 'invalid_body');
+    assert.equal(crowded.body.error, 'At most 24 players can be balanced');
+});
+
+test('only the room host and admins can balance teams', async () => {
+    const body = { players: [{ auth: 'seed-auth-1' }, { auth: 'seed-auth-2' }] };
+
+    assert.equal((await balance(body, {})).status, 401);
+    assert.equal((await balance(body, { headers: { 'x-room-secret': 'wrong' } })).status, 401);
+    assert.equal((await balance(body, { token: await server.login('kaan') })).status, 403);
+    assert.equal((await balance(body, { token: await server.login('mesut') })).status, 200);
+    assert.equal((await balance(body)).status, 200);
+});
@@ -0,0 +1,196 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+const supabase = require('../lib/supabase');
+const { vip } = require('../lib/repositories');
+
+// Signed Buy Me a Coffee deliveries, built from the payloads in fixtures/bmc
+
+const SECRET = 'test-bmc-secret';
+process.env.BMC_WEBHOOK_SECRET = SECRET;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIXTURES = {
+    donation: require('./fixtures/bmc/donation.created.json'),
+    membership: require('./fixtures/bmc/membership.started.json')
+};
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login('mesut');
+});
+
+after(() => server.close());
+
+// A fixture with the given top-level and data fields replaced
+function event(fixture, fields, data = {}) {
+    const copy = structuredClone(FIXTURES[fixture]);
+    return { ...copy, ...fields, data: { ...copy.data, ...data } };
+}
+
+function deliver(payload, signature) {
+    const body = JSON.stringify(payload);
+    return server.request('POST', '/api/webhooks/bmc', {
+        body,
+        headers: { 'x-signature-sha256': signature ?? crypto.createHmac('sha256', SECRET).update(body).digest('hex') }
+    });
+}
+
+async function vipOf(auth) {
+    const { body } = await server.request('GET', `/api/v1/players/${auth}/vip`);
+    return { active: body.active, expiresAt: body.expiresAt ? new Date(body.expiresAt).getTime() : null };
+}
+
+test('deliveries without a valid signature are refused', async () => {
+    assert.equal((await deliver(FIXTURES.donation, 'not-a-signature')).status, 401);
+    assert.equal((await deliver(FIXTURES.donation, '')).status, 401);
+});
+
+test('a nickname in free text is not matched; the payment is parked for an admin', async () => {
+    const before = await vipOf('seed-auth-2');
+
+    const { status, body } = await deliver(FIXTURES.donation);
+    assert.equal(status, 200);
+    assert.equal(body.status, 'unmatched');
+    assert.deepEqual(await vipOf('seed-auth-2'), before);
+
+    const retry = await deliver(FIXTURES.donation);
+    assert.equal(retry.body.duplicate, true);
+
+    const parked = await server.request('GET', '/api/admin/vip/purchases', { token: admin });
+    assert.equal(parked.body.purchases.length, 1);
+    assert.equal(parked.body.purchases[0].supportNote, 'thanks to kaan for the games');
+});
+
+test('an admin grants a parked payment, and the email then maps later payments', async () => {
+    const [purchase] = (await server.request('GET', '/api/admin/vip/purchases', { token: admin })).body.purchases;
+
+    const assigned = await server.request('POST', `/api/admin/vip/purchases/${purchase.id}/assign`, {
+        token: admin,
+        body: { auth: 'seed-auth-3' }
+    });
+    assert.equal(assigned.status, 200);
+    const granted = await vipOf('seed-auth-3');
+    assert.equal(granted.active, true);
+
+    const again = await server.request('POST', `/api/admin/vip/purchases/${purchase.id}/assign`, {
+        token: admin,
+        body: { auth: 'seed-auth-3' }
+    });
+    assert.equal(again.status, 409);
+
+    const renewal = await deliver(event('donation', { event_id: 102 }, { id: 5802, support_note: '' }));
+    assert.equal(renewal.body.status, 'granted');
+    assert.equal((await vipOf('seed-auth-3')).expiresAt, granted.expiresAt + 30 * DAY_MS);
+});
+
+test('an explicit nick: or auth: marker names the account', async () => {
+    const byNickname = await deliver(event('donation', { event_id: 103 }, {
+        id: 5803,
+        supporter_email: 'fan@example.com',
+        support_note: 'For my friend nick:arda, have fun'
+    }));
+    assert.equal(byNickname.body.status, 'granted');
+    assert.equal((await vipOf('seed-auth-4')).active, true);
+
+    const byAuth = await deliver(event('donation', { event_id: 104 }, {
+        id: 5804,
+        supporter_email: 'other@example.com',
+        support_note: 'auth:seed-auth-6'
+    }));
+    assert.equal(byAuth.body.status, 'granted');
+    assert.equal((await vipOf('seed-auth-6')).active, true);
+
+    const unknown = await deliver(event('donation', { event_id: 105 }, {
+        id: 5805,
+        supporter_email: 'third@example.com',
+        support_note: 'nick:nobody'
+    }));
+    assert.equal(unknown.body.status, 'unmatched');
+});
+
+test('membership updates grant days only for a new billing period', async () => {
+    const started = await deliver(FIXTURES.membership);
+    assert.equal(started.body.status, 'granted');
+    const afterStart = await vipOf('seed-auth-5');
+    assert.equal(afterStart.active, true);
+
+    // Plan or metadata edit: same period
+    const edited = await deliver(event('membership', { type: 'membership.updated', event_id: 202 }, {
+        membership_level_name: 'VIP Gold'
+    }));
+    assert.equal(edited.body.status, 'ignored');
+    assert.deepEqual(await vipOf('seed-auth-5'), afterStart);
+
+    const periodEnd = FIXTURES.membership.data.current_period_end;
+    const renewed = await deliver(event('membership', { type: 'membership.updated', event_id: 203 }, {
+        current_period_start: periodEnd,
+        current_period_end: periodEnd + 30 * 24 * 60 * 60
+    }));
+    assert.equal(renewed.body.status, 'granted');
+    assert.equal((await vipOf('seed-auth-5')).expiresAt, afterStart.expiresAt + 30 * DAY_MS);
+
+    const unknown = await deliver(event('membership', { type: 'membership.updated', event_id: 204 }, { id: 9999 }));
+    assert.equal(unknown.body.status, 'unmatched');
+});
+
+test('a refund takes back the days its payment granted', async () => {
+    const before = await vipOf('seed-auth-4');
+
+    const refund = await deliver(event('donation', { type: 'donation.refunded', event_id: 106 }, {
+        id: 5803,
+        refunded: 'true'
+    }));
+    assert.equal(refund.body.status, 'refund');
+    assert.equal((await vipOf('seed-auth-4')).active, false);
+    assert.ok(before.active);
+});
+
+test('a refunded payment or period is not taken back or granted again', async () => {
+    const again = await deliver(event('donation', { type: 'donation.refunded', event_id: 107 }, { id: 5803, refunded: 'true' }));
+    assert.equal(again.body.status, 'ignored');
+
+    const before = await vipOf('seed-auth-5');
+    const refund = await deliver(event('membership', { type: 'membership.refunded', event_id: 205 }));
+    assert.equal(refund.body.status, 'refund');
+    assert.equal((await vipOf('seed-auth-5')).expiresAt, before.expiresAt - 30 * DAY_MS);
+
+    // The refunded period repeated in a later update is not a new period
+    const periodEnd = FIXTURES.membership.data.current_period_end;
+    const repeated = await deliver(event('membership', { type: 'membership.updated', event_id: 206 }, {
+        current_period_start: periodEnd,
+        current_period_end: periodEnd + 30 * 24 * 60 * 60
+    }));
+    assert.equal(repeated.body.status, 'ignored');
+    assert.equal((await vipOf('seed-auth-5')).expiresAt, before.expiresAt - 30 * DAY_MS);
+});
+
+test('a grant whose ledger write fails keeps its claim, so the retry grants nothing', async () => {
+    const updatePurchase = vip.updatePurchase;
+    let failures = 1;
+    vip.updatePurchase = (...args) => (failures-- > 0
+        ? Promise.reject(new Error('connection reset'))
+        : updatePurchase.apply(vip, args));
+
+    const payment = event('donation', { event_id: 108 }, { id: 5808, supporter_email: 'late@example.com', support_note: 'auth:seed-auth-7' });
+    let failed;
+    try {
+        failed = await deliver(payment);
+    } finally {
+        vip.updatePurchase = updatePurchase;
+    }
+    assert.equal(failed.status, 500);
+    const granted = await vipOf('seed-auth-7');
+    assert.equal(granted.active, true);
+
+    const retry = await deliver(payment);
+    assert.equal(retry.body.duplicate, true);
+    assert.deepEqual(await vipOf('seed-auth-7'), granted);
+
+    const { data } = await supabase.from('vip_purchases').select('status, auth, days').eq('event_id', '108').single();
+    assert.deepEqual(data, { status: 'failed', auth: 'seed-auth-7', days: 30 });
+});
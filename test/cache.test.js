@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+const cache = require('../lib/cache');
+const supabase = require('../lib/supabase');
+const events = require('../lib/events');
+const { users } = require('../lib/repositories');
+const { getProfile, getVipEntry, runDeltaRefresh, deltaStatus } = require('../lib/playerCache');
+
+test('concurrent misses share one load, and missing values are not cached', async () => {
+    let loads = 0;
+    const load = async () => {
+        loads++;
+        return { value: loads };
+    };
+    const [first, second] = await Promise.all([cache.getOrLoad('test:shared', load), cache.getOrLoad('test:shared', load)]);
+    assert.equal(loads, 1);
+    assert.equal(first, second);
+    assert.deepEqual(await cache.getOrLoad('test:shared', load), { value: 1 });
+
+    let nullLoads = 0;
+    const missing = async () => {
+        nullLoads++;
+        return null;
+    };
+    await cache.getOrLoad('test:missing', missing);
+    await cache.getOrLoad('test:missing', missing);
+    assert.equal(nullLoads, 2);
+});
+
+test('invalidating drops single entries, and a load in flight does not bring one back', async () => {
+    cache.set('test:one', 1);
+    cache.set('test:two', 2);
+    cache.invalidate('test:one');
+    assert.equal(cache.get('test:one'), undefined);
+    assert.equal(cache.get('test:two'), 2);
+
+    let release;
+    const pending = cache.getOrLoad('test:slow', () => new Promise(resolve => {
+        release = resolve;
+    }));
+    cache.invalidate('test:slow');
+    release('stale');
+    assert.equal(await pending, 'stale');
+    assert.equal(cache.get('test:slow'), undefined);
+
+    cache.invalidateType('test');
+    assert.equal(cache.cacheStats().byType.test.entries, 0);
+});
+
+test('stat events drop only the players they name', async () => {
+    assert.equal((await getProfile('seed-auth-1')).games_played, 40);
+    assert.equal((await getProfile('seed-auth-2')).games_played, 36);
+
+    await supabase.from('player_stats').update({ games_played: 41 }).eq('auth', 'seed-auth-1');
+    await supabase.from('player_stats').update({ games_played: 37 }).eq('auth', 'seed-auth-2');
+    events.emit('stats:update', ['seed-auth-1']);
+
+    assert.equal((await getProfile('seed-auth-1')).games_played, 41);
+    assert.equal((await getProfile('seed-auth-2')).games_played, 36);
+});
+
+test('the delta refresh picks up rows changed elsewhere by updated_at', async () => {
+    const colour = (await getVipEntry('seed-auth-3')).vip_color;
+    assert.equal((await getProfile('seed-auth-3')).goals, 35);
+
+    // Another instance's writes: nothing on this server's event bus
+    await supabase.from('users').update({ vip_color: '#123456' }).eq('auth', 'seed-auth-3');
+    await supabase.from('player_stats').update({ goals: 36 }).eq('auth', 'seed-auth-3');
+    assert.equal((await getVipEntry('seed-auth-3')).vip_color, colour);
+
+    await runDeltaRefresh();
+    assert.equal((await getVipEntry('seed-auth-3')).vip_color, '#123456');
+    assert.equal((await getProfile('seed-auth-3')).goals, 36);
+    assert.ok(deltaStatus().last.users >= 1);
+    assert.ok(deltaStatus().last.stats >= 1);
+
+    // Writes through the repositories announce themselves and drop the entry at once
+    await users.update('seed-auth-3', { vip_color: '#654321' });
+    assert.equal((await getVipEntry('seed-auth-3')).vip_color, '#654321');
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+process.env.CLAN_CACHE_TTL = '1';
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+    for (const nickname of ['mesut', 'kaan', 'deniz', 'arda']) {
+        tokens[nickname] = await server.login(nickname);
+    }
+});
+
+after(() => server.close());
+
+test('clans: create, invite, accept, and the tag shows up on profiles', async () => {
+    const created = await server.request('POST', '/api/clans', { token: tokens.kaan, body: { name: 'Kaan FC', tag: 'KFC' } });
+    assert.equal(created.status, 201);
+    const clanId = created.body.clan.id;
+
+    const taken = await server.request('POST', '/api/clans', { token: tokens.arda, body: { name: 'Other', tag: 'kfc' } });
+    assert.equal(taken.status, 409);
+
+    const invite = await server.request('POST', `/api/clans/${clanId}/invites`, { token: tokens.kaan, body: { auth: 'seed-auth-3' } });
+    assert.equal(invite.status, 200);
+    assert.equal(invite.body.joined, false);
+
+    const mine = await server.request('GET', '/api/clans/me', { token: tokens.deniz });
+    const accepted = await server.request('POST', `/api/clans/invites/${mine.body.invites[0].id}/accept`, { token: tokens.deniz });
+    assert.equal(accepted.status, 200);
+
+    const clan = await server.request('GET', `/api/clans/${clanId}`);
+    assert.deepEqual(clan.body.clan.members.map(member => member.auth).sort(), ['seed-auth-2', 'seed-auth-3']);
+
+    const profile = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-3');
+    assert.equal(profile.body.clan.tag, 'KFC');
+
+    assert.equal((await server.request('POST', '/api/clans/leave', { token: tokens.deniz })).status, 200);
+    const left = await server.request('GET', `/api/clans/${clanId}`);
+    assert.equal(left.body.clan.members.length, 1);
+});
+
+test('clans: memberships changed outside this instance show up after the cache TTL', async () => {
+    const supabase = require('../lib/supabase');
+    const created = await server.request('POST', '/api/clans', { token: tokens.arda, body: { name: 'Arda United', tag: 'ARD' } });
+    const clanId = created.body.clan.id;
+
+    const { error } = await supabase.from('clan_members').insert({ auth: 'seed-auth-1', clan_id: clanId, role: 'member' });
+    assert.equal(error, null);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const clan = await server.request('GET', `/api/clans/${clanId}`);
+    assert.deepEqual(clan.body.clan.members.map(member => member.auth).sort(), ['seed-auth-1', 'seed-auth-4']);
+
+    await supabase.from('clan_members').delete().eq('clan_id', clanId);
+    await supabase.from('clans').delete().eq('id', clanId);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.equal((await server.request('GET', `/api/clans/${clanId}`)).status, 404);
+});
+
+test('clans: rights follow the stored roles, and leadership changes hands at once', async () => {
+    const supabase = require('../lib/supabase');
+    const created = await server.request('POST', '/api/clans', { token: tokens.mesut, body: { name: 'Mesut XI', tag: 'MXI' } });
+    const clanId = created.body.clan.id;
+    await server.request('POST', `/api/clans/${clanId}/invites`, { token: tokens.mesut, body: { auth: 'seed-auth-3' } });
+    const mine = await server.request('GET', '/api/clans/me', { token: tokens.deniz });
+    await server.request('POST', `/api/clans/invites/${mine.body.invites[0].id}/accept`, { token: tokens.deniz });
+
+    const handed = await server.request('PATCH', `/api/clans/${clanId}/members/seed-auth-3`, { token: tokens.mesut, body: { role: 'leader' } });
+    assert.equal(handed.status, 200);
+    const { data: roles } = await supabase.from('clan_members').select('auth, role').eq('clan_id', clanId).order('auth');
+    assert.deepEqual(roles, [{ auth: 'seed-auth-1', role: 'officer' }, { auth: 'seed-auth-3', role: 'leader' }]);
+
+    // Another instance hands the clan back; this one must not wait for its cache to notice
+    await supabase.from('clan_members').update({ role: 'member' }).eq('auth', 'seed-auth-3');
+    await supabase.from('clan_members').update({ role: 'leader' }).eq('auth', 'seed-auth-1');
+
+    const refused = await server.request('DELETE', `/api/clans/${clanId}`, { token: tokens.deniz });
+    assert.equal(refused.status, 403);
+    const kick = await server.request('DELETE', `/api/clans/${clanId}/members/seed-auth-1`, { token: tokens.deniz });
+    assert.equal(kick.status, 403);
+
+    assert.equal((await server.request('DELETE', `/api/clans/${clanId}`, { token: tokens.mesut })).status, 200);
+});
+
+test('career: coins from matches buy players', async () => {
+    const empty = await server.request('GET', '/api/career', { token: tokens.arda });
+    assert.equal(empty.body.coins, 0);
+
+    const tooPoor = await server.request('POST', '/api/career/unlock', { token: tokens.arda, body: { playerId: 'arg-1-2' } });
+    assert.equal(tooPoor.status, 400);
+
+    for (let i = 0; i < 4; i++) {
+        await server.reportMatch({
+            red: [{ auth: 'seed-auth-4', nickname: 'arda', goals: 1 }],
+            blue: [{ auth: 'seed-auth-5', nickname: 'burak' }],
+            score: { red: 1, blue: 0 },
+            duration: 180
+        });
+    }
+
+    const earned = await server.request('GET', '/api/career', { token: tokens.arda });
+    assert.ok(earned.body.coins >= 100);
+
+    const unlocked = await server.request('POST', '/api/career/unlock', { token: tokens.arda, body: { playerId: 'arg-1-2' } });
+    assert.equal(unlocked.status, 200);
+    assert.ok(unlocked.body.unlocked.includes('arg-1-2'));
+    assert.equal(unlocked.body.coins, earned.body.coins - 100);
+});
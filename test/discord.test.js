@@ -0,0 +1,205 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { startServer, ROOM_HEADERS } = require('./helpers');
+
+// The Discord integration against a local mock of the Discord API: the OAuth token
+// exchange and users/@me, command registration and the announcements webhook.
+// Interactions are signed with a throwaway Ed25519 key.
+
+const CLIENT_SECRET = 'test-client-secret';
+const BOT_TOKEN = 'test-bot-token';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+let discord;
+let server;
+let admin;
+const webhookPosts = [];
+let webhookWaiters = [];
+
+// Codes are 'code-<discord id>'; 'expired' is refused like a used or stale code
+function mockDiscord(req, res, body) {
+    const send = (status, payload) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    };
+
+    if (req.method === 'POST' && req.url === '/api/oauth2/token') {
+        const params = new URLSearchParams(body);
+        if (params.get('client_secret') !== CLIENT_SECRET) return send(401, { error: 'invalid_client' });
+        if (params.get('code') === 'expired') return send(400, { error: 'invalid_grant' });
+        return send(200, { access_token: `token-${params.get('code').slice('code-'.length)}`, token_type: 'Bearer' });
+    }
+    if (req.method === 'GET' && req.url === '/api/users/@me') {
+        const id = (req.headers.authorization || '').replace('Bearer token-', '');
+        return send(200, { id, username: `discord_${id}` });
+    }
+    if (req.method === 'PUT' && req.url === '/api/applications/test-client/commands') {
+        if (req.headers.authorization !== `Bot ${BOT_TOKEN}`) return send(401, { message: '401: Unauthorized' });
+        return send(200, JSON.parse(body).map((command, i) => ({ id: String(i + 1), ...command })));
+    }
+    if (req.method === 'POST' && req.url === '/webhook') {
+        webhookPosts.push(JSON.parse(body));
+        webhookWaiters.forEach(resolve => resolve());
+        webhookWaiters = [];
+        res.writeHead(204);
+        return res.end();
+    }
+    send(404, { message: '404: Not Found' });
+}
+
+// Resolves once the webhook has received `count` posts in total
+async function webhookCount(count) {
+    while (webhookPosts.length < count) {
+        await new Promise(resolve => webhookWaiters.push(resolve));
+    }
+    return webhookPosts.slice(count - 1);
+}
+
+before(async () => {
+    discord = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk).on('end', () => mockDiscord(req, res, body));
+    });
+    discord.listen(0, '127.0.0.1');
+    await once(discord, 'listening');
+    const mockBase = `http://127.0.0.1:${discord.address().port}`;
+
+    process.env.DISCORD_API_BASE = `${mockBase}/api`;
+    process.env.DISCORD_WEBHOOK_URL = `${mockBase}/webhook`;
+    process.env.DISCORD_CLIENT_ID = 'test-client';
+    process.env.DISCORD_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.DISCORD_BOT_TOKEN = BOT_TOKEN;
+    process.env.DISCORD_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+    server = await startServer();
+    admin = await server.login('mesut');
+});
+
+after(async () => {
+    await server.close();
+    discord.closeAllConnections();
+    await new Promise(resolve => discord.close(resolve));
+});
+
+// Start linking as `token` and return the state Discord would hand back
+async function linkState(token) {
+    const { status, body } = await server.request('POST', '/api/account/discord', { token });
+    assert.equal(status, 200);
+    return new URL(body.url).searchParams.get('state');
+}
+
+async function callback(query) {
+    const { status, headers } = await server.request('GET', `/api/discord/callback?${new URLSearchParams(query)}`);
+    assert.equal(status, 302);
+    return decodeURIComponent(headers.get('location'));
+}
+
+function interact(interaction, { signWith = privateKey, timestamp = String(Math.floor(Date.now() / 1000)) } = {}) {
+    const body = JSON.stringify(interaction);
+    const signature = crypto.sign(null, Buffer.from(timestamp + body), signWith).toString('hex');
+    return server.request('POST', '/api/discord/interactions', {
+        body,
+        headers: { 'content-type': 'application/json', 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp }
+    });
+}
+
+test('linking exchanges the OAuth code and stores the Discord account', async () => {
+    const token = await server.login('kaan');
+
+    const started = await server.request('POST', '/api/account/discord', { token });
+    const url = new URL(started.body.url);
+    assert.equal(url.searchParams.get('client_id'), 'test-client');
+    assert.equal(url.searchParams.get('scope'), 'identify');
+
+    assert.equal(await callback({ code: 'code-1001', state: url.searchParams.get('state') }), '/?discord=linked');
+
+    const { body } = await server.request('GET', '/api/account/discord', { token });
+    assert.equal(body.discord.id, '1001');
+    assert.equal(body.discord.username, 'discord_1001');
+});
+
+test('linking refuses forged states, refused codes and accounts linked elsewhere', async () => {
+    const state = await linkState(await server.login('deniz'));
+
+    assert.match(await callback({ code: 'code-1002', state: `${state}x` }), /expired/);
+    assert.match(await callback({ code: 'expired', state }), /Discord refused the authorization/);
+    assert.match(await callback({ code: 'code-1001', state }), /already linked to another player/);
+    assert.match(await callback({ error: 'access_denied', state }), /cancelled/);
+});
+
+test('unsigned and badly signed interactions are refused', async () => {
+    const unsigned = await server.request('POST', '/api/discord/interactions', { body: { type: 1 } });
+    assert.equal(unsigned.status, 401);
+
+    const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    assert.equal((await interact({ type: 1 }, { signWith: otherKey })).status, 401);
+
+    // A valid signature over another timestamp
+    const body = JSON.stringify({ type: 1 });
+    const signature = crypto.sign(null, Buffer.from(`1700000000${body}`), privateKey).toString('hex');
+    const replayed = await server.request('POST', '/api/discord/interactions', {
+        body,
+        headers: { 'content-type': 'application/json', 'x-signature-ed25519': signature, 'x-signature-timestamp': '1700000001' }
+    });
+    assert.equal(replayed.status, 401);
+});
+
+test('signed interactions are answered', async () => {
+    assert.deepEqual((await interact({ type: 1 })).body, { type: 1 });
+
+    const own = await interact({ type: 2, data: { name: 'rank' }, member: { user: { id: '1001' } } });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.embeds[0].title, '#2 kaan');
+
+    const named = await interact({ type: 2, data: { name: 'profile', options: [{ name: 'player', type: 3, value: 'MESUT' }] }, user: { id: '9' } });
+    assert.equal(named.body.data.embeds[0].title, 'mesut 👑');
+
+    const unlinked = await interact({ type: 2, data: { name: 'rank' }, user: { id: '404' } });
+    assert.equal(unlinked.body.data.flags, 64);
+    assert.match(unlinked.body.data.content, /Link your Discord account/);
+
+    assert.equal((await interact({ type: 2 })).status, 400);
+});
+
+test('admins register the slash commands with the bot token', async () => {
+    const { status, body } = await server.request('POST', '/api/admin/discord/commands', { token: admin });
+    assert.equal(status, 200);
+    assert.deepEqual(body.commands, ['rank', 'profile', 'room']);
+});
+
+test('new VIPs, a new leader and emptied rooms are announced on the webhook', async () => {
+    let seen = webhookPosts.length;
+
+    await server.request('POST', '/api/admin/players/seed-auth-6/vip', { token: admin, body: { days: 30 } });
+    let [post] = await webhookCount(++seen);
+    assert.equal(post.embeds[0].title, '👑 New VIP');
+    assert.match(post.embeds[0].description, /\*\*selin\*\* is now a VIP/);
+    assert.deepEqual(post.allowed_mentions, { parse: [] });
+
+    await server.request('PATCH', '/api/admin/players/seed-auth-8/stats', {
+        token: admin,
+        body: { stats: { points: 2000 }, reason: 'test' }
+    });
+    [post] = await webhookCount(++seen);
+    assert.equal(post.embeds[0].title, '🏆 New #1');
+    assert.equal(post.embeds[0].description, '**zeynep** took first place from **mesut** with 2000 Elo.');
+
+    const update = fields => server.request('POST', '/api/room/update', { headers: ROOM_HEADERS, body: { roomId: 1, ...fields } });
+    // The room was loaded at startup without a heartbeat, so its first update takes it live
+    await update({ total_players: 3, red_players: 2, blue_players: 1 });
+    [post] = await webhookCount(++seen);
+    assert.equal(post.embeds[0].title, '🟢 Main Room is live');
+
+    await update({ total_players: 0, red_players: 0, blue_players: 0 });
+    [post] = await webhookCount(++seen);
+    assert.equal(post.embeds[0].title, '⚪ Main Room is empty');
+
+    // Renewals are not announced
+    await server.request('POST', '/api/admin/players/seed-auth-6/vip', { token: admin, body: { days: 30 } });
+    await update({ total_players: 2, red_players: 1, blue_players: 1 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(webhookPosts.length, seen);
+});
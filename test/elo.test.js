@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ELO_K_FACTOR, expectedScore, computeMatchElo } = require('../lib/elo');
+
+// Loads lib/elo.js again with some environment variables set
+function eloWith(env) {
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve('../lib/elo')];
+    try {
+        return require('../lib/elo');
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        delete require.cache[require.resolve('../lib/elo')];
+    }
+}
+
+test('a draw between equal teams moves nobody', () => {
+    const deltas = computeMatchElo({ red: { a: 1000, b: 1200 }, blue: { c: 1100, d: 1100 } }, { red: 2, blue: 2 });
+    assert.deepEqual(deltas, { a: 0, b: 0, c: 0, d: 0 });
+});
+
+test('teammates move together, and what one side wins the other loses', () => {
+    const deltas = computeMatchElo({ red: { a: 1000, b: 1200 }, blue: { c: 1050, d: 1050 } }, { red: 1, blue: 0 });
+    assert.equal(deltas.a, deltas.b);
+    assert.equal(deltas.c, deltas.d);
+    assert.equal(deltas.a, -deltas.c);
+    assert.ok(deltas.a > 0 && deltas.a <= ELO_K_FACTOR);
+});
+
+test('upsets and wide margins are worth more', () => {
+    const favourite = computeMatchElo({ red: { a: 1300 }, blue: { b: 1000 } }, { red: 1, blue: 0 });
+    const underdog = computeMatchElo({ red: { a: 1000 }, blue: { b: 1300 } }, { red: 1, blue: 0 });
+    assert.ok(underdog.a > favourite.a);
+
+    const thrashing = computeMatchElo({ red: { a: 1000 }, blue: { b: 1000 } }, { red: 5, blue: 0 });
+    const narrow = computeMatchElo({ red: { a: 1000 }, blue: { b: 1000 } }, { red: 1, blue: 0 });
+    assert.ok(thrashing.a > narrow.a);
+
+    assert.equal(expectedScore(1000, 1000), 0.5);
+    assert.ok(Math.abs(expectedScore(1400, 1000) - 10 / 11) < 1e-9);
+});
+
+test('the K-factor, margin weight and formula come from the environment', () => {
+    const elo = eloWith({ ELO_K_FACTOR: '10', ELO_GOAL_DIFF_WEIGHT: '0', ELO_FORMULA: 'individual' });
+    assert.equal(elo.ELO_K_FACTOR, 10);
+
+    // Even: K * (1 - 0.5), and no extra for the margin
+    assert.deepEqual(elo.computeMatchElo({ red: { a: 1000 }, blue: { b: 1000 } }, { red: 5, blue: 0 }), { a: 5, b: -5 });
+
+    // Individually rated: the weaker teammate gains more for the same win
+    const deltas = elo.computeMatchElo({ red: { a: 900, b: 1300 }, blue: { c: 1100 } }, { red: 1, blue: 0 });
+    assert.ok(deltas.a > deltas.b);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let matchId;
+
+before(async () => {
+    server = await startServer();
+    const { body } = await server.reportMatch({
+        red: [{ auth: 'seed-auth-3', nickname: 'deniz', goals: 2 }, { auth: 'seed-auth-4', nickname: 'arda', assists: 1 }],
+        blue: [{ auth: 'seed-auth-5', nickname: 'burak', goals: 1 }, { auth: 'first-timer', nickname: 'rookie' }],
+        score: { red: 2, blue: 1 },
+        duration: 300
+    });
+    matchId = body.matchId;
+});
+
+after(() => server.close());
+
+const compare = (a, b) => server.request('GET', `/api/players/${a}/vs/${b}`);
+
+test('head-to-head splits matches played against and together', async () => {
+    const against = await compare('seed-auth-3', 'seed-auth-5');
+    assert.equal(against.status, 200);
+    assert.equal(against.body.against.games, 1);
+    assert.equal(against.body.against.aWins, 1);
+    assert.equal(against.body.together.games, 0);
+
+    const together = await compare('seed-auth-3', 'seed-auth-4');
+    assert.equal(together.body.together.games, 1);
+    assert.equal(together.body.together.wins, 1);
+    assert.equal(together.body.together.assists.b, 1);
+    assert.equal(together.body.against.games, 0);
+});
+
+test('each side gets their own goals and Elo change, whichever way round they are asked', async () => {
+    const { body } = await compare('seed-auth-3', 'seed-auth-5');
+    assert.equal(body.a.nickname, 'deniz');
+    assert.equal(body.b.nickname, 'burak');
+    assert.equal(body.a.stats.auth, 'seed-auth-3');
+    assert.deepEqual(body.against.goals, { a: 2, b: 1 });
+    assert.ok(body.against.eloChange.a > 0);
+    assert.ok(body.against.eloChange.b < 0);
+    assert.equal(body.against.biggestSwing, Math.abs(body.against.eloChange.a));
+    assert.equal(body.against.lastMatchId, matchId);
+
+    const { body: swapped } = await compare('seed-auth-5', 'seed-auth-3');
+    assert.equal(swapped.against.aWins, 0);
+    assert.equal(swapped.against.bWins, 1);
+    assert.deepEqual(swapped.against.goals, { a: 1, b: 2 });
+    assert.equal(swapped.against.eloChange.a, body.against.eloChange.b);
+});
+
+test('players who never met get an empty record', async () => {
+    const { status, body } = await compare('seed-auth-7', 'seed-auth-8');
+    assert.equal(status, 200);
+    assert.equal(body.against.games, 0);
+    assert.equal(body.against.biggestSwing, null);
+    assert.equal(body.together.lastMatchId, null);
+});
+
+test('head-to-head needs two different, known players', async () => {
+    assert.equal((await compare('seed-auth-3', 'seed-auth-3')).status, 400);
+    assert.equal((await compare('seed-auth-3', 'nobody')).status, 404);
+});
@@ -0,0 +1,79 @@
+// Shared setup for the HTTP tests: the app on a random local port, over the in-memory
+// backend seeded from data/seed.json. `node --test` runs every test file in its own
+// process, so each file starts from the seed again.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+process.env.DATA_BACKEND = 'memory';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.ROOM_SECRET = 'test-room-secret';
+process.env.RATE_LIMIT_LOGINS = '1000';
+process.env.RATE_LIMIT_ACCOUNT = '1000';
+process.env.RATE_LIMIT_WRITES = '1000';
+
+const ROOM_HEADERS = { 'x-room-secret': process.env.ROOM_SECRET };
+
+// Every seeded account has this password
+const SEED_PASSWORD = 'password';
+
+async function startServer() {
+    process.env.REPLAY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ers-replays-'));
+    const { app, populateCaches } = require('../index');
+    await populateCaches();
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // Returns { status, headers, body }, with a JSON body parsed
+    async function request(method, url, { body, token, headers = {} } = {}) {
+        const response = await fetch(base + url, {
+            method,
+            redirect: 'manual',
+            headers: {
+                ...(body !== undefined && !Buffer.isBuffer(body) ? { 'content-type': 'application/json' } : {}),
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined || Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // Log in as a seeded player and return their access token
+    async function login(username) {
+        const { status, body } = await request('POST', '/api/login', { body: { username, password: SEED_PASSWORD } });
+        if (status !== 200) {
+            throw new Error(`Login as ${username} failed with ${status}: ${JSON.stringify(body)}`);
+        }
+        return body.accessToken;
+    }
+
+    // Report a finished match as the room host
+    function reportMatch(match) {
+        return request('POST', '/api/matches', { body: match, headers: ROOM_HEADERS });
+    }
+
+    function close() {
+        server.closeAllConnections();
+        fs.rmSync(process.env.REPLAY_DIR, { recursive: true, force: true });
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { base, request, login, reportMatch, close };
+}
+
+module.exports = {
+    ROOM_HEADERS,
+    SEED_PASSWORD,
+    startServer
+};
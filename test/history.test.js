@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+const played = [];
+
+// deniz (seed-auth-3) wins, loses, draws, then wins twice against burak (seed-auth-5)
+const SCORES = [[2, 1], [0, 3], [1, 1], [4, 0], [1, 0]];
+
+before(async () => {
+    server = await startServer();
+    for (const [red, blue] of SCORES) {
+        const { body } = await server.reportMatch({
+            red: [{ auth: 'seed-auth-3', nickname: 'deniz', goals: red }],
+            blue: [{ auth: 'seed-auth-5', nickname: 'burak', goals: blue }],
+            score: { red, blue },
+            duration: 300
+        });
+        played.push(body);
+    }
+});
+
+after(() => server.close());
+
+test('match history lists the player\'s matches newest first, a page at a time', async () => {
+    const first = await server.request('GET', '/api/players/seed-auth-3/matches?limit=2');
+    assert.deepEqual(first.body.matches.map(match => match.matchId), [played[4].matchId, played[3].matchId]);
+    assert.deepEqual(first.body.pagination, { currentPage: 1, perPage: 2, totalItems: 5, totalPages: 3 });
+
+    const last = await server.request('GET', '/api/players/seed-auth-3/matches?limit=2&page=3');
+    const [match] = last.body.matches;
+    assert.equal(match.matchId, played[0].matchId);
+    assert.equal(match.result, 'W');
+    assert.equal(match.score, 2);
+    assert.equal(match.opponentScore, 1);
+    assert.equal(match.goals, 2);
+    assert.equal(match.duration, 300);
+    assert.ok(match.playedAt);
+
+    // Burak sees the same match from the other side
+    const burak = await server.request('GET', '/api/players/seed-auth-5/matches?limit=50');
+    const mirrored = burak.body.matches.find(row => row.matchId === played[0].matchId);
+    assert.equal(mirrored.result, 'L');
+    assert.equal(mirrored.score, 1);
+    assert.equal(mirrored.eloDelta, -match.eloDelta);
+});
+
+test('Elo history runs oldest first, with the last five results as form', async () => {
+    const { body } = await server.request('GET', '/api/players/seed-auth-3/elo-history');
+    const deniz = played.map(match => match.players.find(player => player.auth === 'seed-auth-3'));
+
+    assert.equal(body.start, 1130);
+    assert.deepEqual(body.points.map(point => point.matchId), played.map(match => match.matchId));
+    assert.deepEqual(body.points.map(point => point.elo), deniz.map(player => player.elo_after));
+
+    // Form: the last five results, newest first
+    assert.deepEqual(body.form, ['W', 'W', 'D', 'L', 'W']);
+});
+
+test('the Elo history window starts at the rating before its first match', async () => {
+    const { body } = await server.request('GET', '/api/players/seed-auth-3/elo-history?limit=2');
+    const deniz = played.map(match => match.players.find(player => player.auth === 'seed-auth-3'));
+
+    assert.equal(body.start, deniz[3].elo_before);
+    assert.deepEqual(body.points.map(point => point.elo), [deniz[3].elo_after, deniz[4].elo_after]);
+});
+
+test('players without matches have an empty history', async () => {
+    const matches = await server.request('GET', '/api/players/seed-auth-8/matches');
+    assert.deepEqual(matches.body.matches, []);
+    assert.equal(matches.body.pagination.totalPages, 1);
+
+    const history = await server.request('GET', '/api/players/seed-auth-8/elo-history');
+    assert.deepEqual(history.body, { start: null, points: [], form: [] });
+});
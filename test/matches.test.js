@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const MATCH = {
+    red: [{ auth: 'seed-auth-3', nickname: 'deniz', goals: 2 }, { auth: 'seed-auth-4', nickname: 'arda', assists: 1 }],
+    blue: [{ auth: 'seed-auth-5', nickname: 'burak', goals: 1 }, { auth: 'first-timer', nickname: 'rookie' }],
+    score: { red: 2, blue: 1 },
+    duration: 300
+};
+
+test('match reports need the room secret and a valid payload', async () => {
+    const unsigned = await server.request('POST', '/api/matches', { body: MATCH });
+    assert.equal(unsigned.status, 401);
+
+    const invalid = await server.reportMatch({ ...MATCH, blue: [] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_body');
+
+    const twice = await server.reportMatch({ ...MATCH, blue: [MATCH.red[0]] });
+    assert.equal(twice.body.error, 'Player seed-auth-3 appears more than once');
+
+    const negative = await server.reportMatch({ ...MATCH, red: [{ auth: 'seed-auth-3', goals: -1 }] });
+    assert.equal(negative.body.error, 'goals for seed-auth-3 must be a non-negative integer');
+
+    const score = await server.reportMatch({ ...MATCH, score: { red: 1.5, blue: 0 } });
+    assert.equal(score.status, 400);
+
+    // Nothing was recorded
+    const matches = await server.request('GET', '/api/players/seed-auth-3/matches');
+    assert.equal(matches.body.matches.length, 0);
+});
+
+test('a reported match updates Elo, stats and rankings', async () => {
+    const { status, body } = await server.reportMatch(MATCH);
+    assert.equal(status, 201);
+
+    const deniz = body.players.find(player => player.auth === 'seed-auth-3');
+    assert.equal(deniz.result, 'W');
+    assert.equal(deniz.elo_before, 1130);
+    assert.ok(deniz.elo_delta > 0);
+    assert.ok(deniz.coins > 0);
+
+    const rookie = body.players.find(player => player.auth === 'first-timer');
+    assert.equal(rookie.result, 'L');
+    assert.equal(rookie.elo_before, 1000);
+    assert.equal(rookie.coins, 0); // No account to credit them to
+
+    const profile = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-3');
+    assert.equal(profile.body.profile.points, deniz.elo_after);
+    assert.equal(profile.body.profile.games_played, 33);
+    assert.equal(profile.body.profile.goals, 37);
+
+    const rankings = await server.request('GET', '/api/getRankings');
+    const newcomer = rankings.body.statsData.find(row => row.auth === 'first-timer');
+    assert.equal(newcomer.games_played, 1);
+    assert.equal(newcomer.points, rookie.elo_after);
+
+});
+
+test('achievements are unlocked from the seeded and reported stats', async () => {
+    const { body } = await server.request('GET', '/api/players/seed-auth-3/achievements');
+    const regular = body.achievements.find(achievement => achievement.id === 'games-10');
+
+    assert.ok(regular.unlockedAt);
+    assert.equal(regular.progress.current, 33);
+});
+
+test('the active season is created on startup', async () => {
+    const { body } = await server.request('GET', '/api/seasons');
+
+    assert.equal(body.seasons.length, 1);
+    assert.equal(body.seasons[0].status, 'active');
+});
+
+test('achievements go to registered players only, even in a match with unregistered ones', async () => {
+    const { status } = await server.reportMatch({
+        red: [{ auth: 'seed-auth-1', nickname: 'mesut', assists: 20 }, { auth: 'ghost-x', nickname: 'ghost', goals: 10 }],
+        blue: [{ auth: 'seed-auth-8', nickname: 'zeynep' }],
+        score: { red: 10, blue: 0 },
+        duration: 600
+    });
+    assert.equal(status, 201);
+
+    // Unlocks are checked after the match is stored
+    let mesut;
+    for (let i = 0; i < 50 && !mesut?.unlockedAt; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const { body } = await server.request('GET', '/api/players/seed-auth-1/achievements');
+        mesut = body.achievements.find(achievement => achievement.id === 'assists-50');
+    }
+    assert.ok(mesut.unlockedAt);
+
+    const ghost = await server.request('GET', '/api/players/ghost-x/achievements');
+    assert.equal(ghost.body.achievements.find(achievement => achievement.id === 'goals-10').unlockedAt, null);
+});
+
+test('a win re-ranks the table, and clean sheets go to the marked goalkeeper', async () => {
+    const before = await server.request('GET', '/api/getRankings?perPage=100');
+    const rankOf = (body, auth) => body.statsData.find(row => row.auth === auth).rank;
+    const zeynepBefore = rankOf(before.body, 'seed-auth-8');
+
+    const { body } = await server.reportMatch({
+        red: [{ auth: 'seed-auth-8', nickname: 'zeynep', goals: 6, gk: true }, { auth: 'seed-auth-7', nickname: 'emre' }],
+        blue: [{ auth: 'seed-auth-1', nickname: 'mesut' }, { auth: 'seed-auth-2', nickname: 'kaan' }],
+        score: { red: 6, blue: 0 },
+        duration: 360
+    });
+    const zeynep = body.players.find(player => player.auth === 'seed-auth-8');
+    const mesut = body.players.find(player => player.auth === 'seed-auth-1');
+    assert.equal(zeynep.elo_delta, -mesut.elo_delta);
+
+    const after = await server.request('GET', '/api/getRankings?perPage=100');
+    assert.ok(rankOf(after.body, 'seed-auth-8') < zeynepBefore);
+    const points = after.body.statsData.map(row => row.points);
+    assert.deepEqual(points, [...points].sort((a, b) => b - a));
+    assert.deepEqual(after.body.statsData.map(row => row.rank), after.body.statsData.map((row, index) => index + 1));
+
+    const keeper = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-8');
+    const outfield = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-7');
+    assert.equal(keeper.body.profile.clean_sheets, 2);
+    assert.equal(outfield.body.profile.clean_sheets, 2);
+});
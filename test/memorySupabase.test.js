@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const supabase = require('../lib/memorySupabase');
+
+test('inserts and upserts that reference a missing row fail like in Postgres', async () => {
+    const inserted = await supabase.from('player_achievements').insert({ auth: 'ghost-x', achievement_id: 'games-10' });
+    assert.equal(inserted.error.code, '23503');
+
+    const upserted = await supabase
+        .from('player_achievements')
+        .upsert([{ auth: 'seed-auth-1', achievement_id: 'games-10' }, { auth: 'ghost-x', achievement_id: 'games-10' }]);
+    assert.equal(upserted.error.code, '23503');
+
+    // The failed statement wrote nothing
+    const { data } = await supabase.from('player_achievements').select('auth');
+    assert.deepEqual(data, []);
+
+    const valid = await supabase.from('player_achievements').insert({ auth: 'seed-auth-1', achievement_id: 'games-10' });
+    assert.equal(valid.error, null);
+});
+
+test('updates that point a foreign key at a missing row fail', async () => {
+    const { data: clan } = await supabase.from('clans').insert({ name: 'Keys', tag: 'KEY' }).select('id').single();
+    assert.equal((await supabase.from('clan_members').insert({ auth: 'seed-auth-2', clan_id: clan.id })).error, null);
+
+    const moved = await supabase.from('clan_members').update({ clan_id: clan.id + 100 }).eq('auth', 'seed-auth-2');
+    assert.equal(moved.error.code, '23503');
+
+    // Nullable references may be cleared
+    const cleared = await supabase.from('clans').update({ created_by: null }).eq('id', clan.id);
+    assert.equal(cleared.error, null);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+function search(q) {
+    return server.request('GET', `/api/players/search?q=${encodeURIComponent(q)}`);
+}
+
+function playAs(nickname) {
+    return server.reportMatch({
+        red: [{ auth: 'seed-auth-3', nickname }],
+        blue: [{ auth: 'seed-auth-6', nickname: 'selin' }],
+        score: { red: 1, blue: 0 },
+        duration: 200
+    });
+}
+
+test('search is case-insensitive and matches the start of any nickname', async () => {
+    const { body } = await search('MES');
+    assert.equal(body.players[0].auth, 'seed-auth-1');
+    assert.equal(body.players[0].nickname, 'mesut');
+
+    // A past nickname finds the player under their current one
+    const past = await search('dnz');
+    assert.equal(past.body.players[0].auth, 'seed-auth-3');
+    assert.equal(past.body.players[0].nickname, 'deniz');
+    assert.equal(past.body.players[0].matchedNickname, 'dnz');
+});
+
+test('search forgives small typos but ranks exact matches first', async () => {
+    const typo = await search('kaaan');
+    assert.equal(typo.body.players[0].auth, 'seed-auth-2');
+
+    const { body } = await search('mesut10');
+    assert.equal(body.players[0].matchedNickname, 'mesut10');
+
+    const nothing = await search('qqqqqq');
+    assert.deepEqual(nothing.body.players, []);
+});
+
+test('search needs at least two characters', async () => {
+    const { status, body } = await search(' m ');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Search needs at least 2 characters');
+});
+
+test('nickname history counts matches per name and marks the latest as current', async () => {
+    await playAs('dnz');
+    await playAs('dnz');
+    await playAs('deniz');
+
+    const { body } = await server.request('GET', '/api/players/seed-auth-3/nicknames');
+    assert.equal(body.current, 'deniz');
+    assert.deepEqual(body.nicknames.map(entry => [entry.nickname, entry.matches, entry.current]), [
+        ['deniz', 1, true],
+        ['dnz', 2, false]
+    ]);
+    assert.ok(body.nicknames[1].firstSeen <= body.nicknames[1].lastSeen);
+
+    // Account names never used in a match are listed without dates
+    const kaan = await server.request('GET', '/api/players/seed-auth-2/nicknames');
+    assert.deepEqual(kaan.body.nicknames, [{ nickname: 'kaan', firstSeen: null, lastSeen: null, matches: 0, current: true }]);
+});
+
+test('nickname history of an unknown player is a 404', async () => {
+    assert.equal((await server.request('GET', '/api/players/nobody/nicknames')).status, 404);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_BACKEND = 'memory';
+const { createRankingsIndex } = require('../lib/rankingsIndex');
+
+const ROWS = [
+    { auth: 'a', points: 1200, games_played: 50, goals: 10, nicknames: ['alpha'] },
+    { auth: 'b', points: 1150, games_played: 5, goals: 40, nicknames: ['bravo', 'old-alpha'] },
+    { auth: 'c', points: 1150, games_played: 30, goals: 40, nicknames: ['charlie'] },
+    { auth: 'd', points: 1100, games_played: 20, goals: 5, nicknames: ['delta'] },
+    { auth: 'e', points: 1000, games_played: 0, goals: 0, nicknames: ['echo'] }
+];
+
+async function loadedIndex() {
+    const index = createRankingsIndex(async () => ROWS.map(row => ({ ...row })));
+    await index.ready();
+    return index;
+}
+
+const ranks = result => result.statsData.map(row => [row.auth, row.rank]);
+
+test('sorts by any metric in either direction, with shared ranks for ties', async () => {
+    const index = await loadedIndex();
+
+    // Equal points: the player with more games goes first, both ranked 2
+    assert.deepEqual(ranks(index.query({})), [['a', 1], ['c', 2], ['b', 2], ['d', 4], ['e', 5]]);
+    assert.deepEqual(ranks(index.query({ sort: 'goals' })), [['c', 1], ['b', 1], ['a', 3], ['d', 4], ['e', 5]]);
+    assert.deepEqual(ranks(index.query({ sort: 'goals', dir: 'asc' })), [['e', 1], ['d', 2], ['a', 3], ['c', 4], ['b', 4]]);
+});
+
+test('the games filter re-ranks the players who are left', async () => {
+    const index = await loadedIndex();
+    const result = index.query({ minGames: 10, auth: 'd' });
+
+    assert.deepEqual(ranks(result), [['a', 1], ['c', 2], ['d', 3]]);
+    assert.equal(result.countRank, 3);
+    assert.equal(result.pagination.totalItems, 3);
+    assert.equal(index.query({ minGames: 10, auth: 'b' }).countRank, 'Unranked');
+});
+
+test('search matches any nickname and keeps the real ranks', async () => {
+    const index = await loadedIndex();
+    const result = index.query({ search: ' ALPHA ' });
+
+    assert.deepEqual(ranks(result), [['a', 1], ['b', 2]]);
+    assert.equal(result.search, 'alpha');
+    assert.deepEqual(result.userData.b.nicknames, ['bravo', 'old-alpha']);
+});
+
+test('pages through the results and patches single players in', async () => {
+    const index = await loadedIndex();
+    const second = index.query({ page: 2, perPage: 2 });
+    assert.deepEqual(ranks(second), [['b', 2], ['d', 4]]);
+    assert.deepEqual(second.pagination, { currentPage: 2, perPage: 2, totalItems: 5, totalPages: 3 });
+
+    index.upsertPlayers([{ auth: 'e', points: 1300 }]);
+    assert.deepEqual(ranks(index.query({ perPage: 2 })), [['e', 1], ['a', 2]]);
+    assert.deepEqual(index.get('e').nicknames, ['echo']);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    rateLimit,
+    loginLockedFor,
+    recordLoginFailure,
+    clearLoginFailures,
+    accountLocked
+} = require('../lib/rateLimit');
+
+function fakeResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Runs the middleware once; resolves to the response and whether the request went through
+async function run(middleware, req) {
+    const res = fakeResponse();
+    let passed = false;
+    await middleware(req, res, () => {
+        passed = true;
+    });
+    return { res, passed };
+}
+
+test('requests past the limit get a 429 with Retry-After', async () => {
+    const limit = rateLimit({ name: 'test-limit', windowMs: 60 * 1000, max: 3 });
+    const req = { ip: '10.0.0.1' };
+
+    for (let i = 0; i < 3; i++) {
+        const { res, passed } = await run(limit, req);
+        assert.ok(passed);
+        assert.equal(res.headers['RateLimit-Remaining'], String(2 - i));
+    }
+
+    const { res, passed } = await run(limit, req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'rate_limited');
+    const retryAfter = Number(res.headers['Retry-After']);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(res.body.retryAfter, retryAfter);
+
+    // Other callers have their own count
+    assert.ok((await run(limit, { ip: '10.0.0.2' })).passed);
+});
+
+test('requests the key ignores, or the skip rule lets through, are not counted', async () => {
+    const limit = rateLimit({
+        name: 'test-skip',
+        windowMs: 60 * 1000,
+        max: 1,
+        key: req => req.account ?? null,
+        skip: req => req.trusted
+    });
+
+    assert.ok((await run(limit, { account: 'a' })).passed);
+    assert.equal((await run(limit, { account: 'a' })).passed, false);
+    assert.ok((await run(limit, { account: 'a', trusted: true })).passed);
+    assert.ok((await run(limit, {})).passed);
+});
+
+test('the count slides out of the window', async () => {
+    const limit = rateLimit({ name: 'test-window', windowMs: 100, max: 1 });
+    assert.ok((await run(limit, { ip: '10.0.0.3' })).passed);
+    assert.equal((await run(limit, { ip: '10.0.0.3' })).passed, false);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.ok((await run(limit, { ip: '10.0.0.3' })).passed);
+});
+
+test('repeated login failures lock the account for twice as long each time, up to an hour', async () => {
+    const lockouts = [];
+    for (let round = 0; round < 8; round++) {
+        for (let failure = 1; failure < 5; failure++) {
+            assert.equal(await recordLoginFailure('Target'), 0);
+        }
+        lockouts.push(await recordLoginFailure('target '));
+    }
+
+    assert.deepEqual(lockouts, [60, 120, 240, 480, 960, 1920, 3600, 3600]);
+    const lockedFor = await loginLockedFor('TARGET');
+    assert.ok(lockedFor > 3590 && lockedFor <= 3600);
+
+    const res = accountLocked(fakeResponse(), lockedFor);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], String(lockedFor));
+
+    // A successful login starts over
+    await clearLoginFailures('target');
+    assert.equal(await loginLockedFor('target'), 0);
+    assert.equal(await recordLoginFailure('target'), 0);
+});
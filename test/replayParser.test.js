@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseReplay } = require('../lib/replayParser');
+
+// The fixtures were recorded with the game's own replay recorder (haxball.js 2.2.2):
+//   futsal-2-1.hbr2  recording from kick-off, three goals, a spectator, emoji in the room name
+//   big-1-1.hbr2     recording started at 1-0 on the Big stadium, one more goal
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'replays', name));
+
+test('reads the header, room state, goals and score of a replay', () => {
+    const { replay, error } = parseReplay(fixture('futsal-2-1.hbr2'));
+
+    assert.equal(error, undefined);
+    assert.equal(replay.version, 3);
+    assert.equal(replay.roomName, 'Futsal 3v3 | Öffentlich 🏆');
+    assert.equal(replay.stadium, 'Classic');
+    assert.equal(replay.frames, 11100);
+    assert.equal(replay.duration, 185);
+    assert.deepEqual(replay.score, { red: 2, blue: 1 });
+    assert.deepEqual(replay.goals, [
+        { frame: 300, team: 'red' },
+        { frame: 600, team: 'red' },
+        { frame: 900, team: 'blue' }
+    ]);
+    assert.deepEqual(replay.players.map(player => [player.name, player.team]), [
+        ['alice', 'red'],
+        ['bob', 'blue'],
+        ['carol', 'red'],
+        ['spec', 'spectator']
+    ]);
+});
+
+test('adds the goals to the score when recording started mid-game', () => {
+    const { replay } = parseReplay(fixture('big-1-1.hbr2'));
+
+    assert.equal(replay.stadium, 'Big');
+    assert.deepEqual(replay.score, { red: 1, blue: 1 });
+    assert.equal(replay.goals.length, 1);
+});
+
+test('rejects files that are not replays or use another version', () => {
+    assert.deepEqual(parseReplay(Buffer.alloc(0)), { error: 'Not a Haxball replay (.hbr2) file' });
+    assert.deepEqual(parseReplay(Buffer.from('<html>not a replay</html>')), { error: 'Not a Haxball replay (.hbr2) file' });
+
+    const future = Buffer.from(fixture('futsal-2-1.hbr2'));
+    future.writeUInt32BE(9, 4);
+    assert.deepEqual(parseReplay(future), { error: 'Unsupported replay version 9' });
+});
+
+test('rejects truncated and corrupt files', () => {
+    const file = fixture('futsal-2-1.hbr2');
+
+    assert.deepEqual(parseReplay(file.subarray(0, 40)), { error: 'The replay file is corrupt' });
+
+    // A complete deflate stream whose room state stops early
+    const body = zlib.inflateRawSync(file.subarray(12));
+    const cut = Buffer.concat([file.subarray(0, 12), zlib.deflateRawSync(body.subarray(0, 30))]);
+    assert.deepEqual(parseReplay(cut), { error: 'The replay file is truncated' });
+
+    const garbage = Buffer.concat([file.subarray(0, 12), Buffer.alloc(64, 0xff)]);
+    assert.deepEqual(parseReplay(garbage), { error: 'The replay file is corrupt' });
+
+    // Flipped bits anywhere in the body give an error or a replay, never an exception
+    for (let i = 0; i < 200; i++) {
+        const damaged = Buffer.from(file);
+        damaged[12 + (i * 7) % (damaged.length - 12)] ^= 1 << (i % 8);
+        const result = parseReplay(damaged);
+        assert.ok(result.error || result.replay);
+    }
+});
+
+test('refuses bodies that inflate past the size cap', () => {
+    const header = fixture('futsal-2-1.hbr2').subarray(0, 12);
+    const bomb = Buffer.concat([header, zlib.deflateRawSync(Buffer.alloc(65 * 1024 * 1024))]);
+
+    assert.ok(bomb.length < 100 * 1024);
+    assert.deepEqual(parseReplay(bomb), { error: 'The replay file is corrupt' });
+});
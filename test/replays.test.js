@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, ROOM_HEADERS } = require('./helpers');
+
+// Uploads of the recorded fixture futsal-2-1.hbr2: alice and carol (red) beat bob (blue) 2-1
+
+process.env.REPLAY_MAX_BYTES = '2048';
+
+const REPLAY = fs.readFileSync(path.join(__dirname, 'fixtures', 'replays', 'futsal-2-1.hbr2'));
+const UPLOAD_HEADERS = { ...ROOM_HEADERS, 'content-type': 'application/octet-stream' };
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+async function reportFutsal(score) {
+    const { status, body } = await server.reportMatch({
+        red: [{ auth: 'auth-alice', nickname: 'alice', goals: 2 }, { auth: 'auth-carol', nickname: 'carol' }],
+        blue: [{ auth: 'auth-bob', nickname: 'bob', goals: 1 }],
+        score,
+        duration: 185
+    });
+    assert.equal(status, 201);
+    return body.matchId;
+}
+
+function upload(matchId, file) {
+    return server.request('POST', `/api/matches/${matchId}/replay`, { body: file, headers: UPLOAD_HEADERS });
+}
+
+test('the room host uploads the replay of a match and players are linked', async () => {
+    const matchId = await reportFutsal({ red: 2, blue: 1 });
+
+    const { status, body } = await upload(matchId, REPLAY);
+    assert.equal(status, 201);
+    assert.equal(body.replay.stadium, 'Classic');
+    assert.deepEqual(body.replay.score, { red: 2, blue: 1 });
+    assert.deepEqual(body.replay.players.map(player => [player.name, player.auth]), [
+        ['alice', 'auth-alice'],
+        ['bob', 'auth-bob'],
+        ['carol', 'auth-carol'],
+        ['spec', null]
+    ]);
+
+    assert.equal((await upload(matchId, REPLAY)).status, 409);
+
+    const download = await fetch(`${server.base}/api/replays/${body.replay.id}/download`);
+    assert.equal(download.status, 200);
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), REPLAY);
+});
+
+test('a replay that ends on another score is rejected', async () => {
+    const matchId = await reportFutsal({ red: 3, blue: 1 });
+
+    const { status, body } = await upload(matchId, REPLAY);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'The replay ends 2-1 but the match ended 3-1');
+});
+
+test('corrupt and oversized files are rejected', async () => {
+    const matchId = await reportFutsal({ red: 2, blue: 1 });
+
+    const corrupt = await upload(matchId, REPLAY.subarray(0, 40));
+    assert.equal(corrupt.status, 400);
+    assert.equal(corrupt.body.error, 'The replay file is corrupt');
+
+    const oversized = await upload(matchId, Buffer.concat([REPLAY, Buffer.alloc(2048)]));
+    assert.equal(oversized.status, 413);
+
+    assert.equal((await upload(matchId, REPLAY)).status, 201);
+});
+
+test('uploadReplay enforces the size cap on its own', async () => {
+    const { uploadReplay } = require('../lib/replays');
+
+    const result = await uploadReplay(1, Buffer.alloc(4096), null);
+    assert.deepEqual(result, { status: 413, error: 'The replay file is too large' });
+});
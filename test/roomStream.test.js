@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ROOM_HEADERS } = require('./helpers');
+
+let server;
+const streams = [];
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => {
+    streams.forEach(stream => stream.close());
+    return server.close();
+});
+
+// Opens the SSE stream; next(count) resolves to the next events as { id, type, data }
+async function openStream(path, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(server.base + path, { headers, signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    async function next(count = 1) {
+        const events = [];
+        while (events.length < count) {
+            const end = buffer.indexOf('\n\n');
+            if (end === -1) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('The stream ended');
+                buffer += decoder.decode(value, { stream: true });
+                continue;
+            }
+
+            const fields = {};
+            buffer.slice(0, end).split('\n').forEach(line => {
+                const colon = line.indexOf(':');
+                if (colon > 0) fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
+            });
+            buffer = buffer.slice(end + 2);
+            if (fields.event) events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+        }
+        return events;
+    }
+
+    const stream = { response, next, close: () => controller.abort() };
+    streams.push(stream);
+    return stream;
+}
+
+function pushRoom(body) {
+    return server.request('POST', '/api/room/update', { headers: ROOM_HEADERS, body });
+}
+
+let lastSeenId;
+
+test('a new client gets every room, then updates as the host pushes them', async () => {
+    const stream = await openStream('/api/room/stream');
+    assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+
+    const snapshot = await stream.next(2);
+    assert.deepEqual(snapshot.map(event => event.data.id).sort(), [1, 2]);
+    assert.ok(snapshot.every(event => event.type === 'room'));
+
+    assert.equal((await pushRoom({ roomId: 2, total_players: 6, red_players: 3, blue_players: 3, red_score: 2 })).status, 200);
+    const [update] = await stream.next();
+    assert.equal(update.data.id, 2);
+    assert.equal(update.data.red_score, 2);
+    assert.equal(update.data.status, 'online');
+    assert.ok(update.id > Math.max(...snapshot.map(event => event.id)));
+    lastSeenId = update.id;
+});
+
+test('a reconnecting client gets only what it missed', async () => {
+    await pushRoom({ roomId: 1, total_players: 2, red_players: 1, blue_players: 1 });
+    await pushRoom({ roomId: 2, total_players: 6, red_players: 3, blue_players: 3, red_score: 3 });
+
+    const stream = await openStream('/api/room/stream', { 'Last-Event-ID': String(lastSeenId) });
+    const missed = await stream.next(2);
+    assert.deepEqual(missed.map(event => [event.id, event.data.id]), [[lastSeenId + 1, 1], [lastSeenId + 2, 2]]);
+    assert.equal(missed[1].data.red_score, 3);
+});
+
+test('a stream can follow one room', async () => {
+    const stream = await openStream('/api/room/stream?room=1');
+    const [snapshot] = await stream.next();
+    assert.equal(snapshot.data.id, 1);
+
+    await pushRoom({ roomId: 2, red_score: 4 });
+    await pushRoom({ roomId: 1, red_score: 1 });
+    const [update] = await stream.next();
+    assert.equal(update.data.id, 1);
+    assert.equal(update.data.red_score, 1);
+
+    assert.equal((await server.request('GET', '/api/room/stream?room=main')).status, 400);
+});
+
+test('pushes need the room secret, a known room and valid counts', async () => {
+    assert.equal((await server.request('POST', '/api/room/update', { body: { red_score: 1 } })).status, 401);
+    assert.equal((await pushRoom({ roomId: 99, red_score: 1 })).status, 404);
+
+    const invalid = await pushRoom({ red_score: -1 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'red_score must be a non-negative integer');
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, ROOM_HEADERS } = require('./helpers');
+
+process.env.ROOM_STALE_SECONDS = '1';
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = await server.login('mesut');
+});
+
+after(() => server.close());
+
+const listedRoom = async id => (await server.request('GET', '/api/rooms')).body.rooms.find(room => room.id === id);
+
+test('rooms report their status from the host\'s heartbeat', async () => {
+    assert.equal((await listedRoom(1)).status, 'unknown');
+
+    const update = await server.request('POST', '/api/room/update', {
+        headers: ROOM_HEADERS,
+        body: { roomId: 1, total_players: 4, red_players: 2, blue_players: 2, red_score: 1, blue_score: 0 }
+    });
+    assert.equal(update.status, 200);
+
+    const room = await listedRoom(1);
+    assert.equal(room.total_players, 4);
+    assert.equal(room.red_score, 1);
+    assert.equal(room.status, 'online');
+
+    // The main room is still served on its own
+    const main = await server.request('GET', '/api/room-link');
+    assert.equal(main.body.room_link, 'https://www.haxball.com/play?c=seedMain');
+
+    // The host stopped reporting
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.equal((await listedRoom(1)).status, 'stale');
+});
+
+test('admins add, change and remove rooms', async () => {
+    const created = await server.request('POST', '/api/admin/rooms', {
+        token: admin,
+        body: { name: 'Big 4v4', mode: 'big', region: 'NA', room_link: 'https://www.haxball.com/play?c=big' }
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.room.id;
+    assert.equal(created.body.room.ranked, true);
+    assert.equal((await listedRoom(id)).name, 'Big 4v4');
+
+    const hidden = await server.request('PATCH', `/api/admin/rooms/${id}`, { token: admin, body: { active: false } });
+    assert.equal(hidden.status, 200);
+    assert.equal(await listedRoom(id), undefined);
+    const all = await server.request('GET', '/api/admin/rooms', { token: admin });
+    assert.equal(all.body.rooms.find(room => room.id === id).active, false);
+
+    assert.equal((await server.request('DELETE', `/api/admin/rooms/${id}`, { token: admin })).status, 200);
+    assert.equal((await server.request('DELETE', `/api/admin/rooms/${id}`, { token: admin })).status, 404);
+    assert.equal((await server.request('PATCH', `/api/admin/rooms/${id}`, { token: admin, body: { name: 'Gone' } })).status, 404);
+});
+
+test('room details are validated and only admins manage rooms', async () => {
+    const noLink = await server.request('POST', '/api/admin/rooms', { token: admin, body: { name: 'No link' } });
+    assert.equal(noLink.body.error, 'name and room_link are required');
+
+    const elsewhere = await server.request('POST', '/api/admin/rooms', {
+        token: admin,
+        body: { name: 'Elsewhere', room_link: 'https://example.com/room' }
+    });
+    assert.equal(elsewhere.body.error, 'room_link must be a haxball.com link');
+
+    const flag = await server.request('PATCH', '/api/admin/rooms/2', { token: admin, body: { ranked: 'yes' } });
+    assert.equal(flag.status, 400);
+
+    const player = await server.login('kaan');
+    assert.equal((await server.request('GET', '/api/admin/rooms', { token: player })).status, 403);
+    assert.equal((await server.request('DELETE', '/api/admin/rooms/2', { token: player })).status, 403);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { getActiveSeason, closeSeason } = require('../lib/seasons');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+function playMatch() {
+    return server.reportMatch({
+        red: [{ auth: 'seed-auth-1', nickname: 'mesut', goals: 3 }],
+        blue: [{ auth: 'seed-auth-2', nickname: 'kaan', goals: 1 }],
+        score: { red: 3, blue: 1 },
+        duration: 240
+    });
+}
+
+test('closed seasons keep that season\'s games, not lifetime totals', async () => {
+    await playMatch();
+    await closeSeason(await getActiveSeason());
+
+    await playMatch();
+    await playMatch();
+    await closeSeason(await getActiveSeason());
+
+    const { body } = await server.request('GET', '/api/players/seed-auth-1/seasons');
+    const [second, first] = body.seasons;
+    assert.equal(first.gamesPlayed, 41); // The 40 seeded games predate seasons
+    assert.equal(second.gamesPlayed, 2);
+    assert.equal(second.wins, 2);
+
+    // Profiles still show career totals
+    const profile = await server.request('GET', '/api/getPlayerProfile?auth=seed-auth-1');
+    assert.equal(profile.body.profile.games_played, 43);
+});
+
+test('a closed season lists only the players who played in it', async () => {
+    const [second, first] = (await server.request('GET', '/api/seasons')).body.seasons.filter(season => season.status === 'closed');
+
+    const history = await server.request('GET', '/api/players/seed-auth-3/seasons');
+    assert.deepEqual(history.body.seasons.map(season => season.seasonId), [first.id]);
+
+    const { body } = await server.request('GET', `/api/getRankings?season=${second.id}`);
+    assert.deepEqual(body.statsData.map(row => [row.auth, row.rank]), [['seed-auth-1', 1], ['seed-auth-2', 2]]);
+});
@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+    for (const nickname of ['mesut', 'kaan', 'deniz', 'arda', 'burak']) {
+        tokens[nickname] = await server.login(nickname);
+    }
+});
+
+after(() => server.close());
+
+// A running two-player cup: kaan against deniz in a single final
+async function startFinal(name) {
+    const created = await server.request('POST', '/api/tournaments', {
+        token: tokens.mesut,
+        body: { name, format: 'single_elimination', maxEntrants: 2 }
+    });
+    const id = created.body.tournament.id;
+    for (const nickname of ['kaan', 'deniz']) {
+        await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens[nickname], body: {} });
+    }
+    await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.mesut });
+    const { body } = await server.request('GET', `/api/tournaments/${id}`);
+    return { id, match: body.matches.find(row => row.key === 'W1-1'), entries: body.entries };
+}
+
+test('sign-ups, Elo seeding and confirmed results', async () => {
+    const created = await server.request('POST', '/api/tournaments', {
+        token: tokens.mesut,
+        body: { name: 'Weekend Cup', format: 'single_elimination', maxEntrants: 4 }
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.tournament.id;
+
+    for (const nickname of ['mesut', 'kaan', 'deniz', 'arda']) {
+        const entry = await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens[nickname], body: {} });
+        assert.equal(entry.status, 201);
+    }
+
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.kaan })).status, 403);
+    const started = await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.mesut });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.tournament.status, 'running');
+
+    const { body } = await server.request('GET', `/api/tournaments/${id}`);
+    const seeds = Object.fromEntries(body.entries.map(entry => [entry.auth, entry.seed]));
+    assert.deepEqual(seeds, { 'seed-auth-1': 1, 'seed-auth-2': 2, 'seed-auth-3': 3, 'seed-auth-4': 4 });
+
+    // Seed 2 plays seed 3; the loser has to confirm the winner's report
+    const match = body.matches.find(row => row.key === 'W1-2');
+    const reported = await server.request('POST', `/api/tournaments/${id}/matches/${match.id}/report`, {
+        token: tokens.kaan,
+        body: { score1: 3, score2: 1 }
+    });
+    assert.equal(reported.status, 200);
+    assert.equal(reported.body.confirmed, false);
+
+    const confirmed = await server.request('POST', `/api/tournaments/${id}/matches/${match.id}/confirm`, { token: tokens.deniz });
+    assert.equal(confirmed.status, 200);
+
+    const updated = await server.request('GET', `/api/tournaments/${id}`);
+    const final = updated.body.matches.find(row => row.key === 'W2-1');
+    assert.equal(final.entry2_id, match.entry1_id);
+
+    // Organizer results stand straight away, and the response shows the match as saved
+    const other = body.matches.find(row => row.key === 'W1-1');
+    const entered = await server.request('POST', `/api/tournaments/${id}/matches/${other.id}/report`, {
+        token: tokens.mesut,
+        body: { score1: 2, score2: 0 }
+    });
+    assert.equal(entered.status, 200);
+    assert.equal(entered.body.confirmed, true);
+    assert.equal(entered.body.match.status, 'completed');
+    assert.equal(entered.body.match.winner_id, other.entry1_id);
+    assert.equal(entered.body.match.score1, 2);
+});
+
+test('a bracket that fails to save leaves sign-ups open', async () => {
+    const supabase = require('../lib/supabase');
+    const created = await server.request('POST', '/api/tournaments', {
+        token: tokens.mesut,
+        body: { name: 'Retry Cup', format: 'single_elimination', maxEntrants: 4 }
+    });
+    const id = created.body.tournament.id;
+    for (const nickname of ['mesut', 'kaan']) {
+        await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens[nickname], body: {} });
+    }
+
+    // Two matches with the same key break the bracket insert halfway
+    const duplicate = { key: 'W1-1', bracket: 'winners', round: 1, position: 1, status: 'pending' };
+    const { error } = await supabase.rpc('start_tournament', { p_tournament_id: id, p_entries: [], p_matches: [duplicate, duplicate] });
+    assert.equal(error.code, '23505');
+
+    const { body } = await server.request('GET', `/api/tournaments/${id}`);
+    assert.equal(body.tournament.status, 'signup');
+    assert.equal(body.matches.length, 0);
+
+    const started = await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.mesut });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.tournament.status, 'running');
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.mesut })).status, 409);
+});
+
+test('only organizers create tournaments, and full or repeated sign-ups are refused', async () => {
+    const refused = await server.request('POST', '/api/tournaments', {
+        token: tokens.kaan,
+        body: { name: 'Kaan Cup', format: 'single_elimination' }
+    });
+    assert.equal(refused.status, 403);
+
+    const created = await server.request('POST', '/api/tournaments', {
+        token: tokens.mesut,
+        body: { name: 'Small Cup', format: 'single_elimination', maxEntrants: 2 }
+    });
+    const id = created.body.tournament.id;
+
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/start`, { token: tokens.mesut })).body.error,
+        'At least two entrants are needed');
+
+    const entry = await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens.kaan, body: {} });
+    const again = await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens.kaan, body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'Already signed up');
+
+    await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens.deniz, body: {} });
+    const full = await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens.arda, body: {} });
+    assert.equal(full.body.error, 'The tournament is full');
+
+    // Someone else's entry can't be withdrawn, but the entrant's own can, which frees the spot
+    const entryId = entry.body.entry.id;
+    assert.equal((await server.request('DELETE', `/api/tournaments/${id}/entries/${entryId}`, { token: tokens.deniz })).status, 403);
+    assert.equal((await server.request('DELETE', `/api/tournaments/${id}/entries/${entryId}`, { token: tokens.kaan })).status, 200);
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/entries`, { token: tokens.arda, body: {} })).status, 201);
+});
+
+test('a disputed result is cleared and the match can be reported again', async () => {
+    const { id, match } = await startFinal('Dispute Cup');
+    const path = `/api/tournaments/${id}/matches/${match.id}`;
+
+    assert.equal((await server.request('POST', `${path}/report`, { token: tokens.arda, body: { score1: 3, score2: 0 } })).status, 403);
+    const draw = await server.request('POST', `${path}/report`, { token: tokens.kaan, body: { score1: 1, score2: 1 } });
+    assert.equal(draw.body.error, 'Knockout matches need a winner');
+
+    await server.request('POST', `${path}/report`, { token: tokens.kaan, body: { score1: 3, score2: 0 } });
+    // The reporting side can't answer its own report, and the other side can't report over it
+    assert.equal((await server.request('POST', `${path}/confirm`, { token: tokens.kaan })).status, 403);
+    assert.equal((await server.request('POST', `${path}/report`, { token: tokens.deniz, body: { score1: 0, score2: 3 } })).status, 409);
+
+    const disputed = await server.request('POST', `${path}/dispute`, { token: tokens.deniz });
+    assert.equal(disputed.status, 200);
+    assert.equal(disputed.body.match.status, 'ready');
+    assert.equal(disputed.body.match.score1, null);
+
+    const again = await server.request('POST', `${path}/report`, { token: tokens.deniz, body: { score1: 2, score2: 4 } });
+    assert.equal(again.body.match.status, 'reported');
+});
+
+test('the final decides the tournament and shows on the winner\'s profile', async () => {
+    const { id, match, entries } = await startFinal('Final Cup');
+    const path = `/api/tournaments/${id}/matches/${match.id}`;
+
+    await server.request('POST', `${path}/report`, { token: tokens.deniz, body: { score1: 1, score2: 2 } });
+    const confirmed = await server.request('POST', `${path}/confirm`, { token: tokens.kaan });
+    assert.equal(confirmed.body.finished, true);
+
+    // Score 1-2 goes to the second entry
+    const winner = entries.find(entry => entry.id === match.entry2_id);
+    const { body } = await server.request('GET', `/api/tournaments/${id}`);
+    assert.equal(body.tournament.status, 'finished');
+    assert.equal(body.tournament.winner_entry_id, winner.id);
+
+    const profile = await server.request('GET', `/api/players/${winner.auth}/tournaments`);
+    assert.equal(profile.body.tournaments.find(row => row.id === id).won, true);
+
+    assert.equal((await server.request('POST', `${path}/confirm`, { token: tokens.kaan })).status, 409);
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/cancel`, { token: tokens.mesut })).status, 409);
+});
+
+test('organizers can cancel a running tournament, which stops results', async () => {
+    const { id, match } = await startFinal('Cancelled Cup');
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/cancel`, { token: tokens.kaan })).status, 403);
+    assert.equal((await server.request('POST', `/api/tournaments/${id}/cancel`, { token: tokens.mesut })).status, 200);
+
+    const late = await server.request('POST', `/api/tournaments/${id}/matches/${match.id}/report`, {
+        token: tokens.kaan,
+        body: { score1: 3, score2: 0 }
+    });
+    assert.equal(late.body.error, 'The tournament is not running');
+});